@@ -2,15 +2,19 @@
 
 import { createServer } from 'node:http';
 import { readFileSync, readdirSync, existsSync, statSync, writeFileSync, unlinkSync, openSync, closeSync, rmSync } from 'node:fs';
-import { join, dirname } from 'node:path';
+import { join, dirname, basename } from 'node:path';
 import { homedir } from 'node:os';
 import { fileURLToPath } from 'node:url';
 import { spawn, execFile } from 'node:child_process';
 import { networkInterfaces } from 'node:os';
+import { loadArchiveIndex, readArchivedEntries } from '../lib/log-archive.mjs';
+import { listSummaryVersions, readSummaryVersion, restoreSummaryVersion, diffSummaries } from '../lib/summary-history.mjs';
+import { sharedMemoryPath, readSharedMemory, writeSharedMemory } from '../lib/shared-memory.mjs';
 
 const __dirname = dirname(fileURLToPath(import.meta.url));
 const MEMORY_BASE = join(homedir(), '.claude-mneme');
 const PROJECTS_DIR = join(MEMORY_BASE, 'projects');
+const GLOBAL_DIR = join(MEMORY_BASE, 'global');
 const SERVICE_PID_FILE = join(MEMORY_BASE, '.server.pid');
 const DASHBOARD_PID_FILE = join(MEMORY_BASE, '.dashboard.pid');
 
@@ -94,6 +98,12 @@ function getLatestArchivedBriefing(projectDir) {
 }
 
 function displayName(dirName) {
+  // Identity-named dir (github.com-acme-api, git-3f2a9c1b7d04): name of the checkout
+  if (!dirName.startsWith('-')) {
+    const root = readTextSafe(join(PROJECTS_DIR, dirName, '.project-root')).trim();
+    return root ? basename(root) : dirName;
+  }
+
   // Home directory: -home-username or -Users-username (no deeper path)
   const homePath = homedir().replace(/^\//, '-').replace(/\//g, '-');
   if (dirName === homePath) return '~ (home)';
@@ -181,6 +191,12 @@ function getProjects() {
     .sort((a, b) => a.displayName.localeCompare(b.displayName));
 }
 
+// Team layer lives in the repository; the project root is recorded by ensureMemoryDirs()
+function getSharedPath(projectDir) {
+  const root = readTextSafe(join(projectDir, '.project-root')).trim();
+  return root ? sharedMemoryPath(root) : null;
+}
+
 function getProjectData(name) {
   if (!isValidProjectName(name)) return null;
   const dir = join(PROJECTS_DIR, name);
@@ -192,6 +208,9 @@ function getProjectData(name) {
   const remembered = readJsonSafe(join(dir, 'remembered.json'), []);
   const handoff = readJsonSafe(join(dir, 'handoff.json'));
   const briefing = readJsonSafe(join(dir, 'briefing.json')) ?? getLatestArchivedBriefing(dir);
+  const archive = loadArchiveIndex(dir).partitions;
+  const sharedPath = getSharedPath(dir);
+  const shared = sharedPath ? readSharedMemory(sharedPath) : { remembered: [], keyDecisions: [] };
 
   const logTypes = {};
   for (const entry of log) {
@@ -209,14 +228,18 @@ function getProjectData(name) {
       logEntries: log.length,
       logTypes,
       entityCount,
-      rememberedCount: remembered.length,
+      rememberedCount: remembered.length + shared.remembered.length,
+      archivedEntries: Object.values(archive).reduce((sum, p) => sum + (p.entries || 0), 0),
       lastActivity,
     },
+    archive,
+    summaryHistory: listSummaryVersions(dir).reverse(),
     log,
     summary,
     summaryMd,
     entities,
     remembered,
+    shared: { path: sharedPath, remembered: shared.remembered, keyDecisions: shared.keyDecisions },
     handoff,
     briefing,
   };
@@ -253,6 +276,21 @@ function handleDeleteError(index) {
   return { status: 'ok', removed: removed.entry };
 }
 
+function getGlobalData() {
+  return { remembered: readJsonSafe(join(GLOBAL_DIR, 'remembered.json'), []) };
+}
+
+function handleDeleteGlobalRemembered(index) {
+  const filePath = join(GLOBAL_DIR, 'remembered.json');
+  return withFileLock(filePath + '.lock', () => {
+    const items = readJsonSafe(filePath, []);
+    if (index < 0 || index >= items.length) throw new Error(`Index ${index} out of range (${items.length} items)`);
+    const removed = items.splice(index, 1)[0];
+    writeFileSync(filePath, JSON.stringify(items, null, 2) + '\n');
+    return { status: 'ok', removed };
+  });
+}
+
 function getConfig() {
   return readJsonSafe(join(MEMORY_BASE, 'config.json'), {});
 }
@@ -354,7 +392,8 @@ async function handleSummarize(projectName) {
   });
 }
 
-function handleDeleteRemembered(projectName, index) {
+function handleDeleteRemembered(projectName, index, scope) {
+  if (scope === 'team') return handleDeleteSharedRemembered(projectName, index);
   const filePath = join(PROJECTS_DIR, projectName, 'remembered.json');
   return withFileLock(filePath + '.lock', () => {
     const items = readJsonSafe(filePath, []);
@@ -366,6 +405,21 @@ function handleDeleteRemembered(projectName, index) {
   });
 }
 
+function handleDeleteSharedRemembered(projectName, index) {
+  const dir = join(PROJECTS_DIR, projectName);
+  const sharedPath = getSharedPath(dir);
+  if (!sharedPath) throw new Error('Project root unknown — start a session in the project first');
+  return withFileLock(join(dir, '.shared.lock'), () => {
+    const shared = readSharedMemory(sharedPath);
+    const items = shared.remembered;
+    if (index < 0 || index >= items.length) throw new Error(`Index ${index} out of range (${items.length} items)`);
+    const removed = items.splice(index, 1)[0];
+    writeSharedMemory(sharedPath, shared);
+    invalidateProjectCache(projectName);
+    return { status: 'ok', removed };
+  });
+}
+
 function handleDeleteEntity(projectName, category, entity) {
   const filePath = join(PROJECTS_DIR, projectName, 'entities.json');
   return withFileLock(filePath + '.lock', () => {
@@ -380,6 +434,24 @@ function handleDeleteEntity(projectName, category, entity) {
   });
 }
 
+function getSummaryVersion(projectName, version) {
+  const dir = join(PROJECTS_DIR, projectName);
+  const v = readSummaryVersion(dir, version);
+  if (!v) return null;
+  const current = readJsonSafe(join(dir, 'summary.json'), {});
+  return { ...v, diff: diffSummaries(v.summary, current) };
+}
+
+function handleRestoreSummary(projectName, version) {
+  const dir = join(PROJECTS_DIR, projectName);
+  const newVersion = restoreSummaryVersion(dir, version, 'dashboard-edit', {
+    maxVersions: getConfig().summaryHistory?.maxVersions,
+  });
+  if (!newVersion) throw new Error(`Version ${version} not found`);
+  invalidateProjectCache(projectName);
+  return { status: 'ok', restoredFrom: version, version: newVersion };
+}
+
 function handleDeleteProject(projectName) {
   const projectDir = join(PROJECTS_DIR, projectName);
   rmSync(projectDir, { recursive: true, force: true });
@@ -438,7 +510,7 @@ async function handleRequest(req, res) {
   }
 
   // POST mutation routes: /api/projects/:name/<action>
-  const mutationMatch = path.match(/^\/api\/projects\/([^/]+)\/(summarize|remembered\/delete|entities\/delete|log\/delete)$/);
+  const mutationMatch = path.match(/^\/api\/projects\/([^/]+)\/(summarize|remembered\/delete|entities\/delete|log\/delete|summary\/restore)$/);
   if (mutationMatch && req.method === 'POST') {
     const projectName = decodeURIComponent(mutationMatch[1]);
     const action = mutationMatch[2];
@@ -454,7 +526,7 @@ async function handleRequest(req, res) {
           result = await handleSummarize(projectName);
           break;
         case 'remembered/delete':
-          result = handleDeleteRemembered(projectName, body.index);
+          result = handleDeleteRemembered(projectName, body.index, body.scope);
           break;
         case 'entities/delete':
           result = handleDeleteEntity(projectName, body.category, body.entity);
@@ -462,6 +534,9 @@ async function handleRequest(req, res) {
         case 'log/delete':
           result = handleDeleteLog(projectName, body.index);
           break;
+        case 'summary/restore':
+          result = handleRestoreSummary(projectName, body.version);
+          break;
       }
       sendJson(res, result);
     } catch (err) {
@@ -487,6 +562,32 @@ async function handleRequest(req, res) {
     return;
   }
 
+  // GET archived log partition: /api/projects/:name/archive/:month
+  const archiveMatch = path.match(/^\/api\/projects\/([^/]+)\/archive\/(\d{4}-\d{2})$/);
+  if (archiveMatch && req.method === 'GET') {
+    const projectName = decodeURIComponent(archiveMatch[1]);
+    if (!isValidProjectName(projectName)) {
+      sendJson(res, { error: 'Project not found' }, 404);
+      return;
+    }
+    const entries = readArchivedEntries(join(PROJECTS_DIR, projectName), { months: [archiveMatch[2]] });
+    sendJson(res, { month: archiveMatch[2], entries });
+    return;
+  }
+
+  // GET summary version + diff against current: /api/projects/:name/summary-history/:version
+  const versionMatch = path.match(/^\/api\/projects\/([^/]+)\/summary-history\/(\d+)$/);
+  if (versionMatch && req.method === 'GET') {
+    const projectName = decodeURIComponent(versionMatch[1]);
+    const data = isValidProjectName(projectName) ? getSummaryVersion(projectName, parseInt(versionMatch[2], 10)) : null;
+    if (!data) {
+      sendJson(res, { error: 'Version not found' }, 404);
+      return;
+    }
+    sendJson(res, data);
+    return;
+  }
+
   // GET project data: /api/projects/:name
   const projectMatch = path.match(/^\/api\/projects\/([^/]+)$/);
   if (projectMatch && req.method === 'GET') {
@@ -516,6 +617,22 @@ async function handleRequest(req, res) {
     return;
   }
 
+  if (path === '/api/global' && req.method === 'GET') {
+    sendJson(res, getGlobalData());
+    return;
+  }
+
+  if (path === '/api/global/remembered/delete' && req.method === 'POST') {
+    try {
+      const body = await readBody(req);
+      const result = handleDeleteGlobalRemembered(body.index);
+      sendJson(res, result);
+    } catch (err) {
+      sendJson(res, { error: err.message }, 400);
+    }
+    return;
+  }
+
   if (path === '/api/config') {
     sendJson(res, getConfig());
     return;
@@ -0,0 +1,224 @@
+/**
+ * Branch Memory — per-branch partitions of the structured summary.
+ *
+ * Log entries written by the hooks carry the git branch they were recorded
+ * on. Summarization keeps work from trunk branches (main, master, ...) in the
+ * top-level currentState/recentWork and work from any other branch in its own
+ * partition:
+ *
+ *   summary.branches = {
+ *     "feature/auth": { currentState: [...], recentWork: [...], lastUpdated }
+ *   }
+ *
+ * Key decisions stay in one list; decisions made on a feature branch are
+ * tagged with `branch`. branchView() builds the summary a session on a given
+ * branch should see: trunk memory plus that branch's partition, and decisions
+ * from trunk, the branch itself, or (foundational only) branches already
+ * merged into it.
+ *
+ * Linked git worktrees share the project's memory. Work in a worktree that
+ * isn't on a feature branch of its own (detached HEAD, or a trunk branch) is
+ * kept in a "worktree:<name>" partition, so each worktree has its own
+ * current state. Foundational decisions made in a worktree are shared with
+ * every branch and worktree.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { basename, resolve } from 'node:path';
+
+export const DEFAULT_TRUNK_BRANCHES = ['main', 'master', 'develop', 'trunk'];
+export const DEFAULT_MAX_BRANCHES = 10;
+export const WORKTREE_PREFIX = 'worktree:';
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      encoding: 'utf8', cwd, stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Current branch name, or '' when detached or not in a git repo.
+ */
+export function currentBranch(cwd = process.cwd()) {
+  return git(['branch', '--show-current'], cwd);
+}
+
+/**
+ * Name of the linked worktree cwd is in (its id under .git/worktrees/), or ''
+ * in the main working tree or outside git.
+ */
+export function currentWorktree(cwd = process.cwd()) {
+  const gitDir = git(['rev-parse', '--absolute-git-dir'], cwd);
+  const commonDir = git(['rev-parse', '--git-common-dir'], cwd);
+  if (!gitDir || !commonDir || resolve(cwd, commonDir) === gitDir) return '';
+  return basename(gitDir);
+}
+
+/**
+ * Local branches whose tips are already merged into HEAD.
+ * @returns {Set<string>}
+ */
+export function mergedBranches(cwd = process.cwd()) {
+  const out = git(['branch', '--merged', 'HEAD', '--format=%(refname:short)'], cwd);
+  return new Set(out.split('\n').map(b => b.trim()).filter(Boolean));
+}
+
+/**
+ * Partition key for a branch: null for trunk (or unknown) branches, which
+ * share the top-level summary, otherwise the branch name.
+ */
+export function branchPartition(branch, trunkBranches = DEFAULT_TRUNK_BRANCHES) {
+  if (!branch || trunkBranches.includes(branch)) return null;
+  return branch;
+}
+
+/**
+ * Partition for a branch checked out in a worktree: the branch's own
+ * partition if it has one, else the worktree's (linked worktrees only).
+ */
+export function sessionPartition(branch, worktree, trunkBranches = DEFAULT_TRUNK_BRANCHES) {
+  return branchPartition(branch, trunkBranches) || (worktree ? WORKTREE_PREFIX + worktree : null);
+}
+
+/**
+ * Group parsed log entries by partition, preserving order within each group.
+ * @returns {Map<string|null, object[]>} Trunk entries are keyed by null
+ */
+export function groupEntriesByPartition(entries, trunkBranches = DEFAULT_TRUNK_BRANCHES) {
+  const groups = new Map();
+  for (const entry of entries) {
+    const key = sessionPartition(entry.branch, entry.worktree, trunkBranches);
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(entry);
+  }
+  return groups;
+}
+
+/**
+ * The summary as seen from inside one partition: that partition's
+ * currentState/recentWork in place of the top-level ones.
+ */
+export function partitionSummary(summary, partition) {
+  if (!partition) return summary;
+  const part = summary.branches?.[partition] || {};
+  return {
+    ...summary,
+    currentState: part.currentState || [],
+    recentWork: part.recentWork || [],
+  };
+}
+
+/**
+ * Write an updated partition view back into the full summary.
+ * Decisions and project context are shared; state and work go to the partition.
+ * Only the newest maxBranches partitions are kept.
+ *
+ * @param {object} summary - Full summary before the update
+ * @param {object} updated - partitionSummary() view after applying updates
+ * @param {string|null} partition
+ * @param {{ maxBranches?: number }} [options]
+ */
+export function mergePartitionSummary(summary, updated, partition, { maxBranches = DEFAULT_MAX_BRANCHES } = {}) {
+  if (!partition) return { ...updated, branches: summary.branches };
+
+  const { currentState, recentWork, branches: _ignored, ...shared } = updated;
+  const branches = {
+    ...summary.branches,
+    [partition]: { currentState, recentWork, lastUpdated: updated.lastUpdated || new Date().toISOString() },
+  };
+  const newest = Object.entries(branches)
+    .sort(([, a], [, b]) => String(b.lastUpdated || '').localeCompare(String(a.lastUpdated || '')))
+    .slice(0, Math.max(1, maxBranches));
+
+  return {
+    ...shared,
+    currentState: summary.currentState || [],
+    recentWork: summary.recentWork || [],
+    branches: Object.fromEntries(newest),
+  };
+}
+
+/**
+ * Tag decisions that are new relative to `before` with the partition they
+ * were made on. Trunk decisions stay untagged.
+ */
+export function tagNewDecisions(before = [], after = [], partition) {
+  if (!partition) return after;
+  const existing = new Set((before || []).map(d => d.decision));
+  return after.map(d => (existing.has(d.decision) || d.branch ? d : { ...d, branch: partition }));
+}
+
+/**
+ * Build the summary a session on `branch` should see.
+ *
+ * - currentState/recentWork: trunk items, then the branch's own items (last,
+ *   so `slice(-maxItems)` rendering keeps them; tagged with `branch` so
+ *   retrieval can rank them higher)
+ * - keyDecisions: untagged/trunk decisions, the branch's own decisions, and
+ *   foundational decisions from branches merged into it
+ *
+ * In a linked worktree, pass `worktree`: without a feature branch the
+ * session sees the worktree's partition.
+ *
+ * @param {object|null} summary
+ * @param {string} branch
+ * @param {{ trunkBranches?: string[], merged?: Set<string>, worktree?: string }} [options]
+ * @returns {object|null}
+ */
+export function branchView(summary, branch, { trunkBranches = DEFAULT_TRUNK_BRANCHES, merged = new Set(), worktree = '' } = {}) {
+  if (!summary) return summary;
+  const partition = sessionPartition(branch, worktree, trunkBranches);
+  const own = partition ? summary.branches?.[partition] : null;
+
+  const keyDecisions = (summary.keyDecisions || []).filter(d => {
+    const from = branchPartition(d.branch, trunkBranches);
+    if (!from || from === partition) return true;
+    // Worktrees are never merged, so their foundational decisions are shared
+    if (from.startsWith(WORKTREE_PREFIX)) return d.foundational !== false;
+    return merged.has(from) && d.foundational !== false;
+  });
+
+  const tag = item => ({ ...item, branch: partition });
+  const { branches: _ignored, ...rest } = summary;
+  return {
+    ...rest,
+    keyDecisions,
+    currentState: [...(summary.currentState || []), ...(own?.currentState || []).map(tag)],
+    recentWork: [...(summary.recentWork || []), ...(own?.recentWork || []).map(tag)],
+    branch: partition,
+  };
+}
+
+/**
+ * Shared view across every branch (branchMemory.mode 'all'): all partitions'
+ * state and work appended to the top-level lists, all decisions kept.
+ */
+export function allBranchesView(summary) {
+  if (!summary?.branches) return summary;
+  const { branches, ...rest } = summary;
+  const parts = Object.entries(branches).map(([branch, part]) => ({
+    currentState: (part.currentState || []).map(s => ({ ...s, branch })),
+    recentWork: (part.recentWork || []).map(w => ({ ...w, branch })),
+  }));
+  return {
+    ...rest,
+    currentState: [...(summary.currentState || []), ...parts.flatMap(p => p.currentState)],
+    recentWork: [...(summary.recentWork || []), ...parts.flatMap(p => p.recentWork)],
+  };
+}
+
+/**
+ * Keep log entries recorded on trunk or on `branch` (in `worktree`); drop
+ * other branches' and worktrees'.
+ */
+export function filterEntriesForBranch(entries, branch, trunkBranches = DEFAULT_TRUNK_BRANCHES, worktree = '') {
+  const partition = sessionPartition(branch, worktree, trunkBranches);
+  return entries.filter(e => {
+    const from = sessionPartition(e.branch, e.worktree, trunkBranches);
+    return !from || from === partition;
+  });
+}
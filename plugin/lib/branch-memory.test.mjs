@@ -0,0 +1,208 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join, basename } from 'node:path';
+import { execFileSync } from 'node:child_process';
+
+import {
+  currentBranch,
+  currentWorktree,
+  mergedBranches,
+  branchPartition,
+  groupEntriesByPartition,
+  partitionSummary,
+  mergePartitionSummary,
+  tagNewDecisions,
+  branchView,
+  allBranchesView,
+  filterEntriesForBranch
+} from './branch-memory.mjs';
+
+const summary = () => ({
+  projectContext: 'P',
+  keyDecisions: [
+    { decision: 'Use ESM', foundational: true },
+    { decision: 'Use JWT', foundational: true, branch: 'feature/auth' },
+    { decision: 'Cache tokens', foundational: false, branch: 'feature/auth' },
+    { decision: 'Try GraphQL', foundational: true, branch: 'spike/graphql' },
+  ],
+  currentState: [{ topic: 'Main', status: 'Stable' }],
+  recentWork: [{ summary: 'Released v1' }],
+  branches: {
+    'feature/auth': { currentState: [{ topic: 'Auth', status: 'WIP' }], recentWork: [{ summary: 'Login form' }] },
+    'spike/graphql': { currentState: [{ topic: 'GraphQL', status: 'Exploring' }], recentWork: [] },
+  },
+});
+
+describe('branchPartition / groupEntriesByPartition', () => {
+  it('maps trunk and unknown branches to the shared partition', () => {
+    assert.equal(branchPartition('main'), null);
+    assert.equal(branchPartition(''), null);
+    assert.equal(branchPartition(undefined), null);
+    assert.equal(branchPartition('feature/x'), 'feature/x');
+    assert.equal(branchPartition('develop', ['main']), 'develop');
+  });
+
+  it('groups entries in order of first appearance', () => {
+    const groups = groupEntriesByPartition([
+      { content: 'a', branch: 'feature/x' },
+      { content: 'b' },
+      { content: 'c', branch: 'feature/x' },
+      { content: 'd', branch: 'main' },
+    ]);
+    assert.deepEqual([...groups.keys()], ['feature/x', null]);
+    assert.deepEqual(groups.get('feature/x').map(e => e.content), ['a', 'c']);
+    assert.deepEqual(groups.get(null).map(e => e.content), ['b', 'd']);
+  });
+});
+
+describe('partitionSummary / mergePartitionSummary', () => {
+  it('round-trips a partition without touching trunk lists', () => {
+    const full = summary();
+    const view = partitionSummary(full, 'feature/auth');
+    assert.deepEqual(view.currentState, [{ topic: 'Auth', status: 'WIP' }]);
+
+    const updated = { ...view, currentState: [...view.currentState, { topic: 'Roles', status: 'Planned' }], lastUpdated: '2026-02-01T00:00:00Z' };
+    const merged = mergePartitionSummary(full, updated, 'feature/auth');
+    assert.deepEqual(merged.currentState, full.currentState);
+    assert.equal(merged.branches['feature/auth'].currentState.length, 2);
+    assert.ok(merged.branches['spike/graphql']);
+  });
+
+  it('returns trunk views unchanged', () => {
+    const full = summary();
+    assert.equal(partitionSummary(full, null), full);
+  });
+
+  it('tags only new decisions with the partition', () => {
+    const before = [{ decision: 'A' }];
+    const after = [{ decision: 'A', id: 'd1' }, { decision: 'B', id: 'd2' }];
+    assert.deepEqual(tagNewDecisions(before, after, 'feature/x').map(d => d.branch), [undefined, 'feature/x']);
+    assert.equal(tagNewDecisions(before, after, null), after);
+  });
+});
+
+describe('branchView', () => {
+  it('shows trunk memory plus the checked-out branch', () => {
+    const view = branchView(summary(), 'feature/auth');
+    assert.equal(view.branch, 'feature/auth');
+    assert.equal(view.branches, undefined);
+    assert.deepEqual(view.currentState.map(s => [s.topic, s.branch]), [['Main', undefined], ['Auth', 'feature/auth']]);
+    assert.deepEqual(view.recentWork.map(w => w.summary), ['Released v1', 'Login form']);
+    assert.deepEqual(view.keyDecisions.map(d => d.decision), ['Use ESM', 'Use JWT', 'Cache tokens']);
+  });
+
+  it('hides unmerged branches on trunk but keeps merged foundational decisions', () => {
+    const view = branchView(summary(), 'main', { merged: new Set(['main', 'feature/auth']) });
+    assert.equal(view.branch, null);
+    assert.deepEqual(view.currentState.map(s => s.topic), ['Main']);
+    assert.deepEqual(view.keyDecisions.map(d => d.decision), ['Use ESM', 'Use JWT']);
+  });
+
+  it('passes null summaries through', () => {
+    assert.equal(branchView(null, 'main'), null);
+  });
+});
+
+describe('worktree partitions', () => {
+  const withWorktree = () => {
+    const s = summary();
+    s.keyDecisions.push(
+      { decision: 'Pin Node 22', foundational: true, branch: 'worktree:agent-1' },
+      { decision: 'Skip flaky test', foundational: false, branch: 'worktree:agent-1' }
+    );
+    s.branches['worktree:agent-1'] = { currentState: [{ topic: 'Agent', status: 'Running' }], recentWork: [] };
+    return s;
+  };
+
+  it('partitions detached or trunk work in a linked worktree by worktree', () => {
+    const entries = [
+      { content: 'a', worktree: 'agent-1' },
+      { content: 'b', branch: 'main', worktree: 'agent-2' },
+      { content: 'c', branch: 'feature/auth', worktree: 'agent-3' },
+    ];
+    assert.deepEqual([...groupEntriesByPartition(entries).keys()], ['worktree:agent-1', 'worktree:agent-2', 'feature/auth']);
+    assert.deepEqual(filterEntriesForBranch(entries, '', undefined, 'agent-1').map(e => e.content), ['a']);
+  });
+
+  it('gives a worktree its own state and shares its foundational decisions', () => {
+    const inWorktree = branchView(withWorktree(), '', { worktree: 'agent-1' });
+    assert.equal(inWorktree.branch, 'worktree:agent-1');
+    assert.deepEqual(inWorktree.currentState.map(s => s.topic), ['Main', 'Agent']);
+    assert.ok(inWorktree.keyDecisions.some(d => d.decision === 'Skip flaky test'));
+
+    const onMain = branchView(withWorktree(), 'main');
+    assert.deepEqual(onMain.currentState.map(s => s.topic), ['Main']);
+    assert.ok(onMain.keyDecisions.some(d => d.decision === 'Pin Node 22'));
+    assert.ok(!onMain.keyDecisions.some(d => d.decision === 'Skip flaky test'));
+  });
+});
+
+describe('allBranchesView / filterEntriesForBranch', () => {
+  it('flattens every partition into the shared lists', () => {
+    const view = allBranchesView(summary());
+    assert.deepEqual(view.currentState.map(s => s.topic), ['Main', 'Auth', 'GraphQL']);
+    assert.equal(view.keyDecisions.length, 4);
+    assert.equal(view.branches, undefined);
+  });
+
+  it('keeps trunk and current-branch log entries', () => {
+    const entries = [{ content: 'a' }, { content: 'b', branch: 'feature/auth' }, { content: 'c', branch: 'spike/graphql' }, { content: 'd', branch: 'main' }];
+    assert.deepEqual(filterEntriesForBranch(entries, 'feature/auth').map(e => e.content), ['a', 'b', 'd']);
+    assert.deepEqual(filterEntriesForBranch(entries, 'main').map(e => e.content), ['a', 'd']);
+  });
+});
+
+describe('currentBranch / mergedBranches', () => {
+  let repo;
+
+  before(() => {
+    repo = mkdtempSync(join(tmpdir(), 'mneme-branch-'));
+    const git = (...args) => execFileSync('git', args, { cwd: repo, stdio: 'ignore' });
+    git('init', '-b', 'main');
+    git('config', 'user.email', 'test@test.com');
+    git('config', 'user.name', 'Test');
+    writeFileSync(join(repo, 'a.txt'), 'a\n');
+    git('add', '.');
+    git('commit', '-m', 'init');
+    git('checkout', '-b', 'feature/done');
+    writeFileSync(join(repo, 'b.txt'), 'b\n');
+    git('add', '.');
+    git('commit', '-m', 'feature');
+    git('checkout', 'main');
+    git('merge', '--ff-only', 'feature/done');
+    git('checkout', '-b', 'feature/open');
+    writeFileSync(join(repo, 'c.txt'), 'c\n');
+    git('add', '.');
+    git('commit', '-m', 'open');
+    git('checkout', 'main');
+  });
+
+  after(() => {
+    rmSync(repo, { recursive: true, force: true });
+  });
+
+  it('reads the checked-out branch', () => {
+    assert.equal(currentBranch(repo), 'main');
+    assert.equal(currentBranch(join(repo, 'missing')), '');
+  });
+
+  it('lists branches merged into HEAD', () => {
+    const merged = mergedBranches(repo);
+    assert.ok(merged.has('feature/done'));
+    assert.ok(!merged.has('feature/open'));
+  });
+
+  it('names linked worktrees only', () => {
+    const linked = join(tmpdir(), `mneme-wt-${Date.now()}`);
+    execFileSync('git', ['worktree', 'add', '--detach', linked], { cwd: repo, stdio: 'ignore' });
+    try {
+      assert.equal(currentWorktree(repo), '');
+      assert.equal(currentWorktree(linked), basename(linked));
+      assert.equal(currentWorktree(join(repo, 'missing')), '');
+    } finally {
+      execFileSync('git', ['worktree', 'remove', '--force', linked], { cwd: repo, stdio: 'ignore' });
+    }
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Decision Lifecycle — ids, status and supersession for summary.keyDecisions.
+ *
+ * Each decision carries:
+ *   id            Stable content-derived id ("d" + 6 hex chars), so the LLM can
+ *                 reference existing decisions in its updates
+ *   status        'active' | 'superseded' | 'reverted' (missing = active)
+ *   supersededBy  Id of the decision that replaced this one
+ *   supersedes    Id of the decision this one replaced
+ *   history       [{ date, status, reason }] — previous rationale and status changes
+ *
+ * Legacy decisions without ids are normalized on the next update.
+ */
+
+import { createHash } from 'node:crypto';
+
+export const DECISION_STATUSES = ['active', 'superseded', 'reverted'];
+export const MAX_DECISIONS = 10;
+
+const DECISION_ACTIONS = ['supersede', 'revert', 'rationale'];
+
+function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Derive a decision id from its text and date.
+ * @param {{ decision?: string, date?: string }} d
+ * @returns {string}
+ */
+export function decisionId(d) {
+  const hash = createHash('sha1').update(`${d.date || ''}\0${d.decision || ''}`).digest('hex');
+  return `d${hash.slice(0, 6)}`;
+}
+
+export function isActiveDecision(d) {
+  return !d?.status || d.status === 'active';
+}
+
+/**
+ * Return copies of decisions with ids and status filled in.
+ * Colliding ids (same text and date) get a numeric suffix.
+ */
+export function normalizeDecisions(decisions) {
+  const seen = new Set();
+  return (decisions || []).filter(d => d && d.decision).map(d => {
+    let id = d.id || decisionId(d);
+    for (let n = 2; seen.has(id); n++) id = `${d.id || decisionId(d)}-${n}`;
+    seen.add(id);
+    return {
+      ...d,
+      id,
+      status: DECISION_STATUSES.includes(d.status) ? d.status : 'active',
+    };
+  });
+}
+
+/**
+ * Apply new decisions and lifecycle operations.
+ *
+ * Operations (from the summarization prompt's `decisionUpdates`):
+ *   { id, action: 'supersede', supersededBy, reason }  supersededBy = index into
+ *                                                       newDecisions or an existing id
+ *   { id, action: 'revert', reason }                   undone with no replacement
+ *   { id, action: 'rationale', reason }                same decision, new reason
+ *
+ * Operations on unknown ids, or superseding/reverting an already inactive
+ * decision, are ignored.
+ *
+ * @param {object[]} decisions - Existing keyDecisions
+ * @param {object[]} [newDecisions]
+ * @param {object[]} [operations]
+ * @returns {object[]} Updated decisions (not pruned)
+ */
+export function applyDecisionUpdates(decisions, newDecisions = [], operations = [], { date = today() } = {}) {
+  const existing = normalizeDecisions(decisions);
+  const added = normalizeDecisions([...existing, ...(newDecisions || [])]).slice(existing.length)
+    .map(d => ({ ...d, status: 'active' }));
+  const result = [...existing, ...added];
+  const byId = new Map(result.map(d => [d.id, d]));
+
+  for (const op of operations || []) {
+    const target = byId.get(op?.id);
+    if (!target || !DECISION_ACTIONS.includes(op.action)) continue;
+
+    if (op.action === 'rationale') {
+      if (!op.reason || op.reason === target.reason) continue;
+      target.history = [...(target.history || []), { date, status: target.status, reason: target.reason || null }];
+      target.reason = op.reason;
+      continue;
+    }
+
+    if (!isActiveDecision(target)) continue;
+
+    if (op.action === 'supersede') {
+      const replacement = typeof op.supersededBy === 'number' || /^\d+$/.test(String(op.supersededBy))
+        ? added[Number(op.supersededBy)]
+        : byId.get(op.supersededBy);
+      if (!replacement || replacement === target) continue;
+      target.status = 'superseded';
+      target.supersededBy = replacement.id;
+      replacement.supersedes = target.id;
+    } else {
+      target.status = 'reverted';
+    }
+    target.history = [...(target.history || []), { date, status: target.status, reason: op.reason || null }];
+  }
+
+  return result;
+}
+
+/**
+ * Cap the decision list, keeping original order.
+ * Drops inactive decisions first, then tactical, then the oldest foundational.
+ */
+export function pruneDecisions(decisions, max = MAX_DECISIONS) {
+  if (!decisions || decisions.length <= max) return decisions;
+
+  const drop = new Set();
+  let excess = decisions.length - max;
+  const tiers = [
+    d => !isActiveDecision(d),
+    d => !d.foundational,
+    () => true,
+  ];
+  for (const inTier of tiers) {
+    for (const d of decisions) {
+      if (excess === 0) break;
+      if (drop.has(d) || !inTier(d)) continue;
+      drop.add(d);
+      excess--;
+    }
+  }
+  return decisions.filter(d => !drop.has(d));
+}
+
+/**
+ * Compact one-line-per-decision listing for summarization prompts.
+ * Only active decisions are listed, each prefixed with its id.
+ */
+export function formatDecisionsForPrompt(decisions) {
+  return normalizeDecisions(decisions)
+    .filter(isActiveDecision)
+    .map(d => `[${d.id}] ${d.decision}`)
+    .join('; ');
+}
@@ -0,0 +1,127 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  decisionId,
+  isActiveDecision,
+  normalizeDecisions,
+  applyDecisionUpdates,
+  pruneDecisions,
+  formatDecisionsForPrompt
+} from './decisions.mjs';
+
+describe('decisionId', () => {
+  it('is stable and derived from text and date', () => {
+    const d = { date: '2026-10-01', decision: 'Use Redis for sessions' };
+    assert.match(decisionId(d), /^d[0-9a-f]{6}$/);
+    assert.equal(decisionId(d), decisionId({ ...d, reason: 'other' }));
+    assert.notEqual(decisionId(d), decisionId({ ...d, date: '2026-10-02' }));
+  });
+});
+
+describe('normalizeDecisions', () => {
+  it('fills in ids and active status without mutating input', () => {
+    const input = [{ decision: 'Use ESM' }, { decision: 'Use Redis', status: 'bogus' }];
+    const result = normalizeDecisions(input);
+    assert.ok(result.every(d => d.id && d.status === 'active'));
+    assert.equal(input[0].id, undefined);
+  });
+
+  it('keeps existing ids and disambiguates duplicates', () => {
+    const result = normalizeDecisions([
+      { decision: 'Same' },
+      { decision: 'Same' },
+      { id: 'dkeep01', decision: 'Kept', status: 'reverted' },
+    ]);
+    assert.equal(new Set(result.map(d => d.id)).size, 3);
+    assert.equal(result[2].id, 'dkeep01');
+    assert.equal(result[2].status, 'reverted');
+  });
+});
+
+describe('applyDecisionUpdates', () => {
+  const existing = [
+    { id: 'dold001', decision: 'Store sessions in memory', reason: 'Simple', status: 'active' },
+    { id: 'dold002', decision: 'Use REST', reason: 'Familiar', status: 'active' },
+  ];
+
+  it('supersedes by index into the new decisions', () => {
+    const result = applyDecisionUpdates(existing,
+      [{ date: '2026-10-05', decision: 'Store sessions in Redis', reason: 'Survives restarts' }],
+      [{ id: 'dold001', action: 'supersede', supersededBy: 0, reason: 'Lost sessions on deploy' }],
+      { date: '2026-10-05' });
+
+    const old = result.find(d => d.id === 'dold001');
+    const replacement = result.find(d => d.decision === 'Store sessions in Redis');
+    assert.equal(old.status, 'superseded');
+    assert.equal(old.supersededBy, replacement.id);
+    assert.equal(replacement.supersedes, 'dold001');
+    assert.equal(replacement.status, 'active');
+    assert.deepStrictEqual(old.history, [{ date: '2026-10-05', status: 'superseded', reason: 'Lost sessions on deploy' }]);
+    assert.equal(existing[0].status, 'active', 'input is not mutated');
+  });
+
+  it('supersedes by existing id and reverts', () => {
+    const result = applyDecisionUpdates(existing, [], [
+      { id: 'dold001', action: 'supersede', supersededBy: 'dold002' },
+      { id: 'dold002', action: 'revert', reason: 'Went back' },
+    ]);
+    assert.equal(result[0].status, 'superseded');
+    assert.equal(result[0].supersededBy, 'dold002');
+    assert.equal(result[1].status, 'reverted');
+    assert.equal(result[1].history[0].reason, 'Went back');
+  });
+
+  it('records rationale changes in history', () => {
+    const result = applyDecisionUpdates(existing, [], [
+      { id: 'dold002', action: 'rationale', reason: 'Clients only speak HTTP' },
+    ], { date: '2026-10-06' });
+    assert.equal(result[1].reason, 'Clients only speak HTTP');
+    assert.deepStrictEqual(result[1].history, [{ date: '2026-10-06', status: 'active', reason: 'Familiar' }]);
+  });
+
+  it('ignores unknown ids, bad actions and inactive targets', () => {
+    const reverted = [{ ...existing[0], status: 'reverted' }];
+    const result = applyDecisionUpdates(reverted, [{ decision: 'New' }], [
+      { id: 'dmissing', action: 'revert' },
+      { id: 'dold001', action: 'delete' },
+      { id: 'dold001', action: 'supersede', supersededBy: 0 },
+      { id: 'dold001', action: 'supersede', supersededBy: 5 },
+    ]);
+    assert.equal(result[0].status, 'reverted');
+    assert.equal(result[0].supersededBy, undefined);
+    assert.equal(result[1].supersedes, undefined);
+  });
+});
+
+describe('pruneDecisions', () => {
+  it('drops inactive, then tactical, then oldest foundational, preserving order', () => {
+    const decisions = [
+      { decision: 'F0', foundational: true },
+      { decision: 'T0', foundational: false },
+      { decision: 'S0', foundational: true, status: 'superseded' },
+      { decision: 'F1', foundational: true },
+      { decision: 'T1', foundational: false },
+    ];
+    assert.deepStrictEqual(pruneDecisions(decisions, 4).map(d => d.decision), ['F0', 'T0', 'F1', 'T1']);
+    assert.deepStrictEqual(pruneDecisions(decisions, 2).map(d => d.decision), ['F0', 'F1']);
+    assert.deepStrictEqual(pruneDecisions(decisions, 1).map(d => d.decision), ['F1']);
+  });
+
+  it('returns the list unchanged when under the cap', () => {
+    const decisions = [{ decision: 'A' }];
+    assert.equal(pruneDecisions(decisions, 10), decisions);
+  });
+});
+
+describe('formatDecisionsForPrompt', () => {
+  it('lists only active decisions with ids', () => {
+    const text = formatDecisionsForPrompt([
+      { id: 'da', decision: 'Active one' },
+      { id: 'db', decision: 'Old one', status: 'superseded' },
+    ]);
+    assert.equal(text, '[da] Active one');
+    assert.ok(isActiveDecision({ decision: 'x' }));
+    assert.ok(!isActiveDecision({ decision: 'x', status: 'reverted' }));
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Embeddings — local text vectors for semantic memory retrieval.
+ *
+ * Backends are pluggable: each is a factory returning { id, embed(text) }.
+ * The built-in `hashed-ngram` backend needs no model or network: it hashes
+ * word unigrams and character trigrams into a fixed-size signed vector
+ * (the "hashing trick"), so related wording ("authenticate" / "auth flow")
+ * lands close together even without exact token overlap.
+ *
+ * It only relates texts that share words or word pieces: "auth token
+ * refresh" and "JWT rotation" score no closer than unrelated text. Matching
+ * by meaning needs a model behind registerEmbeddingBackend(). Hash
+ * collisions also give unrelated texts cosines of about ±2/√dimensions, so
+ * the backend reports that as its noiseFloor and scoring subtracts it.
+ *
+ * Vectors are cached per item text in the project memory dir, keyed by a
+ * content hash, so unchanged memories are never re-embedded.
+ */
+
+import { createHash } from 'node:crypto';
+import { readFileSync, existsSync } from 'node:fs';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+// ============================================================================
+// Backends
+// ============================================================================
+
+const DEFAULT_DIMENSIONS = 256;
+
+/** FNV-1a 32-bit hash — fast, stable across runs and platforms. */
+function fnv1a(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+function normalize(vec) {
+  let norm = 0;
+  for (const v of vec) norm += v * v;
+  norm = Math.sqrt(norm);
+  if (norm === 0) return vec;
+  return vec.map(v => v / norm);
+}
+
+function splitWords(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(w => w.length >= 2);
+}
+
+function hashedNgramBackend({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+  const dims = Math.max(16, Math.floor(dimensions));
+
+  const add = (vec, feature, weight) => {
+    const h = fnv1a(feature);
+    // Low bits pick the slot, the top bit picks the sign (reduces collision bias)
+    vec[h % dims] += (h & 0x80000000) ? -weight : weight;
+  };
+
+  return {
+    id: `hashed-ngram:${dims}`,
+    noiseFloor: 2 / Math.sqrt(dims),
+    embed(text) {
+      const vec = new Array(dims).fill(0);
+      if (!text) return vec;
+      for (const word of splitWords(text)) {
+        add(vec, `w:${word}`, 1.0);
+        const padded = `#${word}#`;
+        for (let i = 0; i + 3 <= padded.length; i++) {
+          add(vec, `c:${padded.slice(i, i + 3)}`, 0.5);
+        }
+      }
+      return normalize(vec);
+    },
+  };
+}
+
+const BACKENDS = new Map([['hashed-ngram', hashedNgramBackend]]);
+
+/**
+ * Register an embedding backend. The factory receives the `embedding` config
+ * section and must return { id, embed(text) → number[] }; `id` should change
+ * whenever vectors stop being comparable (e.g. a different model or size).
+ * An optional noiseFloor is the cosine unrelated texts typically reach.
+ * @param {string} name
+ * @param {(options: object) => { id: string, noiseFloor?: number, embed: (text: string) => number[] }} factory
+ */
+export function registerEmbeddingBackend(name, factory) {
+  BACKENDS.set(name, factory);
+}
+
+/**
+ * Create an embedder for the configured backend.
+ * Unknown backend names fall back to `hashed-ngram`.
+ * @param {{ backend?: string, dimensions?: number }} [options]
+ */
+export function createEmbedder(options = {}) {
+  const factory = BACKENDS.get(options.backend) || hashedNgramBackend;
+  return factory(options);
+}
+
+/**
+ * Cosine similarity of two vectors. Returns 0 for empty or mismatched input.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function cosineSimilarity(a, b) {
+  if (!a || !b || a.length === 0 || a.length !== b.length) return 0;
+  let dot = 0, na = 0, nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  if (na === 0 || nb === 0) return 0;
+  return dot / (Math.sqrt(na) * Math.sqrt(nb));
+}
+
+/**
+ * Cosine similarity rescaled so the embedder's noise floor maps to 0 and
+ * identical direction to 1: a score relevanceThreshold can filter on.
+ * @param {{ noiseFloor?: number }} embedder
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} 0-1
+ */
+export function semanticSimilarity(embedder, a, b) {
+  const floor = Math.min(0.9, Math.max(0, embedder.noiseFloor || 0));
+  return Math.max(0, (cosineSimilarity(a, b) - floor) / (1 - floor));
+}
+
+// ============================================================================
+// Vector Cache
+// ============================================================================
+
+function textKey(text) {
+  return createHash('sha1').update(text).digest('hex').slice(0, 16);
+}
+
+/**
+ * Wrap an embedder with a persistent per-item vector cache.
+ *
+ * The cache file is discarded when the backend id changes. On save(), only
+ * vectors looked up during this run are kept, so items that were removed
+ * from memory don't accumulate. Without a filePath the cache is in-memory only.
+ *
+ * @param {string|null} filePath - e.g. <project>/.embeddings.json
+ * @param {{ id: string, embed: (text: string) => number[] }} embedder
+ */
+export function createEmbeddingCache(filePath, embedder) {
+  let stored = {};
+  if (filePath && existsSync(filePath)) {
+    try {
+      const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+      if (data.backend === embedder.id && data.vectors) stored = data.vectors;
+    } catch { /* corrupt cache — rebuild */ }
+  }
+
+  const used = {};
+  let dirty = false;
+
+  return {
+    embed(text) {
+      const key = textKey(text || '');
+      if (!used[key]) {
+        if (stored[key]) {
+          used[key] = stored[key];
+        } else {
+          // Rounded to keep the cache file compact; precision loss is negligible
+          used[key] = embedder.embed(text || '').map(v => Math.round(v * 1e4) / 1e4);
+          dirty = true;
+        }
+      }
+      return used[key];
+    },
+
+    /** Persist vectors used this run. No-op when nothing changed. */
+    save() {
+      if (!filePath) return;
+      if (!dirty && Object.keys(used).length === Object.keys(stored).length) return;
+      writeFileAtomic(filePath, JSON.stringify({ backend: embedder.id, vectors: used }));
+    },
+  };
+}
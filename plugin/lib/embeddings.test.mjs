@@ -0,0 +1,143 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  createEmbedder,
+  registerEmbeddingBackend,
+  cosineSimilarity,
+  semanticSimilarity,
+  createEmbeddingCache,
+} from './embeddings.mjs';
+
+// ============================================================================
+// createEmbedder (hashed-ngram)
+// ============================================================================
+describe('createEmbedder', () => {
+  it('produces unit-length vectors of the configured size', () => {
+    const embedder = createEmbedder({ dimensions: 64 });
+    const vec = embedder.embed('Refactor the authentication middleware');
+    assert.equal(vec.length, 64);
+    const norm = Math.sqrt(vec.reduce((s, v) => s + v * v, 0));
+    assert.ok(Math.abs(norm - 1) < 1e-9);
+    assert.equal(embedder.id, 'hashed-ngram:64');
+  });
+
+  it('is deterministic', () => {
+    const a = createEmbedder().embed('session start hook');
+    const b = createEmbedder().embed('session start hook');
+    assert.deepStrictEqual(a, b);
+  });
+
+  it('returns a zero vector for empty text', () => {
+    const vec = createEmbedder({ dimensions: 32 }).embed('');
+    assert.ok(vec.every(v => v === 0));
+  });
+
+  it('places related wording closer than unrelated wording', () => {
+    const embedder = createEmbedder();
+    const query = embedder.embed('authentication login');
+    const related = embedder.embed('Authenticate users on the login page');
+    const unrelated = embedder.embed('Tweak dashboard chart colors');
+    assert.ok(cosineSimilarity(query, related) > cosineSimilarity(query, unrelated));
+  });
+
+  it('filters hash-collision noise out of the semantic score', () => {
+    const embedder = createEmbedder();
+    const query = embedder.embed('database migration');
+    const unrelated = ['Style the billing dashboard', 'Fix flaky login test on CI', 'Rename user model fields', 'Tune memory cache TTL'];
+    for (const text of unrelated) {
+      assert.ok(semanticSimilarity(embedder, query, embedder.embed(text)) < 0.05, text);
+    }
+    assert.ok(semanticSimilarity(embedder, query, embedder.embed('Migrate database schema to postgres 16')) > 0.15);
+    assert.equal(semanticSimilarity({}, [1, 0], [1, 0]), 1);
+  });
+
+  it('uses registered backends and falls back for unknown names', () => {
+    registerEmbeddingBackend('constant', () => ({ id: 'constant', embed: () => [1, 0] }));
+    assert.equal(createEmbedder({ backend: 'constant' }).id, 'constant');
+    assert.match(createEmbedder({ backend: 'nope' }).id, /^hashed-ngram:/);
+  });
+});
+
+// ============================================================================
+// cosineSimilarity
+// ============================================================================
+describe('cosineSimilarity', () => {
+  it('returns 1 for identical direction and 0 for orthogonal', () => {
+    assert.ok(Math.abs(cosineSimilarity([1, 2], [2, 4]) - 1) < 1e-12);
+    assert.equal(cosineSimilarity([1, 0], [0, 1]), 0);
+  });
+
+  it('returns 0 for empty, zero or mismatched vectors', () => {
+    assert.equal(cosineSimilarity([], []), 0);
+    assert.equal(cosineSimilarity([0, 0], [1, 1]), 0);
+    assert.equal(cosineSimilarity([1], [1, 1]), 0);
+  });
+});
+
+// ============================================================================
+// createEmbeddingCache
+// ============================================================================
+describe('createEmbeddingCache', () => {
+  const countingEmbedder = () => {
+    const embedder = { id: 'count:2', calls: 0, embed() { embedder.calls++; return [0.6, 0.8]; } };
+    return embedder;
+  };
+
+  it('persists vectors and reuses them across runs', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mneme-emb-'));
+    const file = join(dir, '.embeddings.json');
+
+    const first = countingEmbedder();
+    const cache1 = createEmbeddingCache(file, first);
+    cache1.embed('hello world');
+    cache1.embed('hello world');
+    cache1.save();
+    assert.equal(first.calls, 1);
+    assert.ok(existsSync(file));
+
+    const second = countingEmbedder();
+    const cache2 = createEmbeddingCache(file, second);
+    assert.deepStrictEqual(cache2.embed('hello world'), [0.6, 0.8]);
+    assert.equal(second.calls, 0);
+  });
+
+  it('drops vectors not used in the current run', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mneme-emb-'));
+    const file = join(dir, '.embeddings.json');
+
+    const cache1 = createEmbeddingCache(file, countingEmbedder());
+    cache1.embed('keep me');
+    cache1.embed('forget me');
+    cache1.save();
+
+    const cache2 = createEmbeddingCache(file, countingEmbedder());
+    cache2.embed('keep me');
+    cache2.save();
+
+    const data = JSON.parse(readFileSync(file, 'utf-8'));
+    assert.equal(Object.keys(data.vectors).length, 1);
+  });
+
+  it('discards the cache when the backend id changes', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mneme-emb-'));
+    const file = join(dir, '.embeddings.json');
+
+    const cache1 = createEmbeddingCache(file, countingEmbedder());
+    cache1.embed('text');
+    cache1.save();
+
+    const other = { id: 'other:2', calls: 0, embed() { other.calls++; return [1, 0]; } };
+    const cache2 = createEmbeddingCache(file, other);
+    assert.deepStrictEqual(cache2.embed('text'), [1, 0]);
+    assert.equal(other.calls, 1);
+  });
+
+  it('works in memory without a file path', () => {
+    const cache = createEmbeddingCache(null, countingEmbedder());
+    assert.deepStrictEqual(cache.embed('x'), [0.6, 0.8]);
+    cache.save(); // no-op, must not throw
+  });
+});
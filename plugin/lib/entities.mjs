@@ -8,6 +8,10 @@
 import { existsSync, readFileSync, writeFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
 import { writeFileAtomic } from './atomic-write.mjs';
+import { workspaceForPath } from './workspaces.mjs';
+
+const MAX_SYMBOL_LOCATIONS = 5;
+const MAX_FILE_SYMBOLS = 50;
 
 // ---------------------------------------------------------------------------
 // Extraction helpers
@@ -215,7 +219,8 @@ export function extractEntitiesFromEntry(entry, config = {}) {
     if (functions.length > 0) result.functions = functions;
   }
 
-  if (categories.errors !== false) {
+  // A fix names its error in `cause`; its content would yield a clipped copy
+  if (categories.errors !== false && entry.type !== 'fix') {
     const errors = extractErrorMessages(entry, config);
     if (errors.length > 0) result.errors = errors;
   }
@@ -225,9 +230,63 @@ export function extractEntitiesFromEntry(entry, config = {}) {
     if (packages.length > 0) result.packages = packages;
   }
 
+  // Test and build outcomes (lib/test-outcomes.mjs): failing files and tests
+  if (Array.isArray(entry.failures)) {
+    addOutcomeFailures(result, entry, categories, config);
+  }
+
+  // Fixes (lib/error-episodes.mjs): the error and the files that fixed it
+  if (entry.type === 'fix') {
+    addFixEntities(result, entry, categories);
+  }
+
+  // Symbols a Write/Edit defined or modified (lib/symbols.mjs)
+  if (Array.isArray(entry.symbols)) {
+    addSymbols(result, entry, categories, config);
+  }
+
   return result;
 }
 
+function addEntity(result, category, name) {
+  if (!result[category]) result[category] = [];
+  if (!result[category].includes(name)) result[category].push(name);
+}
+
+function addOutcomeFailures(result, entry, categories, config) {
+  const add = (category, name) => addEntity(result, category, name);
+  for (const failure of entry.failures) {
+    if (categories.files !== false && failure.file && !isFileFalsePositive(failure.file)) {
+      add('files', failure.file);
+    }
+    if (categories.errors !== false && failure.name && failure.name.length >= (config.minEntityLength || 2)) {
+      add('errors', (entry.type === 'test' ? `Test failed: ${failure.name}` : failure.name).slice(0, 100));
+    }
+  }
+}
+
+function addSymbols(result, entry, categories, config) {
+  for (const symbol of entry.symbols) {
+    if (categories.symbols !== false && symbol.name && symbol.name.length >= (config.minEntityLength || 2)) {
+      addEntity(result, 'symbols', symbol.name);
+    }
+    if (categories.files !== false && symbol.file && !isFileFalsePositive(symbol.file)) {
+      addEntity(result, 'files', symbol.file);
+    }
+  }
+}
+
+function addFixEntities(result, entry, categories) {
+  if (categories.errors !== false && typeof entry.cause === 'string' && entry.cause) {
+    addEntity(result, 'errors', entry.cause.slice(0, 100));
+  }
+  if (categories.files !== false && Array.isArray(entry.files)) {
+    for (const file of entry.files) {
+      if (typeof file === 'string' && !isFileFalsePositive(file)) addEntity(result, 'files', file);
+    }
+  }
+}
+
 // ---------------------------------------------------------------------------
 // Entity index management
 // ---------------------------------------------------------------------------
@@ -271,7 +330,7 @@ export function pruneEntityIndex(index, eeConfig = {}) {
 
   const cutoff = Date.now() - (maxAgeDays * 24 * 60 * 60 * 1000);
 
-  for (const category of ['files', 'functions', 'errors', 'packages']) {
+  for (const category of ['files', 'functions', 'errors', 'packages', 'symbols']) {
     if (!index[category]) continue;
     for (const [name, data] of Object.entries(index[category])) {
       if (!data.lastSeen || new Date(data.lastSeen).getTime() < cutoff) {
@@ -307,7 +366,12 @@ export function truncateContext(text, maxLen) {
   return cleaned.slice(0, maxLen - 3) + '...';
 }
 
-export function applyExtractedEntitiesToIndex(index, entities, entry, eeConfig = {}) {
+/**
+ * Count an entry's extracted entities in the index. A file inside one of
+ * `workspaces` counts for that workspace; other mentions count for the
+ * workspace the entry was recorded in.
+ */
+export function applyExtractedEntitiesToIndex(index, entities, entry, eeConfig = {}, workspaces = []) {
   const maxContexts = eeConfig.maxContextsPerEntity || 5;
   const contextSummary = {
     ts: entry.ts,
@@ -334,6 +398,12 @@ export function applyExtractedEntitiesToIndex(index, entities, entry, eeConfig =
       const entityData = index[category][name];
       entityData.mentions++;
       entityData.lastSeen = entry.ts;
+      // Monorepo workspace the mention came from (lib/workspaces.mjs)
+      const workspace = (category === 'files' && workspaceForPath(workspaces, name)) || entry.workspace;
+      if (workspace) {
+        entityData.workspaces = entityData.workspaces || {};
+        entityData.workspaces[workspace] = (entityData.workspaces[workspace] || 0) + 1;
+      }
 
       entityData.contexts.push(contextSummary);
       if (entityData.contexts.length > maxContexts) {
@@ -342,9 +412,32 @@ export function applyExtractedEntitiesToIndex(index, entities, entry, eeConfig =
     }
   }
 
+  if (entities.symbols) {
+    linkSymbols(index, entry.symbols);
+  }
+
   return extractedCount;
 }
 
+/**
+ * Record where symbols are defined ("src/auth.ts:42", latest first) and
+ * list them on their file entity.
+ */
+function linkSymbols(index, symbols) {
+  for (const symbol of symbols) {
+    const data = index.symbols?.[symbol.name];
+    if (!data || !symbol.file) continue;
+    data.kind = symbol.kind;
+    const others = (data.locations || []).filter(l => !l.startsWith(`${symbol.file}:`));
+    data.locations = [`${symbol.file}:${symbol.line}`, ...others].slice(0, MAX_SYMBOL_LOCATIONS);
+
+    const file = index.files?.[symbol.file];
+    if (file) {
+      file.symbols = [symbol.name, ...(file.symbols || []).filter(n => n !== symbol.name)].slice(0, MAX_FILE_SYMBOLS);
+    }
+  }
+}
+
 export function writeEntityIndex(projectDir, index, logErrorFn = () => {}) {
   const entitiesPath = join(projectDir, 'entities.json');
   try {
@@ -384,7 +477,7 @@ export function updateEntityIndexBatch(entries, projectDir, config = {}, options
         continue;
       }
 
-      entitiesExtracted += applyExtractedEntitiesToIndex(index, entities, entry, eeConfig);
+      entitiesExtracted += applyExtractedEntitiesToIndex(index, entities, entry, eeConfig, options.workspaces);
       processedEntries++;
     }
 
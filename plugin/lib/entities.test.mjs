@@ -366,6 +366,42 @@ describe('extractEntitiesFromEntry', () => {
     const result = extractEntitiesFromEntry(entry);
     assert.deepEqual(result, {});
   });
+
+  it('indexes failing files and tests of a test run', () => {
+    const entry = {
+      type: 'test',
+      content: 'jest: 1 failing, 34 passing',
+      failures: [{ name: 'Auth › refresh rotates the token', file: 'src/auth.test.ts' }]
+    };
+    const result = extractEntitiesFromEntry(entry);
+    assert.deepEqual(result.files, ['src/auth.test.ts']);
+    assert.deepEqual(result.errors, ['Test failed: Auth › refresh rotates the token']);
+  });
+
+  it('indexes the error and files of a fix', () => {
+    const entry = {
+      type: 'fix',
+      cause: 'TypeError: token is undefined',
+      resolution: 'Changed src/auth.ts',
+      files: ['src/auth.ts'],
+      content: 'TypeError: token is undefined — fixed in src/auth.ts'
+    };
+    const result = extractEntitiesFromEntry(entry);
+    assert.deepEqual(result.files, ['src/auth.ts']);
+    assert.deepEqual(result.errors, ['TypeError: token is undefined']);
+  });
+
+  it('indexes the symbols of an edit and their file', () => {
+    const entry = {
+      type: 'edit',
+      content: 'src/auth.ts',
+      symbols: [{ name: 'AuthService.refresh', kind: 'method', line: 13, file: 'src/auth.ts' }]
+    };
+    const result = extractEntitiesFromEntry(entry);
+    assert.deepEqual(result.symbols, ['AuthService.refresh']);
+    assert.deepEqual(result.files, ['src/auth.ts']);
+    assert.equal(extractEntitiesFromEntry(entry, { categories: { files: true, symbols: false } }).symbols, undefined);
+  });
 });
 
 // ---------------------------------------------------------------------------
@@ -549,6 +585,28 @@ describe('applyExtractedEntitiesToIndex', () => {
     assert.equal(index.files['src/auth.ts'].mentions, 2);
   });
 
+  it('counts mentions per monorepo workspace', () => {
+    const index = emptyEntityIndex();
+    const entities = { files: ['src/auth.ts'] };
+    const ts = '2026-01-01T00:00:00Z';
+    applyExtractedEntitiesToIndex(index, entities, { ts, content: 'a', workspace: 'api' });
+    applyExtractedEntitiesToIndex(index, entities, { ts, content: 'b', workspace: 'api' });
+    applyExtractedEntitiesToIndex(index, entities, { ts, content: 'c', workspace: 'web' });
+    applyExtractedEntitiesToIndex(index, { functions: ['main'] }, { ts, content: 'd' });
+    assert.deepEqual(index.files['src/auth.ts'].workspaces, { api: 2, web: 1 });
+    assert.equal(index.functions.main.workspaces, undefined);
+  });
+
+  it('counts a file for the workspace its path is in', () => {
+    const index = emptyEntityIndex();
+    const workspaces = [{ name: 'api', dir: 'packages/api' }];
+    const entry = { ts: '2026-01-01T00:00:00Z', content: 'a', workspace: 'web' };
+    applyExtractedEntitiesToIndex(index, { files: ['packages/api/src/auth.ts', 'README.md'], functions: ['main'] }, entry, {}, workspaces);
+    assert.deepEqual(index.files['packages/api/src/auth.ts'].workspaces, { api: 1 });
+    assert.deepEqual(index.files['README.md'].workspaces, { web: 1 });
+    assert.deepEqual(index.functions.main.workspaces, { web: 1 });
+  });
+
   it('respects maxContextsPerEntity', () => {
     const index = emptyEntityIndex();
     const entities = { files: ['src/auth.ts'] };
@@ -573,6 +631,22 @@ describe('applyExtractedEntitiesToIndex', () => {
     assert.ok(!summaries.some(s => s.includes('msg-0')));
   });
 
+  it('links symbols to their file:line and file entity', () => {
+    const index = emptyEntityIndex();
+    const ts = '2026-01-01T00:00:00Z';
+    const edit = (line, file = 'src/auth.ts') => ({
+      ts, type: 'edit', content: file,
+      symbols: [{ name: 'AuthService.refresh', kind: 'method', line, file }]
+    });
+    for (const entry of [edit(13), edit(20), edit(4, 'src/legacy.ts')]) {
+      applyExtractedEntitiesToIndex(index, extractEntitiesFromEntry(entry), entry);
+    }
+    const symbol = index.symbols['AuthService.refresh'];
+    assert.deepEqual([symbol.kind, symbol.mentions], ['method', 3]);
+    assert.deepEqual(symbol.locations, ['src/legacy.ts:4', 'src/auth.ts:20']);
+    assert.deepEqual(index.files['src/auth.ts'].symbols, ['AuthService.refresh']);
+  });
+
   it('creates category in index if missing', () => {
     const index = { lastUpdated: null };
     const entities = { files: ['a.ts'] };
@@ -0,0 +1,295 @@
+/**
+ * Error Episodes — an error from a failing Bash run, followed through the
+ * session until the same command passes, and recorded as a `fix`.
+ *
+ * Within a session (PostToolUse / PostToolUseFailure):
+ *   failing run   opens an episode for its error, or counts another attempt
+ *   Write/Edit    adds the file to every open episode
+ *   passing run   of an episode's command resolves it if files were edited
+ *                 since; one that went away without edits is dropped
+ *   git commit    is attached to the resolved episodes
+ *
+ * On Stop, resolved episodes become `fix` log entries:
+ *   { type: 'fix', cause: "TypeError: Cannot read properties of undefined (reading 'id')",
+ *     resolution: 'The session lookup returned undefined for expired tokens.',
+ *     files: ['src/auth.ts'], commit: 'Handle expired sessions', command: 'npm test',
+ *     attempts: 2, firstSeen: '…', content: '…' }
+ *
+ * Open episodes live in <project>/.error-episodes.json. The latest fix per
+ * error is also kept in <project>/fixes.json, so session start and /entity
+ * can answer "we hit this before, the fix was X" after the log is summarized.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const DEFAULT_MAX_FIXES = 200;
+const MAX_ERROR_LENGTH = 160;
+const MAX_EXPLANATION_LENGTH = 240;
+const MAX_FILES = 10;
+const STALE_EPISODE_MS = 24 * 60 * 60 * 1000;
+
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Lines that state an error, most specific first
+const ERROR_LINE_RES = [
+  /^(?:Uncaught\s+)?(?:[\w$]+\.)*[A-Z][\w$]*(?:Error|Exception)\b(?:\s*\[[\w-]+\])?:\s*\S/,  // TypeError: …, java.io.IOException: …
+  /^\S+?(?:\(\d+,\d+\)|:\d+(?::\d+)?):?\s*(?:-\s*)?(?:fatal\s+)?error\b/i,                 // src/a.ts(3,1): error TS2304, a.c:3:1: error
+  /^error(?:\[[\w-]+\])?:\s*\S/i,                                                          // rustc, gcc, git
+  /^(?:fatal|panic):\s*\S/,
+  /\bE[A-Z]{3,}\b:\s/,                                                                     // ENOENT: no such file or directory
+  /\b(?:command not found|No such file or directory|Permission denied|Cannot find module)\b/,
+];
+
+// Stack frames and headers that precede the actual error
+const SKIP_LINE_RE = /^(?:at\s|File\s"|Traceback\b|Exit code\s|\^|~)/;
+
+/**
+ * The error a failing run stopped on, or null when none is recognizable.
+ */
+export function errorSignature(output) {
+  const lines = String(output || '').replace(ANSI_RE, '').replace(/\r/g, '').split('\n');
+  for (const raw of lines) {
+    const line = raw.trim();
+    if (!line || SKIP_LINE_RE.test(line)) continue;
+    if (ERROR_LINE_RES.some(re => re.test(line))) {
+      return line.length > MAX_ERROR_LENGTH ? line.slice(0, MAX_ERROR_LENGTH) + '...' : line;
+    }
+  }
+  return null;
+}
+
+/**
+ * Identity of an error across runs: paths reduced to file names, numbers
+ * (line, column, ports, addresses) masked.
+ */
+export function errorKey(error) {
+  return String(error || '')
+    .toLowerCase()
+    .replace(/(?:[\w.@-]*[/\\])+([\w.@-]+)/g, '$1')
+    .replace(/0x[0-9a-f]+|\d+/g, '#')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .slice(0, 120);
+}
+
+const commandKey = command => String(command || '').trim().replace(/\s+/g, ' ');
+
+/**
+ * Open and resolved episodes per session: { [sessionId]: [episode] }
+ */
+export function readEpisodes(episodesPath) {
+  if (!existsSync(episodesPath)) return {};
+  try {
+    return JSON.parse(readFileSync(episodesPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Read the episodes, let fn change them, and write them back if it did.
+ * @param {object} [options] - { withFileLockFn }
+ * @returns {*} What fn returned (undefined when the lock was held)
+ */
+export function updateEpisodes(episodesPath, fn, options = {}) {
+  const doUpdate = () => {
+    const state = readEpisodes(episodesPath);
+    const before = JSON.stringify(state);
+    const result = fn(state);
+    pruneEpisodes(state);
+    const after = JSON.stringify(state);
+    if (after !== before) writeFileAtomic(episodesPath, JSON.stringify(state, null, 2));
+    return result;
+  };
+  return options.withFileLockFn ? options.withFileLockFn(`${episodesPath}.lock`, doUpdate) : doUpdate();
+}
+
+// Episodes from sessions that never reached Stop
+function pruneEpisodes(state, now = Date.now()) {
+  for (const [sessionId, episodes] of Object.entries(state)) {
+    const live = (episodes || []).filter(e => now - Date.parse(e.lastSeen) < STALE_EPISODE_MS);
+    if (live.length > 0) state[sessionId] = live;
+    else delete state[sessionId];
+  }
+}
+
+/**
+ * Record a Bash run: error is what it failed on, null when it passed.
+ * @returns {boolean} Whether any episode changed
+ */
+export function recordRun(state, sessionId, { command, error = null, ts = new Date().toISOString() }) {
+  const cmd = commandKey(command);
+  const key = error ? errorKey(error) : null;
+  const episodes = state[sessionId] || [];
+  let changed = false;
+
+  // The command no longer fails this way: fixed by the edits since, or gone by itself
+  const kept = episodes.filter(e => {
+    if (e.resolved || e.key === key || e.command !== cmd) return true;
+    changed = true;
+    if (e.files.length === 0) return false;
+    e.resolved = ts;
+    return true;
+  });
+
+  if (key) {
+    const episode = kept.find(e => e.key === key);
+    if (episode) {
+      episode.attempts++;
+      episode.lastSeen = ts;
+      episode.command = cmd;
+      delete episode.resolved;
+      delete episode.commit;
+    } else {
+      kept.push({ key, error, command: cmd, firstSeen: ts, lastSeen: ts, attempts: 1, files: [] });
+    }
+    changed = true;
+  }
+
+  if (kept.length > 0) state[sessionId] = kept;
+  else delete state[sessionId];
+  return changed;
+}
+
+/**
+ * Record a Write/Edit: the file belongs to every open episode's fix.
+ */
+export function recordEdit(state, sessionId, file) {
+  let changed = false;
+  for (const e of state[sessionId] || []) {
+    if (e.resolved || e.files.includes(file) || e.files.length >= MAX_FILES) continue;
+    e.files.push(file);
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Record a git commit as the resolving commit of resolved episodes.
+ */
+export function recordCommit(state, sessionId, message) {
+  let changed = false;
+  for (const e of state[sessionId] || []) {
+    if (!e.resolved || e.commit) continue;
+    e.commit = message;
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * Remove and return a session's resolved episodes.
+ */
+export function takeResolved(state, sessionId) {
+  const episodes = state[sessionId] || [];
+  const resolved = episodes.filter(e => e.resolved);
+  const open = episodes.filter(e => !e.resolved);
+  if (open.length > 0) state[sessionId] = open;
+  else delete state[sessionId];
+  return resolved;
+}
+
+const EXPLANATION_RE = /\b(?:fix(?:ed|es)?|caus(?:e|ed|ing)|because|resolv(?:e|ed|es)|the (?:issue|problem|bug|error) (?:was|is)|was (?:missing|wrong|undefined|null))\b/i;
+
+/**
+ * The sentence of the assistant's reply that explains a fix, if any.
+ */
+export function fixExplanation(text) {
+  if (!text || typeof text !== 'string') return null;
+  const sentence = text
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .find(s => s.length >= 15 && EXPLANATION_RE.test(s));
+  if (!sentence) return null;
+  return sentence.length > MAX_EXPLANATION_LENGTH ? sentence.slice(0, MAX_EXPLANATION_LENGTH) + '...' : sentence;
+}
+
+/**
+ * The `fix` log entry for a resolved episode.
+ */
+export function fixEntry(episode, { explanation = null, ts = new Date().toISOString() } = {}) {
+  const files = episode.files.join(', ');
+  const entry = {
+    ts,
+    type: 'fix',
+    cause: episode.error,
+    resolution: explanation || `Changed ${files}`,
+    files: episode.files,
+    command: episode.command,
+    attempts: episode.attempts,
+    firstSeen: episode.firstSeen,
+  };
+  if (episode.commit) entry.commit = episode.commit;
+  entry.content = `${episode.error} — fixed in ${files}${explanation ? `: ${explanation}` : ''}`;
+  return entry;
+}
+
+/**
+ * Latest fix per error: { [errorKey]: { cause, resolution, files, commit, command, ts, times } }
+ */
+export function readFixes(fixesPath) {
+  if (!existsSync(fixesPath)) return {};
+  try {
+    return JSON.parse(readFileSync(fixesPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+/**
+ * Keep a fix entry as its error's latest fix, counting how often it was fixed.
+ * @param {object} [options] - { maxFixes, withFileLockFn }
+ * @returns {true|undefined} undefined when the lock was held
+ */
+export function recordFix(fixesPath, entry, { maxFixes = DEFAULT_MAX_FIXES, withFileLockFn } = {}) {
+  const doRecord = () => {
+    const fixes = readFixes(fixesPath);
+    const key = errorKey(entry.cause);
+    const { cause, resolution, files, commit, command, ts } = entry;
+    fixes[key] = { cause, resolution, files, ...(commit && { commit }), command, ts, times: (fixes[key]?.times || 0) + 1 };
+
+    const keys = Object.keys(fixes);
+    if (keys.length > maxFixes) {
+      keys.sort((a, b) => Date.parse(fixes[a].ts) - Date.parse(fixes[b].ts))
+        .slice(0, keys.length - maxFixes)
+        .forEach(k => delete fixes[k]);
+    }
+    writeFileAtomic(fixesPath, JSON.stringify(fixes, null, 2));
+    return true;
+  };
+  return withFileLockFn ? withFileLockFn(`${fixesPath}.lock`, doRecord) : doRecord();
+}
+
+/**
+ * Fixes for an error (or a file it was fixed in), most recent first.
+ */
+export function findFixes(fixes, query, { limit = 5 } = {}) {
+  const q = errorKey(query);
+  if (!q) return [];
+  const fileQuery = String(query).toLowerCase();
+  return Object.entries(fixes || {})
+    .filter(([key, fix]) =>
+      key.includes(q) || (key.length >= 10 && q.includes(key)) ||
+      (fix.files || []).some(f => f.toLowerCase().includes(fileQuery)))
+    .map(([, fix]) => fix)
+    .sort((a, b) => Date.parse(b.ts) - Date.parse(a.ts))
+    .slice(0, limit);
+}
+
+/**
+ * Lines for session start, most recent fix first:
+ *   "TypeError: … → The session lookup returned undefined … (src/auth.ts)"
+ */
+export function knownFixLines(fixes, { maxItems = 5, maxAgeDays = 30, now = Date.now() } = {}) {
+  const cutoff = maxAgeDays > 0 ? now - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+  return Object.values(fixes || {})
+    .filter(f => f?.ts && Date.parse(f.ts) >= cutoff)
+    .sort((a, b) => Date.parse(b.ts) - Date.parse(a.ts))
+    .slice(0, maxItems)
+    .map(f => {
+      const files = f.resolution.startsWith('Changed ') ? '' : ` (${(f.files || []).join(', ')})`;
+      const times = f.times > 1 ? ` — fixed ${f.times} times` : '';
+      return `${f.cause} → ${f.resolution}${files}${times}`;
+    });
+}
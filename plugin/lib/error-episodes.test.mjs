@@ -0,0 +1,237 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import {
+  errorSignature,
+  errorKey,
+  updateEpisodes,
+  readEpisodes,
+  recordRun,
+  recordEdit,
+  recordCommit,
+  takeResolved,
+  fixExplanation,
+  fixEntry,
+  readFixes,
+  recordFix,
+  findFixes,
+  knownFixLines
+} from './error-episodes.mjs';
+
+describe('errorSignature', () => {
+  const cases = [
+    ['a JS error under its stack', "Exit code 1\nnode:internal/modules/run_main:123\n    at foo (/repo/a.js:1:1)\nTypeError: Cannot read properties of undefined (reading 'id')\n    at bar", "TypeError: Cannot read properties of undefined (reading 'id')"],
+    ['the last line of a Python traceback', 'Traceback (most recent call last):\n  File "app.py", line 3, in <module>\nModuleNotFoundError: No module named \'flask\'', "ModuleNotFoundError: No module named 'flask'"],
+    ['a compiler error', 'src/auth.ts(12,5): error TS2345: Argument of type string', 'src/auth.ts(12,5): error TS2345: Argument of type string'],
+    ['a rustc error', 'Compiling api v0.1.0\nerror[E0425]: cannot find value `x` in this scope', 'error[E0425]: cannot find value `x` in this scope'],
+    ['a git failure', 'fatal: not a git repository (or any of the parent directories): .git', 'fatal: not a git repository (or any of the parent directories): .git'],
+    ['a shell error', 'bash: pnpm: command not found', 'bash: pnpm: command not found'],
+  ];
+  for (const [what, output, expected] of cases) {
+    it(`finds ${what}`, () => {
+      assert.equal(errorSignature(output), expected);
+    });
+  }
+
+  it('returns null without a recognizable error', () => {
+    assert.equal(errorSignature('Exit code 1\n'), null);
+    assert.equal(errorSignature(''), null);
+  });
+});
+
+describe('errorKey', () => {
+  it('ignores paths, line numbers and case', () => {
+    assert.equal(
+      errorKey('Error: ENOENT: no such file /home/me/api/config/dev.json at line 12'),
+      errorKey('error: enoent: no such file /tmp/ci/config/dev.json at line 40')
+    );
+    assert.notEqual(errorKey("Cannot find name 'foo'"), errorKey("Cannot find name 'bar'"));
+  });
+});
+
+describe('recordRun / recordEdit / recordCommit', () => {
+  const TS = '2026-10-18T10:00:00.000Z';
+  const ERROR = "TypeError: Cannot read properties of undefined (reading 'id')";
+
+  it('resolves an episode when its command passes after edits', () => {
+    const state = {};
+    assert.equal(recordRun(state, 's1', { command: 'npm  test', error: ERROR, ts: TS }), true);
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    assert.equal(recordEdit(state, 's1', 'src/auth.ts'), true);
+    assert.equal(recordEdit(state, 's1', 'src/auth.ts'), false);
+    assert.equal(recordRun(state, 's1', { command: 'npm test', ts: '2026-10-18T10:05:00.000Z' }), true);
+    assert.equal(recordCommit(state, 's1', 'Handle expired sessions'), true);
+
+    const [episode] = state.s1;
+    assert.deepEqual(
+      [episode.error, episode.attempts, episode.files, episode.resolved, episode.commit],
+      [ERROR, 2, ['src/auth.ts'], '2026-10-18T10:05:00.000Z', 'Handle expired sessions']
+    );
+  });
+
+  it('drops an episode that went away without edits', () => {
+    const state = {};
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    recordRun(state, 's1', { command: 'npm test', ts: TS });
+    assert.deepEqual(state, {});
+  });
+
+  it('keeps episodes of other commands and sessions open', () => {
+    const state = {};
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    recordRun(state, 's2', { command: 'npm test', error: ERROR, ts: TS });
+    recordEdit(state, 's1', 'src/auth.ts');
+    assert.equal(recordRun(state, 's1', { command: 'npm run lint', ts: TS }), false);
+    assert.equal(state.s1[0].resolved, undefined);
+    assert.deepEqual(state.s2[0].files, []);
+  });
+
+  it('resolves the previous error when the command fails differently after edits', () => {
+    const state = {};
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    recordEdit(state, 's1', 'src/auth.ts');
+    recordRun(state, 's1', { command: 'npm test', error: 'Test failed: refresh', ts: TS });
+    assert.deepEqual(state.s1.map(e => [e.error, !!e.resolved]), [[ERROR, true], ['Test failed: refresh', false]]);
+  });
+
+  it('reopens a resolved episode that fails again', () => {
+    const state = {};
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    recordEdit(state, 's1', 'src/auth.ts');
+    recordRun(state, 's1', { command: 'npm test', ts: TS });
+    recordRun(state, 's1', { command: 'npm test', error: ERROR, ts: TS });
+    assert.deepEqual([state.s1[0].resolved, state.s1[0].attempts], [undefined, 2]);
+  });
+});
+
+describe('takeResolved / updateEpisodes', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mneme-episodes-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('writes only changes and hands out resolved episodes once', () => {
+    const path = join(dir, '.error-episodes.json');
+    const ts = new Date().toISOString();
+    assert.equal(updateEpisodes(path, state => recordEdit(state, 's1', 'a.js')), false);
+    assert.ok(!existsSync(path));
+
+    updateEpisodes(path, state => {
+      recordRun(state, 's1', { command: 'make', error: 'error: x', ts });
+      recordRun(state, 's1', { command: 'npm test', error: 'Test failed: y', ts });
+      recordEdit(state, 's1', 'a.js');
+      recordRun(state, 's1', { command: 'make', ts });
+    });
+
+    const resolved = updateEpisodes(path, state => takeResolved(state, 's1'));
+    assert.deepEqual(resolved.map(e => e.error), ['error: x']);
+    assert.deepEqual(readEpisodes(path).s1.map(e => e.error), ['Test failed: y']);
+    assert.deepEqual(updateEpisodes(path, state => takeResolved(state, 's1')), []);
+  });
+
+  it('drops episodes of sessions that never stopped', () => {
+    const path = join(dir, 'stale.json');
+    updateEpisodes(path, state => recordRun(state, 'old', { command: 'make', error: 'error: x', ts: '2020-01-01T00:00:00Z' }));
+    assert.deepEqual(readEpisodes(path), {});
+  });
+
+  it('skips the update while locked', () => {
+    const path = join(dir, 'locked.json');
+    assert.equal(updateEpisodes(path, () => true, { withFileLockFn: () => undefined }), undefined);
+  });
+});
+
+describe('fixExplanation / fixEntry', () => {
+  it('picks the sentence explaining the fix', () => {
+    const text = 'All tests pass now. The issue was that the session lookup returned undefined for expired tokens. I also updated the docs.';
+    assert.equal(fixExplanation(text), 'The issue was that the session lookup returned undefined for expired tokens.');
+    assert.equal(fixExplanation('Done.'), null);
+  });
+
+  it('builds the fix entry', () => {
+    const episode = {
+      error: 'Test failed: refresh', command: 'npm test', firstSeen: '2026-10-18T10:00:00Z',
+      attempts: 3, files: ['src/auth.ts', 'src/session.ts'], resolved: '2026-10-18T10:05:00Z', commit: 'Fix refresh'
+    };
+    assert.deepEqual(fixEntry(episode, { ts: '2026-10-18T10:06:00Z' }), {
+      ts: '2026-10-18T10:06:00Z', type: 'fix', cause: 'Test failed: refresh',
+      resolution: 'Changed src/auth.ts, src/session.ts', files: episode.files, command: 'npm test',
+      attempts: 3, firstSeen: '2026-10-18T10:00:00Z', commit: 'Fix refresh',
+      content: 'Test failed: refresh — fixed in src/auth.ts, src/session.ts'
+    });
+    const explained = fixEntry(episode, { explanation: 'The token was rotated twice.' });
+    assert.equal(explained.resolution, 'The token was rotated twice.');
+    assert.equal(explained.content, 'Test failed: refresh — fixed in src/auth.ts, src/session.ts: The token was rotated twice.');
+  });
+});
+
+describe('recordFix / findFixes / knownFixLines', () => {
+  let dir, path;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mneme-fixes-'));
+    path = join(dir, 'fixes.json');
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const fix = (cause, ts, resolution = 'Changed src/db.mjs') =>
+    ({ ts, type: 'fix', cause, resolution, files: ['src/db.mjs'], command: 'npm start', content: cause });
+
+  it('keeps the latest fix per error and counts repeats', () => {
+    recordFix(path, fix("Error: Cannot find module '/repo/src/db'", '2026-10-01T00:00:00Z'));
+    recordFix(path, fix("Error: Cannot find module '/ci/src/db'", '2026-10-10T00:00:00Z', 'The import lacked the .mjs extension.'));
+    recordFix(path, fix('TypeError: pool.query is not a function', '2026-10-12T00:00:00Z'));
+    const fixes = readFixes(path);
+    assert.equal(Object.keys(fixes).length, 2);
+    const moduleFix = Object.values(fixes).find(f => f.cause.includes('Cannot find module'));
+    assert.deepEqual([moduleFix.times, moduleFix.resolution], [2, 'The import lacked the .mjs extension.']);
+  });
+
+  it('caps the number of fixes', () => {
+    recordFix(path, fix('RangeError: too deep', '2026-10-13T00:00:00Z'), { maxFixes: 2 });
+    assert.ok(!Object.values(readFixes(path)).some(f => f.cause.includes('Cannot find module')));
+  });
+
+  it('records under the fixes lock and skips the write while it is held', () => {
+    const lockedPath = join(dir, 'locked-fixes.json');
+    const locks = [];
+    assert.equal(recordFix(lockedPath, fix('Error: EADDRINUSE', '2026-10-14T00:00:00Z'), {
+      withFileLockFn: (lockPath, fn) => { locks.push(lockPath); return fn(); }
+    }), true);
+    assert.deepEqual(locks, [`${lockedPath}.lock`]);
+
+    const before = readFileSync(lockedPath, 'utf-8');
+    assert.equal(recordFix(lockedPath, fix('Error: ENOSPC', '2026-10-15T00:00:00Z'), { withFileLockFn: () => undefined }), undefined);
+    assert.equal(readFileSync(lockedPath, 'utf-8'), before);
+  });
+
+  it('finds fixes by error or file', () => {
+    const fixes = readFixes(path);
+    assert.deepEqual(findFixes(fixes, 'pool.query is not a function').map(f => f.cause), ['TypeError: pool.query is not a function']);
+    assert.equal(findFixes(fixes, 'src/db.mjs').length, 2);
+    assert.deepEqual(findFixes(fixes, 'SyntaxError'), []);
+  });
+
+  it('lists recent fixes for session start', () => {
+    const lines = knownFixLines({
+      a: { cause: 'Error: a', resolution: 'The port was taken.', files: ['server.js'], ts: '2026-10-18T00:00:00Z', times: 3 },
+      b: { cause: 'Error: b', resolution: 'Changed b.js', files: ['b.js'], ts: '2026-10-17T00:00:00Z', times: 1 },
+      c: { cause: 'Error: c', resolution: 'Changed c.js', files: ['c.js'], ts: '2026-01-01T00:00:00Z', times: 1 },
+    }, { now: Date.parse('2026-10-19T00:00:00Z') });
+    assert.deepEqual(lines, [
+      'Error: a → The port was taken. (server.js) — fixed 3 times',
+      'Error: b → Changed b.js',
+    ]);
+  });
+});
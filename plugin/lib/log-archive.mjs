@@ -0,0 +1,251 @@
+/**
+ * Log Archive — append-only, compressed history of summarized log entries.
+ *
+ * Summarization folds old entries into summary.json and drops them from
+ * log.jsonl. Instead of discarding them, they are rotated into month
+ * partitions under <project>/archive/:
+ *
+ *   archive/2026-10.jsonl.gz   (entries whose ts falls in that month)
+ *   archive/index.json         ({ partitions: { '2026-10': { entries, bytes, firstTs, lastTs } } })
+ *
+ * Each archive call appends a new gzip member to the partition; gunzip
+ * reads concatenated members as one stream, so partitions are never rewritten.
+ */
+
+import { existsSync, readFileSync, appendFileSync, readdirSync, statSync, rmSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const ARCHIVE_DIR = 'archive';
+const INDEX_FILE = 'index.json';
+const PARTITION_RE = /^(\d{4}-\d{2})\.jsonl\.gz$/;
+
+function archiveDir(projectDir) {
+  return join(projectDir, ARCHIVE_DIR);
+}
+
+function partitionFile(projectDir, month) {
+  return join(archiveDir(projectDir), `${month}.jsonl.gz`);
+}
+
+function monthOf(ts) {
+  const d = ts ? new Date(ts) : new Date();
+  const valid = isNaN(d.getTime()) ? new Date() : d;
+  return valid.toISOString().slice(0, 7);
+}
+
+// ============================================================================
+// Index
+// ============================================================================
+
+/**
+ * Load the archive index. Rebuilt from the partition files when missing
+ * or corrupt (slow path — decompresses every partition once).
+ * @param {string} projectDir
+ * @returns {{ partitions: Object<string, {entries: number, bytes: number, firstTs: string|null, lastTs: string|null}> }}
+ */
+export function loadArchiveIndex(projectDir) {
+  const indexPath = join(archiveDir(projectDir), INDEX_FILE);
+  if (existsSync(indexPath)) {
+    try {
+      const data = JSON.parse(readFileSync(indexPath, 'utf-8'));
+      if (data && data.partitions) return data;
+    } catch { /* fall through to rebuild */ }
+  }
+  return rebuildArchiveIndex(projectDir);
+}
+
+function writeArchiveIndex(projectDir, index) {
+  index.updatedAt = new Date().toISOString();
+  writeFileAtomic(join(archiveDir(projectDir), INDEX_FILE), JSON.stringify(index, null, 2) + '\n');
+}
+
+/**
+ * Rebuild the index by scanning partition files. Persists it only if the
+ * archive directory exists.
+ */
+export function rebuildArchiveIndex(projectDir) {
+  const index = { partitions: {} };
+  const dir = archiveDir(projectDir);
+  if (!existsSync(dir)) return index;
+
+  for (const month of listPartitions(projectDir)) {
+    const entries = readArchivedEntries(projectDir, { months: [month] });
+    index.partitions[month] = {
+      entries: entries.length,
+      bytes: statSync(partitionFile(projectDir, month)).size,
+      firstTs: entries[0]?.ts || null,
+      lastTs: entries[entries.length - 1]?.ts || null,
+    };
+  }
+  writeArchiveIndex(projectDir, index);
+  return index;
+}
+
+/**
+ * List partition months present on disk, oldest first.
+ * @returns {string[]} e.g. ['2026-09', '2026-10']
+ */
+export function listPartitions(projectDir) {
+  const dir = archiveDir(projectDir);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .map(f => f.match(PARTITION_RE)?.[1])
+    .filter(Boolean)
+    .sort();
+}
+
+// ============================================================================
+// Write
+// ============================================================================
+
+/**
+ * Append entries to their month partitions and update the index.
+ * Accepts parsed entries or raw JSONL lines (unparseable lines are kept
+ * verbatim in the current month so nothing is silently lost).
+ *
+ * @param {string} projectDir
+ * @param {Array<object|string>} entries
+ * @returns {number} Number of entries archived
+ */
+export function archiveLogEntries(projectDir, entries) {
+  if (!entries || entries.length === 0) return 0;
+
+  const byMonth = new Map();
+  for (const item of entries) {
+    let line = item;
+    let entry = item;
+    if (typeof item === 'string') {
+      try { entry = JSON.parse(item); } catch { entry = null; }
+    } else {
+      line = JSON.stringify(item);
+    }
+    const month = monthOf(entry?.ts);
+    if (!byMonth.has(month)) byMonth.set(month, []);
+    byMonth.get(month).push({ line, ts: entry?.ts || null });
+  }
+
+  mkdirSync(archiveDir(projectDir), { recursive: true });
+  const index = loadArchiveIndex(projectDir);
+
+  for (const [month, items] of byMonth) {
+    const file = partitionFile(projectDir, month);
+    appendFileSync(file, gzipSync(items.map(i => i.line).join('\n') + '\n'));
+
+    const stamps = items.map(i => i.ts).filter(Boolean).sort();
+    const prev = index.partitions[month] || { entries: 0, firstTs: null, lastTs: null };
+    index.partitions[month] = {
+      entries: prev.entries + items.length,
+      bytes: statSync(file).size,
+      firstTs: [prev.firstTs, stamps[0]].filter(Boolean).sort()[0] || null,
+      lastTs: [prev.lastTs, stamps[stamps.length - 1]].filter(Boolean).sort().pop() || null,
+    };
+  }
+
+  writeArchiveIndex(projectDir, index);
+  return entries.length;
+}
+
+// ============================================================================
+// Read
+// ============================================================================
+
+/**
+ * Read archived entries, oldest partition first.
+ * @param {string} projectDir
+ * @param {{ months?: string[] }} [options] - Restrict to these partitions
+ * @returns {object[]}
+ */
+export function readArchivedEntries(projectDir, options = {}) {
+  const months = options.months || listPartitions(projectDir);
+  const entries = [];
+  for (const month of months) {
+    if (!/^\d{4}-\d{2}$/.test(month)) continue;
+    const file = partitionFile(projectDir, month);
+    if (!existsSync(file)) continue;
+    let text;
+    try {
+      text = gunzipSync(readFileSync(file)).toString('utf-8');
+    } catch {
+      continue; // corrupt partition — skip rather than fail the caller
+    }
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { entries.push(JSON.parse(line)); } catch { /* skip malformed */ }
+    }
+  }
+  return entries;
+}
+
+/**
+ * Aggregate archive stats for status displays.
+ * @returns {{ partitions: number, entries: number, bytes: number, oldest: string|null, newest: string|null }}
+ */
+export function getArchiveStats(projectDir) {
+  const { partitions } = loadArchiveIndex(projectDir);
+  const months = Object.keys(partitions).sort();
+  let entries = 0, bytes = 0;
+  for (const p of Object.values(partitions)) {
+    entries += p.entries || 0;
+    bytes += p.bytes || 0;
+  }
+  return {
+    partitions: months.length,
+    entries,
+    bytes,
+    oldest: months[0] || null,
+    newest: months[months.length - 1] || null,
+  };
+}
+
+// ============================================================================
+// Retention
+// ============================================================================
+
+/**
+ * Delete whole partitions that fall outside the retention policy.
+ * The current month is never deleted.
+ *
+ * @param {string} projectDir
+ * @param {{ retentionMonths?: number, maxTotalMB?: number }} policy - 0 = unlimited
+ * @param {Date} [now]
+ * @returns {string[]} Months removed
+ */
+export function applyArchiveRetention(projectDir, policy = {}, now = new Date()) {
+  const index = loadArchiveIndex(projectDir);
+  const months = Object.keys(index.partitions).sort();
+  if (months.length === 0) return [];
+
+  const currentMonth = now.toISOString().slice(0, 7);
+  const removed = [];
+
+  if (policy.retentionMonths > 0) {
+    const cutoff = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - policy.retentionMonths + 1, 1));
+    const cutoffMonth = cutoff.toISOString().slice(0, 7);
+    for (const m of months) {
+      if (m < cutoffMonth && m !== currentMonth) removed.push(m);
+    }
+  }
+
+  if (policy.maxTotalMB > 0) {
+    const maxBytes = policy.maxTotalMB * 1024 * 1024;
+    let total = months
+      .filter(m => !removed.includes(m))
+      .reduce((s, m) => s + (index.partitions[m].bytes || 0), 0);
+    for (const m of months) {
+      if (total <= maxBytes) break;
+      if (removed.includes(m) || m === currentMonth) continue;
+      total -= index.partitions[m].bytes || 0;
+      removed.push(m);
+    }
+  }
+
+  if (removed.length === 0) return [];
+  for (const m of removed) {
+    rmSync(partitionFile(projectDir, m), { force: true });
+    delete index.partitions[m];
+  }
+  writeArchiveIndex(projectDir, index);
+  return removed;
+}
@@ -0,0 +1,131 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, existsSync, rmSync, writeFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  archiveLogEntries,
+  readArchivedEntries,
+  loadArchiveIndex,
+  listPartitions,
+  getArchiveStats,
+  applyArchiveRetention,
+} from './log-archive.mjs';
+
+function makeProjectDir() {
+  return mkdtempSync(join(tmpdir(), 'mneme-archive-'));
+}
+
+// ============================================================================
+// archiveLogEntries / readArchivedEntries
+// ============================================================================
+describe('archiveLogEntries', () => {
+  it('partitions entries by month into gzip files with an index', () => {
+    const dir = makeProjectDir();
+    const count = archiveLogEntries(dir, [
+      { ts: '2026-09-30T23:00:00Z', type: 'prompt', content: 'september' },
+      { ts: '2026-10-01T01:00:00Z', type: 'commit', content: 'october' },
+    ]);
+    assert.equal(count, 2);
+    assert.deepStrictEqual(listPartitions(dir), ['2026-09', '2026-10']);
+    assert.ok(existsSync(join(dir, 'archive', '2026-10.jsonl.gz')));
+
+    const index = loadArchiveIndex(dir);
+    assert.equal(index.partitions['2026-10'].entries, 1);
+    assert.equal(index.partitions['2026-09'].firstTs, '2026-09-30T23:00:00Z');
+  });
+
+  it('appends to existing partitions without rewriting them', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [{ ts: '2026-10-01T10:00:00Z', type: 'prompt', content: 'first' }]);
+    archiveLogEntries(dir, [JSON.stringify({ ts: '2026-10-02T10:00:00Z', type: 'prompt', content: 'second' })]);
+
+    const entries = readArchivedEntries(dir);
+    assert.deepStrictEqual(entries.map(e => e.content), ['first', 'second']);
+    const p = loadArchiveIndex(dir).partitions['2026-10'];
+    assert.equal(p.entries, 2);
+    assert.equal(p.lastTs, '2026-10-02T10:00:00Z');
+  });
+
+  it('is a no-op for empty input', () => {
+    const dir = makeProjectDir();
+    assert.equal(archiveLogEntries(dir, []), 0);
+    assert.ok(!existsSync(join(dir, 'archive')));
+  });
+
+  it('reads only requested months', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [
+      { ts: '2026-08-01T10:00:00Z', type: 'prompt', content: 'aug' },
+      { ts: '2026-10-01T10:00:00Z', type: 'prompt', content: 'oct' },
+    ]);
+    assert.deepStrictEqual(readArchivedEntries(dir, { months: ['2026-08'] }).map(e => e.content), ['aug']);
+  });
+});
+
+// ============================================================================
+// loadArchiveIndex / getArchiveStats
+// ============================================================================
+describe('loadArchiveIndex', () => {
+  it('rebuilds a missing or corrupt index from partition files', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [{ ts: '2026-10-01T10:00:00Z', type: 'prompt', content: 'x' }]);
+    writeFileSync(join(dir, 'archive', 'index.json'), 'not json');
+    assert.equal(loadArchiveIndex(dir).partitions['2026-10'].entries, 1);
+
+    rmSync(join(dir, 'archive', 'index.json'));
+    assert.equal(loadArchiveIndex(dir).partitions['2026-10'].entries, 1);
+  });
+
+  it('summarizes stats across partitions', () => {
+    const dir = makeProjectDir();
+    assert.deepStrictEqual(getArchiveStats(dir), { partitions: 0, entries: 0, bytes: 0, oldest: null, newest: null });
+    archiveLogEntries(dir, [
+      { ts: '2026-08-01T10:00:00Z', type: 'prompt', content: 'a' },
+      { ts: '2026-10-01T10:00:00Z', type: 'prompt', content: 'b' },
+    ]);
+    const stats = getArchiveStats(dir);
+    assert.equal(stats.partitions, 2);
+    assert.equal(stats.entries, 2);
+    assert.equal(stats.oldest, '2026-08');
+    assert.equal(stats.newest, '2026-10');
+    assert.ok(stats.bytes > 0);
+  });
+});
+
+// ============================================================================
+// applyArchiveRetention
+// ============================================================================
+describe('applyArchiveRetention', () => {
+  const now = new Date('2026-10-15T00:00:00Z');
+
+  it('drops partitions older than retentionMonths', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [
+      { ts: '2026-01-05T10:00:00Z', content: 'jan' },
+      { ts: '2026-08-05T10:00:00Z', content: 'aug' },
+      { ts: '2026-10-05T10:00:00Z', content: 'oct' },
+    ]);
+    const removed = applyArchiveRetention(dir, { retentionMonths: 3 }, now);
+    assert.deepStrictEqual(removed, ['2026-01']);
+    assert.deepStrictEqual(listPartitions(dir), ['2026-08', '2026-10']);
+    assert.equal(loadArchiveIndex(dir).partitions['2026-01'], undefined);
+  });
+
+  it('drops oldest partitions beyond maxTotalMB but never the current month', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [
+      { ts: '2026-09-05T10:00:00Z', content: 'sep' },
+      { ts: '2026-10-05T10:00:00Z', content: 'oct' },
+    ]);
+    const removed = applyArchiveRetention(dir, { maxTotalMB: 1e-9 }, now);
+    assert.deepStrictEqual(removed, ['2026-09']);
+    assert.deepStrictEqual(readdirSync(join(dir, 'archive')).sort(), ['2026-10.jsonl.gz', 'index.json']);
+  });
+
+  it('keeps everything when the policy is unlimited', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [{ ts: '2020-01-05T10:00:00Z', content: 'old' }]);
+    assert.deepStrictEqual(applyArchiveRetention(dir, { retentionMonths: 0, maxTotalMB: 0 }, now), []);
+  });
+});
@@ -4,10 +4,15 @@
  * Gathers context signals (git status, branch, handoff, entities),
  * tokenizes into weighted search terms, scores all memory sources,
  * returns ranked results. Falls back to null when signals are weak.
+ *
+ * Scoring mode is configurable: `lexical` (weighted token overlap),
+ * `semantic` (embedding similarity, see embeddings.mjs) or `hybrid` (blend).
  */
 
 import { execFileSync } from 'node:child_process';
 import { readFileSync, existsSync } from 'node:fs';
+import { createEmbedder, createEmbeddingCache, semanticSimilarity } from './embeddings.mjs';
+import { isActiveDecision } from './decisions.mjs';
 
 // ============================================================================
 // Tokenizer
@@ -85,6 +90,50 @@ export function scoreTextRelevance(text, searchTerms) {
   return score;
 }
 
+// ============================================================================
+// Semantic Scorer
+// ============================================================================
+
+/**
+ * Build a text scorer for the configured retrieval mode.
+ * Returns { score(text) → 0-1, save() } — save() persists the vector cache.
+ *
+ * The query vector is the weight-scaled sum of each search token's embedding,
+ * so high-weight signals (branch intent, modified files) dominate direction.
+ *
+ * @param {SearchTerms} searchTerms
+ * @param {object} rc - Merged memoryRetrieval config
+ * @param {string|null} [cachePath] - Vector cache file (omit for in-memory only)
+ */
+export function createRelevanceScorer(searchTerms, rc, cachePath = null) {
+  const mode = rc.mode || 'lexical';
+  if (mode !== 'semantic' && mode !== 'hybrid') {
+    return { score: text => scoreTextRelevance(text, searchTerms), save() {} };
+  }
+
+  const embedder = createEmbedder(rc.embedding);
+  const cache = createEmbeddingCache(cachePath, embedder);
+
+  let query = null;
+  for (const [token, weight] of searchTerms.tokenWeights) {
+    const vec = embedder.embed(token);
+    query = query ? query.map((v, i) => v + vec[i] * weight) : vec.map(v => v * weight);
+  }
+
+  const semantic = (text) => {
+    if (!text || !query) return 0;
+    return semanticSimilarity(embedder, query, cache.embed(text));
+  };
+
+  const w = Math.min(1, Math.max(0, rc.semanticWeight ?? 0.5));
+  return {
+    score: mode === 'semantic'
+      ? semantic
+      : text => (1 - w) * scoreTextRelevance(text, searchTerms) + w * semantic(text),
+    save: () => cache.save(),
+  };
+}
+
 // ============================================================================
 // Context Signal Gathering
 // ============================================================================
@@ -172,7 +221,7 @@ export function gatherContextSignals(cwd, cachedData, paths) {
   const entityIndex = cachedData?.entities;
   if (entityIndex) {
     const scored = [];
-    for (const category of ['files', 'functions']) {
+    for (const category of ['files', 'functions', 'symbols']) {
       for (const [name, data] of Object.entries(entityIndex[category] || {})) {
         const recency = data.lastSeen
           ? Math.pow(0.5, (Date.now() - new Date(data.lastSeen).getTime()) / (24 * 3600000))
@@ -268,6 +317,9 @@ export function extractSearchTerms(signals) {
 // ============================================================================
 
 const DEFAULT_RETRIEVAL_CONFIG = {
+  mode: 'lexical',
+  semanticWeight: 0.5,
+  embedding: { backend: 'hashed-ngram', dimensions: 256 },
   minSignalStrength: 0.2,
   relevanceThreshold: 0.15,
   alwaysIncludeFoundational: true,
@@ -281,9 +333,10 @@ const DEFAULT_RETRIEVAL_CONFIG = {
  * @param {SearchTerms} searchTerms
  * @param {object} cachedData - { summary, logEntries, remembered, entities }
  * @param {object} config - User config (memoryRetrieval section merged with defaults)
+ * @param {{ embeddingCache?: string }} [options] - Vector cache path for semantic/hybrid modes
  * @returns {object|null} Retrieved memory with _relevance scores, or null for fallback
  */
-export function retrieveRelevantMemory(searchTerms, cachedData, config) {
+export function retrieveRelevantMemory(searchTerms, cachedData, config, options = {}) {
   const rc = { ...DEFAULT_RETRIEVAL_CONFIG, ...config?.memoryRetrieval };
 
   if (searchTerms.signalStrength < rc.minSignalStrength) return null;
@@ -291,38 +344,46 @@ export function retrieveRelevantMemory(searchTerms, cachedData, config) {
   const summary = cachedData.summary || {};
   const threshold = rc.relevanceThreshold;
   const budgets = rc.budgets;
+  const scorer = createRelevanceScorer(searchTerms, rc, options.embeddingCache);
+  const scoreText = scorer.score;
 
   // Score each data source
-  const scoredDecisions = (summary.keyDecisions || []).map(d => ({
+  const scoredDecisions = (summary.keyDecisions || []).filter(isActiveDecision).map(d => ({
     ...d,
-    _relevance: scoreTextRelevance(`${d.decision} ${d.reason || ''}`, searchTerms),
+    _relevance: scoreText(`${d.decision} ${d.reason || ''}`),
   }));
 
+  // Items from the checked-out branch's partition (see branchView) rank higher
+  const branchBonus = item => (item.branch && item.branch === summary.branch ? 0.1 : 0);
+
   const scoredState = (summary.currentState || []).map(s => ({
     ...s,
-    _relevance: scoreTextRelevance(`${s.topic} ${s.status}`, searchTerms),
+    _relevance: scoreText(`${s.topic} ${s.status}`) + branchBonus(s),
   }));
 
   const scoredWork = (summary.recentWork || []).map(w => ({
     ...w,
-    _relevance: scoreTextRelevance(w.summary || '', searchTerms) +
-      (w.date ? recencyBonus(w.date + 'T12:00:00Z', 168) : 0),
+    _relevance: scoreText(w.summary || '') +
+      (w.date ? recencyBonus(w.date + 'T12:00:00Z', 168) : 0) +
+      branchBonus(w),
   }));
 
-  const typeBonuses = { commit: 0.15, task: 0.1, agent: 0.1, prompt: 0.05, response: 0.05 };
+  const typeBonuses = { commit: 0.15, fix: 0.15, test: 0.1, task: 0.1, build: 0.05, agent: 0.1, prompt: 0.05, response: 0.05 };
   const scoredEntries = (cachedData.logEntries || []).map(e => ({
     ...e,
-    _relevance: scoreTextRelevance(e.content || '', searchTerms) +
+    _relevance: scoreText(e.content || '') +
       recencyBonus(e.ts, 24) +
       (typeBonuses[e.type] || 0),
   }));
 
   const scoredRemembered = (cachedData.remembered || []).map(r => ({
     ...r,
-    _relevance: scoreTextRelevance(r.content || '', searchTerms) +
+    _relevance: scoreText(r.content || '') +
       (r.type === 'lesson' ? 0.1 : 0),
   }));
 
+  try { scorer.save(); } catch { /* vector cache is best-effort */ }
+
   return {
     projectContext: summary.projectContext || '',
     decisions: selectByRelevance(scoredDecisions, budgets.decisions, threshold, rc.alwaysIncludeFoundational),
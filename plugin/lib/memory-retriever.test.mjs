@@ -1,6 +1,6 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
-import { mkdtempSync, writeFileSync, mkdirSync } from 'node:fs';
+import { mkdtempSync, writeFileSync, mkdirSync, readFileSync } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
 import { execFileSync } from 'node:child_process';
@@ -323,3 +323,57 @@ describe('retrieveRelevantMemory', () => {
     assert.ok(result.entries.length >= 1);
   });
 });
+
+// ============================================================================
+// retrieval modes (lexical / semantic / hybrid)
+// ============================================================================
+describe('retrieveRelevantMemory modes', () => {
+  const terms = {
+    tokenWeights: new Map([['authentication', 1.0]]),
+    rawFilePaths: [],
+    signalStrength: 0.5,
+  };
+  const cachedData = {
+    summary: {
+      keyDecisions: [],
+      currentState: [
+        { topic: 'Chart colors', status: 'Palette updated' },
+        { topic: 'Authenticate flow', status: 'Login tokens refreshed' },
+      ],
+      recentWork: [],
+    },
+    logEntries: [],
+    remembered: [],
+    entities: {},
+  };
+
+  it('lexical mode misses related wording without exact tokens', () => {
+    const result = retrieveRelevantMemory(terms, cachedData, {});
+    assert.ok(result.state.every(s => s._relevance === 0));
+  });
+
+  it('semantic mode ranks related wording first', () => {
+    const result = retrieveRelevantMemory(terms, cachedData, { memoryRetrieval: { mode: 'semantic' } });
+    assert.equal(result.state[0].topic, 'Authenticate flow');
+    assert.ok(result.state[0]._relevance > 0);
+  });
+
+  it('hybrid mode blends lexical and semantic scores', () => {
+    const exact = {
+      ...cachedData,
+      summary: { ...cachedData.summary, currentState: [{ topic: 'Authentication', status: 'done' }] },
+    };
+    const lexical = retrieveRelevantMemory(terms, exact, {}).state[0]._relevance;
+    const semantic = retrieveRelevantMemory(terms, exact, { memoryRetrieval: { mode: 'semantic' } }).state[0]._relevance;
+    const hybrid = retrieveRelevantMemory(terms, exact, { memoryRetrieval: { mode: 'hybrid', semanticWeight: 0.5 } }).state[0]._relevance;
+    assert.ok(Math.abs(hybrid - (lexical + semantic) / 2) < 1e-3);
+  });
+
+  it('writes the vector cache when a path is given', () => {
+    const dir = mkdtempSync(join(tmpdir(), 'mneme-test-'));
+    const cachePath = join(dir, '.embeddings.json');
+    retrieveRelevantMemory(terms, cachedData, { memoryRetrieval: { mode: 'hybrid' } }, { embeddingCache: cachePath });
+    const data = JSON.parse(readFileSync(cachePath, 'utf-8'));
+    assert.equal(Object.keys(data.vectors).length, 2);
+  });
+});
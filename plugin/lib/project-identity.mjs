@@ -0,0 +1,128 @@
+/**
+ * Project Identity — which memory a checkout belongs to.
+ *
+ * Memory used to be keyed by absolute path, so moving a checkout, a different
+ * home directory on another machine, or a second clone started from empty
+ * memory. The identity is now, in order:
+ *
+ *   1. <root>/.mneme/project-id  explicit id, committed with the repo
+ *   2. git remote                origin (or the first remote), normalized:
+ *                                git@github.com:acme/api.git → github.com/acme/api
+ *   3. git root commit           for repositories without a remote
+ *   4. path                      outside git: /home/foo/bar (the old scheme)
+ *
+ * The memory dir name is derived from the id: "github.com-acme-api",
+ * "git-3f2a9c1b7d04", or "-home-foo-bar" for paths.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+
+export const PROJECT_ID_FILE = join('.mneme', 'project-id');
+
+function git(args, cwd) {
+  try {
+    return execFileSync('git', args, {
+      encoding: 'utf8', cwd, stdio: ['ignore', 'pipe', 'ignore'],
+    }).trim();
+  } catch {
+    return '';
+  }
+}
+
+/**
+ * Old-style dir name for a path: /home/foo/bar → -home-foo-bar
+ */
+export function pathDirName(projectRoot) {
+  return projectRoot.replace(/^\//, '-').replace(/\//g, '-');
+}
+
+/**
+ * Filesystem-safe dir name for an id.
+ */
+export function projectDirName(id) {
+  return id.toLowerCase()
+    .replace(/[^a-z0-9._-]+/g, '-')
+    .replace(/\.{2,}/g, '.')
+    .replace(/^[-.]+|[-.]+$/g, '') || 'project';
+}
+
+/**
+ * Same repository → same string, whatever the protocol, user, port or
+ * .git suffix: git@github.com:acme/api.git, https://me@github.com/acme/api
+ * and ssh://git@github.com:22/acme/api all become github.com/acme/api.
+ * @returns {string|null}
+ */
+export function normalizeRemoteUrl(url) {
+  if (!url) return null;
+  let s = url.trim();
+  const scp = s.match(/^(?:[^@/]+@)?([^:/]+):(?!\/)(.+)$/); // user@host:path
+  if (scp && !/^[a-z][a-z0-9+.-]*:\/\//i.test(s)) {
+    s = `${scp[1]}/${scp[2]}`;
+  } else {
+    s = s.replace(/^[a-z][a-z0-9+.-]*:\/\//i, '') // scheme
+      .replace(/^[^@/]+@/, '')                   // user
+      .replace(/^([^/:]+):\d+(?=\/)/, '$1');      // port
+  }
+  s = s.replace(/\/+$/, '').replace(/\.git$/, '').replace(/^\/+/, '');
+  return s ? s.toLowerCase() : null;
+}
+
+function readProjectIdFile(projectRoot) {
+  const path = join(projectRoot, PROJECT_ID_FILE);
+  if (!existsSync(path)) return null;
+  try {
+    return readFileSync(path, 'utf-8').split('\n')[0].trim() || null;
+  } catch {
+    return null;
+  }
+}
+
+function remoteUrl(projectRoot) {
+  const remotes = git(['remote'], projectRoot).split('\n').filter(Boolean);
+  if (remotes.length === 0) return null;
+  const remote = remotes.includes('origin') ? 'origin' : remotes[0];
+  return git(['remote', 'get-url', remote], projectRoot) || null;
+}
+
+function rootCommit(projectRoot) {
+  // Merged histories can have several roots; the sorted first one is stable
+  const roots = git(['rev-list', '--max-parents=0', 'HEAD'], projectRoot).split('\n').filter(Boolean);
+  return roots.sort()[0] || null;
+}
+
+/**
+ * Every identity the project has, most specific first. The first one is the
+ * project's identity; the others are where its memory may still live (e.g.
+ * under the root commit from before a remote was added).
+ * @param {string} projectRoot - From getProjectRoot() (worktrees already resolved)
+ * @returns {Array<{ id: string, source: 'file'|'remote'|'root-commit'|'path', dirName: string }>}
+ */
+export function projectIdentities(projectRoot) {
+  const identities = [];
+
+  const fileId = readProjectIdFile(projectRoot);
+  if (fileId) identities.push({ id: fileId, source: 'file', dirName: projectDirName(fileId) });
+
+  const remote = normalizeRemoteUrl(remoteUrl(projectRoot));
+  if (remote) identities.push({ id: remote, source: 'remote', dirName: projectDirName(remote) });
+
+  const commit = rootCommit(projectRoot);
+  if (commit) {
+    const id = `git-${commit.slice(0, 12)}`;
+    identities.push({ id, source: 'root-commit', dirName: id });
+  }
+
+  identities.push({ id: projectRoot, source: 'path', dirName: pathDirName(projectRoot) });
+  return identities;
+}
+
+/**
+ * The project's identity, plus the dir names of its less specific identities.
+ * @returns {{ id: string, source: string, dirName: string, previousDirNames: string[] }}
+ */
+export function resolveProjectIdentity(projectRoot) {
+  const [identity, ...rest] = projectIdentities(projectRoot);
+  return { ...identity, previousDirNames: rest.map(i => i.dirName) };
+}
@@ -0,0 +1,87 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync } from 'node:child_process';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import {
+  normalizeRemoteUrl,
+  projectDirName,
+  pathDirName,
+  resolveProjectIdentity
+} from './project-identity.mjs';
+
+describe('normalizeRemoteUrl', () => {
+  it('gives every URL form of a repository the same id', () => {
+    const urls = [
+      'git@github.com:Acme/API.git',
+      'https://github.com/acme/api.git',
+      'https://me@github.com/acme/api/',
+      'ssh://git@github.com:22/acme/api',
+      'git://github.com/acme/api'
+    ];
+    for (const url of urls) {
+      assert.equal(normalizeRemoteUrl(url), 'github.com/acme/api', url);
+    }
+  });
+
+  it('returns null for nothing', () => {
+    assert.equal(normalizeRemoteUrl(''), null);
+    assert.equal(normalizeRemoteUrl(null), null);
+  });
+});
+
+describe('projectDirName', () => {
+  it('makes ids filesystem-safe', () => {
+    assert.equal(projectDirName('github.com/acme/api'), 'github.com-acme-api');
+    assert.equal(projectDirName('Acme Payments'), 'acme-payments');
+    assert.equal(projectDirName('../../etc'), 'etc');
+  });
+
+  it('keeps the old path naming for paths', () => {
+    assert.equal(pathDirName('/home/foo/bar'), '-home-foo-bar');
+  });
+});
+
+describe('resolveProjectIdentity', () => {
+  let root;
+  const git = (...args) => execFileSync('git', args, { cwd: root, stdio: 'ignore' });
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'mneme-identity-'));
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('falls back to the path outside git', () => {
+    const identity = resolveProjectIdentity(root);
+    assert.equal(identity.source, 'path');
+    assert.equal(identity.dirName, pathDirName(root));
+    assert.deepEqual(identity.previousDirNames, []);
+  });
+
+  it('uses the root commit, then the remote, then the project-id file', () => {
+    git('init');
+    git('-c', 'user.email=test@test.com', '-c', 'user.name=Test', 'commit', '--allow-empty', '-m', 'init');
+    const commit = resolveProjectIdentity(root);
+    assert.equal(commit.source, 'root-commit');
+    assert.match(commit.dirName, /^git-[0-9a-f]{12}$/);
+
+    git('remote', 'add', 'upstream', 'https://gitlab.com/acme/fork.git');
+    git('remote', 'add', 'origin', 'git@github.com:acme/api.git');
+    const remote = resolveProjectIdentity(root);
+    assert.equal(remote.source, 'remote');
+    assert.equal(remote.id, 'github.com/acme/api');
+    assert.deepEqual(remote.previousDirNames, [commit.dirName, pathDirName(root)]);
+
+    mkdirSync(join(root, '.mneme'));
+    writeFileSync(join(root, '.mneme', 'project-id'), 'acme-api\n');
+    const file = resolveProjectIdentity(root);
+    assert.equal(file.source, 'file');
+    assert.equal(file.dirName, 'acme-api');
+    assert.deepEqual(file.previousDirNames, ['github.com-acme-api', commit.dirName, pathDirName(root)]);
+  });
+});
@@ -0,0 +1,244 @@
+/**
+ * Scrub — remove a leaked secret from memory files that are already on disk.
+ *
+ * Redaction (redact.mjs) only covers new writes. Scrubbing walks a memory
+ * directory and replaces matches in everything stored there: the log and its
+ * pending and archived copies, summary.json and its history, entities,
+ * remembered items, briefings and pre-compact snapshots.
+ *
+ *   *.json       parsed; every string and object key is scrubbed
+ *   *.jsonl      per line, like .json (lines that don't parse: as text)
+ *   *.gz         decompressed, scrubbed by the inner name, recompressed
+ *   anything else as text
+ *
+ * What to match is a redaction config (see findSecrets): the built-in
+ * detectors, or { detectors: false, rules: [...] } for one literal or regex.
+ *
+ * Derived files (cache, search index, embeddings) are deleted rather than
+ * rewritten once anything changed; they are rebuilt on demand. .sync-base/
+ * (the last synced copies) is scrubbed too. Scrubbing doesn't reach the sync
+ * server: mem-scrub.mjs marks the scrubbed bases for upload (sync.mjs
+ * markSyncBaseScrubbed) and queues the server's log events for rewriting
+ * from the changed log lines reported here (`lines`).
+ */
+
+import { readFileSync, readdirSync, rmSync, existsSync } from 'node:fs';
+import { join, relative } from 'node:path';
+import { gzipSync, gunzipSync } from 'node:zlib';
+import { findSecrets, redactText, DEFAULT_PLACEHOLDER } from './redact.mjs';
+import { writeFileAtomic } from './atomic-write.mjs';
+import { writeLogMetadata } from './log-metadata.mjs';
+import { ARCHIVE_DIR, rebuildArchiveIndex } from './log-archive.mjs';
+import { SEARCH_INDEX_FILE, SEARCH_JOURNAL_FILE } from './search-index.mjs';
+
+export const DERIVED_FILES = ['.cache.json', SEARCH_INDEX_FILE, SEARCH_JOURNAL_FILE, '.embeddings.json'];
+const SKIPPED_FILE_RE = /\.(lock|wlock|tmp)$/;
+const PREVIEW_CONTEXT = 30;
+
+/**
+ * Every file under a memory directory that can hold memory content.
+ * @returns {string[]} Absolute paths, sorted
+ */
+export function memoryFiles(dir) {
+  const files = [];
+  const walk = (current) => {
+    let dirents;
+    try {
+      dirents = readdirSync(current, { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const d of dirents) {
+      const full = join(current, d.name);
+      if (d.isDirectory()) {
+        walk(full);
+      } else if (d.isFile() && !SKIPPED_FILE_RE.test(d.name)) {
+        files.push(full);
+      }
+    }
+  };
+  walk(dir);
+  return files.sort();
+}
+
+// The match in a little context, with the secret itself replaced
+function preview(text, secret, placeholder) {
+  const start = Math.max(0, secret.start - PREVIEW_CONTEXT);
+  const end = Math.min(text.length, secret.end + PREVIEW_CONTEXT);
+  const snippet = (start > 0 ? '…' : '') +
+    text.slice(start, secret.start) +
+    placeholder.replaceAll('{type}', secret.type) +
+    text.slice(secret.end, end) +
+    (end < text.length ? '…' : '');
+  return snippet.replace(/\s+/g, ' ');
+}
+
+function scrubString(text, options, where, found) {
+  const secrets = findSecrets(text, options);
+  if (secrets.length === 0) return text;
+  const placeholder = options.placeholder || DEFAULT_PLACEHOLDER;
+  for (const s of secrets) {
+    found.push({ ...where, type: s.type, preview: preview(text, s, placeholder) });
+  }
+  return redactText(text, options);
+}
+
+function childPath(path, key) {
+  if (typeof key === 'number') return `${path}[${key}]`;
+  const safe = /^[A-Za-z_$][\w$]*$/.test(key) ? key : JSON.stringify(key);
+  if (!path) return safe;
+  return safe.startsWith('"') ? `${path}[${safe}]` : `${path}.${safe}`;
+}
+
+// Every string in a parsed JSON value, and object keys (entity names are keys)
+function scrubJson(value, options, where, found) {
+  if (typeof value === 'string') return scrubString(value, options, where, found);
+  if (Array.isArray(value)) {
+    return value.map((v, i) => scrubJson(v, options, { ...where, path: childPath(where.path, i) }, found));
+  }
+  if (value && typeof value === 'object') {
+    const out = {};
+    for (const [k, v] of Object.entries(value)) {
+      const path = childPath(where.path, k);
+      const key = scrubString(k, options, { ...where, path, key: true }, found);
+      out[key] = scrubJson(v, options, { ...where, path }, found);
+    }
+    return out;
+  }
+  return value;
+}
+
+function scrubJsonLine(line, options, where, found) {
+  if (!line.trim()) return line;
+  let parsed;
+  try {
+    parsed = JSON.parse(line);
+  } catch {
+    return scrubString(line, options, where, found);
+  }
+  const before = found.length;
+  const out = scrubJson(parsed, options, { ...where, path: '' }, found);
+  return found.length > before ? JSON.stringify(out) : line;
+}
+
+/**
+ * Scrub text by the format its file name implies.
+ * @returns {{ text: string, matches: object[], lines: Array<{ before: string, after: string }> }}
+ *   matches: { line?, path?, key?, type, preview }; lines: changed lines of a .jsonl file
+ */
+export function scrubContent(text, name, options) {
+  const matches = [];
+  const lines = [];
+  let out = text;
+
+  if (/\.jsonl\b/.test(name)) {
+    out = text.split('\n').map((line, i) => {
+      const scrubbed = scrubJsonLine(line, options, { line: i + 1 }, matches);
+      if (scrubbed !== line) lines.push({ before: line, after: scrubbed });
+      return scrubbed;
+    }).join('\n');
+  } else if (/\.json\b/.test(name)) {
+    let parsed;
+    try {
+      parsed = JSON.parse(text);
+    } catch {
+      parsed = undefined;
+    }
+    if (parsed === undefined) {
+      out = scrubString(text, options, {}, matches);
+    } else {
+      const scrubbed = scrubJson(parsed, options, { path: '' }, matches);
+      if (matches.length > 0) {
+        const indent = /^[[{]\s*\n/.test(text) ? 2 : 0;
+        out = JSON.stringify(scrubbed, null, indent) + (text.endsWith('\n') ? '\n' : '');
+      }
+    }
+  } else {
+    out = text.split('\n').map((line, i) => scrubString(line, options, { line: i + 1 }, matches)).join('\n');
+  }
+
+  for (const m of matches) {
+    if (m.path === '') delete m.path;
+  }
+  return { text: matches.length > 0 ? out : text, matches, lines };
+}
+
+/**
+ * Scrub one file, rewriting it atomically when write is set.
+ * @returns {{ matches: object[], changed: boolean, lines: Array<{ before: string, after: string }> }}
+ */
+export function scrubFile(filePath, options, { write = false } = {}) {
+  const gz = filePath.endsWith('.gz');
+  const raw = readFileSync(filePath);
+  const text = (gz ? gunzipSync(raw) : raw).toString('utf-8');
+  const name = gz ? filePath.slice(0, -3) : filePath;
+
+  const { text: out, matches, lines } = scrubContent(text, name, options);
+  const changed = matches.length > 0;
+  if (changed && write) {
+    writeFileAtomic(filePath, gz ? gzipSync(out) : out, gz ? null : 'utf-8');
+  }
+  return { matches, changed, lines };
+}
+
+/**
+ * Scrub every memory file in a directory.
+ *
+ * @param {string} dir - A project (or global) memory directory
+ * @param {object} options - What to match, as a redaction config
+ * @param {object} [opts]
+ * @param {boolean} [opts.write] - Rewrite files (otherwise only report)
+ * @param {Function} [opts.withLock] - (file, fn) => fn() result, or undefined
+ *   when the file is locked; lets callers hold the log's write lock
+ * @returns {{ files: Array<{ file: string, matches: object[] }>, rewritten: string[], removed: string[], locked: string[], logLines: Array<{ before: string, after: string }> }}
+ *   file names are relative to dir; logLines are the rewritten lines of log.jsonl
+ */
+export function scrubMemoryDir(dir, options, { write = false, withLock = (file, fn) => fn() } = {}) {
+  const result = { files: [], rewritten: [], removed: [], locked: [], logLines: [] };
+  const derived = [];
+
+  for (const file of memoryFiles(dir)) {
+    const name = relative(dir, file);
+    if (DERIVED_FILES.includes(name)) {
+      derived.push(name);
+      // Reported, but deleted rather than rewritten
+      const { matches } = scrubFile(file, options);
+      if (matches.length > 0) result.files.push({ file: name, matches });
+      continue;
+    }
+
+    const scrubbed = write
+      ? withLock(file, () => scrubFile(file, options, { write: true }))
+      : scrubFile(file, options);
+    if (scrubbed === undefined) {
+      result.locked.push(name);
+      continue;
+    }
+    if (scrubbed.matches.length === 0) continue;
+    result.files.push({ file: name, matches: scrubbed.matches });
+    if (write) result.rewritten.push(name);
+    if (write && name === 'log.jsonl') result.logLines = scrubbed.lines;
+  }
+
+  if (write && result.rewritten.length > 0) {
+    if (result.rewritten.includes('log.jsonl')) {
+      const logPath = join(dir, 'log.jsonl');
+      withLock(logPath, () => {
+        const count = readFileSync(logPath, 'utf-8').split('\n').filter(l => l.trim()).length;
+        writeLogMetadata(logPath, count);
+      });
+    }
+    if (result.rewritten.some(name => name.startsWith(ARCHIVE_DIR))) {
+      rebuildArchiveIndex(dir);
+    }
+    for (const name of derived) {
+      const file = join(dir, name);
+      if (existsSync(file)) {
+        rmSync(file, { force: true });
+        result.removed.push(name);
+      }
+    }
+  }
+
+  return result;
+}
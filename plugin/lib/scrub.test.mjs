@@ -0,0 +1,108 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { gzipSync, gunzipSync } from 'node:zlib';
+
+import { memoryFiles, scrubContent, scrubMemoryDir } from './scrub.mjs';
+import { loadArchiveIndex } from './log-archive.mjs';
+
+const KEY = 'sk_live_' + '4eC39HqLyjWDarjtT1zdp7dc';
+const LITERAL = { detectors: false, rules: [{ name: 'scrubbed', pattern: 'hunter2' }] };
+
+describe('scrubContent', () => {
+  it('scrubs log lines and reports line and field', () => {
+    const text = [
+      JSON.stringify({ type: 'prompt', content: 'password is hunter2' }),
+      JSON.stringify({ type: 'commit', content: 'Add login' }),
+      '',
+    ].join('\n');
+    const { text: out, matches } = scrubContent(text, 'log.jsonl', LITERAL);
+    assert.equal(out.split('\n')[0], JSON.stringify({ type: 'prompt', content: 'password is [REDACTED:scrubbed]' }));
+    assert.equal(out.split('\n')[1], JSON.stringify({ type: 'commit', content: 'Add login' }));
+    assert.deepEqual(matches, [{ line: 1, path: 'content', type: 'scrubbed', preview: 'password is [REDACTED:scrubbed]' }]);
+  });
+
+  it('scrubs values and keys in JSON, keeping its layout', () => {
+    const entities = { errors: { 'login failed for hunter2': { mentions: 2, contexts: ['tried hunter2'] } } };
+    const { text, matches } = scrubContent(JSON.stringify(entities, null, 2) + '\n', 'entities.json', LITERAL);
+    assert.equal(text, JSON.stringify({
+      errors: { 'login failed for [REDACTED:scrubbed]': { mentions: 2, contexts: ['tried [REDACTED:scrubbed]'] } }
+    }, null, 2) + '\n');
+    assert.deepEqual(matches.map(m => [m.path, !!m.key]), [
+      ['errors["login failed for hunter2"]', true],
+      ['errors["login failed for hunter2"].contexts[0]', false],
+    ]);
+  });
+
+  it('masks the secret in previews', () => {
+    const { matches } = scrubContent(`# Notes\nrotate ${KEY} soon\n`, 'summary.md', {});
+    assert.deepEqual(matches, [{ line: 2, type: 'stripe-key', preview: 'rotate [REDACTED:stripe-key] soon' }]);
+  });
+
+  it('leaves text without matches untouched', () => {
+    const text = '{"a":1}';
+    assert.deepEqual(scrubContent(text, 'x.json', LITERAL), { text, matches: [], lines: [] });
+  });
+});
+
+describe('scrubMemoryDir', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mneme-scrub-'));
+    writeFileSync(join(dir, 'log.jsonl'), JSON.stringify({ type: 'prompt', content: 'hunter2' }) + '\n');
+    writeFileSync(join(dir, 'summary.json'), JSON.stringify({ projectContext: 'Uses hunter2' }));
+    writeFileSync(join(dir, 'remembered.json'), '[]');
+    writeFileSync(join(dir, '.search-index.json'), '{"tokens":{"hunter2":[1]}}');
+    writeFileSync(join(dir, '.embeddings.json'), '{}');
+    mkdirSync(join(dir, 'archive'));
+    writeFileSync(join(dir, 'archive', '2026-01.jsonl.gz'), gzipSync(JSON.stringify({ ts: '2026-01-02T00:00:00Z', content: 'hunter2' }) + '\n'));
+    mkdirSync(join(dir, '.sync-base'));
+    writeFileSync(join(dir, '.sync-base', 'summary.json'), JSON.stringify({ projectContext: 'Uses hunter2' }));
+    writeFileSync(join(dir, 'log.jsonl.lock'), 'hunter2');
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('skips lock files, not the sync base', () => {
+    const names = memoryFiles(dir).map(f => f.slice(dir.length + 1));
+    assert.ok(!names.some(n => n.endsWith('.lock')));
+    assert.ok(names.includes(join('.sync-base', 'summary.json')));
+    assert.ok(names.includes(join('archive', '2026-01.jsonl.gz')));
+  });
+
+  it('only reports on a dry run', () => {
+    const result = scrubMemoryDir(dir, LITERAL);
+    assert.deepEqual(result.files.map(f => f.file).sort(), ['.search-index.json', '.sync-base/summary.json', 'archive/2026-01.jsonl.gz', 'log.jsonl', 'summary.json']);
+    assert.deepEqual(result.rewritten, []);
+    assert.match(readFileSync(join(dir, 'log.jsonl'), 'utf-8'), /hunter2/);
+  });
+
+  it('rewrites files, recompresses the archive and drops derived files', () => {
+    const result = scrubMemoryDir(dir, LITERAL, { write: true });
+    assert.deepEqual(result.rewritten.sort(), ['.sync-base/summary.json', 'archive/2026-01.jsonl.gz', 'log.jsonl', 'summary.json']);
+    assert.deepEqual(result.removed.sort(), ['.embeddings.json', '.search-index.json']);
+
+    assert.doesNotMatch(readFileSync(join(dir, 'log.jsonl'), 'utf-8'), /hunter2/);
+    assert.doesNotMatch(readFileSync(join(dir, 'summary.json'), 'utf-8'), /hunter2/);
+    assert.doesNotMatch(gunzipSync(readFileSync(join(dir, 'archive', '2026-01.jsonl.gz'))).toString(), /hunter2/);
+    assert.equal(loadArchiveIndex(dir).partitions['2026-01'].entries, 1);
+    assert.ok(!existsSync(join(dir, '.search-index.json')));
+    assert.doesNotMatch(readFileSync(join(dir, '.sync-base', 'summary.json'), 'utf-8'), /hunter2/);
+    assert.deepEqual(result.logLines.map(l => [JSON.parse(l.before).content, JSON.parse(l.after).content]), [['hunter2', '[REDACTED:scrubbed]']]);
+
+    assert.deepEqual(scrubMemoryDir(dir, LITERAL).files, []);
+  });
+
+  it('skips files it could not lock', () => {
+    writeFileSync(join(dir, 'log.jsonl'), JSON.stringify({ content: 'hunter2 again' }) + '\n');
+    const withLock = (file, fn) => file.endsWith('log.jsonl') ? undefined : fn();
+    const result = scrubMemoryDir(dir, LITERAL, { write: true, withLock });
+    assert.deepEqual(result.locked, ['log.jsonl']);
+    assert.match(readFileSync(join(dir, 'log.jsonl'), 'utf-8'), /hunter2/);
+  });
+});
@@ -0,0 +1,446 @@
+/**
+ * Search Index — full-text search over a project's entire memory history.
+ *
+ * Maintains an inverted index in <project>/.search-index.json covering:
+ * - log.jsonl              (incremental: only bytes appended since last update)
+ * - summary.json           (decisions, state, recent work, project context)
+ * - briefing.json + briefing-archive/*.json
+ * - extracted-context.json (pre-compact extractions)
+ * - archive/*.jsonl.gz     (summarized log entries, see log-archive.mjs)
+ *
+ * Log documents are keyed by content hash, so they survive log truncation
+ * after summarization and re-indexing the same entry is idempotent.
+ * Other sources are re-indexed wholesale when their size/mtime changes.
+ *
+ * Newly appended log entries only add documents: they are appended to
+ * <project>/.search-index.journal.jsonl instead of rewriting the whole index,
+ * and folded into .search-index.json by the next full write (a changed
+ * whole-file source, pruning, or a long journal).
+ */
+
+import { createHash } from 'node:crypto';
+import { existsSync, readFileSync, readdirSync, statSync, openSync, readSync, closeSync, appendFileSync, unlinkSync } from 'node:fs';
+import { join } from 'node:path';
+import { tokenize } from './memory-retriever.mjs';
+import { writeFileAtomic } from './atomic-write.mjs';
+import { listPartitions, readArchivedEntries, ARCHIVE_DIR } from './log-archive.mjs';
+
+export const SEARCH_INDEX_FILE = '.search-index.json';
+export const SEARCH_JOURNAL_FILE = '.search-index.journal.jsonl';
+
+const INDEX_VERSION = 1;
+const MAX_DOC_TEXT = 2000;
+const MAX_LOG_DOCS = 5000;
+const MAX_JOURNAL_LINES = 200;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// ============================================================================
+// Index Structure
+// ============================================================================
+
+export function emptySearchIndex() {
+  return { version: INDEX_VERSION, sources: {}, docs: {}, postings: {}, lastUpdated: null };
+}
+
+/**
+ * Load the search index for a project memory dir. Returns an empty index
+ * when missing, corrupt, or written by an incompatible version.
+ */
+export function loadSearchIndex(projectDir) {
+  return readIndex(projectDir).index;
+}
+
+/**
+ * The index with its journal replayed.
+ * @returns {{ index: object, journalLines: number|null }} journalLines is
+ *   null when there was no usable index file: the journal doesn't apply then
+ */
+function readIndex(projectDir) {
+  const indexPath = join(projectDir, SEARCH_INDEX_FILE);
+  let index;
+  try {
+    index = JSON.parse(readFileSync(indexPath, 'utf-8'));
+  } catch {
+    return { index: emptySearchIndex(), journalLines: null };
+  }
+  if (index.version !== INDEX_VERSION) return { index: emptySearchIndex(), journalLines: null };
+
+  let lines = [];
+  try {
+    lines = readFileSync(join(projectDir, SEARCH_JOURNAL_FILE), 'utf-8').split('\n').filter(Boolean);
+  } catch { /* no journal */ }
+  for (const line of lines) {
+    try {
+      const { docs, sources, lastUpdated } = JSON.parse(line);
+      for (const [id, doc] of docs) addDoc(index, id, doc);
+      Object.assign(index.sources, sources);
+      index.lastUpdated = lastUpdated;
+    } catch { /* torn line: its entries are re-read from the log */ }
+  }
+  return { index, journalLines: lines.length };
+}
+
+function addDoc(index, id, doc) {
+  if (index.docs[id]) return false;
+  const text = (doc.text || '').slice(0, MAX_DOC_TEXT);
+  const tokens = tokenize(text);
+  if (tokens.length === 0) return false;
+
+  index.docs[id] = { ...doc, text, len: tokens.length };
+  const tf = {};
+  for (const t of tokens) tf[t] = (tf[t] || 0) + 1;
+  for (const [t, count] of Object.entries(tf)) {
+    (index.postings[t] ||= {})[id] = count;
+  }
+  return true;
+}
+
+function removeDoc(index, id) {
+  const doc = index.docs[id];
+  if (!doc) return;
+  for (const t of new Set(tokenize(doc.text))) {
+    const posting = index.postings[t];
+    if (!posting) continue;
+    delete posting[id];
+    if (Object.keys(posting).length === 0) delete index.postings[t];
+  }
+  delete index.docs[id];
+}
+
+function removeSource(index, source) {
+  for (const [id, doc] of Object.entries(index.docs)) {
+    if (doc.src === source) removeDoc(index, id);
+  }
+}
+
+function hashId(prefix, ...parts) {
+  return prefix + createHash('sha1').update(parts.join('\u0000')).digest('hex').slice(0, 12);
+}
+
+// ============================================================================
+// Source Extractors — each returns [{ id, doc: { src, kind, ts, text } }]
+// ============================================================================
+
+function fileStamp(filePath) {
+  try {
+    const st = statSync(filePath);
+    return `${st.size}:${st.mtimeMs}`;
+  } catch {
+    return null;
+  }
+}
+
+function readJson(filePath) {
+  try {
+    return JSON.parse(readFileSync(filePath, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function dateToTs(date) {
+  if (!date) return null;
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T12:00:00.000Z` : date;
+}
+
+function summaryDocs(src, summary) {
+  if (!summary || typeof summary !== 'object') return [];
+  const docs = [];
+  const ts = summary.lastUpdated || null;
+  if (summary.projectContext) {
+    docs.push({ kind: 'context', ts, text: summary.projectContext });
+  }
+  for (const d of summary.keyDecisions || []) {
+    docs.push({ kind: 'decision', ts: dateToTs(d.date) || ts, text: `${d.decision}${d.reason ? ` — ${d.reason}` : ''}` });
+  }
+  for (const s of summary.currentState || []) {
+    docs.push({ kind: 'state', ts: s.updatedAt || ts, text: `${s.topic}: ${s.status}` });
+  }
+  for (const w of summary.recentWork || []) {
+    docs.push({ kind: 'work', ts: dateToTs(w.date) || ts, text: w.summary });
+  }
+  return docs.map((doc, i) => ({ id: `${src}#${i}`, doc: { src, ...doc } }));
+}
+
+function briefingDocs(src, briefing) {
+  if (!briefing?.summary) return [];
+  const parts = [briefing.summary];
+  if (briefing.currentState) parts.push(briefing.currentState);
+  for (const key of ['keyDecisions', 'nextSteps', 'blockers']) {
+    if (Array.isArray(briefing[key])) parts.push(...briefing[key]);
+  }
+  if (briefing.context) parts.push(briefing.context);
+  return [{ id: `${src}#0`, doc: { src, kind: 'briefing', ts: briefing.ts || null, text: parts.join('\n') } }];
+}
+
+function extractionDocs(src, extractions) {
+  if (!Array.isArray(extractions)) return [];
+  const docs = [];
+  extractions.forEach((ex, n) => {
+    const ts = ex.ts || null;
+    for (const kind of ['decisions', 'errors', 'todos', 'keyPoints']) {
+      (ex[kind] || []).forEach((text, i) => {
+        if (typeof text === 'string') {
+          docs.push({ id: `${src}#${n}.${kind}.${i}`, doc: { src, kind: kind.replace(/s$/, ''), ts, text } });
+        }
+      });
+    }
+    if (Array.isArray(ex.files) && ex.files.length > 0) {
+      docs.push({ id: `${src}#${n}.files`, doc: { src, kind: 'files', ts, text: ex.files.join(', ') } });
+    }
+  });
+  return docs;
+}
+
+/**
+ * Whole-file sources: [{ src (relative name), path, extract(json) }].
+ * Briefing archives are enumerated from the directory.
+ */
+function listFileSources(projectDir) {
+  const sources = [
+    { src: 'summary.json', extract: summaryDocs },
+    { src: 'briefing.json', extract: briefingDocs },
+    { src: 'extracted-context.json', extract: extractionDocs },
+  ];
+  const archiveDir = join(projectDir, 'briefing-archive');
+  if (existsSync(archiveDir)) {
+    try {
+      for (const f of readdirSync(archiveDir).filter(f => f.endsWith('.json')).sort()) {
+        sources.push({ src: `briefing-archive/${f}`, extract: briefingDocs });
+      }
+    } catch { /* unreadable archive dir — skip */ }
+  }
+  return sources.map(s => ({ ...s, path: join(projectDir, s.src) }));
+}
+
+// ============================================================================
+// Incremental Update
+// ============================================================================
+
+function readFirstLine(filePath) {
+  let fd;
+  try {
+    fd = openSync(filePath, 'r');
+    const buf = Buffer.alloc(512);
+    const n = readSync(fd, buf, 0, buf.length, 0);
+    return buf.subarray(0, n).toString('utf-8').split('\n')[0];
+  } catch {
+    return '';
+  } finally {
+    if (fd !== undefined) closeSync(fd);
+  }
+}
+
+function readFrom(filePath, offset) {
+  const fd = openSync(filePath, 'r');
+  try {
+    const size = statSync(filePath).size;
+    const buf = Buffer.alloc(Math.max(0, size - offset));
+    readSync(fd, buf, 0, buf.length, offset);
+    return buf;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+function addLogEntryDoc(index, src, entry, added) {
+  if (!entry?.content) return;
+  const id = hashId('log:', entry.ts, entry.type, entry.content);
+  const doc = { src, kind: entry.type || 'entry', ts: entry.ts || null, text: entry.content };
+  if (addDoc(index, id, doc)) added.push([id, doc]);
+}
+
+/**
+ * Index log entries appended since the last update. Detects truncation or
+ * rewrite (smaller file, or a different first line) and rescans from the
+ * start — already-indexed entries dedupe by content hash.
+ */
+function updateLogSource(index, projectDir, added) {
+  const logPath = join(projectDir, 'log.jsonl');
+  if (!existsSync(logPath)) return false;
+
+  const state = index.sources['log.jsonl'] || { offset: 0, head: '' };
+  const size = statSync(logPath).size;
+  const head = hashId('', readFirstLine(logPath));
+  let offset = state.offset || 0;
+  if (size < offset || head !== state.head) offset = 0;
+  if (size === offset && head === state.head) return false;
+
+  const buf = readFrom(logPath, offset);
+  const end = buf.lastIndexOf(0x0a) + 1; // only consume complete lines
+  for (const line of buf.subarray(0, end).toString('utf-8').split('\n')) {
+    if (!line.trim()) continue;
+    try {
+      addLogEntryDoc(index, 'log.jsonl', JSON.parse(line), added);
+    } catch { /* skip malformed line */ }
+  }
+
+  index.sources['log.jsonl'] = { type: 'log', offset: offset + end, head };
+  return true;
+}
+
+/**
+ * Index archive partitions whose file changed since the last update.
+ * Entries already indexed from log.jsonl dedupe by content hash.
+ */
+function updateArchiveSources(index, projectDir, added) {
+  let changed = false;
+  for (const month of listPartitions(projectDir)) {
+    const src = `${ARCHIVE_DIR}/${month}.jsonl.gz`;
+    const stamp = fileStamp(join(projectDir, src));
+    if (index.sources[src]?.stamp === stamp) continue;
+    for (const entry of readArchivedEntries(projectDir, { months: [month] })) {
+      addLogEntryDoc(index, src, entry, added);
+    }
+    index.sources[src] = { type: 'archive', stamp };
+    changed = true;
+  }
+  return changed;
+}
+
+/**
+ * @returns {boolean} Whether any docs were dropped
+ */
+function pruneLogDocs(index) {
+  const logDocs = Object.entries(index.docs).filter(([id]) => id.startsWith('log:'));
+  if (logDocs.length <= MAX_LOG_DOCS) return false;
+  logDocs.sort((a, b) => String(a[1].ts || '').localeCompare(String(b[1].ts || '')));
+  for (const [id] of logDocs.slice(0, logDocs.length - MAX_LOG_DOCS)) {
+    removeDoc(index, id);
+  }
+  return true;
+}
+
+function writeIndex(projectDir, index) {
+  writeFileAtomic(join(projectDir, SEARCH_INDEX_FILE), JSON.stringify(index));
+  try {
+    unlinkSync(join(projectDir, SEARCH_JOURNAL_FILE));
+  } catch { /* no journal */ }
+}
+
+// Persist only what was added: the new docs and the sources they came from
+function appendJournal(projectDir, index, added, sources) {
+  const changed = Object.fromEntries(sources.filter(src => index.sources[src]).map(src => [src, index.sources[src]]));
+  appendFileSync(join(projectDir, SEARCH_JOURNAL_FILE),
+    JSON.stringify({ docs: added, sources: changed, lastUpdated: index.lastUpdated }) + '\n');
+}
+
+/**
+ * Bring the project's search index up to date and persist it if anything
+ * changed. Cheap when nothing changed: one stat per source. Log and archive
+ * entries that only add documents are journaled rather than rewriting the
+ * index.
+ *
+ * @param {string} projectDir - Project memory dir (~/.claude-mneme/projects/<name>)
+ * @returns {object} The updated index
+ */
+export function updateSearchIndex(projectDir) {
+  const { index, journalLines } = readIndex(projectDir);
+  const added = [];
+  const before = { ...index.sources };
+  const logAppended = updateLogSource(index, projectDir, added);
+  const appended = updateArchiveSources(index, projectDir, added) || logAppended;
+  let changed = false;
+
+  const fileSources = listFileSources(projectDir);
+  const live = new Set(fileSources.map(s => s.src));
+  for (const { src, path, extract } of fileSources) {
+    const stamp = fileStamp(path);
+    if ((index.sources[src]?.stamp ?? null) === stamp) continue;
+    removeSource(index, src);
+    if (stamp) {
+      for (const { id, doc } of extract(src, readJson(path))) addDoc(index, id, doc);
+      index.sources[src] = { type: 'file', stamp };
+    } else {
+      delete index.sources[src];
+    }
+    changed = true;
+  }
+
+  // Drop docs for whole-file sources that disappeared (e.g. pruned archives)
+  for (const src of Object.keys(index.sources)) {
+    if (index.sources[src].type !== 'file' || live.has(src)) continue;
+    removeSource(index, src);
+    delete index.sources[src];
+    changed = true;
+  }
+
+  if (changed || appended) {
+    index.lastUpdated = new Date().toISOString();
+    const pruned = pruneLogDocs(index);
+    if (changed || pruned || journalLines === null || journalLines >= MAX_JOURNAL_LINES) {
+      writeIndex(projectDir, index);
+    } else {
+      const sources = Object.keys(index.sources).filter(src => index.sources[src] !== before[src]);
+      appendJournal(projectDir, index, added, sources);
+    }
+  }
+  return index;
+}
+
+// ============================================================================
+// Query
+// ============================================================================
+
+/**
+ * Rank documents against a free-text query (BM25 with an exact-phrase bonus;
+ * newer documents win ties).
+ *
+ * @param {object} index - From loadSearchIndex/updateSearchIndex
+ * @param {string} query
+ * @param {{ limit?: number, sources?: string[], since?: string }} [options]
+ *   sources filters on source family: log, summary, briefing, extraction
+ * @returns {Array<{ score: number, ts: string|null, src: string, kind: string, text: string }>}
+ */
+export function searchIndex(index, query, options = {}) {
+  const terms = [...new Set(tokenize(query))];
+  if (terms.length === 0) return [];
+
+  const docIds = Object.keys(index.docs);
+  const n = docIds.length;
+  if (n === 0) return [];
+  const avgLen = docIds.reduce((s, id) => s + (index.docs[id].len || 0), 0) / n || 1;
+
+  const scores = new Map();
+  for (const term of terms) {
+    const posting = index.postings[term];
+    if (!posting) continue;
+    const df = Object.keys(posting).length;
+    const idf = Math.log(1 + (n - df + 0.5) / (df + 0.5));
+    for (const [id, tf] of Object.entries(posting)) {
+      const doc = index.docs[id];
+      if (!doc) continue;
+      const norm = tf + K1 * (1 - B + B * (doc.len / avgLen));
+      scores.set(id, (scores.get(id) || 0) + idf * (tf * (K1 + 1)) / norm);
+    }
+  }
+
+  const phrase = query.trim().toLowerCase();
+  const sinceMs = options.since ? new Date(options.since).getTime() : null;
+  const families = options.sources?.length ? new Set(options.sources) : null;
+
+  const hits = [];
+  for (const [id, raw] of scores) {
+    const doc = index.docs[id];
+    if (families && !families.has(sourceFamily(doc.src))) continue;
+    if (sinceMs && (!doc.ts || new Date(doc.ts).getTime() < sinceMs)) continue;
+    const bonus = phrase.includes(' ') && doc.text.toLowerCase().includes(phrase) ? 1.5 : 0;
+    hits.push({ score: raw + bonus, ts: doc.ts, src: doc.src, kind: doc.kind, text: doc.text });
+  }
+
+  hits.sort((a, b) => (b.score - a.score) || String(b.ts || '').localeCompare(String(a.ts || '')));
+  return hits.slice(0, options.limit || 10);
+}
+
+/**
+ * Map a document source file to its family (log, summary, briefing, extraction).
+ */
+export function sourceFamily(src) {
+  if (src === 'summary.json') return 'summary';
+  if (src === 'extracted-context.json') return 'extraction';
+  if (src.startsWith('briefing')) return 'briefing';
+  return 'log';
+}
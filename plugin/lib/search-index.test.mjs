@@ -0,0 +1,180 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, appendFileSync, mkdirSync, rmSync, existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  updateSearchIndex,
+  loadSearchIndex,
+  searchIndex,
+  sourceFamily,
+  SEARCH_INDEX_FILE,
+  SEARCH_JOURNAL_FILE,
+} from './search-index.mjs';
+import { archiveLogEntries } from './log-archive.mjs';
+
+function makeProjectDir() {
+  return mkdtempSync(join(tmpdir(), 'mneme-search-'));
+}
+
+function writeLog(dir, entries) {
+  writeFileSync(join(dir, 'log.jsonl'), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+}
+
+// ============================================================================
+// updateSearchIndex
+// ============================================================================
+describe('updateSearchIndex', () => {
+  it('indexes log entries and persists the index', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, [
+      { ts: '2026-03-01T10:00:00Z', type: 'commit', content: 'Add webhook retry with exponential backoff' },
+      { ts: '2026-03-02T10:00:00Z', type: 'prompt', content: 'Style the billing dashboard' },
+    ]);
+    const index = updateSearchIndex(dir);
+    assert.equal(Object.keys(index.docs).length, 2);
+    assert.ok(existsSync(join(dir, SEARCH_INDEX_FILE)));
+    assert.equal(Object.keys(loadSearchIndex(dir).docs).length, 2);
+  });
+
+  it('only reads newly appended lines on subsequent updates', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, [{ ts: '2026-03-01T10:00:00Z', type: 'prompt', content: 'first webhook entry' }]);
+    const first = updateSearchIndex(dir);
+    const offset = first.sources['log.jsonl'].offset;
+
+    appendFileSync(join(dir, 'log.jsonl'), JSON.stringify({ ts: '2026-03-01T11:00:00Z', type: 'prompt', content: 'second webhook entry' }) + '\n');
+    const second = updateSearchIndex(dir);
+    assert.ok(second.sources['log.jsonl'].offset > offset);
+    assert.equal(Object.keys(second.docs).length, 2);
+  });
+
+  it('journals appended entries instead of rewriting the index, until a full write', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, [{ ts: '2026-03-01T10:00:00Z', type: 'prompt', content: 'first webhook entry' }]);
+    updateSearchIndex(dir);
+    const snapshot = readFileSync(join(dir, SEARCH_INDEX_FILE), 'utf-8');
+
+    appendFileSync(join(dir, 'log.jsonl'), JSON.stringify({ ts: '2026-03-01T11:00:00Z', type: 'prompt', content: 'second webhook entry' }) + '\n');
+    updateSearchIndex(dir);
+    assert.equal(readFileSync(join(dir, SEARCH_INDEX_FILE), 'utf-8'), snapshot);
+    const journal = readFileSync(join(dir, SEARCH_JOURNAL_FILE), 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(journal.map(l => l.docs.map(([, doc]) => doc.text)), [['second webhook entry']]);
+    assert.equal(searchIndex(loadSearchIndex(dir), 'webhook').length, 2);
+
+    writeFileSync(join(dir, 'summary.json'), JSON.stringify({ projectContext: 'Webhook service' }));
+    updateSearchIndex(dir);
+    assert.ok(!existsSync(join(dir, SEARCH_JOURNAL_FILE)));
+    assert.equal(searchIndex(loadSearchIndex(dir), 'webhook').length, 3);
+  });
+
+  it('ignores a trailing partial line until it is complete', () => {
+    const dir = makeProjectDir();
+    writeFileSync(join(dir, 'log.jsonl'), JSON.stringify({ ts: 't1', type: 'prompt', content: 'complete webhook line' }) + '\n{"ts":"t2","type":"pro');
+    const index = updateSearchIndex(dir);
+    assert.equal(Object.keys(index.docs).length, 1);
+  });
+
+  it('keeps summarized-away log entries after truncation without duplicating survivors', () => {
+    const dir = makeProjectDir();
+    const old = { ts: '2026-03-01T10:00:00Z', type: 'commit', content: 'Tune webhook retry limits' };
+    const kept = { ts: '2026-03-01T11:00:00Z', type: 'prompt', content: 'Investigate invoice rounding' };
+    writeLog(dir, [old, kept]);
+    updateSearchIndex(dir);
+
+    writeLog(dir, [kept]); // summarize truncated the log
+    const index = updateSearchIndex(dir);
+    assert.equal(Object.keys(index.docs).length, 2);
+    assert.equal(searchIndex(index, 'webhook retry')[0].text, old.content);
+  });
+
+  it('indexes archived log partitions', () => {
+    const dir = makeProjectDir();
+    archiveLogEntries(dir, [{ ts: '2025-11-02T10:00:00Z', type: 'commit', content: 'Original webhook retry design' }]);
+    const hits = searchIndex(updateSearchIndex(dir), 'webhook');
+    assert.equal(hits.length, 1);
+    assert.equal(hits[0].src, 'archive/2025-11.jsonl.gz');
+    assert.equal(sourceFamily(hits[0].src), 'log');
+  });
+
+  it('indexes summary, briefings and pre-compact extractions', () => {
+    const dir = makeProjectDir();
+    writeFileSync(join(dir, 'summary.json'), JSON.stringify({
+      projectContext: 'Billing platform',
+      keyDecisions: [{ date: '2026-02-01', decision: 'Use Stripe webhooks', reason: 'Reliable delivery' }],
+      currentState: [{ topic: 'Invoices', status: 'In progress' }],
+      recentWork: [{ date: '2026-02-03', summary: 'Added refund flow' }],
+    }));
+    mkdirSync(join(dir, 'briefing-archive'));
+    writeFileSync(join(dir, 'briefing-archive', '2026-02-04T10-00-00-000Z.json'), JSON.stringify({
+      ts: '2026-02-04T10:00:00Z', summary: 'Paused mid refund flow', nextSteps: ['Finish partial refunds'],
+    }));
+    writeFileSync(join(dir, 'extracted-context.json'), JSON.stringify([
+      { ts: '2026-02-05T10:00:00Z', trigger: 'auto', errors: ['Stripe signature mismatch in test mode'] },
+    ]));
+
+    const index = updateSearchIndex(dir);
+    const families = new Set(Object.values(index.docs).map(d => sourceFamily(d.src)));
+    assert.deepStrictEqual([...families].sort(), ['briefing', 'extraction', 'summary']);
+    const refundSources = searchIndex(index, 'refund').map(h => sourceFamily(h.src)).sort();
+    assert.deepStrictEqual(refundSources, ['briefing', 'summary']);
+  });
+
+  it('replaces docs when a whole-file source changes and drops removed sources', () => {
+    const dir = makeProjectDir();
+    const summaryPath = join(dir, 'summary.json');
+    writeFileSync(summaryPath, JSON.stringify({ projectContext: 'Original context about webhooks' }));
+    updateSearchIndex(dir);
+
+    writeFileSync(summaryPath, JSON.stringify({ projectContext: 'Rewritten context about invoices', lastUpdated: 'x' }));
+    let index = updateSearchIndex(dir);
+    assert.equal(searchIndex(index, 'webhooks').length, 0);
+    assert.equal(searchIndex(index, 'invoices').length, 1);
+
+    rmSync(summaryPath);
+    index = updateSearchIndex(dir);
+    assert.equal(Object.keys(index.docs).length, 0);
+    assert.equal(index.postings.invoices, undefined);
+  });
+});
+
+// ============================================================================
+// searchIndex
+// ============================================================================
+describe('searchIndex', () => {
+  it('ranks documents by term relevance', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, [
+      { ts: '2026-03-01T10:00:00Z', type: 'prompt', content: 'webhook retry webhook retry logic' },
+      { ts: '2026-03-02T10:00:00Z', type: 'prompt', content: 'mentioned webhook once among many other unrelated words here' },
+      { ts: '2026-03-03T10:00:00Z', type: 'prompt', content: 'nothing relevant' },
+    ]);
+    const hits = searchIndex(updateSearchIndex(dir), 'webhook retry');
+    assert.equal(hits.length, 2);
+    assert.ok(hits[0].text.startsWith('webhook retry'));
+    assert.equal(hits[0].ts, '2026-03-01T10:00:00Z');
+    assert.equal(hits[0].src, 'log.jsonl');
+  });
+
+  it('filters by source family and date', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, [
+      { ts: '2026-01-01T10:00:00Z', type: 'prompt', content: 'old webhook work' },
+      { ts: '2026-03-01T10:00:00Z', type: 'prompt', content: 'new webhook work' },
+    ]);
+    writeFileSync(join(dir, 'summary.json'), JSON.stringify({ projectContext: 'webhook platform' }));
+    const index = updateSearchIndex(dir);
+
+    assert.ok(searchIndex(index, 'webhook', { sources: ['summary'] }).every(h => h.src === 'summary.json'));
+    const recent = searchIndex(index, 'webhook', { sources: ['log'], since: '2026-02-01' });
+    assert.deepStrictEqual(recent.map(h => h.text), ['new webhook work']);
+  });
+
+  it('respects the limit and returns nothing for stopword-only queries', () => {
+    const dir = makeProjectDir();
+    writeLog(dir, Array.from({ length: 5 }, (_, i) => ({ ts: `2026-03-0${i + 1}T10:00:00Z`, type: 'prompt', content: `webhook note ${i}` })));
+    const index = updateSearchIndex(dir);
+    assert.equal(searchIndex(index, 'webhook', { limit: 3 }).length, 3);
+    assert.deepStrictEqual(searchIndex(index, 'the and'), []);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Team Memory — repo-local shared layer committed alongside the code.
+ *
+ * <project root>/.mneme/shared.json holds remembered items and key decisions
+ * the whole team should inherit through git:
+ *
+ *   {
+ *     "remembered":   [{ ts, type, content }],
+ *     "keyDecisions": [{ date, decision, reason, foundational }]
+ *   }
+ *
+ * It is merged with the private per-machine layer (~/.claude-mneme/projects/)
+ * on read. Merged items carry `scope: 'team'`; the file itself never does.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+import { emptyStructuredSummary } from './summary-format.mjs';
+
+export const SHARED_DIR = '.mneme';
+export const SHARED_FILE = 'shared.json';
+
+export function sharedMemoryPath(projectRoot) {
+  return join(projectRoot, SHARED_DIR, SHARED_FILE);
+}
+
+function contentKey(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+function withoutScope({ scope, ...item }) {
+  return item;
+}
+
+/**
+ * Read shared.json. Missing or corrupt files read as empty.
+ * @param {string} filePath
+ * @param {(err: Error) => void} [onError] - Called when the file exists but can't be parsed
+ * @returns {{ remembered: object[], keyDecisions: object[] }}
+ */
+export function readSharedMemory(filePath, onError) {
+  const empty = { remembered: [], keyDecisions: [] };
+  if (!existsSync(filePath)) return empty;
+  try {
+    const data = JSON.parse(readFileSync(filePath, 'utf-8'));
+    return {
+      ...data,
+      remembered: Array.isArray(data?.remembered) ? data.remembered.filter(e => e?.content) : [],
+      keyDecisions: Array.isArray(data?.keyDecisions) ? data.keyDecisions.filter(d => d?.decision) : [],
+    };
+  } catch (err) {
+    onError?.(err);
+    return empty;
+  }
+}
+
+/**
+ * Write shared.json with a stable layout so diffs stay reviewable.
+ * Creates .mneme/ if needed. Callers handle locking.
+ */
+export function writeSharedMemory(filePath, data) {
+  const { remembered = [], keyDecisions = [], ...rest } = data || {};
+  writeFileAtomic(filePath, JSON.stringify({
+    ...rest,
+    remembered: remembered.map(withoutScope),
+    keyDecisions: keyDecisions.map(withoutScope),
+  }, null, 2) + '\n');
+}
+
+/**
+ * Merge the team layer into data read from the private layer.
+ *
+ * Team items come first and are tagged `scope: 'team'`; private items that
+ * duplicate a team item (case-insensitive) are dropped. Team decisions default
+ * to foundational. If only the team layer has decisions, an empty summary is
+ * created to hold them.
+ *
+ * @param {{ summary: object|null, remembered: object[] }} data
+ * @param {{ remembered: object[], keyDecisions: object[] }} shared
+ * @returns {object} A new data object (inputs are not modified)
+ */
+export function mergeSharedMemory(data, shared) {
+  const teamRemembered = shared?.remembered || [];
+  const teamDecisions = shared?.keyDecisions || [];
+  if (teamRemembered.length === 0 && teamDecisions.length === 0) return data;
+
+  const teamContent = new Set(teamRemembered.map(e => contentKey(e.content)));
+  const remembered = [
+    ...teamRemembered.map(e => ({ ...e, scope: 'team' })),
+    ...(data.remembered || []).filter(e => !teamContent.has(contentKey(e.content))),
+  ];
+
+  let summary = data.summary;
+  if (teamDecisions.length > 0) {
+    const base = summary || emptyStructuredSummary();
+    const teamText = new Set(teamDecisions.map(d => contentKey(d.decision)));
+    summary = {
+      ...base,
+      keyDecisions: [
+        ...teamDecisions.map(d => ({ foundational: true, ...d, scope: 'team' })),
+        ...(base.keyDecisions || []).filter(d => !teamText.has(contentKey(d.decision))),
+      ],
+    };
+  }
+
+  return { ...data, remembered, summary };
+}
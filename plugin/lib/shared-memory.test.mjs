@@ -0,0 +1,81 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, mkdirSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  sharedMemoryPath,
+  readSharedMemory,
+  writeSharedMemory,
+  mergeSharedMemory
+} from './shared-memory.mjs';
+
+describe('readSharedMemory / writeSharedMemory', () => {
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'mneme-shared-'));
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('reads a missing or corrupt file as empty', () => {
+    const filePath = sharedMemoryPath(root);
+    assert.deepEqual(readSharedMemory(filePath), { remembered: [], keyDecisions: [] });
+
+    mkdirSync(join(root, '.mneme'), { recursive: true });
+    writeFileSync(filePath, '{ not json');
+    let reported = null;
+    assert.deepEqual(readSharedMemory(filePath, e => { reported = e; }), { remembered: [], keyDecisions: [] });
+    assert.ok(reported);
+  });
+
+  it('round-trips without scope tags and keeps unknown keys', () => {
+    const filePath = sharedMemoryPath(root);
+    writeSharedMemory(filePath, {
+      version: 1,
+      remembered: [{ type: 'fact', content: 'Deploys go through staging', scope: 'team' }],
+      keyDecisions: [{ decision: 'Use ESM' }],
+    });
+
+    const raw = JSON.parse(readFileSync(filePath, 'utf-8'));
+    assert.equal(raw.remembered[0].scope, undefined);
+    assert.equal(raw.version, 1);
+    assert.deepEqual(readSharedMemory(filePath).keyDecisions, [{ decision: 'Use ESM' }]);
+  });
+});
+
+describe('mergeSharedMemory', () => {
+  it('returns data unchanged when the team layer is empty', () => {
+    const data = { summary: null, remembered: [{ content: 'x' }] };
+    assert.equal(mergeSharedMemory(data, { remembered: [], keyDecisions: [] }), data);
+  });
+
+  it('puts team items first and drops private duplicates', () => {
+    const merged = mergeSharedMemory(
+      { summary: null, remembered: [{ type: 'note', content: 'Use pnpm ' }, { type: 'note', content: 'Mine' }] },
+      { remembered: [{ type: 'fact', content: 'use pnpm' }], keyDecisions: [] }
+    );
+    assert.deepEqual(merged.remembered.map(e => [e.content, e.scope]), [['use pnpm', 'team'], ['Mine', undefined]]);
+    assert.equal(merged.summary, null);
+  });
+
+  it('merges team decisions as foundational and creates a summary if needed', () => {
+    const shared = { remembered: [], keyDecisions: [{ decision: 'Use ESM', foundational: false }, { decision: 'Use Redis' }] };
+
+    const fromNothing = mergeSharedMemory({ summary: null, remembered: [] }, shared);
+    assert.deepEqual(fromNothing.summary.keyDecisions.map(d => [d.decision, d.foundational, d.scope]), [
+      ['Use ESM', false, 'team'],
+      ['Use Redis', true, 'team'],
+    ]);
+
+    const summary = { projectContext: 'p', keyDecisions: [{ decision: 'use redis' }, { decision: 'Local only' }] };
+    const merged = mergeSharedMemory({ summary, remembered: [] }, shared);
+    assert.deepEqual(merged.summary.keyDecisions.map(d => d.decision), ['Use ESM', 'Use Redis', 'Local only']);
+    assert.equal(merged.summary.projectContext, 'p');
+    assert.equal(summary.keyDecisions.length, 2);
+  });
+});
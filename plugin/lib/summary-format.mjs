@@ -1,3 +1,5 @@
+import { isActiveDecision } from './decisions.mjs';
+
 export const MAX_DECISION_LINE = 160;
 
 function localTime(ts) {
@@ -37,6 +39,13 @@ function formatEntryBrief(entry) {
     }
     case 'commit':
       return `Commit: ${stripPrefix(c, 'Git commit: ')}`;
+    case 'test':
+    case 'build': {
+      const label = entry.type === 'test' ? 'Tests' : 'Build';
+      return entry.runner ? `${label} (${entry.runner}): ${stripPrefix(c, `${entry.runner}: `)}` : `${label}: ${c}`;
+    }
+    case 'fix':
+      return entry.cause ? `Fixed: ${entry.cause} → ${entry.resolution}` : `Fixed: ${c}`;
     default:
       return `(${entry.type}) ${c}`;
   }
@@ -73,9 +82,12 @@ function groupIntoWorkUnits(entries, windowMs) {
 
   return groups.map(group => {
     const ts = group[0].ts;
+    // Monorepo workspace the work was done in, as a [name] prefix
+    const workspace = group.find(e => e.workspace)?.workspace;
+    const label = workspace ? `[${workspace}] ` : '';
 
     if (group.length === 1) {
-      return { ts, text: formatEntryBrief(group[0]) };
+      return { ts, text: label + formatEntryBrief(group[0]) };
     }
 
     const prompts = group.filter(e => e.type === 'prompt');
@@ -113,7 +125,7 @@ function groupIntoWorkUnits(entries, windowMs) {
       parts.push(formatEntryBrief(o));
     }
 
-    return { ts, text: parts.join(' → ') };
+    return { ts, text: label + parts.join(' → ') };
   });
 }
 
@@ -155,7 +167,21 @@ export function emptyStructuredSummary() {
   };
 }
 
-export function formatDecisionLine(d) {
+function formatInactiveDecisionLine(d, replacement) {
+  const note = d.status === 'superseded'
+    ? `superseded by: ${replacement?.decision || d.supersededBy || 'a later decision'}`
+    : `reverted${d.history?.at(-1)?.reason ? `: ${d.history.at(-1).reason}` : ''}`;
+  const full = `- ~~${d.decision || ''}~~ — ${note}`;
+  return full.length <= MAX_DECISION_LINE ? full : `${full.slice(0, MAX_DECISION_LINE - 3).trim()}...`;
+}
+
+/**
+ * Format one decision as a markdown bullet.
+ * Superseded/reverted decisions are struck through and annotated;
+ * pass the replacing decision as options.replacement to name it.
+ */
+export function formatDecisionLine(d, options = {}) {
+  if (!isActiveDecision(d)) return formatInactiveDecisionLine(d, options.replacement);
   const decision = d.decision || '';
   if (!d.reason) return `- **${decision}**`;
   const full = `- **${decision}** — ${d.reason}`;
@@ -189,10 +215,17 @@ export function renderSummaryToMarkdown(summary, projectName, options = {}) {
   const kdConfig = sections.keyDecisions || { enabled: true, maxItems: 10 };
   if (kdConfig.enabled !== false && summary.keyDecisions?.length > 0) {
     const maxItems = kdConfig.maxItems || 10;
-    const decisions = summary.keyDecisions.slice(-maxItems);
-    highLines.push('\n## Key Decisions');
-    for (const d of decisions) {
-      highLines.push(formatDecisionLine(d));
+    // Superseded/reverted decisions are hidden unless showSuperseded is set
+    const decisions = summary.keyDecisions
+      .filter(d => kdConfig.showSuperseded === true || isActiveDecision(d))
+      .slice(-maxItems);
+    const byId = new Map(summary.keyDecisions.filter(d => d.id).map(d => [d.id, d]));
+
+    if (decisions.length > 0) {
+      highLines.push('\n## Key Decisions');
+      for (const d of decisions) {
+        highLines.push(formatDecisionLine(d, { replacement: byId.get(d.supersededBy) }));
+      }
     }
   }
 
@@ -238,7 +271,8 @@ export function renderSummaryToMarkdown(summary, projectName, options = {}) {
       mediumLines.push('\n## Recent Work');
       for (const w of recentWork) {
         const date = w.date ? `[${w.date}] ` : '';
-        mediumLines.push(`- ${date}${w.summary}`);
+        const workspace = w.workspace ? `(${w.workspace}) ` : '';
+        mediumLines.push(`- ${date}${workspace}${w.summary}`);
       }
     }
   }
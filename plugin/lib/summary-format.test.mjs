@@ -40,6 +40,18 @@ describe('formatEntry', () => {
     assert.ok(!result.includes('Git commit:'));
   });
 
+  it('formats test and build entries', () => {
+    const test = { ts: '2025-01-15T10:30:00Z', type: 'test', runner: 'jest', content: 'jest: 2 failing, 34 passing' };
+    assert.ok(formatEntry(test).endsWith('Tests (jest): 2 failing, 34 passing'));
+    const build = { ts: '2025-01-15T10:30:00Z', type: 'build', runner: 'tsc', content: 'tsc: no errors' };
+    assert.ok(formatEntry(build).endsWith('Build (tsc): no errors'));
+  });
+
+  it('formats fix entries', () => {
+    const fix = { ts: '2025-01-15T10:30:00Z', type: 'fix', cause: 'TypeError: x is undefined', resolution: 'Changed src/a.js', content: '…' };
+    assert.ok(formatEntry(fix).endsWith('Fixed: TypeError: x is undefined → Changed src/a.js'));
+  });
+
   it('formats agent entry', () => {
     const entry = { ts: '2025-01-15T10:30:00Z', type: 'agent', content: 'analyzed code', agent_type: 'review' };
     const result = formatEntry(entry);
@@ -162,6 +174,21 @@ describe('formatDecisionLine', () => {
   });
 });
 
+describe('formatDecisionLine — lifecycle', () => {
+  it('annotates reverted decisions with the latest reason', () => {
+    const result = formatDecisionLine({
+      decision: 'Use sync locks', status: 'reverted',
+      history: [{ date: '2026-10-01', status: 'reverted', reason: 'Deadlocks' }]
+    });
+    assert.equal(result, '- ~~Use sync locks~~ — reverted: Deadlocks');
+  });
+
+  it('falls back to the supersededBy id without a replacement', () => {
+    const result = formatDecisionLine({ decision: 'Old', status: 'superseded', supersededBy: 'd9' });
+    assert.equal(result, '- ~~Old~~ — superseded by: d9');
+  });
+});
+
 describe('renderSummaryToMarkdown', () => {
   it('renders header', () => {
     const s = emptyStructuredSummary();
@@ -193,6 +220,43 @@ describe('renderSummaryToMarkdown', () => {
     assert.ok(result.high.includes('Use ESM'));
   });
 
+  it('hides superseded and reverted decisions by default', () => {
+    const s = {
+      ...emptyStructuredSummary(),
+      keyDecisions: [
+        { id: 'd1', decision: 'Use REST', status: 'superseded', supersededBy: 'd2' },
+        { id: 'd2', decision: 'Use gRPC', supersedes: 'd1' },
+        { id: 'd3', decision: 'Cache in memory', status: 'reverted' },
+      ]
+    };
+    const result = renderSummaryToMarkdown(s, 'test-project');
+    assert.ok(result.high.includes('Use gRPC'));
+    assert.ok(!result.high.includes('Use REST'));
+    assert.ok(!result.high.includes('Cache in memory'));
+  });
+
+  it('annotates superseded decisions when showSuperseded is set', () => {
+    const s = {
+      ...emptyStructuredSummary(),
+      keyDecisions: [
+        { id: 'd1', decision: 'Use REST', status: 'superseded', supersededBy: 'd2' },
+        { id: 'd2', decision: 'Use gRPC' },
+      ]
+    };
+    const result = renderSummaryToMarkdown(s, 'test-project', {
+      sections: { keyDecisions: { enabled: true, showSuperseded: true } }
+    });
+    assert.ok(result.high.includes('- ~~Use REST~~ — superseded by: Use gRPC'));
+  });
+
+  it('omits the section when every decision is inactive', () => {
+    const s = {
+      ...emptyStructuredSummary(),
+      keyDecisions: [{ decision: 'Gone', status: 'reverted' }]
+    };
+    assert.ok(!renderSummaryToMarkdown(s, 'test-project').high.includes('## Key Decisions'));
+  });
+
   it('renders current state', () => {
     const s = {
       ...emptyStructuredSummary(),
@@ -0,0 +1,204 @@
+/**
+ * Summary History — bounded version history for summary.json.
+ *
+ * Every write of summary.json goes through writeSummaryVersion(), which
+ * snapshots the new content to <project>/summary-history/v<N>.json along
+ * with the reason it changed. Old versions beyond maxVersions are pruned.
+ *
+ * Reasons: incremental, pre-compact, migration, manual, dashboard-edit,
+ * restore, initial (pre-existing summary captured on first snapshot).
+ */
+
+import { existsSync, readFileSync, readdirSync, rmSync, mkdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const SUMMARY_HISTORY_DIR = 'summary-history';
+export const DEFAULT_MAX_VERSIONS = 20;
+
+const VERSION_RE = /^v(\d+)\.json$/;
+
+function historyDir(projectDir) {
+  return join(projectDir, SUMMARY_HISTORY_DIR);
+}
+
+function versionFile(projectDir, version) {
+  return join(historyDir(projectDir), `v${version}.json`);
+}
+
+function versionNumbers(projectDir) {
+  const dir = historyDir(projectDir);
+  if (!existsSync(dir)) return [];
+  return readdirSync(dir)
+    .map(f => f.match(VERSION_RE)?.[1])
+    .filter(Boolean)
+    .map(Number)
+    .sort((a, b) => a - b);
+}
+
+// ============================================================================
+// Read
+// ============================================================================
+
+/**
+ * List recorded versions, oldest first (metadata only — no summary bodies).
+ * @returns {Array<{ version: number, ts: string, reason: string, counts: object }>}
+ */
+export function listSummaryVersions(projectDir) {
+  const versions = [];
+  for (const n of versionNumbers(projectDir)) {
+    const v = readSummaryVersion(projectDir, n);
+    if (v) versions.push({ version: v.version, ts: v.ts, reason: v.reason, counts: v.counts });
+  }
+  return versions;
+}
+
+/**
+ * Read one version including its summary body. Returns null if missing/corrupt.
+ */
+export function readSummaryVersion(projectDir, version) {
+  const file = versionFile(projectDir, version);
+  if (!existsSync(file)) return null;
+  try {
+    return JSON.parse(readFileSync(file, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function sectionCounts(summary) {
+  return {
+    keyDecisions: summary?.keyDecisions?.length || 0,
+    currentState: summary?.currentState?.length || 0,
+    recentWork: summary?.recentWork?.length || 0,
+  };
+}
+
+// ============================================================================
+// Write
+// ============================================================================
+
+/**
+ * Snapshot a summary as the next version and prune old versions.
+ * @returns {number} The new version number
+ */
+export function recordSummaryVersion(projectDir, summary, reason, { maxVersions = DEFAULT_MAX_VERSIONS } = {}) {
+  const existing = versionNumbers(projectDir);
+  const version = (existing[existing.length - 1] || 0) + 1;
+
+  mkdirSync(historyDir(projectDir), { recursive: true });
+  writeFileAtomic(versionFile(projectDir, version), JSON.stringify({
+    version,
+    ts: new Date().toISOString(),
+    reason,
+    counts: sectionCounts(summary),
+    summary,
+  }, null, 2) + '\n');
+
+  const keep = Math.max(1, maxVersions);
+  const all = [...existing, version];
+  for (const n of all.slice(0, Math.max(0, all.length - keep))) {
+    rmSync(versionFile(projectDir, n), { force: true });
+  }
+  return version;
+}
+
+/**
+ * Write summary.json and record it in the history.
+ *
+ * If no history exists yet but summary.json does, the current file is
+ * captured first as an `initial` version so the very first overwrite can
+ * still be rolled back. History failures never block the summary write.
+ *
+ * @param {string} projectDir - Project memory dir
+ * @param {object} summary
+ * @param {string} reason
+ * @param {{ maxVersions?: number, summaryPath?: string, onError?: (err: Error) => void }} [options]
+ */
+export function writeSummaryVersion(projectDir, summary, reason, options = {}) {
+  const summaryPath = options.summaryPath || join(projectDir, 'summary.json');
+
+  try {
+    if (versionNumbers(projectDir).length === 0 && existsSync(summaryPath)) {
+      const previous = JSON.parse(readFileSync(summaryPath, 'utf-8'));
+      recordSummaryVersion(projectDir, previous, 'initial', options);
+    }
+  } catch (err) {
+    options.onError?.(err);
+  }
+
+  writeFileAtomic(summaryPath, JSON.stringify(summary, null, 2) + '\n');
+
+  try {
+    return recordSummaryVersion(projectDir, summary, reason, options);
+  } catch (err) {
+    options.onError?.(err);
+    return null;
+  }
+}
+
+/**
+ * Restore a recorded version as the current summary (recorded as a new version).
+ * @returns {number|null} New version number, or null if the version doesn't exist
+ */
+export function restoreSummaryVersion(projectDir, version, reason = 'restore', options = {}) {
+  const v = readSummaryVersion(projectDir, version);
+  if (!v?.summary) return null;
+  return writeSummaryVersion(projectDir, v.summary, reason, options);
+}
+
+// ============================================================================
+// Diff
+// ============================================================================
+
+function listDiff(before, after, keyFn) {
+  const beforeKeys = new Set((before || []).map(keyFn));
+  const afterKeys = new Set((after || []).map(keyFn));
+  return {
+    added: (after || []).filter(i => !beforeKeys.has(keyFn(i))),
+    removed: (before || []).filter(i => !afterKeys.has(keyFn(i))),
+  };
+}
+
+/**
+ * Section-by-section diff between two summaries.
+ *
+ * Decisions and recent work are matched by their text; current state is
+ * matched by topic so a status change shows up as `changed`. Decision
+ * lifecycle changes (active → superseded/reverted) also show up as `changed`.
+ *
+ * @returns {{ projectContext: {before: string, after: string}|null,
+ *   keyDecisions: {added: object[], removed: object[], changed: Array<{topic: string, before: string, after: string}>},
+ *   currentState: {added: object[], removed: object[], changed: Array<{topic: string, before: string, after: string}>},
+ *   recentWork: {added: object[], removed: object[]},
+ *   unchanged: boolean }}
+ */
+export function diffSummaries(before = {}, after = {}) {
+  const projectContext = (before?.projectContext || '') !== (after?.projectContext || '')
+    ? { before: before?.projectContext || '', after: after?.projectContext || '' }
+    : null;
+
+  const keyDecisions = listDiff(before?.keyDecisions, after?.keyDecisions, d => d.decision);
+  const decisionStatus = new Map((before?.keyDecisions || []).map(d => [d.decision, d.status || 'active']));
+  keyDecisions.changed = (after?.keyDecisions || [])
+    .filter(d => decisionStatus.has(d.decision) && decisionStatus.get(d.decision) !== (d.status || 'active'))
+    .map(d => ({ topic: d.decision, before: decisionStatus.get(d.decision), after: d.status || 'active' }));
+  const recentWork = listDiff(before?.recentWork, after?.recentWork, w => w.summary);
+
+  const stateBefore = new Map((before?.currentState || []).map(s => [s.topic, s]));
+  const stateAfter = new Map((after?.currentState || []).map(s => [s.topic, s]));
+  const currentState = {
+    added: [...stateAfter.values()].filter(s => !stateBefore.has(s.topic)),
+    removed: [...stateBefore.values()].filter(s => !stateAfter.has(s.topic)),
+    changed: [...stateAfter.values()]
+      .filter(s => stateBefore.has(s.topic) && stateBefore.get(s.topic).status !== s.status)
+      .map(s => ({ topic: s.topic, before: stateBefore.get(s.topic).status, after: s.status })),
+  };
+
+  const unchanged = !projectContext
+    && [keyDecisions, recentWork, currentState].every(d => d.added.length === 0 && d.removed.length === 0)
+    && currentState.changed.length === 0
+    && keyDecisions.changed.length === 0;
+
+  return { projectContext, keyDecisions, currentState, recentWork, unchanged };
+}
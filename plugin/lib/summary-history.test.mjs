@@ -0,0 +1,124 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, writeFileSync, readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import {
+  recordSummaryVersion,
+  writeSummaryVersion,
+  listSummaryVersions,
+  readSummaryVersion,
+  restoreSummaryVersion,
+  diffSummaries,
+} from './summary-history.mjs';
+
+function makeProjectDir() {
+  return mkdtempSync(join(tmpdir(), 'mneme-history-'));
+}
+
+const summaryA = {
+  projectContext: 'Billing platform',
+  keyDecisions: [{ decision: 'Use Stripe', reason: 'Mature API' }],
+  currentState: [{ topic: 'Invoices', status: 'In progress' }],
+  recentWork: [{ date: '2026-10-01', summary: 'Added invoice list' }],
+};
+
+const summaryB = {
+  projectContext: 'Billing platform',
+  keyDecisions: [{ decision: 'Use Postgres', reason: 'Relational' }],
+  currentState: [{ topic: 'Invoices', status: 'Done' }, { topic: 'Refunds', status: 'Started' }],
+  recentWork: [{ date: '2026-10-01', summary: 'Added invoice list' }],
+};
+
+// ============================================================================
+// recordSummaryVersion / listSummaryVersions
+// ============================================================================
+describe('recordSummaryVersion', () => {
+  it('numbers versions sequentially with reason and section counts', () => {
+    const dir = makeProjectDir();
+    assert.equal(recordSummaryVersion(dir, summaryA, 'incremental'), 1);
+    assert.equal(recordSummaryVersion(dir, summaryB, 'pre-compact'), 2);
+
+    const versions = listSummaryVersions(dir);
+    assert.deepStrictEqual(versions.map(v => v.reason), ['incremental', 'pre-compact']);
+    assert.deepStrictEqual(versions[1].counts, { keyDecisions: 1, currentState: 2, recentWork: 1 });
+    assert.deepStrictEqual(readSummaryVersion(dir, 1).summary, summaryA);
+  });
+
+  it('prunes the oldest versions beyond maxVersions', () => {
+    const dir = makeProjectDir();
+    for (let i = 0; i < 5; i++) recordSummaryVersion(dir, summaryA, 'incremental', { maxVersions: 3 });
+    assert.deepStrictEqual(listSummaryVersions(dir).map(v => v.version), [3, 4, 5]);
+    assert.equal(readdirSync(join(dir, 'summary-history')).length, 3);
+  });
+
+  it('returns null for unknown versions', () => {
+    assert.equal(readSummaryVersion(makeProjectDir(), 42), null);
+  });
+});
+
+// ============================================================================
+// writeSummaryVersion / restoreSummaryVersion
+// ============================================================================
+describe('writeSummaryVersion', () => {
+  it('writes summary.json and captures a pre-existing summary as initial', () => {
+    const dir = makeProjectDir();
+    writeFileSync(join(dir, 'summary.json'), JSON.stringify(summaryA));
+
+    const version = writeSummaryVersion(dir, summaryB, 'incremental');
+    assert.equal(version, 2);
+    assert.deepStrictEqual(JSON.parse(readFileSync(join(dir, 'summary.json'), 'utf-8')), summaryB);
+    assert.deepStrictEqual(listSummaryVersions(dir).map(v => v.reason), ['initial', 'incremental']);
+  });
+
+  it('honours a custom summaryPath', () => {
+    const dir = makeProjectDir();
+    const summaryPath = join(dir, 'custom.json');
+    writeSummaryVersion(dir, summaryA, 'manual', { summaryPath });
+    assert.deepStrictEqual(JSON.parse(readFileSync(summaryPath, 'utf-8')), summaryA);
+  });
+
+  it('restores an old version as a new version', () => {
+    const dir = makeProjectDir();
+    writeSummaryVersion(dir, summaryA, 'incremental');
+    writeSummaryVersion(dir, summaryB, 'incremental');
+
+    assert.equal(restoreSummaryVersion(dir, 1), 3);
+    assert.deepStrictEqual(JSON.parse(readFileSync(join(dir, 'summary.json'), 'utf-8')), summaryA);
+    assert.equal(listSummaryVersions(dir).pop().reason, 'restore');
+    assert.equal(restoreSummaryVersion(dir, 99), null);
+  });
+});
+
+// ============================================================================
+// diffSummaries
+// ============================================================================
+describe('diffSummaries', () => {
+  it('diffs each section', () => {
+    const diff = diffSummaries(summaryA, summaryB);
+    assert.equal(diff.unchanged, false);
+    assert.equal(diff.projectContext, null);
+    assert.deepStrictEqual(diff.keyDecisions.added.map(d => d.decision), ['Use Postgres']);
+    assert.deepStrictEqual(diff.keyDecisions.removed.map(d => d.decision), ['Use Stripe']);
+    assert.deepStrictEqual(diff.currentState.added.map(s => s.topic), ['Refunds']);
+    assert.deepStrictEqual(diff.currentState.changed, [{ topic: 'Invoices', before: 'In progress', after: 'Done' }]);
+    assert.deepStrictEqual(diff.recentWork, { added: [], removed: [] });
+  });
+
+  it('reports decision status changes', () => {
+    const before = { keyDecisions: [{ decision: 'Use REST' }] };
+    const after = { keyDecisions: [{ decision: 'Use REST', status: 'superseded' }] };
+    const diff = diffSummaries(before, after);
+    assert.equal(diff.unchanged, false);
+    assert.deepStrictEqual(diff.keyDecisions.changed, [{ topic: 'Use REST', before: 'active', after: 'superseded' }]);
+  });
+
+  it('reports identical summaries as unchanged', () => {
+    assert.equal(diffSummaries(summaryA, structuredClone(summaryA)).unchanged, true);
+  });
+
+  it('detects project context changes and tolerates missing summaries', () => {
+    const diff = diffSummaries(null, { projectContext: 'New' });
+    assert.deepStrictEqual(diff.projectContext, { before: '', after: 'New' });
+  });
+});
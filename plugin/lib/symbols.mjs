@@ -0,0 +1,507 @@
+/**
+ * Symbol extraction — the classes, functions, methods, types and routes a
+ * JS/TS, Python or Go source file defines, with their line ranges.
+ *
+ * Not a parser: a small tokenizer per language blanks out comments and
+ * strings (keeping offsets and line numbers), and declarations are matched
+ * at their nesting level, braces for JS/TS and Go, indentation for Python.
+ * That finds what a reader would look a file up by without a dependency.
+ *
+ *   { name: 'AuthService.refresh', kind: 'method', line: 42, endLine: 58 }
+ *   { name: 'POST /sessions', kind: 'route', line: 12, endLine: 12 }
+ *
+ * For a Write every symbol of the file is recorded; for an Edit only those
+ * whose lines the new text overlaps.
+ */
+
+export const DEFAULT_MAX_SYMBOLS = 50;
+
+const LANGUAGE_BY_EXTENSION = {
+  js: 'js', mjs: 'js', cjs: 'js', jsx: 'js',
+  ts: 'ts', mts: 'ts', cts: 'ts', tsx: 'ts',
+  py: 'python', pyi: 'python',
+  go: 'go',
+};
+
+const HTTP_METHODS = ['get', 'post', 'put', 'patch', 'delete', 'head', 'options', 'all'];
+
+/**
+ * The language a file is extracted as, or null.
+ */
+export function languageFor(filePath) {
+  const ext = String(filePath || '').split('.').pop().toLowerCase();
+  return LANGUAGE_BY_EXTENSION[ext] || null;
+}
+
+// ---------------------------------------------------------------------------
+// Masking: comments and string contents become spaces, newlines stay
+// ---------------------------------------------------------------------------
+
+const REGEX_PRECEDERS = new Set(['(', ',', '=', ':', '[', '!', '&', '|', '?', '{', '}', ';', '+', '-', '*', '%', '<', '>', '~', '^']);
+const REGEX_KEYWORDS = /\b(?:return|typeof|case|in|of|delete|void|throw|new|yield|await)$/;
+
+/**
+ * @returns {{ masked: string, strings: Map<number, string> }} strings maps the
+ *   offset of each literal's opening quote to its contents
+ */
+function mask(source, language) {
+  const out = source.split('');
+  const strings = new Map();
+  const n = source.length;
+  const blank = (from, to) => {
+    for (let k = from; k < to; k++) if (out[k] !== '\n') out[k] = ' ';
+  };
+  let i = 0;
+  let lastSignificant = '';
+
+  // A quoted literal from i (the quote); returns the index after it
+  const quoted = (quote, multiline) => {
+    let j = i + quote.length;
+    while (j < n) {
+      if (source[j] === '\\') { j += 2; continue; }
+      if (source.startsWith(quote, j)) break;
+      if (source[j] === '\n' && !multiline) break;
+      j++;
+    }
+    strings.set(i, source.slice(i + quote.length, j));
+    blank(i + quote.length, j);
+    return Math.min(j + quote.length, n);
+  };
+
+  while (i < n) {
+    const c = source[i];
+    const next = source[i + 1];
+
+    if (language === 'python') {
+      if (c === '#') {
+        const end = source.indexOf('\n', i);
+        blank(i, end === -1 ? n : end);
+        i = end === -1 ? n : end;
+        continue;
+      }
+      if (c === '"' || c === "'") {
+        const triple = source.startsWith(c.repeat(3), i);
+        i = quoted(triple ? c.repeat(3) : c, triple);
+        continue;
+      }
+      i++;
+      continue;
+    }
+
+    if (c === '/' && next === '/') {
+      const end = source.indexOf('\n', i);
+      blank(i, end === -1 ? n : end);
+      i = end === -1 ? n : end;
+      continue;
+    }
+    if (c === '/' && next === '*') {
+      const end = source.indexOf('*/', i + 2);
+      blank(i, end === -1 ? n : end + 2);
+      i = end === -1 ? n : end + 2;
+      continue;
+    }
+    if (c === '"' || c === "'") {
+      i = quoted(c, false);
+      lastSignificant = c;
+      continue;
+    }
+    if (c === '`') {
+      if (language === 'go') {
+        i = quoted('`', true);
+      } else {
+        i = templateLiteral(source, i, out, strings);
+      }
+      lastSignificant = '`';
+      continue;
+    }
+    if (c === '/' && language !== 'go') {
+      const before = source.slice(Math.max(0, i - 10), i).trimEnd();
+      if (!lastSignificant || REGEX_PRECEDERS.has(lastSignificant) || REGEX_KEYWORDS.test(before)) {
+        i = regexLiteral(source, i, out);
+        lastSignificant = '/';
+        continue;
+      }
+    }
+    if (!/\s/.test(c)) lastSignificant = c;
+    i++;
+  }
+  return { masked: out.join(''), strings };
+}
+
+// A JS template literal from its backtick, `${…}` expressions included
+function templateLiteral(source, start, out, strings) {
+  let j = start + 1;
+  let depth = 0;
+  while (j < source.length) {
+    const c = source[j];
+    if (c === '\\') { j += 2; continue; }
+    if (depth === 0 && c === '`') break;
+    if (c === '$' && source[j + 1] === '{') { depth++; j += 2; continue; }
+    if (depth > 0 && c === '{') depth++;
+    if (depth > 0 && c === '}') depth--;
+    j++;
+  }
+  strings.set(start, source.slice(start + 1, j));
+  for (let k = start + 1; k < j; k++) if (out[k] !== '\n') out[k] = ' ';
+  return Math.min(j + 1, source.length);
+}
+
+function regexLiteral(source, start, out) {
+  let j = start + 1;
+  let inClass = false;
+  while (j < source.length && source[j] !== '\n') {
+    const c = source[j];
+    if (c === '\\') { j += 2; continue; }
+    if (c === '[') inClass = true;
+    else if (c === ']') inClass = false;
+    else if (c === '/' && !inClass) break;
+    j++;
+  }
+  if (source[j] !== '/') return start + 1; // Not a regex after all
+  j++;
+  while (j < source.length && /[a-z]/i.test(source[j])) j++;
+  for (let k = start; k < j; k++) out[k] = ' ';
+  return j;
+}
+
+// ---------------------------------------------------------------------------
+// Structure helpers
+// ---------------------------------------------------------------------------
+
+const PAIRS = { '(': ')', '[': ']', '{': '}', '<': '>' };
+
+function matchBracket(masked, open) {
+  const o = masked[open];
+  const c = PAIRS[o];
+  let depth = 0;
+  for (let i = open; i < masked.length; i++) {
+    if (masked[i] === o) depth++;
+    else if (masked[i] === c && --depth === 0) return i;
+  }
+  return masked.length - 1;
+}
+
+/**
+ * Where a declaration starting at `from` ends: the close of its first block,
+ * or the end of its statement. `generics` skips type arguments in a class or
+ * interface header (`extends Base<{ id: string }>`).
+ */
+function declarationEnd(masked, from, generics = false) {
+  let i = from;
+  while (i < masked.length) {
+    const c = masked[i];
+    if (c === '(' || c === '[' || (generics && c === '<')) { i = matchBracket(masked, i) + 1; continue; }
+    if (c === '{') return matchBracket(masked, i);
+    if (c === ';' || c === '}' || c === ')') return i;
+    // A new statement starts at column 0
+    if (c === '\n' && /[\w$@#}]/.test(masked[i + 1] || '')) return i;
+    i++;
+  }
+  return masked.length - 1;
+}
+
+function lineIndex(text) {
+  const starts = [0];
+  for (let i = 0; i < text.length; i++) if (text[i] === '\n') starts.push(i + 1);
+  const lineAt = offset => {
+    let lo = 0, hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) lo = mid; else hi = mid - 1;
+    }
+    return lo + 1;
+  };
+  return { starts, lineAt };
+}
+
+// Brace depth at the start of each line
+function lineDepths(masked, starts) {
+  const depths = [];
+  let depth = 0;
+  let line = 0;
+  for (let i = 0; i <= masked.length; i++) {
+    if (i === starts[line]) depths[line++] = depth;
+    const c = masked[i];
+    if (c === '{') depth++;
+    else if (c === '}') depth = Math.max(0, depth - 1);
+  }
+  return depths;
+}
+
+function routeName(method, path) {
+  return method ? `${method.toUpperCase()} ${path}` : path;
+}
+
+// Route registrations: `.get('/users', …)`, `.HandleFunc("/users", …)`
+function findRoutes(masked, strings, lineAt, re, methodFor) {
+  const routes = [];
+  re.lastIndex = 0;
+  let match;
+  while ((match = re.exec(masked)) !== null) {
+    const path = strings.get(match.index + match[0].length);
+    if (!path || !/^(?:[A-Z]+\s+)?\//.test(path)) continue;
+    const line = lineAt(match.index);
+    routes.push({ name: routeName(methodFor(match[1], path), path), kind: 'route', line, endLine: line });
+  }
+  return routes;
+}
+
+// ---------------------------------------------------------------------------
+// JavaScript / TypeScript
+// ---------------------------------------------------------------------------
+
+const ID = '[A-Za-z_$][\\w$]*';
+const JS_TOP_LEVEL = [
+  ['class', new RegExp(`^(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:abstract\\s+)?class\\s+(${ID})`)],
+  ['function', new RegExp(`^(?:export\\s+)?(?:default\\s+)?(?:declare\\s+)?(?:async\\s+)?function\\s*\\*?\\s*(${ID})`)],
+  ['interface', new RegExp(`^(?:export\\s+)?(?:declare\\s+)?interface\\s+(${ID})`)],
+  ['type', new RegExp(`^(?:export\\s+)?(?:declare\\s+)?type\\s+(${ID})\\s*(?:<[^=]*>)?\\s*=`)],
+  ['enum', new RegExp(`^(?:export\\s+)?(?:declare\\s+)?(?:const\\s+)?enum\\s+(${ID})`)],
+  ['function', new RegExp(`^(?:export\\s+)?(?:const|let|var)\\s+(${ID})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${ID}\\s*=>)`)],
+  ['const', new RegExp(`^export\\s+(?:const|let|var)\\s+(${ID})`)],
+];
+const JS_MEMBER_MODIFIERS = '(?:(?:public|private|protected|static|async|readonly|override|abstract|declare|get|set|accessor)\\s+)*';
+const JS_METHOD = new RegExp(`^${JS_MEMBER_MODIFIERS}\\*?\\s*(#?${ID})\\s*\\??\\s*(?:<[^>(]*>)?\\s*\\(`);
+const JS_FIELD_FUNCTION = new RegExp(`^${JS_MEMBER_MODIFIERS}(#?${ID})\\s*(?::[^=]+)?=\\s*(?:async\\s+)?(?:function\\b|\\([^)]*\\)\\s*(?::[^=]+)?=>|${ID}\\s*=>)`);
+const JS_NOT_METHODS = new Set(['if', 'for', 'while', 'switch', 'catch', 'return', 'function', 'constructor', 'super', 'with']);
+const JS_ROUTE_RE = new RegExp(`\\b${ID}\\.(${HTTP_METHODS.join('|')})\\s*\\(\\s*(?=['"\`])`, 'g');
+
+function jsSymbols(source, language) {
+  const { masked, strings } = mask(source, language);
+  const { starts, lineAt } = lineIndex(masked);
+  const depths = lineDepths(masked, starts);
+  const symbols = [];
+  const classes = [];
+
+  for (let l = 0; l < starts.length; l++) {
+    const lineText = masked.slice(starts[l], (starts[l + 1] ?? masked.length + 1) - 1);
+    const indent = lineText.length - lineText.trimStart().length;
+    const offset = starts[l] + indent;
+    const rest = masked.slice(offset, offset + 400);
+    if (!rest.trim()) continue;
+
+    if (depths[l] === 0) {
+      for (const [kind, re] of JS_TOP_LEVEL) {
+        const m = re.exec(rest);
+        if (!m) continue;
+        const end = declarationEnd(masked, offset + m[0].length, kind === 'class' || kind === 'interface');
+        symbols.push({ name: m[1], kind, line: l + 1, endLine: lineAt(end) });
+        if (kind === 'class' && masked[end] === '}') classes.push({ name: m[1], line: l + 1, close: end });
+        break;
+      }
+      continue;
+    }
+
+    // A member directly inside a top-level class body
+    const owner = depths[l] === 1 && classes.find(c => offset < c.close && offset > starts[c.line - 1]);
+    if (!owner) continue;
+    const m = JS_FIELD_FUNCTION.exec(rest) || JS_METHOD.exec(rest);
+    if (!m || JS_NOT_METHODS.has(m[1])) continue;
+    const end = declarationEnd(masked, offset + m[0].length - (m[0].endsWith('(') ? 1 : 0));
+    symbols.push({ name: `${owner.name}.${m[1]}`, kind: 'method', line: l + 1, endLine: lineAt(end) });
+  }
+
+  symbols.push(...findRoutes(masked, strings, lineAt, JS_ROUTE_RE, method => method === 'all' ? 'ALL' : method));
+  return symbols;
+}
+
+// ---------------------------------------------------------------------------
+// Python
+// ---------------------------------------------------------------------------
+
+const PY_DEF = /^(?:async\s+)?def\s+([A-Za-z_]\w*)/;
+const PY_CLASS = /^class\s+([A-Za-z_]\w*)/;
+const PY_CONST = /^([A-Z][A-Z0-9_]{2,})\s*(?::[^=]+)?=(?!=)/;
+const PY_ROUTE = /^@[\w.]*?\.(route|get|post|put|patch|delete|head|options|api_route|websocket)\s*\(\s*(?=['"])/;
+
+function pythonSymbols(source) {
+  const { masked, strings } = mask(source, 'python');
+  const lines = masked.split('\n');
+  const { starts } = lineIndex(masked);
+  const symbols = [];
+  const stack = []; // { indent, name, kind, symbol }
+  let pendingRoutes = [];
+  let parens = 0;
+  let lastCode = 0;
+
+  const close = (indent) => {
+    while (stack.length > 0 && stack[stack.length - 1].indent >= indent) {
+      const scope = stack.pop();
+      if (scope.symbol) scope.symbol.endLine = lastCode;
+      for (const route of scope.routes || []) route.endLine = lastCode;
+    }
+  };
+
+  for (let l = 0; l < lines.length; l++) {
+    const text = lines[l];
+    const continuation = parens > 0 || /\\\s*$/.test(lines[l - 1] || '');
+    for (const c of text) {
+      if (c === '(' || c === '[' || c === '{') parens++;
+      else if (c === ')' || c === ']' || c === '}') parens = Math.max(0, parens - 1);
+    }
+    if (!text.trim()) continue;
+    if (continuation) { lastCode = l + 1; continue; }
+
+    const indent = text.replace(/\t/g, '    ').length - text.replace(/\t/g, '    ').trimStart().length;
+    const code = text.trim();
+    close(indent);
+    lastCode = l + 1;
+
+    const top = stack[stack.length - 1];
+    const route = PY_ROUTE.exec(code);
+    if (route) {
+      const offset = starts[l] + text.indexOf(code) + route[0].length;
+      const path = strings.get(offset);
+      if (path?.startsWith('/')) {
+        let methods = route[1] === 'route' || route[1] === 'api_route' ? ['GET'] : [route[1].toUpperCase()];
+        const args = source.slice(offset, source.indexOf(')', offset) + 1);
+        const listed = /methods\s*=\s*[[(]([^\])]*)/.exec(args);
+        if (listed) methods = listed[1].match(/[A-Za-z]+/g)?.map(m => m.toUpperCase()) || methods;
+        pendingRoutes.push({ name: `${methods.join(',')} ${path}`, kind: 'route', line: l + 1, endLine: l + 1 });
+      }
+      continue;
+    }
+    if (code.startsWith('@')) continue;
+
+    const def = PY_DEF.exec(code);
+    const cls = !def && PY_CLASS.exec(code);
+    if (def || cls) {
+      const name = (def || cls)[1];
+      let symbol = null;
+      if (!top) {
+        symbol = { name, kind: def ? 'function' : 'class', line: l + 1, endLine: l + 1 };
+      } else if (top.kind === 'class') {
+        symbol = { name: `${top.name}.${name}`, kind: def ? 'method' : 'class', line: l + 1, endLine: l + 1 };
+      }
+      if (symbol) symbols.push(symbol, ...pendingRoutes);
+      stack.push({ indent, name: symbol?.name ?? name, kind: symbol ? symbol.kind : 'local', symbol, routes: symbol ? pendingRoutes : [] });
+      pendingRoutes = [];
+      continue;
+    }
+    pendingRoutes = [];
+
+    const constant = !top && PY_CONST.exec(code);
+    if (constant) symbols.push({ name: constant[1], kind: 'const', line: l + 1, endLine: l + 1 });
+  }
+  close(0);
+  return symbols;
+}
+
+// ---------------------------------------------------------------------------
+// Go
+// ---------------------------------------------------------------------------
+
+const GO_METHOD = /^func\s*\(\s*(?:\w+\s+)?\*?\s*([A-Za-z_]\w*)(?:\[[^\]]*\])?\s*\)\s*([A-Za-z_]\w*)/;
+const GO_FUNC = /^func\s+([A-Za-z_]\w*)/;
+const GO_TYPE = /^(?:type\s+)?([A-Za-z_]\w*)(?:\[[^\]]*\])?\s+(struct|interface)?/;
+const GO_ROUTE_RE = /\.(HandleFunc|Handle|GET|POST|PUT|PATCH|DELETE|HEAD|OPTIONS|Any|Get|Post|Put|Patch|Delete|Head|Options)\s*\(\s*(?=["`])/g;
+
+function goSymbols(source) {
+  const { masked, strings } = mask(source, 'go');
+  const { starts, lineAt } = lineIndex(masked);
+  const depths = lineDepths(masked, starts);
+  const symbols = [];
+  let typeGroup = false;
+
+  for (let l = 0; l < starts.length; l++) {
+    if (depths[l] !== 0) continue;
+    const offset = starts[l];
+    const lineText = masked.slice(offset, (starts[l + 1] ?? masked.length + 1) - 1);
+    const code = lineText.trim();
+    if (!code) continue;
+
+    if (typeGroup) {
+      if (code.startsWith(')')) { typeGroup = false; continue; }
+      if (lineText.length - lineText.trimStart().length === 0) continue;
+    } else if (/^type\s*\($/.test(code)) {
+      typeGroup = true;
+      continue;
+    }
+
+    const rest = masked.slice(offset + lineText.indexOf(code), offset + lineText.indexOf(code) + 400);
+    let m;
+    if (!typeGroup && (m = GO_METHOD.exec(rest))) {
+      const end = declarationEnd(masked, offset + lineText.indexOf(code) + m[0].length);
+      symbols.push({ name: `${m[1]}.${m[2]}`, kind: 'method', line: l + 1, endLine: lineAt(end) });
+    } else if (!typeGroup && (m = GO_FUNC.exec(rest))) {
+      const end = declarationEnd(masked, offset + lineText.indexOf(code) + m[0].length);
+      symbols.push({ name: m[1], kind: 'function', line: l + 1, endLine: lineAt(end) });
+    } else if ((typeGroup || rest.startsWith('type ')) && (m = GO_TYPE.exec(rest))) {
+      const start = offset + lineText.indexOf(code) + m[0].length;
+      const end = m[2] ? declarationEnd(masked, start) : start;
+      symbols.push({ name: m[1], kind: m[2] || 'type', line: l + 1, endLine: lineAt(end) });
+    }
+  }
+
+  symbols.push(...findRoutes(masked, strings, lineAt, GO_ROUTE_RE, (method, path) =>
+    method === 'HandleFunc' || method === 'Handle' || /^[A-Z]+\s/.test(path) ? null : method.toUpperCase()));
+  return symbols;
+}
+
+// ---------------------------------------------------------------------------
+// Public API
+// ---------------------------------------------------------------------------
+
+/**
+ * All symbols defined in a source file, in line order.
+ * @param {string} source
+ * @param {string} language - 'js' | 'ts' | 'python' | 'go' (languageFor)
+ * @returns {Array<{ name: string, kind: string, line: number, endLine: number }>}
+ */
+export function extractSymbols(source, language) {
+  if (typeof source !== 'string' || !language) return [];
+  const symbols = language === 'python' ? pythonSymbols(source)
+    : language === 'go' ? goSymbols(source)
+    : jsSymbols(source, language);
+  const seen = new Set();
+  return symbols
+    .filter(s => !seen.has(`${s.name}:${s.line}`) && seen.add(`${s.name}:${s.line}`))
+    .sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Line ranges ([start, end], 1-based) where `newString` now appears in the
+ * edited source: the first occurrence, or all of them for replace_all.
+ */
+export function changedLineRanges(source, newString, replaceAll = false) {
+  if (!newString || typeof source !== 'string') return [];
+  const ranges = [];
+  const span = newString.split('\n').length - 1;
+  let from = 0;
+  let index;
+  while ((index = source.indexOf(newString, from)) !== -1) {
+    const start = source.slice(0, index).split('\n').length;
+    ranges.push([start, start + span]);
+    if (!replaceAll) break;
+    from = index + newString.length;
+  }
+  return ranges;
+}
+
+/**
+ * Symbols a Write defined or an Edit modified, for the entity index.
+ *
+ * @param {string} filePath
+ * @param {string} source - File contents after the change
+ * @param {object} [options]
+ * @param {{ new_string: string, replace_all?: boolean }|null} [options.edit] - Edit input; null for a Write
+ * @param {number} [options.maxSymbols]
+ * @returns {Array<{ name, kind, line }>}
+ */
+export function changedSymbols(filePath, source, { edit = null, maxSymbols = DEFAULT_MAX_SYMBOLS } = {}) {
+  const language = languageFor(filePath);
+  if (!language) return [];
+  let symbols = extractSymbols(source, language);
+
+  if (edit) {
+    const ranges = changedLineRanges(source, edit.new_string, edit.replace_all);
+    const overlaps = (s, [start, end]) => s.line <= end && s.endLine >= start;
+    const touched = symbols.filter(s => ranges.some(r => overlaps(s, r)));
+    // A class counts as modified through its members only when its own line changed
+    symbols = touched.filter(s =>
+      !touched.some(o => o !== s && o.name.startsWith(`${s.name}.`)) ||
+      ranges.some(([start, end]) => s.line >= start && s.line <= end));
+  }
+
+  return symbols.slice(0, maxSymbols).map(({ name, kind, line }) => ({ name, kind, line }));
+}
@@ -0,0 +1,187 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  languageFor,
+  extractSymbols,
+  changedLineRanges,
+  changedSymbols
+} from './symbols.mjs';
+
+const TS = `import express from 'express';
+// function fake() {}
+const re = /function notReal\\(/g;
+export interface User {
+  id: string;
+}
+export type Id = string | number;
+export enum Role { Admin, User }
+export const MAX = 10;
+export default class AuthService extends Base<{ a: 1 }> {
+  private cache = new Map();
+  constructor(private db: Db) { super(); }
+  async refresh(token: string): Promise<void> {
+    if (token) {
+      return;
+    }
+  }
+  static get instance() { return x; }
+  handle = async (req) => {
+    return \`\${req.id} function nope() {}\`;
+  };
+}
+export async function login(user, { remember = false } = {}) {
+  return user;
+}
+const helper = (a, b) => a + b;
+const notFn = 5;
+app.get('/users/:id', async (req, res) => {});
+router.post("/sessions", handler);
+map.get('key');
+`;
+
+const PY = `import os
+MAX_RETRIES = 3
+
+@app.route("/users", methods=["GET", "POST"])
+def users():
+    """Docstring with def fake(): inside"""
+    return []
+
+class AuthService(Base):
+    def __init__(self, db):
+        self.db = db
+
+    async def refresh(self, token,
+                      force=False):
+        def inner():
+            pass
+        return token
+
+    class Meta:
+        ordering = ["id"]
+
+@router.get('/health')
+async def health():
+    return {"ok": True}
+`;
+
+const GO = `package main
+
+import "net/http"
+
+type (
+	User struct {
+		ID string
+	}
+	ID string
+)
+
+type Store interface {
+	Get(id string) (*User, error)
+}
+
+// func Fake() {}
+func (s *Server) Handle(w http.ResponseWriter, r *http.Request) {
+	x := "func nope() {"
+}
+
+func main() {
+	http.HandleFunc("/users", handler)
+	r.GET("/health", health)
+	mux.HandleFunc("POST /items", create)
+}
+`;
+
+const summary = symbols => symbols.map(s => `${s.kind} ${s.name}:${s.line}-${s.endLine}`);
+
+describe('languageFor', () => {
+  it('maps extensions to languages', () => {
+    assert.deepEqual(
+      ['a.mjs', 'b.tsx', 'c.py', 'd.go', 'e.rs', 'Makefile'].map(languageFor),
+      ['js', 'ts', 'python', 'go', null, null]
+    );
+  });
+});
+
+describe('extractSymbols', () => {
+  it('finds JS/TS declarations, methods and routes outside comments and strings', () => {
+    assert.deepEqual(summary(extractSymbols(TS, 'ts')), [
+      'interface User:4-6',
+      'type Id:7-7',
+      'enum Role:8-8',
+      'const MAX:9-9',
+      'class AuthService:10-22',
+      'method AuthService.refresh:13-17',
+      'method AuthService.instance:18-18',
+      'method AuthService.handle:19-21',
+      'function login:23-25',
+      'function helper:26-26',
+      'route GET /users/:id:28-28',
+      'route POST /sessions:29-29',
+    ]);
+  });
+
+  it('finds Python classes, methods and decorated routes by indentation', () => {
+    assert.deepEqual(summary(extractSymbols(PY, 'python')), [
+      'const MAX_RETRIES:2-2',
+      'route GET,POST /users:4-7',
+      'function users:5-7',
+      'class AuthService:9-20',
+      'method AuthService.__init__:10-11',
+      'method AuthService.refresh:13-17',
+      'class AuthService.Meta:19-20',
+      'route GET /health:22-24',
+      'function health:23-24',
+    ]);
+  });
+
+  it('finds Go types, receiver methods and handlers', () => {
+    assert.deepEqual(summary(extractSymbols(GO, 'go')), [
+      'struct User:6-8',
+      'type ID:9-9',
+      'interface Store:12-14',
+      'method Server.Handle:17-19',
+      'function main:21-25',
+      'route /users:22-22',
+      'route GET /health:23-23',
+      'route POST /items:24-24',
+    ]);
+  });
+
+  it('returns nothing for empty or unsupported input', () => {
+    assert.deepEqual(extractSymbols('', 'js'), []);
+    assert.deepEqual(extractSymbols('fn main() {}', 'rust'), []);
+  });
+});
+
+describe('changedLineRanges', () => {
+  it('locates each occurrence of the new text', () => {
+    const source = 'a\nb\nc\nb\n';
+    assert.deepEqual(changedLineRanges(source, 'b\nc'), [[2, 3]]);
+    assert.deepEqual(changedLineRanges(source, 'b', true), [[2, 2], [4, 4]]);
+    assert.deepEqual(changedLineRanges(source, 'zzz'), []);
+  });
+});
+
+describe('changedSymbols', () => {
+  it('returns every symbol of a written file', () => {
+    assert.equal(changedSymbols('src/auth.ts', TS).length, 12);
+    assert.equal(changedSymbols('src/auth.ts', TS, { maxSymbols: 3 }).length, 3);
+    assert.deepEqual(changedSymbols('notes.md', '# function x() {}'), []);
+  });
+
+  it('returns the method an edit changed, not its class', () => {
+    const edit = { new_string: '    if (token) {\n      return;' };
+    assert.deepEqual(changedSymbols('src/auth.ts', TS, { edit }), [{ name: 'AuthService.refresh', kind: 'method', line: 13 }]);
+  });
+
+  it('returns the class when its own line changed', () => {
+    const edit = { new_string: 'export default class AuthService' };
+    assert.deepEqual(changedSymbols('src/auth.ts', TS, { edit }), [{ name: 'AuthService', kind: 'class', line: 10 }]);
+  });
+
+  it('returns nothing for an edit outside any symbol', () => {
+    assert.deepEqual(changedSymbols('app.py', PY, { edit: { new_string: 'import os' } }), []);
+  });
+});
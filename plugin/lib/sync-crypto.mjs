@@ -0,0 +1,159 @@
+/**
+ * Sync Crypto — client-side encryption for the sync server.
+ *
+ * With sync.encryption enabled, nothing the server stores is readable:
+ *   - file contents and log event entries are AES-256-GCM encrypted as
+ *     "mneme-enc:v1:<keyId>:<base64 iv|tag|ciphertext>", authenticated
+ *     together with the file or stream they belong to, so the server can't
+ *     swap one for another
+ *   - project ids and file names are replaced by keyed hashes
+ *   - event ids are keyed hashes of the entry, so the server can't confirm
+ *     a guessed entry
+ *
+ * The key is derived from a key file (any secret, e.g. `openssl rand
+ * -base64 32`) or from a passphrase in an environment variable (scrypt).
+ *
+ * Rotation: configure the new key as primary and the old one as previous.
+ * Everything still decrypts with either key; new data is written with the
+ * primary key, under the primary key's server namespace.
+ */
+
+import { createCipheriv, createDecipheriv, createHmac, hkdfSync, randomBytes, scryptSync } from 'node:crypto';
+import { existsSync, readFileSync } from 'node:fs';
+import { homedir } from 'node:os';
+import { resolve } from 'node:path';
+
+export const ENCRYPTION_PREFIX = 'mneme-enc:v1:';
+export const DEFAULT_PASSPHRASE_ENV = 'MNEME_SYNC_PASSPHRASE';
+export const DEFAULT_PREVIOUS_PASSPHRASE_ENV = 'MNEME_SYNC_PREVIOUS_PASSPHRASE';
+
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+// Fixed salt: every machine has to derive the same key from the same passphrase
+const PASSPHRASE_SALT = 'claude-mneme-sync-v1';
+const SCRYPT_OPTIONS = { N: 2 ** 15, r: 8, p: 1, maxmem: 64 * 1024 * 1024 };
+
+// scrypt is deliberately slow; derive each passphrase once per process
+const passphraseKeys = new Map();
+
+function expandHome(filePath) {
+  return resolve(filePath.startsWith('~') ? filePath.replace('~', homedir()) : filePath);
+}
+
+/**
+ * Build a key from a master secret.
+ * @returns {{ id: string, encKey: Buffer, nameKey: Buffer }}
+ */
+function keyFromMaster(master) {
+  const sub = info => Buffer.from(hkdfSync('sha256', master, Buffer.alloc(0), info, 32));
+  return {
+    id: createHmac('sha256', master).update('mneme-key-id').digest('hex').slice(0, 8),
+    encKey: sub('mneme-sync-encrypt'),
+    nameKey: sub('mneme-sync-names'),
+  };
+}
+
+export function keyFromPassphrase(passphrase) {
+  if (!passphraseKeys.has(passphrase)) {
+    passphraseKeys.set(passphrase, keyFromMaster(scryptSync(passphrase, PASSPHRASE_SALT, 32, SCRYPT_OPTIONS)));
+  }
+  return passphraseKeys.get(passphrase);
+}
+
+export function keyFromKeyFile(filePath) {
+  const path = expandHome(filePath);
+  if (!existsSync(path)) {
+    throw new Error(`Sync key file not found: ${path}`);
+  }
+  const secret = readFileSync(path, 'utf-8').trim();
+  if (secret.length < 16) {
+    throw new Error(`Sync key file is too short (need at least 16 characters): ${path}`);
+  }
+  return keyFromMaster(Buffer.from(secret, 'utf8'));
+}
+
+/**
+ * Load the keys configured in sync.encryption.
+ *
+ * The primary key comes first: keyFile, else the passphrase env var. Previous
+ * keys (previousKeyFiles, previous passphrase env var) only decrypt.
+ *
+ * @param {object} [encryption] - sync.encryption config
+ * @param {object} [env] - Environment to read passphrases from
+ * @returns {Array<{ id: string, encKey: Buffer, nameKey: Buffer }>|null} null when disabled
+ * @throws {Error} When encryption is enabled but no key is available
+ */
+export function loadKeyring(encryption = {}, env = process.env) {
+  if (!encryption?.enabled) return null;
+
+  const passphrase = env[encryption.passphraseEnv || DEFAULT_PASSPHRASE_ENV];
+  const previousPassphrase = env[encryption.previousPassphraseEnv || DEFAULT_PREVIOUS_PASSPHRASE_ENV];
+
+  const keys = [];
+  if (encryption.keyFile) keys.push(keyFromKeyFile(encryption.keyFile));
+  else if (passphrase) keys.push(keyFromPassphrase(passphrase));
+  if (keys.length === 0) {
+    throw new Error(`Sync encryption is enabled but no key is set (sync.encryption.keyFile or $${encryption.passphraseEnv || DEFAULT_PASSPHRASE_ENV})`);
+  }
+
+  for (const file of encryption.previousKeyFiles || []) keys.push(keyFromKeyFile(file));
+  if (previousPassphrase) keys.push(keyFromPassphrase(previousPassphrase));
+
+  // A key listed twice (e.g. rotation not finished) only needs to be tried once
+  return keys.filter((key, i) => keys.findIndex(k => k.id === key.id) === i);
+}
+
+/**
+ * Opaque, stable server-side name for a project id or file name.
+ * Only [0-9a-f], so it passes the server's name sanitizing unchanged.
+ */
+export function opaqueName(key, kind, value) {
+  return createHmac('sha256', key.nameKey).update(`${kind}:${value}`).digest('hex').slice(0, 32);
+}
+
+/**
+ * Keyed id for a log entry (same entry → same id, for deduplication).
+ */
+export function keyedEventId(key, entry) {
+  return createHmac('sha256', key.nameKey).update(JSON.stringify(entry)).digest('hex').slice(0, 32);
+}
+
+export function isEncrypted(text) {
+  return typeof text === 'string' && text.startsWith(ENCRYPTION_PREFIX);
+}
+
+/**
+ * Encrypt text with the given key.
+ * @param {string} context - What the text is (e.g. 'file:summary.json'); must match on decrypt
+ */
+export function encryptText(key, plaintext, context) {
+  const iv = randomBytes(IV_BYTES);
+  const cipher = createCipheriv('aes-256-gcm', key.encKey, iv);
+  cipher.setAAD(Buffer.from(context, 'utf8'));
+  const ciphertext = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()]);
+  const payload = Buffer.concat([iv, cipher.getAuthTag(), ciphertext]).toString('base64');
+  return `${ENCRYPTION_PREFIX}${key.id}:${payload}`;
+}
+
+/**
+ * Decrypt text produced by encryptText() with whichever keyring key made it.
+ * @throws {Error} Unknown key, wrong context, or tampered data
+ */
+export function decryptText(keyring, text, context) {
+  if (!isEncrypted(text)) {
+    throw new Error('Not encrypted');
+  }
+  const rest = text.slice(ENCRYPTION_PREFIX.length);
+  const sep = rest.indexOf(':');
+  const keyId = rest.slice(0, sep);
+  const key = keyring.find(k => k.id === keyId);
+  if (!key) {
+    throw new Error(`Encrypted with an unknown key (${keyId}) — add it to sync.encryption.previousKeyFiles`);
+  }
+
+  const payload = Buffer.from(rest.slice(sep + 1), 'base64');
+  const decipher = createDecipheriv('aes-256-gcm', key.encKey, payload.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(context, 'utf8'));
+  decipher.setAuthTag(payload.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(payload.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]).toString('utf8');
+}
@@ -0,0 +1,90 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  loadKeyring,
+  keyFromKeyFile,
+  opaqueName,
+  keyedEventId,
+  encryptText,
+  decryptText,
+  isEncrypted
+} from './sync-crypto.mjs';
+
+describe('sync-crypto', () => {
+  let root;
+  let keyFile;
+  let oldKeyFile;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'mneme-crypto-'));
+    keyFile = join(root, 'sync.key');
+    oldKeyFile = join(root, 'old.key');
+    writeFileSync(keyFile, 'c2VjcmV0LWtleS1tYXRlcmlhbC1mb3ItdGVzdHM=\n');
+    writeFileSync(oldKeyFile, 'b2xkLWtleS1tYXRlcmlhbC1mb3ItdGVzdHMtLS0=\n');
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('returns no keyring when disabled and refuses to run without a key', () => {
+    assert.equal(loadKeyring({ enabled: false, keyFile }), null);
+    assert.throws(() => loadKeyring({ enabled: true }, {}), /no key is set/);
+    assert.throws(() => loadKeyring({ enabled: true, keyFile: join(root, 'missing.key') }, {}), /not found/);
+  });
+
+  it('puts the primary key first and derives the same key on every machine', () => {
+    const keyring = loadKeyring({ enabled: true, keyFile, previousKeyFiles: [oldKeyFile, keyFile] }, {});
+    assert.equal(keyring.length, 2);
+    assert.equal(keyring[0].id, keyFromKeyFile(keyFile).id);
+
+    const fromPassphrase = loadKeyring({ enabled: true }, { MNEME_SYNC_PASSPHRASE: 'correct horse battery staple' });
+    const again = loadKeyring({ enabled: true, passphraseEnv: 'P' }, { P: 'correct horse battery staple' });
+    assert.equal(fromPassphrase[0].id, again[0].id);
+  });
+
+  it('round-trips text bound to its context', () => {
+    const keyring = loadKeyring({ enabled: true, keyFile }, {});
+    const sealed = encryptText(keyring[0], '{"secret":"architecture"}', 'file:summary.json');
+
+    assert.ok(isEncrypted(sealed));
+    assert.ok(!sealed.includes('architecture'));
+    assert.notEqual(sealed, encryptText(keyring[0], '{"secret":"architecture"}', 'file:summary.json'));
+    assert.equal(decryptText(keyring, sealed, 'file:summary.json'), '{"secret":"architecture"}');
+    assert.throws(() => decryptText(keyring, sealed, 'file:remembered.json'));
+  });
+
+  it('rejects tampered data and unknown keys', () => {
+    const keyring = loadKeyring({ enabled: true, keyFile }, {});
+    const sealed = encryptText(keyring[0], 'hello', 'log-event');
+    const tampered = sealed.slice(0, -4) + (sealed.endsWith('AAAA') ? 'BBBB' : 'AAAA');
+    assert.throws(() => decryptText(keyring, tampered, 'log-event'));
+
+    const other = [keyFromKeyFile(oldKeyFile)];
+    assert.throws(() => decryptText(other, sealed, 'log-event'), /unknown key/);
+  });
+
+  it('decrypts data written with a previous key after rotation', () => {
+    const oldKey = keyFromKeyFile(oldKeyFile);
+    const sealed = encryptText(oldKey, 'before rotation', 'log-event');
+    const keyring = loadKeyring({ enabled: true, keyFile, previousKeyFiles: [oldKeyFile] }, {});
+    assert.equal(decryptText(keyring, sealed, 'log-event'), 'before rotation');
+  });
+
+  it('derives opaque, key-specific names and event ids', () => {
+    const key = keyFromKeyFile(keyFile);
+    const oldKey = keyFromKeyFile(oldKeyFile);
+    const name = opaqueName(key, 'project', '-home-me-acme');
+
+    assert.match(name, /^[0-9a-f]{32}$/);
+    assert.equal(name, opaqueName(key, 'project', '-home-me-acme'));
+    assert.notEqual(name, opaqueName(oldKey, 'project', '-home-me-acme'));
+    assert.notEqual(opaqueName(key, 'file', 'summary.json'), opaqueName(key, 'file', 'entities.json'));
+    assert.equal(keyedEventId(key, { ts: '1', content: 'x' }), keyedEventId(key, { ts: '1', content: 'x' }));
+    assert.notEqual(keyedEventId(key, { ts: '1', content: 'x' }), keyedEventId(oldKey, { ts: '1', content: 'x' }));
+  });
+});
@@ -0,0 +1,280 @@
+/**
+ * Sync Merge — three-way merge of synced memory files.
+ *
+ *   base   = the file as it was at the last successful sync
+ *   local  = this machine's current copy
+ *   remote = the sync server's current copy
+ *
+ * Items added on either side are kept and items deleted on either side are
+ * dropped (forgotten, summarized away, pruned). An item changed
+ * differently on both sides is a conflict: the newer version wins and the
+ * conflict is reported so `/status` can surface it.
+ *
+ * Per file:
+ *   remembered.json  union of items (keyed by type + content), sorted by ts
+ *   summary.json     per section: decisions by id, state by topic, work by
+ *                    date + summary, branch partitions recursively
+ *   entities.json    per entity: mentions summed (local + remote - base),
+ *                    newest lastSeen, contexts unioned, per-workspace
+ *                    mentions added up
+ *
+ * The log itself isn't file-synced: entries go through the server's
+ * append-only event stream (scripts/sync.mjs).
+ */
+
+import { createHash } from 'node:crypto';
+
+export const MERGEABLE_FILES = ['summary.json', 'remembered.json', 'entities.json'];
+
+const MAX_ENTITY_CONTEXTS = 5;
+
+/**
+ * Content hash used by the sync server to detect concurrent writes.
+ */
+export function contentHash(content) {
+  return createHash('sha256').update(content ?? '', 'utf8').digest('hex');
+}
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+function normalize(text) {
+  return String(text || '').trim().toLowerCase();
+}
+
+/**
+ * Three-way merge of keyed item lists.
+ *
+ * @param {object[]} baseItems
+ * @param {object[]} localItems
+ * @param {object[]} remoteItems
+ * @param {(item: object) => string} keyOf
+ * @param {(local: object, remote: object) => 'local'|'remote'} newer - Conflict winner
+ * @returns {{ items: object[], conflicts: Array<{ item: string, resolution: string, reason: string }> }}
+ */
+export function mergeKeyed(baseItems, localItems, remoteItems, keyOf, newer) {
+  const index = items => new Map((items || []).map(item => [keyOf(item), item]));
+  const base = index(baseItems);
+  const local = index(localItems);
+  const remote = index(remoteItems);
+  const items = [];
+  const conflicts = [];
+
+  const keys = [...local.keys(), ...[...remote.keys()].filter(k => !local.has(k))];
+  for (const key of keys) {
+    const b = base.get(key);
+    const l = local.get(key);
+    const r = remote.get(key);
+
+    if (l && r) {
+      if (same(l, r) || (b && same(b, r))) items.push(l);
+      else if (b && same(b, l)) items.push(r);
+      else {
+        const resolution = newer(l, r);
+        items.push(resolution === 'local' ? l : r);
+        conflicts.push({ item: key, resolution, reason: 'both-modified' });
+      }
+      continue;
+    }
+
+    // Present on one side only: added there, or deleted on the other side
+    const [kept, side] = l ? [l, 'local'] : [r, 'remote'];
+    if (!b) {
+      items.push(kept);
+    } else if (!same(b, kept)) {
+      items.push(kept);
+      conflicts.push({ item: key, resolution: side, reason: 'modified-and-deleted' });
+    }
+  }
+
+  return { items, conflicts };
+}
+
+function mergeScalar(base, local, remote, newerSide) {
+  if (same(local, remote) || same(base, remote)) return { value: local, conflict: false };
+  if (same(base, local)) return { value: remote, conflict: false };
+  return { value: newerSide === 'local' ? local : remote, conflict: true };
+}
+
+function byTimestamp(a, b) {
+  return String(a.ts || '').localeCompare(String(b.ts || ''));
+}
+
+function parseJson(content, fallback) {
+  if (!content) return fallback;
+  return JSON.parse(content);
+}
+
+function newerBy(field) {
+  return (l, r) => (String(r?.[field] || '') > String(l?.[field] || '') ? 'remote' : 'local');
+}
+
+// ============================================================================
+// Per-file mergers — each takes (base, local, remote) contents as strings
+// ============================================================================
+
+export function mergeRemembered(base, local, remote) {
+  const key = e => `${e.type || 'note'}|${normalize(e.content)}`;
+  const { items, conflicts } = mergeKeyed(
+    parseJson(base, []), parseJson(local, []), parseJson(remote, []), key, newerBy('ts')
+  );
+  items.sort(byTimestamp);
+  return { content: JSON.stringify(items, null, 2), conflicts };
+}
+
+function mergeStateAndWork(base = {}, local = {}, remote = {}, newerSide, prefix = '') {
+  const state = mergeKeyed(base.currentState, local.currentState, remote.currentState,
+    s => s.topic, newerBy('updatedAt'));
+  const work = mergeKeyed(base.recentWork, local.recentWork, remote.recentWork,
+    w => `${w.date || ''}|${w.summary}`, () => newerSide);
+  return {
+    currentState: state.items,
+    recentWork: work.items,
+    conflicts: [
+      ...state.conflicts.map(c => ({ ...c, item: `${prefix}currentState: ${c.item}` })),
+      ...work.conflicts.map(c => ({ ...c, item: `${prefix}recentWork: ${c.item}` })),
+    ],
+  };
+}
+
+export function mergeSummary(base, local, remote) {
+  const b = parseJson(base, {});
+  const l = parseJson(local, {});
+  const r = parseJson(remote, {});
+  const newerSide = String(r.lastUpdated || '') > String(l.lastUpdated || '') ? 'remote' : 'local';
+  const conflicts = [];
+
+  const context = mergeScalar(b.projectContext, l.projectContext, r.projectContext, newerSide);
+  if (context.conflict) conflicts.push({ item: 'projectContext', resolution: newerSide, reason: 'both-modified' });
+
+  const decisions = mergeKeyed(b.keyDecisions, l.keyDecisions, r.keyDecisions,
+    d => d.id || normalize(d.decision), () => newerSide);
+  conflicts.push(...decisions.conflicts.map(c => ({ ...c, item: `keyDecisions: ${c.item}` })));
+
+  const { currentState, recentWork, conflicts: topConflicts } = mergeStateAndWork(b, l, r, newerSide);
+  conflicts.push(...topConflicts);
+
+  // Branch partitions (lib/branch-memory.mjs) merge like the top level
+  let branches;
+  const names = new Set([...Object.keys(l.branches || {}), ...Object.keys(r.branches || {})]);
+  for (const name of names) {
+    const bp = b.branches?.[name];
+    const lp = l.branches?.[name];
+    const rp = r.branches?.[name];
+    // A partition pruned on one side and untouched on the other stays pruned
+    if (bp && ((!lp && same(bp, rp)) || (!rp && same(bp, lp)))) continue;
+    const merged = mergeStateAndWork(bp, lp, rp, newerSide, `branches.${name}.`);
+    conflicts.push(...merged.conflicts);
+    branches = branches || {};
+    branches[name] = {
+      currentState: merged.currentState,
+      recentWork: merged.recentWork,
+      lastUpdated: [lp?.lastUpdated, rp?.lastUpdated].filter(Boolean).sort().pop() || null,
+    };
+  }
+
+  const result = {
+    ...(newerSide === 'local' ? { ...r, ...l } : { ...l, ...r }),
+    projectContext: context.value ?? '',
+    keyDecisions: decisions.items,
+    currentState,
+    recentWork,
+    lastUpdated: [l.lastUpdated, r.lastUpdated].filter(Boolean).sort().pop() || null,
+  };
+  if (branches) result.branches = branches;
+  else delete result.branches;
+  // lastEntryIndex describes this machine's log, never the other's
+  if ('lastEntryIndex' in l) result.lastEntryIndex = l.lastEntryIndex;
+
+  return { content: JSON.stringify(result, null, 2) + '\n', conflicts };
+}
+
+function mergeEntity(b, l, r) {
+  if (!l || !r) {
+    const only = l || r;
+    // Pruned on one side: stays pruned unless the other side saw new mentions
+    if (b && (only.mentions || 0) <= (b.mentions || 0)) return null;
+    return only;
+  }
+  const contextKey = c => `${c.ts}|${c.summary}`;
+  const contexts = new Map();
+  for (const c of [...(l.contexts || []), ...(r.contexts || [])]) contexts.set(contextKey(c), c);
+  // Without a base both copies share unknown history, so don't double count
+  const addUp = (lc = 0, rc = 0, bc = 0) => (b ? Math.max(lc, rc, lc + rc - bc) : Math.max(lc, rc));
+  const merged = {
+    ...l,
+    mentions: addUp(l.mentions, r.mentions, b?.mentions),
+    lastSeen: [l.lastSeen, r.lastSeen].filter(Boolean).sort().pop() || null,
+    contexts: [...contexts.values()].sort(byTimestamp).slice(-MAX_ENTITY_CONTEXTS),
+  };
+  if (l.workspaces || r.workspaces) {
+    const names = new Set([...Object.keys(l.workspaces || {}), ...Object.keys(r.workspaces || {})]);
+    merged.workspaces = Object.fromEntries([...names].map(name => [
+      name, addUp(l.workspaces?.[name], r.workspaces?.[name], b?.workspaces?.[name]),
+    ]));
+  }
+  return merged;
+}
+
+export function mergeEntities(base, local, remote) {
+  const b = parseJson(base, {});
+  const l = parseJson(local, {});
+  const r = parseJson(remote, {});
+  const result = { ...r, ...l };
+
+  const categories = new Set([...Object.keys(l), ...Object.keys(r)].filter(k =>
+    (l[k] && typeof l[k] === 'object' && !Array.isArray(l[k])) ||
+    (r[k] && typeof r[k] === 'object' && !Array.isArray(r[k]))
+  ));
+  for (const category of categories) {
+    const merged = {};
+    const names = new Set([...Object.keys(l[category] || {}), ...Object.keys(r[category] || {})]);
+    for (const name of names) {
+      const entity = mergeEntity(b[category]?.[name], l[category]?.[name], r[category]?.[name]);
+      if (entity) merged[name] = entity;
+    }
+    result[category] = merged;
+  }
+  result.lastUpdated = [l.lastUpdated, r.lastUpdated].filter(Boolean).sort().pop() || null;
+
+  // Entity counts are additive — there is nothing to report as a conflict
+  return { content: JSON.stringify(result, null, 2), conflicts: [] };
+}
+
+const MERGERS = {
+  'summary.json': mergeSummary,
+  'remembered.json': mergeRemembered,
+  'entities.json': mergeEntities,
+};
+
+/**
+ * Three-way merge one synced file.
+ *
+ * Trivial cases (one side unchanged since base, or both identical) never
+ * parse the content. Without a base (first sync after upgrading) every item
+ * counts as added, so nothing is dropped. If a side can't be parsed, the
+ * local copy is kept and the whole file is reported as a conflict.
+ *
+ * @param {string} name - File name (see MERGEABLE_FILES)
+ * @param {string|null} base
+ * @param {string|null} local
+ * @param {string|null} remote
+ * @returns {{ content: string, conflicts: Array<{ file: string, item: string, resolution: string, reason: string }> }}
+ */
+export function mergeFile(name, base, local, remote) {
+  if (local === null || local === undefined) return { content: remote ?? '', conflicts: [] };
+  if (remote === null || remote === undefined || local === remote || base === remote) {
+    return { content: local, conflicts: [] };
+  }
+  if (base === local) return { content: remote, conflicts: [] };
+
+  const merger = MERGERS[name];
+  try {
+    if (!merger) throw new Error(`No merger for ${name}`);
+    const { content, conflicts } = merger(base, local, remote);
+    return { content, conflicts: conflicts.map(c => ({ file: name, ...c })) };
+  } catch {
+    return { content: local, conflicts: [{ file: name, item: '*', resolution: 'local', reason: 'unparseable' }] };
+  }
+}
@@ -0,0 +1,156 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  contentHash,
+  mergeKeyed,
+  mergeRemembered,
+  mergeSummary,
+  mergeEntities,
+  mergeFile
+} from './sync-merge.mjs';
+
+const json = value => JSON.stringify(value, null, 2);
+
+describe('contentHash', () => {
+  it('is stable and treats missing content as empty', () => {
+    assert.equal(contentHash('abc'), contentHash('abc'));
+    assert.notEqual(contentHash('abc'), contentHash('abd'));
+    assert.equal(contentHash(null), contentHash(''));
+  });
+});
+
+describe('mergeKeyed', () => {
+  const key = i => i.id;
+  const newer = () => 'remote';
+
+  it('keeps additions from both sides and honours deletions', () => {
+    const base = [{ id: 'a' }, { id: 'b' }];
+    const { items, conflicts } = mergeKeyed(base, [{ id: 'a' }, { id: 'l' }], [{ id: 'a' }, { id: 'b' }, { id: 'r' }], key, newer);
+    assert.deepEqual(items.map(i => i.id), ['a', 'l', 'r']);
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('takes the changed side and reports changes made on both', () => {
+    const base = [{ id: 'a', v: 0 }, { id: 'b', v: 0 }];
+    const local = [{ id: 'a', v: 1 }, { id: 'b', v: 1 }];
+    const remote = [{ id: 'a', v: 0 }, { id: 'b', v: 2 }];
+    const { items, conflicts } = mergeKeyed(base, local, remote, key, newer);
+    assert.deepEqual(items, [{ id: 'a', v: 1 }, { id: 'b', v: 2 }]);
+    assert.deepEqual(conflicts, [{ item: 'b', resolution: 'remote', reason: 'both-modified' }]);
+  });
+
+  it('keeps an item modified on one side and deleted on the other', () => {
+    const { items, conflicts } = mergeKeyed([{ id: 'a', v: 0 }], [{ id: 'a', v: 1 }], [], key, newer);
+    assert.deepEqual(items, [{ id: 'a', v: 1 }]);
+    assert.equal(conflicts[0].reason, 'modified-and-deleted');
+  });
+});
+
+describe('mergeRemembered', () => {
+  it('dedupes by type and normalized content', () => {
+    const local = json([{ type: 'fact', content: 'Use pnpm', ts: '2026-01-01' }]);
+    const remote = json([{ type: 'fact', content: 'use pnpm ', ts: '2026-01-01' }, { type: 'note', content: 'Other', ts: '2026-01-02' }]);
+    const merged = JSON.parse(mergeRemembered(null, local, remote).content);
+    assert.deepEqual(merged.map(e => e.content), ['Use pnpm', 'Other']);
+  });
+});
+
+describe('mergeSummary', () => {
+  const base = {
+    projectContext: 'ctx',
+    keyDecisions: [{ id: 'd1', decision: 'Use ESM' }],
+    currentState: [{ topic: 'auth', status: 'todo', updatedAt: '2026-01-01' }],
+    recentWork: [],
+    lastUpdated: '2026-01-01',
+  };
+
+  it('combines decisions and work made on different machines', () => {
+    const local = { ...base, keyDecisions: [...base.keyDecisions, { id: 'd2', decision: 'Local' }], lastUpdated: '2026-01-02' };
+    const remote = {
+      ...base,
+      keyDecisions: [...base.keyDecisions, { id: 'd3', decision: 'Remote' }],
+      recentWork: [{ date: '2026-01-03', summary: 'Remote work' }],
+      lastUpdated: '2026-01-03',
+    };
+    const { content, conflicts } = mergeSummary(json(base), json(local), json(remote));
+    const merged = JSON.parse(content);
+    assert.deepEqual(merged.keyDecisions.map(d => d.id), ['d1', 'd2', 'd3']);
+    assert.deepEqual(merged.recentWork.map(w => w.summary), ['Remote work']);
+    assert.equal(merged.lastUpdated, '2026-01-03');
+    assert.deepEqual(conflicts, []);
+  });
+
+  it('resolves a state item changed on both sides by updatedAt', () => {
+    const local = { ...base, currentState: [{ topic: 'auth', status: 'done', updatedAt: '2026-01-05' }] };
+    const remote = { ...base, currentState: [{ topic: 'auth', status: 'blocked', updatedAt: '2026-01-04' }] };
+    const { content, conflicts } = mergeSummary(json(base), json(local), json(remote));
+    assert.equal(JSON.parse(content).currentState[0].status, 'done');
+    assert.deepEqual(conflicts, [{ item: 'currentState: auth', resolution: 'local', reason: 'both-modified' }]);
+  });
+
+  it('merges branch partitions and keeps lastEntryIndex from the local copy', () => {
+    const local = {
+      ...base,
+      lastEntryIndex: 7,
+      branches: { 'feature/a': { currentState: [], recentWork: [{ date: '2026-01-02', summary: 'A' }], lastUpdated: '2026-01-02' } },
+    };
+    const remote = {
+      ...base,
+      lastEntryIndex: 3,
+      branches: { 'feature/b': { currentState: [], recentWork: [{ date: '2026-01-03', summary: 'B' }], lastUpdated: '2026-01-03' } },
+    };
+    const merged = JSON.parse(mergeSummary(json(base), json(local), json(remote)).content);
+    assert.deepEqual(Object.keys(merged.branches).sort(), ['feature/a', 'feature/b']);
+    assert.equal(merged.lastEntryIndex, 7);
+  });
+});
+
+describe('mergeEntities', () => {
+  it('adds mentions made on both machines since the last sync', () => {
+    const entity = (mentions, lastSeen, contexts = []) => ({ mentions, lastSeen, contexts });
+    const base = { files: { 'a.js': entity(2, '2026-01-01') } };
+    const local = { files: { 'a.js': entity(3, '2026-01-02', [{ ts: '2026-01-02', summary: 'l' }]) } };
+    const remote = { files: { 'a.js': entity(4, '2026-01-03', [{ ts: '2026-01-03', summary: 'r' }]) } };
+    const merged = JSON.parse(mergeEntities(json(base), json(local), json(remote)).content);
+    assert.equal(merged.files['a.js'].mentions, 5);
+    assert.equal(merged.files['a.js'].lastSeen, '2026-01-03');
+    assert.deepEqual(merged.files['a.js'].contexts.map(c => c.summary), ['l', 'r']);
+  });
+
+  it('does not double count without a base', () => {
+    const local = { files: { 'a.js': { mentions: 3 } } };
+    const remote = { files: { 'a.js': { mentions: 4 } } };
+    assert.equal(JSON.parse(mergeEntities(null, json(local), json(remote)).content).files['a.js'].mentions, 4);
+  });
+
+  it('adds up per-workspace mentions the same way', () => {
+    const base = { files: { 'a.js': { mentions: 2, workspaces: { api: 2 } } } };
+    const local = { files: { 'a.js': { mentions: 3, workspaces: { api: 3 } } } };
+    const remote = { files: { 'a.js': { mentions: 3, workspaces: { api: 2, web: 1 } } } };
+    const merged = JSON.parse(mergeEntities(json(base), json(local), json(remote)).content);
+    assert.deepEqual(merged.files['a.js'].workspaces, { api: 3, web: 1 });
+  });
+});
+
+describe('mergeFile', () => {
+  it('short-circuits when only one side changed', () => {
+    assert.deepEqual(mergeFile('summary.json', 'base', 'base', 'remote'), { content: 'remote', conflicts: [] });
+    assert.deepEqual(mergeFile('summary.json', 'base', 'local', 'base'), { content: 'local', conflicts: [] });
+    assert.deepEqual(mergeFile('summary.json', null, null, 'remote'), { content: 'remote', conflicts: [] });
+  });
+
+  it('tags conflicts with the file name', () => {
+    const base = json([{ type: 'note', content: 'x', ts: '1' }]);
+    const local = json([{ type: 'note', content: 'x', ts: '2' }]);
+    const remote = json([{ type: 'note', content: 'x', ts: '3' }]);
+    const { conflicts } = mergeFile('remembered.json', base, local, remote);
+    assert.deepEqual(conflicts, [{ file: 'remembered.json', item: 'note|x', resolution: 'remote', reason: 'both-modified' }]);
+  });
+
+  it('keeps the local copy when a side cannot be parsed', () => {
+    const { content, conflicts } = mergeFile('summary.json', '{}', '{"a":1}', '{ broken');
+    assert.equal(content, '{"a":1}');
+    assert.equal(conflicts[0].reason, 'unparseable');
+  });
+});
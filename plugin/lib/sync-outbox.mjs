@@ -0,0 +1,74 @@
+/**
+ * Sync Outbox — projects whose push to the sync server didn't complete.
+ *
+ * Kept in ~/.claude-mneme/.sync-outbox.json:
+ *
+ *   { "pushes": { "<project root>": { cwd, queuedAt, attempts, lastError, nextAttemptAt } } }
+ *
+ * An entry only records that a project has unpushed changes. The push itself
+ * works out what to send (log entries the server hasn't acknowledged, files
+ * changed since .sync-base/), so a project is queued at most once and a
+ * retry is always safe. Retries back off exponentially, capped at maxDelayMs.
+ *
+ * Everything here is a pure transform of the outbox object; scripts/sync.mjs
+ * reads and writes the file.
+ */
+
+export const DEFAULT_BASE_DELAY_MS = 30 * 1000;
+export const DEFAULT_MAX_DELAY_MS = 30 * 60 * 1000;
+
+export function emptyOutbox() {
+  return { pushes: {} };
+}
+
+export function parseOutbox(text) {
+  try {
+    const data = JSON.parse(text);
+    return { pushes: data?.pushes && typeof data.pushes === 'object' ? data.pushes : {} };
+  } catch {
+    return emptyOutbox();
+  }
+}
+
+/**
+ * Delay before retry number `attempts` (1 = first retry): base, 2×base, 4×base, ...
+ */
+export function retryDelay(attempts, { baseDelayMs = DEFAULT_BASE_DELAY_MS, maxDelayMs = DEFAULT_MAX_DELAY_MS } = {}) {
+  return Math.min(maxDelayMs, baseDelayMs * 2 ** Math.max(0, attempts - 1));
+}
+
+/**
+ * Record a failed push. Queuing a project that's already queued counts as
+ * another failed attempt and pushes the next attempt further out.
+ */
+export function queuePush(outbox, project, error, now = Date.now(), options = {}) {
+  const existing = outbox.pushes[project];
+  const attempts = (existing?.attempts || 0) + 1;
+  return {
+    pushes: {
+      ...outbox.pushes,
+      [project]: {
+        cwd: project,
+        queuedAt: existing?.queuedAt || new Date(now).toISOString(),
+        attempts,
+        lastError: error || null,
+        nextAttemptAt: new Date(now + retryDelay(attempts, options)).toISOString()
+      }
+    }
+  };
+}
+
+export function clearPush(outbox, project) {
+  if (!(project in outbox.pushes)) return outbox;
+  const { [project]: _removed, ...pushes } = outbox.pushes;
+  return { pushes };
+}
+
+/**
+ * Queued pushes whose next attempt is due, oldest first.
+ */
+export function duePushes(outbox, now = Date.now()) {
+  return Object.values(outbox.pushes)
+    .filter(p => Date.parse(p.nextAttemptAt) <= now)
+    .sort((a, b) => String(a.queuedAt).localeCompare(String(b.queuedAt)));
+}
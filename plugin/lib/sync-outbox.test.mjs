@@ -0,0 +1,60 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  emptyOutbox,
+  parseOutbox,
+  retryDelay,
+  queuePush,
+  clearPush,
+  duePushes
+} from './sync-outbox.mjs';
+
+const T0 = Date.parse('2026-03-01T10:00:00.000Z');
+
+describe('retryDelay', () => {
+  it('doubles from the base delay up to the cap', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 5000 };
+    assert.deepEqual([1, 2, 3, 4].map(n => retryDelay(n, options)), [1000, 2000, 4000, 5000]);
+  });
+});
+
+describe('queuePush', () => {
+  it('queues a project once and backs off on each failure', () => {
+    const options = { baseDelayMs: 1000, maxDelayMs: 60000 };
+    let outbox = queuePush(emptyOutbox(), '/p', 'Server unreachable', T0, options);
+    outbox = queuePush(outbox, '/p', 'Not pushed: summary.json', T0 + 5000, options);
+
+    assert.deepEqual(Object.keys(outbox.pushes), ['/p']);
+    assert.deepEqual(outbox.pushes['/p'], {
+      cwd: '/p',
+      queuedAt: '2026-03-01T10:00:00.000Z',
+      attempts: 2,
+      lastError: 'Not pushed: summary.json',
+      nextAttemptAt: '2026-03-01T10:00:07.000Z'
+    });
+  });
+
+  it('clears a pushed project and leaves the others', () => {
+    const outbox = queuePush(queuePush(emptyOutbox(), '/a', 'x', T0), '/b', 'x', T0);
+    assert.deepEqual(Object.keys(clearPush(outbox, '/a').pushes), ['/b']);
+    assert.equal(clearPush(outbox, '/missing'), outbox);
+  });
+});
+
+describe('duePushes', () => {
+  it('returns entries whose backoff has elapsed, oldest first', () => {
+    const options = { baseDelayMs: 1000 };
+    let outbox = queuePush(emptyOutbox(), '/later', 'x', T0 + 1000, options);
+    outbox = queuePush(outbox, '/first', 'x', T0, options);
+    assert.deepEqual(duePushes(outbox, T0 + 1500).map(p => p.cwd), ['/first']);
+    assert.deepEqual(duePushes(outbox, T0 + 2000).map(p => p.cwd), ['/first', '/later']);
+  });
+});
+
+describe('parseOutbox', () => {
+  it('falls back to an empty outbox on bad content', () => {
+    assert.deepEqual(parseOutbox('{ broken'), { pushes: {} });
+    assert.deepEqual(parseOutbox('null'), { pushes: {} });
+  });
+});
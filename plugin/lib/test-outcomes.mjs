@@ -0,0 +1,387 @@
+/**
+ * Test Outcomes — pass/fail results of test runs, type checks and linters,
+ * parsed from the output of a Bash tool call.
+ *
+ * Supported runners (detected from the output, so `npm test` works too):
+ *   test   node:test (TAP and spec), jest, vitest, mocha, pytest, go test, cargo test
+ *   build  tsc, eslint
+ *
+ * A run becomes a `test` or `build` log entry:
+ *   { type: 'test', runner: 'jest', passed: 34, failed: 2, skipped: 0,
+ *     failures: [{ name: 'Auth › refresh rotates the token', file: 'src/auth.test.ts' }],
+ *     content: 'jest: 2 failing, 34 passing — src/auth.test.ts › Auth › refresh rotates the token' }
+ *   { type: 'build', runner: 'tsc', errors: 3, warnings: 0, failures: [{ name: 'TS2345: …', file }] }
+ *
+ * The latest outcome per runner is kept in <project>/.test-status.json, for
+ * the "last known test status" at session start. A run is only logged when
+ * its outcome differs from the last one, so re-running a suite isn't noise.
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { isAbsolute, relative } from 'node:path';
+import { writeFileAtomic } from './atomic-write.mjs';
+
+export const DEFAULT_MAX_FAILURES = 10;
+const MAX_NAME_LENGTH = 120;
+const MAX_COMMAND_LENGTH = 100;
+
+const ANSI_RE = /\x1b\[[0-9;]*[A-Za-z]/g;
+
+// Commands that run tests, type checks or linters, directly or through a script
+const RUN_COMMAND_RE = /\bnode\b[^|;&\n]*\s--test\b|\b(?:jest|vitest|mocha|pytest|py\.test|tsc|eslint)\b|\bgo\s+test\b|\bcargo\s+(?:test|nextest)\b|\b(?:npm|pnpm|yarn|bun)\s+(?:run\s+)?(?:test|build|lint|typecheck|type-check|check)\b|\bmake\s+(?:test|check|build|lint)\b/;
+
+// A type checker or linter run directly (not `grep eslint`): no output
+// means a clean run
+const directRun = tool => new RegExp(`(?:^|[;&|(]\\s*)(?:\\w+=\\S*\\s+)*(?:npx\\s+|bunx\\s+|pnpm\\s+(?:exec\\s+)?|yarn\\s+)?(?:\\S*/)?${tool}(?=\\s|$)`);
+const DIRECT_BUILD_RE = { tsc: directRun('tsc'), eslint: directRun('eslint') };
+const INFO_FLAGS_RE = /\s--?(?:v|version|h|help|init|print-config)\b/;
+const isDirectRun = (tool, command) => DIRECT_BUILD_RE[tool].test(command) && !INFO_FLAGS_RE.test(command);
+
+const count = (text, re) => {
+  const m = text.match(re);
+  return m ? parseInt(m[1], 10) : 0;
+};
+
+function splitNodeId(id, sep) {
+  const i = id.indexOf(sep);
+  return i === -1 ? { name: id } : { file: id.slice(0, i), name: id.slice(i + sep.length).split(sep).join(' › ') };
+}
+
+// ---------------------------------------------------------------------------
+// Runners
+// ---------------------------------------------------------------------------
+
+function parseJest(out) {
+  const summary = out.match(/^Tests:\s+(.*\btotal)$/m);
+  if (!summary) return null;
+  const failures = [];
+  let file;
+  for (const line of out.split('\n')) {
+    const fail = line.match(/^\s*FAIL\s+(\S+)/);
+    if (fail) {
+      file = fail[1];
+      continue;
+    }
+    const bullet = line.match(/^\s*● (.+)$/);
+    if (bullet && !/^(Console|Test suite failed to run)\b/.test(bullet[1])) {
+      failures.push({ name: bullet[1].trim(), file });
+    }
+  }
+  return {
+    kind: 'test', runner: 'jest',
+    passed: count(summary[1], /(\d+) passed/),
+    failed: count(summary[1], /(\d+) failed/),
+    skipped: count(summary[1], /(\d+) skipped/) + count(summary[1], /(\d+) todo/),
+    failures,
+  };
+}
+
+function parseVitest(out) {
+  const summary = out.match(/^\s*Tests\s+(.*)\(\d+\)\s*$/m);
+  if (!summary) return null;
+  const failures = [];
+  for (const m of out.matchAll(/^\s*FAIL\s+(\S+) > (.+)$/gm)) {
+    failures.push({ file: m[1], name: m[2].trim().split(' > ').join(' › ') });
+  }
+  return {
+    kind: 'test', runner: 'vitest',
+    passed: count(summary[1], /(\d+) passed/),
+    failed: count(summary[1], /(\d+) failed/),
+    skipped: count(summary[1], /(\d+) skipped/) + count(summary[1], /(\d+) todo/),
+    failures,
+  };
+}
+
+function parseMocha(out) {
+  if (!/^\s+\d+ passing\b/m.test(out)) return null;
+  const lines = out.split('\n');
+  const failingAt = lines.findIndex(l => /^\s+\d+ failing\b/.test(l));
+  // "  1) Suite\n       test name:" — the title runs until the line ending with ':'
+  const byNumber = new Map();
+  for (let i = failingAt + 1; failingAt !== -1 && i < lines.length; i++) {
+    const m = lines[i].match(/^\s{2}(\d+)\) (.+)$/);
+    if (!m) continue;
+    const parts = [m[2].trim()];
+    for (let j = i + 1; !parts[parts.length - 1].endsWith(':') && j < lines.length && /^\s{5,}\S/.test(lines[j]); j++) {
+      parts.push(lines[j].trim());
+    }
+    parts[parts.length - 1] = parts[parts.length - 1].replace(/:$/, '');
+    byNumber.set(m[1], { name: parts.join(' › ') });
+  }
+  return {
+    kind: 'test', runner: 'mocha',
+    passed: count(out, /^\s+(\d+) passing\b/m),
+    failed: count(out, /^\s+(\d+) failing\b/m),
+    skipped: count(out, /^\s+(\d+) pending\b/m),
+    failures: [...byNumber.values()],
+  };
+}
+
+function parsePytest(out) {
+  const summary = out.match(/^=+ (.*\b(?:passed|failed|errors?|skipped|no tests ran)\b.*) in [\d.]+s\b.*=+$/m);
+  if (!summary) return null;
+  const failures = [];
+  for (const m of out.matchAll(/^(?:FAILED|ERROR) (\S+)/gm)) {
+    failures.push(splitNodeId(m[1], '::'));
+  }
+  return {
+    kind: 'test', runner: 'pytest',
+    passed: count(summary[1], /(\d+) passed/),
+    failed: count(summary[1], /(\d+) failed/) + count(summary[1], /(\d+) errors?/),
+    skipped: count(summary[1], /(\d+) skipped/),
+    failures,
+  };
+}
+
+function parseCargo(out) {
+  const results = [...out.matchAll(/^test result: \w+\. (.*)$/gm)];
+  if (results.length === 0) return null;
+  const sum = re => results.reduce((n, m) => n + count(m[1], re), 0);
+  return {
+    kind: 'test', runner: 'cargo',
+    passed: sum(/(\d+) passed/),
+    failed: sum(/(\d+) failed/),
+    skipped: sum(/(\d+) ignored/),
+    failures: [...out.matchAll(/^test (\S+) \.\.\. FAILED$/gm)].map(m => ({ name: m[1].split('::').join(' › ') })),
+  };
+}
+
+function parseNodeTest(out) {
+  if (!/^[#ℹ] pass \d+$/m.test(out) || !/^[#ℹ] fail \d+$/m.test(out)) return null;
+  const failures = [];
+
+  if (/^TAP version/m.test(out)) {
+    // Subtests come before their parent; a "not ok" right after a deeper
+    // test line is a failing suite, not a failing test
+    const names = [];
+    let previousIndent = -1;
+    let last = null;
+    for (const line of out.split('\n')) {
+      const subtest = line.match(/^(\s*)# Subtest: (.+)$/);
+      if (subtest) {
+        names[subtest[1].length / 4] = subtest[2];
+        continue;
+      }
+      const result = line.match(/^(\s*)(not ok|ok) \d+ - (.+?)(?: # .*)?$/);
+      if (result) {
+        const indent = result[1].length;
+        last = null;
+        if (result[2] === 'not ok' && previousIndent <= indent) {
+          last = { name: [...names.slice(0, indent / 4), result[3]].join(' › ') };
+          failures.push(last);
+        }
+        previousIndent = indent;
+        continue;
+      }
+      const location = line.match(/^\s*location: '(.+?):\d+:\d+'$/);
+      if (location && last && !last.file) last.file = location[1];
+    }
+  } else {
+    // Spec reporter: the "failing tests" list, each after its location
+    const listed = out.split(/^✖ failing tests:$/m)[1] || '';
+    let file;
+    for (const line of listed.split('\n')) {
+      const at = line.match(/^test at (.+?):\d+:\d+$/);
+      if (at) file = at[1];
+      const m = line.match(/^✖ (.+?) \([\d.]+m?s\)$/);
+      if (m) failures.push({ name: m[1], file });
+    }
+  }
+
+  return {
+    kind: 'test', runner: 'node:test',
+    passed: count(out, /^[#ℹ] pass (\d+)$/m),
+    failed: count(out, /^[#ℹ] fail (\d+)$/m),
+    skipped: count(out, /^[#ℹ] skipped (\d+)$/m) + count(out, /^[#ℹ] todo (\d+)$/m),
+    failures,
+  };
+}
+
+function parseGoTest(out) {
+  const tests = [...out.matchAll(/^\s*--- (PASS|FAIL|SKIP): (\S+)/gm)];
+  const packages = [...out.matchAll(/^(ok|FAIL)\s+(\S+)\s+(?:[\d.]+s|\(cached\)|\[[^\]]+\])/gm)];
+  if (tests.length === 0 && packages.length === 0) return null;
+
+  const failed = tests.filter(m => m[1] === 'FAIL').map(m => m[2]);
+  // A failing parent is listed with its failing subtests (Parent/sub)
+  const leaves = failed.filter(name => !failed.some(other => other.startsWith(name + '/')));
+  const failures = leaves.map(name => ({ name: name.split('/').join(' › ') }));
+  // Without -v only failures are listed: count packages instead
+  const failedPackages = packages.filter(m => m[1] === 'FAIL');
+  if (failures.length === 0) {
+    failures.push(...failedPackages.map(m => ({ name: `${m[2]} ${/\[build failed\]/.test(m[0]) ? '(build failed)' : '(failed)'}` })));
+  }
+  const verbose = tests.some(m => m[1] === 'PASS');
+  return {
+    kind: 'test', runner: 'go test',
+    passed: verbose ? tests.filter(m => m[1] === 'PASS').length : packages.filter(m => m[1] === 'ok').length,
+    failed: leaves.length || failedPackages.length,
+    skipped: tests.filter(m => m[1] === 'SKIP').length,
+    failures,
+  };
+}
+
+function parseTsc(out, command) {
+  const errors = [
+    ...out.matchAll(/^(.+?)\((\d+),\d+\): error (TS\d+): (.+)$/gm),
+    ...out.matchAll(/^(.+?):(\d+):\d+ - error (TS\d+): (.+)$/gm),
+  ];
+  const bare = [...out.matchAll(/^error (TS\d+): (.+)$/gm)];
+  if (errors.length === 0 && bare.length === 0 && !isDirectRun('tsc', command)) return null;
+  return {
+    kind: 'build', runner: 'tsc',
+    errors: errors.length + bare.length,
+    warnings: 0,
+    failures: [
+      ...errors.map(m => ({ name: `${m[3]}: ${m[4].trim()}`, file: m[1] })),
+      ...bare.map(m => ({ name: `${m[1]}: ${m[2].trim()}` })),
+    ],
+  };
+}
+
+function parseEslint(out, command) {
+  const summary = out.match(/✖ \d+ problems? \((\d+) errors?, (\d+) warnings?\)/);
+  if (!summary && !isDirectRun('eslint', command)) return null;
+  // Stylish format: a file line, then "  line:col  error  message  rule"
+  const failures = [];
+  let file;
+  for (const line of out.split('\n')) {
+    if (/^\S/.test(line) && !/^✖/.test(line)) file = line.trim();
+    const m = line.match(/^\s+\d+:\d+\s+error\s+(.+?)(?:\s{2,}(\S+))?\s*$/);
+    if (m) failures.push({ name: m[2] ? `${m[1]} (${m[2]})` : m[1], file });
+  }
+  return {
+    kind: 'build', runner: 'eslint',
+    errors: summary ? parseInt(summary[1], 10) : 0,
+    warnings: summary ? parseInt(summary[2], 10) : 0,
+    failures,
+  };
+}
+
+// Most specific output first: several runners print "FAIL <path>"
+const PARSERS = [parseJest, parseVitest, parseMocha, parsePytest, parseCargo, parseNodeTest, parseGoTest, parseTsc, parseEslint];
+
+/**
+ * The text of a Bash tool_response ({ stdout, stderr } or a string).
+ */
+export function bashOutput(toolResponse) {
+  if (!toolResponse) return '';
+  if (typeof toolResponse === 'string') return toolResponse;
+  return [toolResponse.stdout, toolResponse.stderr].filter(s => typeof s === 'string' && s).join('\n');
+}
+
+/**
+ * Parse a test, type check or lint run.
+ *
+ * @param {string} command - The Bash command
+ * @param {string} output - Its stdout and stderr
+ * @param {object} [options]
+ * @param {string} [options.root] - Project root, to make file paths relative
+ * @param {number} [options.maxFailures]
+ * @returns {object|null} { kind, runner, passed, failed, skipped, failures }
+ *   for tests, { kind, runner, errors, warnings, failures } for builds;
+ *   null when the command isn't a run or its output wasn't recognized
+ */
+export function parseRunOutput(command, output, { root = null, maxFailures = DEFAULT_MAX_FAILURES } = {}) {
+  if (!command || typeof command !== 'string' || !RUN_COMMAND_RE.test(command)) return null;
+  const out = (output || '').replace(ANSI_RE, '').replace(/\r/g, '');
+
+  for (const parse of PARSERS) {
+    const result = parse(out, command);
+    if (!result) continue;
+    const seen = new Set();
+    result.failures = result.failures
+      .map(f => {
+        const failure = { name: f.name.slice(0, MAX_NAME_LENGTH) };
+        const file = f.file?.replace(/^file:\/\//, '');
+        if (file) failure.file = root && isAbsolute(file) && !relative(root, file).startsWith('..') ? relative(root, file) : file;
+        return failure;
+      })
+      .filter(f => !seen.has(f.file + f.name) && seen.add(f.file + f.name))
+      .slice(0, maxFailures);
+    return result;
+  }
+  return null;
+}
+
+/**
+ * One-line description: "2 failing, 34 passing — src/auth.test.ts › refresh".
+ */
+export function describeOutcome(result) {
+  const parts = result.kind === 'build'
+    ? [result.errors === 0 && !result.warnings
+        ? 'no errors'
+        : [`${result.errors} error${result.errors === 1 ? '' : 's'}`, result.warnings ? `${result.warnings} warning${result.warnings === 1 ? '' : 's'}` : null].filter(Boolean).join(', ')]
+    : [
+        result.failed ? `${result.failed} failing` : null,
+        `${result.passed} passing`,
+        result.skipped ? `${result.skipped} skipped` : null,
+      ].filter(Boolean);
+  let text = parts.join(', ');
+  if (result.failures?.length > 0) {
+    text += ' — ' + result.failures.map(f => f.file ? `${f.file} › ${f.name}` : f.name).join('; ');
+  }
+  return text;
+}
+
+/**
+ * The log entry for a parsed run.
+ */
+export function outcomeEntry(result, command, ts = new Date().toISOString()) {
+  const { kind, runner, failures, ...counts } = result;
+  return {
+    ts,
+    type: kind,
+    runner,
+    ...counts,
+    failures,
+    command: command.length > MAX_COMMAND_LENGTH ? command.slice(0, MAX_COMMAND_LENGTH) + '...' : command,
+    content: `${runner}: ${describeOutcome(result)}`,
+  };
+}
+
+/**
+ * Latest outcome per runner: { [runner]: entry }
+ */
+export function readTestStatus(statusPath) {
+  if (!existsSync(statusPath)) return {};
+  try {
+    return JSON.parse(readFileSync(statusPath, 'utf-8'));
+  } catch {
+    return {};
+  }
+}
+
+const outcomeKey = e => JSON.stringify([e.type, e.passed, e.failed, e.errors, e.warnings, (e.failures || []).map(f => [f.file, f.name])]);
+
+/**
+ * Record a run as its runner's latest outcome.
+ * @returns {boolean} Whether the outcome changed since the runner's last run
+ */
+export function recordTestStatus(statusPath, entry) {
+  const status = readTestStatus(statusPath);
+  const previous = status[entry.runner];
+  status[entry.runner] = entry;
+  writeFileAtomic(statusPath, JSON.stringify(status, null, 2));
+  return !previous || outcomeKey(previous) !== outcomeKey(entry);
+}
+
+/**
+ * Lines for session start, most recent run first:
+ *   "Tests (jest, Oct 18 14:02): 2 failing, 34 passing — …"
+ */
+export function testStatusLines(status, { maxAgeDays = 14, now = Date.now() } = {}) {
+  const cutoff = maxAgeDays > 0 ? now - maxAgeDays * 24 * 60 * 60 * 1000 : -Infinity;
+  return Object.values(status || {})
+    .filter(e => e?.ts && Date.parse(e.ts) >= cutoff)
+    .sort((a, b) => Date.parse(b.ts) - Date.parse(a.ts))
+    .map(e => {
+      const when = new Date(e.ts).toLocaleString(undefined, {
+        month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false
+      });
+      const label = e.type === 'build' ? 'Build' : 'Tests';
+      const prefix = `${e.runner}: `;
+      const text = e.content?.startsWith(prefix) ? e.content.slice(prefix.length) : e.content;
+      return `${label} (${e.runner}, ${when}): ${text}`;
+    });
+}
@@ -0,0 +1,277 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import {
+  parseRunOutput,
+  bashOutput,
+  describeOutcome,
+  outcomeEntry,
+  readTestStatus,
+  recordTestStatus,
+  testStatusLines
+} from './test-outcomes.mjs';
+
+const NODE_TAP = `TAP version 13
+# Subtest: Auth
+    # Subtest: issues tokens
+    ok 1 - issues tokens
+    # Subtest: refresh
+        # Subtest: rotates the token
+        not ok 1 - rotates the token
+          ---
+          location: '/repo/test/auth.test.mjs:6:5'
+          ...
+        1..1
+    not ok 2 - refresh
+    # Subtest: skipped one
+    ok 3 - skipped one # SKIP
+    1..3
+not ok 1 - Auth
+# Subtest: standalone fails
+not ok 2 - standalone fails
+  ---
+  location: '/repo/test/misc.test.mjs:10:1'
+  ...
+1..2
+# tests 4
+# suites 2
+# pass 1
+# fail 2
+# cancelled 0
+# skipped 1
+# todo 0
+`;
+
+const NODE_SPEC = `▶ Auth
+  ✔ issues tokens (0.7ms)
+  ✖ rotates the token (1.4ms)
+✖ Auth (3.9ms)
+ℹ tests 2
+ℹ pass 1
+ℹ fail 1
+ℹ skipped 0
+
+✖ failing tests:
+
+test at test/auth.test.mjs:6:5
+✖ rotates the token (1.4ms)
+  AssertionError [ERR_ASSERTION]: Expected values to be strictly equal
+`;
+
+const JEST = `FAIL src/auth.test.ts (5.2 s)
+  Auth
+    ✓ issues tokens (3 ms)
+    ✕ refresh rotates the token (5 ms)
+
+  ● Auth › refresh rotates the token
+
+    expect(received).toBe(expected)
+
+PASS src/user.test.ts
+
+Test Suites: 1 failed, 1 passed, 2 total
+Tests:       1 failed, 1 skipped, 34 passed, 36 total
+Snapshots:   0 total
+`;
+
+const VITEST = ` ❯ src/auth.test.ts (3 tests | 1 failed) 12ms
+   × Auth > refresh rotates the token
+
+⎯⎯⎯⎯⎯⎯⎯ Failed Tests 1 ⎯⎯⎯⎯⎯⎯⎯
+
+ FAIL  src/auth.test.ts > Auth > refresh rotates the token
+AssertionError: expected 1 to be 2
+
+ Test Files  1 failed | 3 passed (4)
+      Tests  1 failed | 34 passed (35)
+`;
+
+const MOCHA = `  Auth
+    ✓ issues tokens
+    1) refresh rotates the token
+
+  34 passing (2s)
+  1 pending
+  1 failing
+
+  1) Auth
+       refresh rotates the token:
+     AssertionError: expected 1 to equal 2
+`;
+
+const PYTEST = `tests/test_auth.py .F.                                   [100%]
+
+=========================== short test summary info ============================
+FAILED tests/test_auth.py::TestRefresh::test_rotates - AssertionError: assert 1 == 2
+==================== 1 failed, 34 passed, 2 skipped in 1.23s ====================
+`;
+
+const GO = `=== RUN   TestRefresh
+=== RUN   TestRefresh/rotates
+    auth_test.go:12: got 1, want 2
+--- FAIL: TestRefresh (0.00s)
+    --- FAIL: TestRefresh/rotates (0.00s)
+=== RUN   TestIssue
+--- PASS: TestIssue (0.00s)
+FAIL
+FAIL\tgithub.com/acme/api/auth\t0.012s
+ok  \tgithub.com/acme/api/user\t0.020s
+`;
+
+const CARGO = `running 3 tests
+test auth::tests::issues ... ok
+test auth::tests::rotates ... FAILED
+test auth::tests::slow ... ignored
+
+test result: FAILED. 1 passed; 1 failed; 1 ignored; 0 measured; 0 filtered out; finished in 0.01s
+
+running 2 tests
+test result: ok. 2 passed; 0 failed; 0 ignored; 0 measured; 0 filtered out; finished in 0.00s
+`;
+
+const TSC = `src/auth.ts(12,5): error TS2345: Argument of type 'string' is not assignable to parameter of type 'number'.
+src/user.ts:3:1 - error TS2304: Cannot find name 'foo'.
+
+Found 2 errors in 2 files.
+`;
+
+const ESLINT = `
+/repo/src/auth.js
+  1:10  error    'jwt' is defined but never used  no-unused-vars
+  4:1   warning  Unexpected console statement     no-console
+
+✖ 2 problems (1 error, 1 warning)
+`;
+
+describe('parseRunOutput', () => {
+  it('reads node:test TAP output, leaving out failing suites', () => {
+    const result = parseRunOutput('node --test', NODE_TAP, { root: '/repo' });
+    assert.deepEqual(result, {
+      kind: 'test', runner: 'node:test', passed: 1, failed: 2, skipped: 1,
+      failures: [
+        { name: 'Auth › refresh › rotates the token', file: 'test/auth.test.mjs' },
+        { name: 'standalone fails', file: 'test/misc.test.mjs' },
+      ],
+    });
+  });
+
+  it('reads node:test spec output', () => {
+    const result = parseRunOutput('npm test', NODE_SPEC);
+    assert.deepEqual(result.failures, [{ name: 'rotates the token', file: 'test/auth.test.mjs' }]);
+    assert.equal(result.failed, 1);
+  });
+
+  const runs = [
+    ['jest', 'npx jest', JEST, { passed: 34, failed: 1, skipped: 1 }, { name: 'Auth › refresh rotates the token', file: 'src/auth.test.ts' }],
+    ['vitest', 'pnpm test', VITEST, { passed: 34, failed: 1, skipped: 0 }, { name: 'Auth › refresh rotates the token', file: 'src/auth.test.ts' }],
+    ['mocha', 'npm run test', MOCHA, { passed: 34, failed: 1, skipped: 1 }, { name: 'Auth › refresh rotates the token' }],
+    ['pytest', 'python -m pytest -q', PYTEST, { passed: 34, failed: 1, skipped: 2 }, { name: 'TestRefresh › test_rotates', file: 'tests/test_auth.py' }],
+    ['go test', 'go test -v ./...', GO, { passed: 1, failed: 1, skipped: 0 }, { name: 'TestRefresh › rotates' }],
+    ['cargo', 'cargo test', CARGO, { passed: 3, failed: 1, skipped: 1 }, { name: 'auth › tests › rotates' }],
+  ];
+  for (const [runner, command, output, counts, failure] of runs) {
+    it(`reads ${runner} output`, () => {
+      const result = parseRunOutput(command, output);
+      assert.equal(result.runner, runner);
+      assert.equal(result.kind, 'test');
+      assert.deepEqual({ passed: result.passed, failed: result.failed, skipped: result.skipped }, counts);
+      assert.deepEqual(result.failures, [failure]);
+    });
+  }
+
+  it('counts go packages without -v', () => {
+    const result = parseRunOutput('go test ./...', 'FAIL\tgithub.com/acme/api/auth [build failed]\nok  \tgithub.com/acme/api/user\t0.020s\n');
+    assert.deepEqual([result.passed, result.failed, result.failures], [1, 1, [{ name: 'github.com/acme/api/auth (build failed)' }]]);
+  });
+
+  it('reads tsc and eslint errors as build outcomes', () => {
+    const tsc = parseRunOutput('npx tsc --noEmit', TSC);
+    assert.deepEqual([tsc.kind, tsc.errors], ['build', 2]);
+    assert.deepEqual(tsc.failures[1], { name: "TS2304: Cannot find name 'foo'.", file: 'src/user.ts' });
+
+    const eslint = parseRunOutput('eslint src', ESLINT, { root: '/repo' });
+    assert.deepEqual([eslint.errors, eslint.warnings], [1, 1]);
+    assert.deepEqual(eslint.failures, [{ name: "'jwt' is defined but never used (no-unused-vars)", file: 'src/auth.js' }]);
+  });
+
+  it('takes a silent tsc or eslint run as clean', () => {
+    assert.deepEqual(parseRunOutput('tsc -p .', ''), { kind: 'build', runner: 'tsc', errors: 0, warnings: 0, failures: [] });
+    assert.equal(parseRunOutput('tsc --version', 'Version 5.4.5'), null);
+    assert.equal(parseRunOutput('grep -rn eslint src', ''), null);
+  });
+
+  it('ignores other commands and unrecognized output', () => {
+    assert.equal(parseRunOutput('cat test-results.txt', JEST), null);
+    assert.equal(parseRunOutput('npm run build', 'built in 2s'), null);
+  });
+
+  it('strips colors and caps the failures', () => {
+    const colored = JEST.replace('Tests:', '\x1b[1mTests:\x1b[22m');
+    assert.equal(parseRunOutput('jest', colored).passed, 34);
+    const many = 'Tests:       3 failed, 3 total\n  ● a\n  ● b\n  ● c\n';
+    assert.equal(parseRunOutput('jest', many, { maxFailures: 2 }).failures.length, 2);
+  });
+});
+
+describe('bashOutput / describeOutcome / outcomeEntry', () => {
+  it('joins stdout and stderr', () => {
+    assert.equal(bashOutput({ stdout: 'out', stderr: 'err', interrupted: false }), 'out\nerr');
+    assert.equal(bashOutput('text'), 'text');
+    assert.equal(bashOutput(undefined), '');
+  });
+
+  it('describes tests and builds', () => {
+    assert.equal(describeOutcome({ kind: 'test', passed: 34, failed: 0, skipped: 0, failures: [] }), '34 passing');
+    assert.equal(
+      describeOutcome({ kind: 'test', passed: 34, failed: 2, skipped: 1, failures: [{ name: 'a', file: 'x.test.ts' }, { name: 'b' }] }),
+      '2 failing, 34 passing, 1 skipped — x.test.ts › a; b'
+    );
+    assert.equal(describeOutcome({ kind: 'build', errors: 0, warnings: 0, failures: [] }), 'no errors');
+    assert.equal(describeOutcome({ kind: 'build', errors: 1, warnings: 2, failures: [] }), '1 error, 2 warnings');
+  });
+
+  it('builds the log entry', () => {
+    const result = parseRunOutput('npx jest', JEST);
+    const entry = outcomeEntry(result, 'npx jest', '2026-10-18T12:00:00.000Z');
+    assert.deepEqual(entry, {
+      ts: '2026-10-18T12:00:00.000Z', type: 'test', runner: 'jest', passed: 34, failed: 1, skipped: 1,
+      failures: result.failures, command: 'npx jest',
+      content: 'jest: 1 failing, 34 passing, 1 skipped — src/auth.test.ts › Auth › refresh rotates the token',
+    });
+  });
+});
+
+describe('recordTestStatus / testStatusLines', () => {
+  let dir;
+
+  before(() => {
+    dir = mkdtempSync(join(tmpdir(), 'mneme-test-status-'));
+  });
+
+  after(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('reports only changed outcomes per runner', () => {
+    const path = join(dir, '.test-status.json');
+    const run = (ts, failed) => ({ ts, type: 'test', runner: 'jest', passed: 3, failed, failures: [], content: `jest: ${failed} failing, 3 passing` });
+    assert.equal(recordTestStatus(path, run('2026-10-18T10:00:00Z', 1)), true);
+    assert.equal(recordTestStatus(path, run('2026-10-18T10:05:00Z', 1)), false);
+    assert.equal(recordTestStatus(path, run('2026-10-18T10:10:00Z', 0)), true);
+    assert.equal(recordTestStatus(path, { ts: '2026-10-18T09:00:00Z', type: 'build', runner: 'tsc', errors: 0, failures: [], content: 'tsc: no errors' }), true);
+    assert.equal(readTestStatus(path).jest.ts, '2026-10-18T10:10:00Z');
+  });
+
+  it('lists the latest first and drops stale runs', () => {
+    const status = readTestStatus(join(dir, '.test-status.json'));
+    const now = Date.parse('2026-10-19T00:00:00Z');
+    const lines = testStatusLines(status, { now });
+    assert.equal(lines.length, 2);
+    assert.match(lines[0], /^Tests \(jest, .+\): 0 failing, 3 passing$/);
+    assert.match(lines[1], /^Build \(tsc, .+\): no errors$/);
+    assert.deepEqual(testStatusLines(status, { now: now + 30 * 86400000 }), []);
+  });
+});
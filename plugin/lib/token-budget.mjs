@@ -0,0 +1,194 @@
+/**
+ * Token Budget — estimate token counts and fit injected context to a budget.
+ *
+ * estimateTokens() approximates a BPE tokenizer (cl100k-style) without
+ * shipping a vocabulary: words cost ~1 token per 5 letters, digit runs 1 per
+ * 3 digits, punctuation runs 1 per 2 chars, CJK 1 per character, newline runs
+ * and indentation 1 each. It errs slightly high for English prose, which is
+ * the safe side for a budget.
+ *
+ * fitSections() allocates a total budget across prioritized sections
+ * (top > high > medium > low) and degrades in this order until it fits:
+ *   1. drop low-priority sections (last first)
+ *   2. compact medium, then high sections (decision lines lose their
+ *      reasons, long lines are shortened)
+ *   3. trim items from the end of medium, then high sections
+ *   4. strict mode only: trim top sections too
+ */
+
+export const PRIORITIES = ['top', 'high', 'medium', 'low'];
+export const BUDGET_MODES = ['adaptive', 'strict', 'full'];
+export const DEFAULT_MAX_TOKENS = 2000;
+
+const COMPACT_LINE_CHARS = 100;
+
+const PIECE_RE = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]|[\p{L}\p{M}]+|\p{N}+|\n+|[ \t]{2,}|[^\s\p{L}\p{M}\p{N}]+/gu;
+const CJK_RE = /^[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]$/u;
+
+/**
+ * Approximate the number of tokens in a string.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  let tokens = 0;
+  for (const [piece] of String(text).matchAll(PIECE_RE)) {
+    const c = piece[0];
+    if (c === '\n' || c === ' ' || c === '\t' || CJK_RE.test(piece)) tokens += 1;
+    else if (/\p{N}/u.test(c)) tokens += Math.ceil(piece.length / 3);
+    else if (/[\p{L}\p{M}]/u.test(c)) tokens += Math.ceil(piece.length / 5);
+    else tokens += Math.ceil(piece.length / 2);
+  }
+  return tokens;
+}
+
+/**
+ * Shorten one injected line for tight budgets.
+ * `- **Decision** — reason` keeps only the decision; `- ~~Old~~ — note`
+ * keeps only the struck-through text; other lines are cut at a word
+ * boundary.
+ */
+export function compactLine(line, maxChars = COMPACT_LINE_CHARS) {
+  const decision = line.match(/^(\s*- (?:\*\*|~~).+?(?:\*\*|~~)) — /);
+  if (decision) return decision[1];
+  if (line.length <= maxChars) return line;
+  const cut = line.slice(0, maxChars);
+  const space = cut.lastIndexOf(' ');
+  return (space > maxChars * 0.6 ? cut.slice(0, space) : cut).trimEnd() + '...';
+}
+
+function slug(heading) {
+  return heading.replace(/^#+\s*/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'section';
+}
+
+/**
+ * Split rendered markdown into budget sections, one per heading.
+ * Blank lines before a heading stay attached to it so rendering the
+ * sections reproduces the input (minus trailing blank lines).
+ *
+ * @param {string} text
+ * @param {string} priority
+ * @returns {Array<{ id: string, priority: string, header: string, items: string[] }>}
+ */
+export function sectionsFromMarkdown(text, priority) {
+  const sections = [];
+  let current = null;
+  let blanks = 0;
+  for (const line of (text || '').split('\n')) {
+    if (!line.trim()) {
+      blanks++;
+      continue;
+    }
+    if (/^#{1,3} /.test(line)) {
+      current = { id: slug(line), priority, header: '\n'.repeat(blanks) + line, items: [] };
+      sections.push(current);
+    } else {
+      if (!current) {
+        current = { id: 'text', priority, header: null, items: [] };
+        sections.push(current);
+      }
+      for (let i = 0; i < blanks; i++) current.items.push('');
+      current.items.push(line);
+    }
+    blanks = 0;
+  }
+  return sections;
+}
+
+/**
+ * Render sections the way session-start prints them: header line(s), then one
+ * line per item. Sections with neither header nor items render as nothing.
+ */
+export function renderSections(sections) {
+  const parts = [];
+  for (const s of sections) {
+    const lines = [s.header, ...s.items].filter(l => l !== null && l !== undefined);
+    if (s.footer !== undefined) lines.push(s.footer);
+    if (lines.length > 0) parts.push(lines.join('\n'));
+  }
+  return parts.join('\n');
+}
+
+function sectionTokens(section) {
+  return estimateTokens(renderSections([section])) + 1;
+}
+
+/**
+ * Fit sections into a token budget.
+ *
+ * A section whose items were all trimmed is dropped, so headers are never
+ * left dangling. Sections marked `keepHeader` (wrappers like the opening
+ * tag) are never dropped in adaptive mode.
+ *
+ * @param {Array<{ id: string, priority: string, header?: string|null, items: string[],
+ *   footer?: string, compact?: (line: string) => string }>} sections - In output order
+ * @param {number} maxTokens - 0 = unlimited
+ * @param {{ mode?: string }} [options] - 'adaptive' | 'strict' | 'full' (measure only)
+ * @returns {{ sections: object[], tokens: number, maxTokens: number, mode: string,
+ *   dropped: string[], compacted: string[], trimmed: Record<string, number> }}
+ */
+export function fitSections(sections, maxTokens = DEFAULT_MAX_TOKENS, { mode = 'adaptive' } = {}) {
+  const kept = sections
+    .filter(s => s.header || s.items.length > 0)
+    .map((s, index) => ({ ...s, items: [...s.items], _index: index, _tokens: 0 }));
+  for (const s of kept) s._tokens = sectionTokens(s);
+
+  const report = { dropped: [], compacted: [], trimmed: {} };
+  const limited = mode !== 'full' && maxTokens > 0;
+  let total = kept.reduce((sum, s) => sum + s._tokens, 0);
+  const fits = () => !limited || total <= maxTokens;
+  const refresh = (s) => {
+    total -= s._tokens;
+    s._tokens = sectionTokens(s);
+    total += s._tokens;
+  };
+  const drop = (s) => {
+    kept.splice(kept.indexOf(s), 1);
+    total -= s._tokens;
+    report.dropped.push(s.id);
+  };
+  // Trim/compact order: lower priority first, later sections first within a tier
+  const byPressure = (priorities) => kept
+    .filter(s => priorities.includes(s.priority))
+    .sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority) || b._index - a._index);
+
+  // 1. Drop low-priority sections
+  for (const s of byPressure(['low'])) {
+    if (fits()) break;
+    drop(s);
+  }
+
+  // 2. Compact medium, then high sections
+  for (const s of byPressure(['medium', 'high'])) {
+    if (fits()) break;
+    const compact = s.compact || compactLine;
+    const items = s.items.map(line => (line ? compact(line) : line));
+    if (items.some((line, i) => line !== s.items[i])) {
+      s.items = items;
+      report.compacted.push(s.id);
+      refresh(s);
+    }
+  }
+
+  // 3. Trim items from medium, then high (then top in strict mode)
+  const trimTiers = mode === 'strict' ? ['medium', 'high', 'top'] : ['medium', 'high'];
+  for (const s of byPressure(trimTiers)) {
+    if (fits()) break;
+    while (!fits() && s.items.length > 0) {
+      s.items.pop();
+      report.trimmed[s.id] = (report.trimmed[s.id] || 0) + 1;
+      refresh(s);
+    }
+    if (s.items.length === 0 && !(s.keepHeader && mode !== 'strict')) drop(s);
+  }
+
+  const result = kept.map(({ _index, _tokens, ...s }) => s);
+  return {
+    sections: result,
+    tokens: estimateTokens(renderSections(result)),
+    maxTokens: limited ? maxTokens : 0,
+    mode,
+    ...report,
+  };
+}
@@ -0,0 +1,142 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+
+import {
+  estimateTokens,
+  compactLine,
+  sectionsFromMarkdown,
+  renderSections,
+  fitSections
+} from './token-budget.mjs';
+
+function section(id, priority, items, extra = {}) {
+  return { id, priority, header: `## ${id}`, items, ...extra };
+}
+
+describe('estimateTokens', () => {
+  it('returns 0 for empty input', () => {
+    assert.equal(estimateTokens(''), 0);
+    assert.equal(estimateTokens(null), 0);
+  });
+
+  it('counts words, numbers, punctuation and CJK', () => {
+    assert.equal(estimateTokens('hello world'), 2);
+    assert.equal(estimateTokens('internationalization'), 4);
+    assert.equal(estimateTokens('2026'), 2);
+    assert.equal(estimateTokens('- **x**'), 4);
+    assert.equal(estimateTokens('日本語'), 3);
+    assert.equal(estimateTokens('a\n\nb'), 3);
+  });
+
+  it('stays in the range of real tokenizers for English prose', () => {
+    const text = 'Use the session-start hook to inject project memory into every new conversation.';
+    const tokens = estimateTokens(text);
+    assert.ok(tokens >= 14 && tokens <= 24, `got ${tokens}`);
+  });
+});
+
+describe('compactLine', () => {
+  it('drops decision reasons', () => {
+    assert.equal(compactLine('- **Use ESM** — better tree shaking'), '- **Use ESM**');
+    assert.equal(compactLine('- ~~Use CJS~~ — superseded by ESM'), '- ~~Use CJS~~');
+  });
+
+  it('shortens long lines at a word boundary', () => {
+    const line = '- ' + 'word '.repeat(40);
+    const short = compactLine(line, 50);
+    assert.ok(short.length <= 53);
+    assert.ok(short.endsWith('word...'));
+    assert.equal(compactLine('- short'), '- short');
+  });
+});
+
+describe('sectionsFromMarkdown', () => {
+  it('splits on headings and round-trips through renderSections', () => {
+    const text = '## Project Context\nA tool\n\n## Key Decisions\n- **A** — b\n- **C** — d';
+    const sections = sectionsFromMarkdown(text, 'high');
+    assert.deepEqual(sections.map(s => [s.id, s.priority, s.items.length]), [
+      ['project-context', 'high', 1],
+      ['key-decisions', 'high', 2],
+    ]);
+    assert.equal(renderSections(sections), text);
+  });
+
+  it('keeps text before the first heading', () => {
+    const sections = sectionsFromMarkdown('intro\n## A\nx', 'medium');
+    assert.equal(sections[0].id, 'text');
+    assert.equal(renderSections(sections), 'intro\n## A\nx');
+  });
+});
+
+describe('fitSections', () => {
+  const sections = () => [
+    section('open', 'top', [], { keepHeader: true }),
+    section('decisions', 'high', ['- **Use ESM** — tree shaking and native node support', '- **Use Redis** — shared cache across workers']),
+    section('work', 'medium', ['- one', '- two', '- three', '- four']),
+    section('activity', 'low', ['- edited a file', '- ran the tests']),
+    section('tip', 'low', ['Tip: use /remember']),
+  ];
+
+  it('leaves sections unchanged when they fit', () => {
+    const result = fitSections(sections(), 1000);
+    assert.equal(result.sections.length, 5);
+    assert.deepEqual(result.dropped, []);
+    assert.equal(result.tokens, estimateTokens(renderSections(sections())));
+  });
+
+  it('drops low-priority sections first, last one first', () => {
+    const full = estimateTokens(renderSections(sections()));
+    const tip = estimateTokens('## tip\nTip: use /remember') + 1;
+    const result = fitSections(sections(), full - tip + 1);
+    assert.deepEqual(result.dropped, ['tip']);
+    assert.ok(result.sections.some(s => s.id === 'activity'));
+  });
+
+  it('compacts decisions before trimming items', () => {
+    const withoutLow = sections().filter(s => s.priority !== 'low');
+    const budget = estimateTokens(renderSections(withoutLow)) - 5;
+    const result = fitSections(sections(), budget);
+    assert.deepEqual(result.dropped, ['tip', 'activity']);
+    assert.deepEqual(result.compacted, ['decisions']);
+    assert.deepEqual(result.trimmed, {});
+    assert.deepEqual(result.sections.find(s => s.id === 'decisions').items, ['- **Use ESM**', '- **Use Redis**']);
+    assert.ok(result.tokens <= budget);
+  });
+
+  it('trims medium items before high and drops emptied sections', () => {
+    const result = fitSections(sections(), 20);
+    assert.equal(result.trimmed.work, 4);
+    assert.ok(result.dropped.includes('work'));
+    assert.ok(result.sections.some(s => s.id === 'open'), 'keepHeader section survives');
+    assert.ok(result.tokens <= 20);
+  });
+
+  it('never trims top sections in adaptive mode', () => {
+    const input = [section('briefing', 'top', ['- a', '- b', '- c']), section('work', 'medium', ['- x'])];
+    const result = fitSections(input, 1);
+    assert.deepEqual(result.sections.map(s => s.id), ['briefing']);
+    assert.equal(result.sections[0].items.length, 3);
+  });
+
+  it('trims top sections in strict mode', () => {
+    const input = [section('briefing', 'top', ['- a', '- b', '- c'])];
+    const budget = estimateTokens('## briefing\n- a') + 1;
+    const result = fitSections(input, budget, { mode: 'strict' });
+    assert.deepEqual(result.sections[0].items, ['- a']);
+    assert.equal(result.trimmed.briefing, 2);
+  });
+
+  it('only measures in full mode', () => {
+    const result = fitSections(sections(), 1, { mode: 'full' });
+    assert.equal(result.sections.length, 5);
+    assert.equal(result.maxTokens, 0);
+    assert.ok(result.tokens > 1);
+  });
+
+  it('does not mutate its input', () => {
+    const input = sections();
+    fitSections(input, 10);
+    assert.equal(input[2].items.length, 4);
+    assert.equal(input[1].items[0], '- **Use ESM** — tree shaking and native node support');
+  });
+});
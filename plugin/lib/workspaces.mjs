@@ -0,0 +1,215 @@
+/**
+ * Workspaces — monorepo sub-projects (packages) within one project's memory.
+ *
+ * Workspaces are read from the repository root:
+ *   - package.json "workspaces" (npm, yarn; array or { packages: [...] })
+ *   - pnpm-workspace.yaml "packages"
+ *   - lerna.json "packages"
+ *
+ * Log entries recorded inside a workspace are tagged with its name; an edit
+ * is tagged with the workspace of the file it changed. Entity mentions count
+ * per workspace (a file's own workspace for file entities), and recent work summarized from a
+ * workspace's entries is tagged with it. Everything stays in the project's
+ * one summary and entity index (the repo-level roll-up). workspaceView() and
+ * workspaceEntityIndex() give a session inside a package its own slice:
+ * that package's items plus repo-level (untagged) ones.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join, relative, sep } from 'node:path';
+
+const MAX_WALK_DEPTH = 5;
+const SKIP_DIRS = new Set(['node_modules']);
+
+// Workspaces per project root, detected once per process
+const workspaceCache = new Map();
+
+function readJson(path) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Package patterns from the "packages:" list of a pnpm-workspace.yaml.
+ */
+export function parsePnpmWorkspace(text) {
+  const patterns = [];
+  let inPackages = false;
+  for (const line of text.split('\n')) {
+    if (/^packages\s*:/.test(line)) {
+      inPackages = true;
+      continue;
+    }
+    if (!inPackages || !line.trim() || line.trim().startsWith('#')) continue;
+    const item = line.match(/^\s+-\s*(['"]?)([^'"#]+?)\1\s*(#.*)?$/);
+    if (item) patterns.push(item[2].trim());
+    else if (!/^\s/.test(line)) inPackages = false;
+  }
+  return patterns;
+}
+
+/**
+ * Workspace patterns declared at the repository root.
+ */
+export function workspacePatterns(root) {
+  const patterns = [];
+  const pkg = readJson(join(root, 'package.json'));
+  const npm = Array.isArray(pkg?.workspaces) ? pkg.workspaces : pkg?.workspaces?.packages;
+  if (Array.isArray(npm)) patterns.push(...npm);
+
+  const pnpmPath = join(root, 'pnpm-workspace.yaml');
+  if (existsSync(pnpmPath)) {
+    try {
+      patterns.push(...parsePnpmWorkspace(readFileSync(pnpmPath, 'utf-8')));
+    } catch {}
+  }
+
+  const lerna = readJson(join(root, 'lerna.json'));
+  if (Array.isArray(lerna?.packages)) patterns.push(...lerna.packages);
+
+  return [...new Set(patterns.filter(p => typeof p === 'string' && p.trim()))];
+}
+
+function globToRegex(pattern) {
+  let re = '';
+  for (let i = 0; i < pattern.length; i++) {
+    const c = pattern[i];
+    if (c === '*' && pattern[i + 1] === '*') {
+      // "**/" = any number of directories; a trailing "**" = anything below
+      const slash = pattern[i + 2] === '/';
+      re += slash ? '(?:.*/)?' : '.*';
+      i += slash ? 2 : 1;
+    } else if (c === '*') re += '[^/]*';
+    else if (c === '?') re += '[^/]';
+    else re += c.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  }
+  return new RegExp(`^${re}$`);
+}
+
+function normalizePattern(pattern) {
+  return pattern.trim().replace(/^\.\//, '').replace(/\/+$/, '');
+}
+
+/**
+ * Directories below `dir` (relative to root, '/'-separated) that contain a
+ * package.json, up to `depth` levels down.
+ */
+function packageDirs(root, dir, depth) {
+  const found = [];
+  const walk = (rel, level) => {
+    if (rel && existsSync(join(root, rel, 'package.json'))) found.push(rel);
+    if (level >= depth) return;
+    let entries;
+    try {
+      entries = readdirSync(join(root, rel), { withFileTypes: true });
+    } catch {
+      return;
+    }
+    for (const entry of entries) {
+      if (!entry.isDirectory() || entry.name.startsWith('.') || SKIP_DIRS.has(entry.name)) continue;
+      walk(rel ? `${rel}/${entry.name}` : entry.name, level + 1);
+    }
+  };
+  walk(dir, 0);
+  return found;
+}
+
+/**
+ * Expand the root's workspace patterns into packages.
+ * @returns {Array<{ name: string, dir: string }>} dir relative to root, deepest first
+ */
+export function detectWorkspaces(root) {
+  const patterns = workspacePatterns(root).map(normalizePattern);
+  const include = patterns.filter(p => p && !p.startsWith('!'));
+  const exclude = patterns.filter(p => p.startsWith('!')).map(p => globToRegex(normalizePattern(p.slice(1))));
+
+  const dirs = new Set();
+  for (const pattern of include) {
+    const segments = pattern.split('/');
+    const firstGlob = segments.findIndex(s => /[*?]/.test(s));
+    const base = firstGlob === -1 ? pattern : segments.slice(0, firstGlob).join('/');
+    const depth = pattern.includes('**') ? MAX_WALK_DEPTH : segments.length - (firstGlob === -1 ? segments.length : firstGlob);
+    const regex = globToRegex(pattern);
+    for (const dir of packageDirs(root, base, depth)) {
+      if (regex.test(dir) && !exclude.some(r => r.test(dir))) dirs.add(dir);
+    }
+  }
+
+  return [...dirs]
+    .map(dir => ({ name: readJson(join(root, dir, 'package.json'))?.name || dir, dir }))
+    .sort((a, b) => b.dir.length - a.dir.length);
+}
+
+/**
+ * The workspace containing `relPath` (relative to the root), or null.
+ */
+export function workspaceForPath(workspaces, relPath) {
+  const path = relPath.split(sep).join('/');
+  return workspaces.find(w => path === w.dir || path.startsWith(w.dir + '/'))?.name || null;
+}
+
+/**
+ * The root's workspaces (detectWorkspaces()), detected once per process.
+ */
+export function projectWorkspaces(root) {
+  if (!workspaceCache.has(root)) workspaceCache.set(root, detectWorkspaces(root));
+  return workspaceCache.get(root);
+}
+
+/**
+ * Name of the workspace package cwd is in, or null (repo root, not a monorepo).
+ */
+export function currentWorkspace(cwd, root) {
+  const workspaces = projectWorkspaces(root);
+  if (workspaces.length === 0) return null;
+  const rel = relative(root, cwd);
+  if (!rel || rel.startsWith('..')) return null;
+  return workspaceForPath(workspaces, rel);
+}
+
+/**
+ * Keep the workspace tags on summarized recent work honest: only workspaces
+ * the batch's entries were recorded in, and a batch from a single workspace
+ * tags all of its items.
+ */
+export function tagWorkspaceWork(items = [], entries = []) {
+  const known = new Set(entries.map(e => e.workspace).filter(Boolean));
+  const only = known.size === 1 && entries.every(e => e.workspace) ? [...known][0] : null;
+  return items.map(item => {
+    const { workspace, ...rest } = item;
+    const tag = known.has(workspace) ? workspace : only;
+    return tag ? { ...rest, workspace: tag } : rest;
+  });
+}
+
+/**
+ * The summary a session inside `workspace` should see: recent work from
+ * that workspace and repo-level work, other workspaces' work left out.
+ */
+export function workspaceView(summary, workspace) {
+  if (!summary || !workspace) return summary;
+  return {
+    ...summary,
+    recentWork: (summary.recentWork || []).filter(w => !w.workspace || w.workspace === workspace),
+    workspace,
+  };
+}
+
+/**
+ * The entity index as seen from inside `workspace`: entities mentioned in
+ * that workspace, plus entities never mentioned inside any workspace.
+ */
+export function workspaceEntityIndex(index, workspace) {
+  if (!index || !workspace) return index;
+  const scoped = { ...index };
+  for (const category of ['files', 'functions', 'errors', 'packages', 'symbols']) {
+    if (!index[category]) continue;
+    scoped[category] = Object.fromEntries(
+      Object.entries(index[category]).filter(([, data]) => !data.workspaces || data.workspaces[workspace])
+    );
+  }
+  return scoped;
+}
@@ -0,0 +1,117 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+
+import {
+  parsePnpmWorkspace,
+  detectWorkspaces,
+  currentWorkspace,
+  projectWorkspaces,
+  workspaceForPath,
+  tagWorkspaceWork,
+  workspaceView,
+  workspaceEntityIndex
+} from './workspaces.mjs';
+
+function addPackage(root, dir, name) {
+  mkdirSync(join(root, dir), { recursive: true });
+  writeFileSync(join(root, dir, 'package.json'), JSON.stringify(name ? { name } : {}));
+}
+
+describe('parsePnpmWorkspace', () => {
+  it('reads the packages list, quoted or not', () => {
+    const yaml = "packages:\n  - 'packages/*'\n  - \"apps/**\" # apps\n  - tools/cli\n  - '!**/test/**'\ncatalog:\n  - nope\n";
+    assert.deepEqual(parsePnpmWorkspace(yaml), ['packages/*', 'apps/**', 'tools/cli', '!**/test/**']);
+  });
+});
+
+describe('detectWorkspaces / currentWorkspace', () => {
+  let root;
+
+  before(() => {
+    root = mkdtempSync(join(tmpdir(), 'mneme-workspaces-'));
+    writeFileSync(join(root, 'package.json'), JSON.stringify({ workspaces: ['packages/*', 'apps/**', '!apps/legacy'] }));
+    writeFileSync(join(root, 'lerna.json'), JSON.stringify({ packages: ['tools/cli'] }));
+    addPackage(root, 'packages/api', '@acme/api');
+    addPackage(root, 'packages/web', '@acme/web');
+    addPackage(root, 'packages/api/node_modules/dep', 'dep');
+    addPackage(root, 'apps/mobile/ios', 'ios-app');
+    addPackage(root, 'apps/legacy', 'legacy');
+    addPackage(root, 'tools/cli');
+    mkdirSync(join(root, 'packages/docs'));
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('expands workspace patterns into packages', () => {
+    const names = detectWorkspaces(root).map(w => w.name).sort();
+    assert.deepEqual(names, ['@acme/api', '@acme/web', 'ios-app', 'tools/cli']);
+  });
+
+  it('finds the package a directory is in', () => {
+    assert.equal(currentWorkspace(join(root, 'packages/api/src/routes'), root), '@acme/api');
+    assert.equal(currentWorkspace(join(root, 'tools/cli'), root), 'tools/cli');
+    assert.equal(currentWorkspace(join(root, 'packages/docs'), root), null);
+    assert.equal(currentWorkspace(root, root), null);
+  });
+
+  it('finds the package a project-relative file is in', () => {
+    const workspaces = projectWorkspaces(root);
+    assert.equal(workspaceForPath(workspaces, 'packages/web/src/app.css'), '@acme/web');
+    assert.equal(workspaceForPath(workspaces, 'apps/mobile/ios/App.swift'), 'ios-app');
+    assert.equal(workspaceForPath(workspaces, 'packages/webapp/index.js'), null);
+    assert.equal(workspaceForPath(workspaces, 'README.md'), null);
+  });
+
+  it('finds nothing outside a monorepo', () => {
+    const plain = mkdtempSync(join(tmpdir(), 'mneme-plain-'));
+    try {
+      assert.deepEqual(detectWorkspaces(plain), []);
+      assert.equal(currentWorkspace(join(plain, 'src'), plain), null);
+    } finally {
+      rmSync(plain, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('tagWorkspaceWork', () => {
+  it('tags all work from a single-workspace batch', () => {
+    const entries = [{ workspace: 'api' }, { workspace: 'api' }];
+    assert.deepEqual(tagWorkspaceWork([{ summary: 'Added routes' }], entries), [{ summary: 'Added routes', workspace: 'api' }]);
+  });
+
+  it('keeps only workspaces the entries were recorded in', () => {
+    const entries = [{ workspace: 'api' }, { workspace: 'web' }, {}];
+    const items = [
+      { summary: 'a', workspace: 'web' },
+      { summary: 'b', workspace: 'billing' },
+      { summary: 'c' },
+    ];
+    assert.deepEqual(tagWorkspaceWork(items, entries), [{ summary: 'a', workspace: 'web' }, { summary: 'b' }, { summary: 'c' }]);
+  });
+});
+
+describe('workspaceView / workspaceEntityIndex', () => {
+  it('shows a package its own and repo-level recent work', () => {
+    const summary = { recentWork: [{ summary: 'CI' }, { summary: 'Routes', workspace: 'api' }, { summary: 'CSS', workspace: 'web' }] };
+    assert.deepEqual(workspaceView(summary, 'api').recentWork.map(w => w.summary), ['CI', 'Routes']);
+    assert.equal(workspaceView(summary, null), summary);
+  });
+
+  it('shows a package its own and repo-level entities', () => {
+    const index = {
+      files: {
+        'README.md': { mentions: 2 },
+        'src/routes.js': { mentions: 3, workspaces: { api: 3 } },
+        'src/app.css': { mentions: 1, workspaces: { web: 1 } },
+      },
+      functions: {},
+    };
+    assert.deepEqual(Object.keys(workspaceEntityIndex(index, 'api').files), ['README.md', 'src/routes.js']);
+    assert.equal(workspaceEntityIndex(index, null), index);
+  });
+});
@@ -0,0 +1,393 @@
+#!/usr/bin/env node
+/**
+ * Mneme MCP Server
+ *
+ * Exposes project memory over MCP (stdio transport: newline-delimited
+ * JSON-RPC 2.0) so the model can pull memory on demand mid-session instead
+ * of only at SessionStart. Registered for the plugin in .mcp.json.
+ *
+ * Tools:     remember, forget, search_memory, get_entity, get_summary, create_handoff
+ * Resources: mneme://summary, mneme://remembered, mneme://global/remembered, mneme://entities
+ *
+ * remember/forget take `global` (all projects) or `team` (.mneme/shared.json
+ * in the repository); without either they use this machine's private items.
+ *
+ * Uses the same code paths as the /remember, /forget, /search, /entity and
+ * /handoff scripts. The Mneme server (MnemeClient) is used when reachable
+ * for the cached summary and to flush queued log entries before a search;
+ * both fall back to reading the memory files directly.
+ */
+
+import { readFileSync } from 'node:fs';
+import { createInterface } from 'node:readline';
+import { pathToFileURL } from 'node:url';
+import { logError } from '../lib/error-log.mjs';
+import { renderSummaryToMarkdown } from '../lib/summary-format.mjs';
+import {
+  getProjectName,
+  getProjectRoot,
+  loadConfig,
+  readCachedData,
+  loadEntityIndex,
+  ensureMemoryDirs,
+  readRememberedEntries,
+  addRememberedEntry,
+  removeRememberedEntries,
+  writeBriefing,
+  REMEMBERED_TYPES
+} from '../scripts/utils.mjs';
+import { searchMemory } from '../scripts/mem-search.mjs';
+import { queryEntities } from '../scripts/mem-entity.mjs';
+import { readFixes } from '../lib/error-episodes.mjs';
+
+export const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+const SERVER_VERSION = (() => {
+  try {
+    return JSON.parse(readFileSync(new URL('../package.json', import.meta.url), 'utf-8')).version;
+  } catch {
+    return '0.0.0';
+  }
+})();
+
+// JSON-RPC error codes
+const PARSE_ERROR = -32700;
+const METHOD_NOT_FOUND = -32601;
+const INVALID_PARAMS = -32602;
+const RESOURCE_NOT_FOUND = -32002;
+
+// ============================================================================
+// Tool & resource definitions
+// ============================================================================
+
+export const MCP_TOOLS = [
+  {
+    name: 'remember',
+    description: 'Persist a fact, preference or lesson for this project. Remembered items are injected into every future session and never summarized away.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        content: { type: 'string', description: 'What to remember, one clear sentence' },
+        type: { type: 'string', enum: REMEMBERED_TYPES, description: 'Item type (default: note)' },
+        global: { type: 'boolean', description: 'Remember for all projects (personal preferences like "I use pnpm")' },
+        team: { type: 'boolean', description: 'Store in the repository (.mneme/shared.json) so teammates inherit it once committed' }
+      },
+      required: ['content']
+    }
+  },
+  {
+    name: 'forget',
+    description: 'Remove remembered items by index. Call with no arguments to list remembered items with their indices.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        indices: { type: 'array', items: { type: 'integer' }, description: 'Indices of the items to remove' },
+        global: { type: 'boolean', description: 'Operate on the items shared across all projects' },
+        team: { type: 'boolean', description: 'Operate on the team items in .mneme/shared.json' }
+      }
+    }
+  },
+  {
+    name: 'search_memory',
+    description: 'Full-text search over the project\'s memory history: activity log (including archived entries), summary, briefings and pre-compact extractions.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string' },
+        limit: { type: 'integer', description: 'Max hits (default 10)' },
+        sources: {
+          type: 'array',
+          items: { type: 'string', enum: ['log', 'summary', 'briefing', 'extraction'] },
+          description: 'Restrict to these source families'
+        },
+        since: { type: 'string', description: 'Only hits on/after this date (YYYY-MM-DD)' }
+      },
+      required: ['query']
+    }
+  },
+  {
+    name: 'get_entity',
+    description: 'Look up what memory knows about a file, function, symbol, error or package: mentions, last seen and recent contexts, and how a matching error was fixed before. Without a name, returns entity counts.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        name: { type: 'string', description: 'Entity name or partial name' },
+        category: { type: 'string', enum: ['files', 'functions', 'errors', 'packages', 'symbols'] }
+      }
+    }
+  },
+  {
+    name: 'get_summary',
+    description: 'Get the project memory summary: project context, key decisions, current state and recent work.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        format: { type: 'string', enum: ['markdown', 'json'], description: 'Default: markdown' }
+      }
+    }
+  },
+  {
+    name: 'create_handoff',
+    description: 'Save a briefing for the next session (what was done, decisions, next steps, blockers). It is injected at the start of the next session.',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        summary: { type: 'string', description: 'What was accomplished this session' },
+        keyDecisions: { type: 'array', items: { type: 'string' } },
+        currentState: { type: 'string' },
+        nextSteps: { type: 'array', items: { type: 'string' } },
+        blockers: { type: 'array', items: { type: 'string' } },
+        context: { type: 'string', description: 'Anything else the next session should know' }
+      },
+      required: ['summary']
+    }
+  }
+];
+
+export const MCP_RESOURCES = [
+  { uri: 'mneme://summary', name: 'Memory summary', mimeType: 'text/markdown', description: 'Rendered project memory summary' },
+  { uri: 'mneme://remembered', name: 'Remembered items', mimeType: 'application/json', description: 'Persistent remembered items with indices' },
+  { uri: 'mneme://global/remembered', name: 'Global remembered items', mimeType: 'application/json', description: 'Remembered items shared across all projects' },
+  { uri: 'mneme://entities', name: 'Entity index', mimeType: 'application/json', description: 'Files, functions, errors and packages seen in this project' }
+];
+
+class ToolInputError extends Error {}
+
+// ============================================================================
+// Handler
+// ============================================================================
+
+async function defaultGetClient() {
+  const { getClient } = await import('../client/mneme-client.mjs');
+  return getClient();
+}
+
+/**
+ * Create a JSON-RPC message handler bound to a project directory.
+ *
+ * @param {{ cwd?: string, getClient?: () => Promise<object> }} [options]
+ *   getClient - resolves a MnemeClient (defaults to auto-starting the server)
+ * @returns {(message: object) => Promise<object|null>} Response, or null for notifications
+ */
+export function createMcpHandler(options = {}) {
+  const cwd = options.cwd || process.cwd();
+  const getClient = options.getClient || defaultGetClient;
+  const project = getProjectRoot(cwd);
+  const projectName = getProjectName(cwd);
+
+  async function loadSummary() {
+    try {
+      const client = await getClient();
+      const { summary } = await client.getSummary(project);
+      if (summary) return summary;
+    } catch (err) {
+      logError(err, 'mcp:get_summary');
+    }
+    return readCachedData(cwd, loadConfig()).summary;
+  }
+
+  function renderSummary(summary) {
+    if (!summary) return `No memory summary for "${projectName}" yet.`;
+    const sections = loadConfig().contextInjection?.sections;
+    return renderSummaryToMarkdown(summary, projectName, { sections }).full;
+  }
+
+  function rememberScope({ global, team }) {
+    if (global === true && team === true) throw new ToolInputError('Use either "global" or "team", not both');
+    return { global: global === true, team: team === true };
+  }
+
+  function scopeLabel(scope) {
+    if (scope.global) return 'all projects';
+    return scope.team ? `the "${projectName}" team (.mneme/shared.json)` : `"${projectName}"`;
+  }
+
+  function listRemembered(scope = {}) {
+    return readRememberedEntries(cwd, scope).map((entry, index) => ({
+      index,
+      type: entry.type,
+      content: entry.content,
+      date: entry.ts ? entry.ts.slice(0, 10) : null
+    }));
+  }
+
+  const tools = {
+    async remember({ content, type = 'note', ...flags }) {
+      const scope = rememberScope(flags);
+      if (!content || typeof content !== 'string') throw new ToolInputError('"content" is required');
+      if (!REMEMBERED_TYPES.includes(type)) {
+        throw new ToolInputError(`Invalid type "${type}". Must be one of: ${REMEMBERED_TYPES.join(', ')}`);
+      }
+      if (!addRememberedEntry(type, content, cwd, scope)) {
+        throw new ToolInputError('remembered.json is locked by another session, try again.');
+      }
+      return `Remembered for ${scopeLabel(scope)}: [${type}] ${content}`;
+    },
+
+    async forget({ indices, ...flags }) {
+      const scope = rememberScope(flags);
+      if (!Array.isArray(indices) || indices.length === 0) {
+        return JSON.stringify(listRemembered(scope), null, 2);
+      }
+      const { removed, invalid, busy } = removeRememberedEntries(indices.map(Number), cwd, scope);
+      if (busy) throw new ToolInputError('remembered.json is locked by another session, try again.');
+      if (invalid.length > 0) throw new ToolInputError(`Invalid indices: ${invalid.join(', ')}`);
+      if (removed.length === 0) return 'No remembered items to remove.';
+      return [`Removed ${removed.length} item(s) from ${scopeLabel(scope)}:`, ...removed.map(e => `  - [${e.type}] ${e.content}`)].join('\n');
+    },
+
+    async search_memory({ query, limit, sources, since }) {
+      if (!query || typeof query !== 'string') throw new ToolInputError('"query" is required');
+      // Entries still queued in the server aren't in log.jsonl yet
+      try {
+        const client = await getClient();
+        await client.flushLog(project);
+      } catch (err) {
+        logError(err, 'mcp:search_memory:flush');
+      }
+      const result = searchMemory(cwd, {
+        query,
+        limit: Number.isInteger(limit) && limit > 0 ? limit : undefined,
+        sources: Array.isArray(sources) ? sources : [],
+        since: since || null
+      });
+      return JSON.stringify(result, null, 2);
+    },
+
+    async get_entity({ name, category }) {
+      const result = queryEntities(loadEntityIndex(cwd), {
+        query: name || null,
+        category: category || null,
+        fixes: name ? readFixes(ensureMemoryDirs(cwd).fixes) : null
+      });
+      return JSON.stringify({ project: projectName, ...result }, null, 2);
+    },
+
+    async get_summary({ format = 'markdown' }) {
+      const summary = await loadSummary();
+      return format === 'json' ? JSON.stringify(summary || null, null, 2) : renderSummary(summary);
+    },
+
+    async create_handoff(args) {
+      if (!args.summary) throw new ToolInputError('"summary" is required');
+      writeBriefing(args, cwd);
+      return `Briefing saved for "${projectName}". Next session will pick it up automatically.`;
+    }
+  };
+
+  const resources = {
+    'mneme://summary': async () => renderSummary(await loadSummary()),
+    'mneme://remembered': async () => JSON.stringify(listRemembered(), null, 2),
+    'mneme://global/remembered': async () => JSON.stringify(listRemembered({ global: true }), null, 2),
+    'mneme://entities': async () => JSON.stringify({ project: projectName, ...queryEntities(loadEntityIndex(cwd), { list: true }) }, null, 2)
+  };
+
+  const methods = {
+    initialize(params) {
+      const requested = params?.protocolVersion;
+      return {
+        protocolVersion: SUPPORTED_PROTOCOL_VERSIONS.includes(requested) ? requested : SUPPORTED_PROTOCOL_VERSIONS[0],
+        capabilities: { tools: {}, resources: {} },
+        serverInfo: { name: 'claude-mneme', version: SERVER_VERSION },
+        instructions: `Persistent memory for project "${projectName}". Search or read it when you need past decisions, history or context that isn't in the conversation.`
+      };
+    },
+
+    ping() {
+      return {};
+    },
+
+    'tools/list'() {
+      return { tools: MCP_TOOLS };
+    },
+
+    async 'tools/call'(params) {
+      const tool = tools[params?.name];
+      if (!tool) throw rpcError(INVALID_PARAMS, `Unknown tool: ${params?.name}`);
+      try {
+        const text = await tool(params.arguments || {});
+        return { content: [{ type: 'text', text }] };
+      } catch (err) {
+        if (!(err instanceof ToolInputError)) logError(err, `mcp:${params.name}`);
+        return { content: [{ type: 'text', text: err.message }], isError: true };
+      }
+    },
+
+    'resources/list'() {
+      return { resources: MCP_RESOURCES };
+    },
+
+    async 'resources/read'(params) {
+      const read = resources[params?.uri];
+      if (!read) throw rpcError(RESOURCE_NOT_FOUND, `Resource not found: ${params?.uri}`);
+      const { mimeType } = MCP_RESOURCES.find(r => r.uri === params.uri);
+      return { contents: [{ uri: params.uri, mimeType, text: await read() }] };
+    }
+  };
+
+  return async function handleMessage(message) {
+    const isNotification = message?.id === undefined;
+    const method = methods[message?.method];
+
+    if (!method) {
+      return isNotification ? null : errorResponse(message?.id ?? null, METHOD_NOT_FOUND, `Method not found: ${message?.method}`);
+    }
+
+    try {
+      const result = await method(message.params);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (err) {
+      if (isNotification) return null;
+      if (err.rpcCode) return errorResponse(message.id, err.rpcCode, err.message);
+      logError(err, `mcp:${message.method}`);
+      return errorResponse(message.id, -32603, err.message);
+    }
+  };
+}
+
+function rpcError(code, message) {
+  const err = new Error(message);
+  err.rpcCode = code;
+  return err;
+}
+
+function errorResponse(id, code, message) {
+  return { jsonrpc: '2.0', id, error: { code, message } };
+}
+
+// ============================================================================
+// Stdio transport
+// ============================================================================
+
+/**
+ * Serve a handler over newline-delimited JSON-RPC.
+ * @returns {Promise<void>} Resolves when the input stream ends
+ */
+export function serveStdio(handler, input = process.stdin, output = process.stdout) {
+  const rl = createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch {
+      output.write(JSON.stringify(errorResponse(null, PARSE_ERROR, 'Parse error')) + '\n');
+      return;
+    }
+    const p = handler(message).then(response => {
+      if (response) output.write(JSON.stringify(response) + '\n');
+    }).catch(err => logError(err, 'mcp:transport')).finally(() => pending.delete(p));
+    pending.add(p);
+  });
+
+  return new Promise(resolve => {
+    rl.on('close', () => Promise.all(pending).then(() => resolve()));
+  });
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const cwd = process.env.CLAUDE_PROJECT_DIR || process.cwd();
+  serveStdio(createMcpHandler({ cwd })).then(() => process.exit(0));
+}
@@ -0,0 +1,176 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync, existsSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { PassThrough } from 'node:stream';
+
+// utils.mjs resolves ~/.claude-mneme at import time — isolate HOME first
+const homeDir = mkdtempSync(join(tmpdir(), 'mneme-mcp-home-'));
+const originalHome = process.env.HOME;
+process.env.HOME = homeDir;
+
+const { createMcpHandler, serveStdio, MCP_TOOLS, SUPPORTED_PROTOCOL_VERSIONS } = await import('./mneme-mcp.mjs');
+const { ensureMemoryDirs } = await import('../scripts/utils.mjs');
+
+const projectDir = mkdtempSync(join(tmpdir(), 'mneme-mcp-project-'));
+const noServer = async () => { throw new Error('server unavailable'); };
+
+let handle;
+let nextId = 1;
+async function call(method, params) {
+  return handle({ jsonrpc: '2.0', id: nextId++, method, params });
+}
+async function callTool(name, args = {}) {
+  const res = await call('tools/call', { name, arguments: args });
+  return res.result;
+}
+
+before(() => {
+  handle = createMcpHandler({ cwd: projectDir, getClient: noServer });
+});
+
+after(() => {
+  process.env.HOME = originalHome;
+  rmSync(homeDir, { recursive: true, force: true });
+  rmSync(projectDir, { recursive: true, force: true });
+});
+
+describe('protocol', () => {
+  it('negotiates the protocol version on initialize', async () => {
+    const res = await call('initialize', { protocolVersion: '2024-11-05', capabilities: {} });
+    assert.equal(res.result.protocolVersion, '2024-11-05');
+    assert.equal(res.result.serverInfo.name, 'claude-mneme');
+    assert.ok(res.result.capabilities.tools && res.result.capabilities.resources);
+
+    const unknown = await call('initialize', { protocolVersion: '1999-01-01' });
+    assert.equal(unknown.result.protocolVersion, SUPPORTED_PROTOCOL_VERSIONS[0]);
+  });
+
+  it('lists tools and ignores notifications', async () => {
+    const res = await call('tools/list');
+    assert.deepStrictEqual(res.result.tools.map(t => t.name), MCP_TOOLS.map(t => t.name));
+    assert.equal(await handle({ jsonrpc: '2.0', method: 'notifications/initialized' }), null);
+  });
+
+  it('returns JSON-RPC errors for unknown methods and tools', async () => {
+    assert.equal((await call('nope')).error.code, -32601);
+    assert.equal((await call('tools/call', { name: 'nope' })).error.code, -32602);
+    assert.equal((await call('resources/read', { uri: 'mneme://nope' })).error.code, -32002);
+  });
+});
+
+describe('tools', () => {
+  it('remembers, lists and forgets items', async () => {
+    const added = await callTool('remember', { content: 'Deploys go through staging', type: 'fact' });
+    assert.ok(!added.isError);
+    await callTool('remember', { content: 'Prefer small PRs', type: 'preference' });
+
+    const listed = JSON.parse((await callTool('forget')).content[0].text);
+    assert.deepStrictEqual(listed.map(e => e.content), ['Deploys go through staging', 'Prefer small PRs']);
+
+    const removed = await callTool('forget', { indices: [0] });
+    assert.ok(removed.content[0].text.includes('Deploys go through staging'));
+    const remaining = JSON.parse((await call('resources/read', { uri: 'mneme://remembered' })).result.contents[0].text);
+    assert.deepStrictEqual(remaining.map(e => e.content), ['Prefer small PRs']);
+  });
+
+  it('remembers and forgets global items separately from the project', async () => {
+    const added = await callTool('remember', { content: 'I use pnpm', type: 'preference', global: true });
+    assert.ok(added.content[0].text.includes('all projects'));
+
+    const global = JSON.parse((await call('resources/read', { uri: 'mneme://global/remembered' })).result.contents[0].text);
+    assert.deepStrictEqual(global.map(e => e.content), ['I use pnpm']);
+    assert.ok(existsSync(join(homeDir, '.claude-mneme', 'global', 'remembered.json')));
+    const project = JSON.parse((await callTool('forget')).content[0].text);
+    assert.ok(!project.some(e => e.content === 'I use pnpm'));
+
+    await callTool('forget', { indices: [0], global: true });
+    assert.deepStrictEqual(JSON.parse((await callTool('forget', { global: true })).content[0].text), []);
+  });
+
+  it('keeps team items in the repository', async () => {
+    const added = await callTool('remember', { content: 'Releases are cut from main', type: 'fact', team: true });
+    assert.ok(added.content[0].text.includes('team'));
+    const shared = JSON.parse(readFileSync(join(projectDir, '.mneme', 'shared.json'), 'utf-8'));
+    assert.deepStrictEqual(shared.remembered.map(e => e.content), ['Releases are cut from main']);
+
+    await callTool('forget', { indices: [0], team: true });
+    assert.deepStrictEqual(JSON.parse((await callTool('forget', { team: true })).content[0].text), []);
+    assert.equal((await callTool('forget', { global: true, team: true })).isError, true);
+  });
+
+  it('reports invalid input as tool errors', async () => {
+    assert.equal((await callTool('remember', { content: 'x', type: 'bogus' })).isError, true);
+    assert.equal((await callTool('forget', { indices: [42] })).isError, true);
+    assert.equal((await callTool('create_handoff', {})).isError, true);
+  });
+
+  it('falls back to summary.json when the server is unavailable', async () => {
+    const paths = ensureMemoryDirs(projectDir);
+    writeFileSync(paths.summaryJson, JSON.stringify({
+      projectContext: 'Billing service',
+      keyDecisions: [{ decision: 'Use Postgres for invoices', reason: 'Transactions' }],
+      currentState: [],
+      recentWork: []
+    }));
+
+    const md = (await callTool('get_summary')).content[0].text;
+    assert.ok(md.includes('Billing service'));
+    assert.ok(md.includes('Use Postgres for invoices'));
+
+    const json = JSON.parse((await callTool('get_summary', { format: 'json' })).content[0].text);
+    assert.equal(json.projectContext, 'Billing service');
+  });
+
+  it('prefers the server summary when available', async () => {
+    const withServer = createMcpHandler({
+      cwd: projectDir,
+      getClient: async () => ({ getSummary: async () => ({ summary: { projectContext: 'From server' } }) })
+    });
+    const res = await withServer({ jsonrpc: '2.0', id: 1, method: 'tools/call', params: { name: 'get_summary', arguments: {} } });
+    assert.ok(res.result.content[0].text.includes('From server'));
+  });
+
+  it('searches memory', async () => {
+    const res = JSON.parse((await callTool('search_memory', { query: 'postgres invoices' })).content[0].text);
+    assert.ok(res.hits.length > 0);
+    assert.equal(res.hits[0].source, 'summary.json');
+  });
+
+  it('looks up entities', async () => {
+    const res = JSON.parse((await callTool('get_entity', { name: 'anything' })).content[0].text);
+    assert.equal(res.status, 'empty');
+  });
+
+  it('creates a handoff briefing', async () => {
+    const res = await callTool('create_handoff', { summary: 'Finished refunds', nextSteps: ['Ship it'] });
+    assert.ok(!res.isError);
+    const paths = ensureMemoryDirs(projectDir);
+    assert.ok(existsSync(paths.briefing));
+    const briefing = JSON.parse(readFileSync(paths.briefing, 'utf-8'));
+    assert.equal(briefing.summary, 'Finished refunds');
+    assert.deepStrictEqual(briefing.nextSteps, ['Ship it']);
+  });
+});
+
+describe('serveStdio', () => {
+  it('answers newline-delimited requests and reports parse errors', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    let out = '';
+    output.on('data', chunk => out += chunk);
+
+    const done = serveStdio(handle, input, output);
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.write('{"jsonrpc":"2.0","method":"notifications/initialized"}\n');
+    input.end();
+    await done;
+
+    const lines = out.trim().split('\n').map(l => JSON.parse(l));
+    assert.equal(lines.length, 2);
+    assert.ok(lines.some(l => l.id === 1 && l.result));
+    assert.ok(lines.some(l => l.error?.code === -32700));
+  });
+});
@@ -1,30 +1,35 @@
 #!/usr/bin/env node
 /**
  * Add a memory entry to the project's persistent remembered.json
- * Usage: node mem-add.mjs <type> <content>
- * Types: fact, project, preference, note
+ * Usage: node mem-add.mjs [--global | --team] <type> <content>
+ * Types: fact, project, preference, note, lesson
+ *
+ * --global stores the item in ~/.claude-mneme/global/ so it is injected
+ * into every project (e.g. "I use pnpm", "prefer tabs").
+ *
+ * --team stores the item in the repository (.mneme/shared.json) so
+ * teammates inherit it once the file is committed.
  *
  * Unlike log.jsonl entries, remembered items are never summarized away.
  * Users must manually remove entries they no longer need.
  */
 
-import { readFileSync, existsSync } from 'node:fs';
-import { ensureMemoryDirs, getProjectName, invalidateCache, withFileLock } from './utils.mjs';
-import { writeFileAtomic } from '../lib/atomic-write.mjs';
-import { logError } from '../lib/error-log.mjs';
+import { getProjectName, addRememberedEntry, REMEMBERED_TYPES } from './utils.mjs';
 
 const cwd = process.cwd();
-const paths = ensureMemoryDirs(cwd);
 const projectName = getProjectName(cwd);
 
-const VALID_TYPES = ['fact', 'project', 'preference', 'note', 'lesson'];
+const VALID_TYPES = REMEMBERED_TYPES;
 
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const global = argv.includes('--global');
+const team = argv.includes('--team');
+const args = argv.filter(a => a !== '--global' && a !== '--team');
 const type = args[0] || 'note';
 const content = args.slice(1).join(' ');
 
-if (!content) {
-  console.error('Usage: node mem-add.mjs <type> <content>');
+if (!content || (global && team)) {
+  console.error('Usage: node mem-add.mjs [--global | --team] <type> <content>');
   console.error(`Types: ${VALID_TYPES.join(', ')}`);
   process.exit(1);
 }
@@ -35,26 +40,16 @@ if (!VALID_TYPES.includes(type)) {
 }
 
 // Read-modify-write under lock to prevent lost updates from concurrent sessions
-const lockPath = paths.remembered + '.lock';
-withFileLock(lockPath, () => {
-  let entries = [];
-  if (existsSync(paths.remembered)) {
-    try {
-      entries = JSON.parse(readFileSync(paths.remembered, 'utf-8'));
-    } catch (e) {
-      logError(e, 'mem-add:remembered.json');
-      entries = [];
-    }
-  }
-
-  entries.push({
-    ts: new Date().toISOString(),
-    type,
-    content
-  });
-
-  writeFileAtomic(paths.remembered, JSON.stringify(entries, null, 2) + '\n');
-}, 10);
-
-invalidateCache(cwd);
-console.log(`Remembered for "${projectName}": [${type}] ${content}`);
+if (!addRememberedEntry(type, content, cwd, { global, team })) {
+  console.error(`${team ? '.mneme/shared.json' : 'remembered.json'} is locked by another session, try again.`);
+  process.exit(1);
+}
+
+if (global) {
+  console.log(`Remembered for all projects: [${type}] ${content}`);
+} else if (team) {
+  console.log(`Remembered for the "${projectName}" team: [${type}] ${content}`);
+  console.log('Commit .mneme/shared.json to share it with your team.');
+} else {
+  console.log(`Remembered for "${projectName}": [${type}] ${content}`);
+}
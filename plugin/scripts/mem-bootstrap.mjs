@@ -0,0 +1,382 @@
+#!/usr/bin/env node
+/**
+ * Bootstrap Memory from Claude Code Transcripts
+ *
+ * Imports a project's historical session transcripts (~/.claude/projects)
+ * into memory: converts them into dated log entries (prompts, responses,
+ * commits), summarizes them oldest first in chunks to seed summary.json,
+ * indexes their entities and archives the entries.
+ *
+ * Usage: node mem-bootstrap.mjs [--dry-run] [--force] [--chunk-size <n>]
+ *
+ * Options:
+ *   --dry-run          Show what would be imported without summarizing
+ *   --force            Import into a project that already has a summary
+ *   --chunk-size <n>   Log entries per summarization call (default 100)
+ *
+ * Entries from when the hooks were already capturing (the live log and its
+ * archive) are skipped. Progress is recorded in .bootstrap.json after each
+ * chunk, so an interrupted run resumes where it stopped.
+ */
+
+import { readFileSync, writeFileSync, existsSync, statSync, unlinkSync } from 'node:fs';
+import { basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { findSessionLogs, parseTranscript } from './mine.mjs';
+import { summarizeEntries } from './summarize.mjs';
+import {
+  ensureMemoryDirs,
+  loadConfig,
+  getProjectName,
+  getProjectRoot,
+  writeSummaryJson,
+  invalidateCache,
+  extractCommitMessage,
+  redactForMemory,
+  stripMarkdown,
+  extractiveSummarize
+} from './utils.mjs';
+import { formatEntry, emptyStructuredSummary } from '../lib/summary-format.mjs';
+import { updateEntityIndexBatch } from '../lib/entities.mjs';
+import { archiveLogEntries, loadArchiveIndex } from '../lib/log-archive.mjs';
+import { currentWorkspace } from '../lib/workspaces.mjs';
+import { writeFileAtomic } from '../lib/atomic-write.mjs';
+import { logError } from '../lib/error-log.mjs';
+
+const DEFAULT_CHUNK_SIZE = 100;
+const PREVIEW_ENTRIES = 10;
+const MAX_PROMPT_LENGTH = 500;
+
+// Same filters as the user-prompt-submit hook
+const INJECTED_PROMPT_RE = /^<(task-notification|system-reminder|command-name|command-message|local-command-stdout|context)\b/;
+const CONFIRMATION_PATTERNS = [
+  /^(yes|no|ok|okay|sure|yep|nope|y|n)[\s.,!?]*$/i,
+  /^(continue|proceed|go ahead|do it|sounds good)[\s.,!?]*$/i,
+  /^(thanks|thank you|thx)[\s.,!?]*$/i,
+];
+
+export function parseArgs(argv) {
+  const opts = { dryRun: false, force: false, chunkSize: DEFAULT_CHUNK_SIZE };
+  for (let i = 0; i < argv.length; i++) {
+    const a = argv[i];
+    if (a === '--dry-run') opts.dryRun = true;
+    else if (a === '--force') opts.force = true;
+    else if (a === '--chunk-size' && argv[i + 1]) opts.chunkSize = parseInt(argv[++i], 10) || DEFAULT_CHUNK_SIZE;
+  }
+  return opts;
+}
+
+function textOf(content) {
+  if (typeof content === 'string') return content;
+  if (!Array.isArray(content)) return '';
+  return content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+}
+
+function promptText(msg, config) {
+  const content = msg.message?.content;
+  // Tool results come back as user messages too
+  if (Array.isArray(content) && content.some(b => b.type === 'tool_result')) return null;
+  let text = textOf(content).trim();
+  if (!text || text.startsWith('/') || text.startsWith('[Request interrupted')) return null;
+  if (INJECTED_PROMPT_RE.test(text) || CONFIRMATION_PATTERNS.some(p => p.test(text))) return null;
+  text = redactForMemory(text, config);
+  return text.length > MAX_PROMPT_LENGTH ? text.substring(0, MAX_PROMPT_LENGTH) + '...' : text;
+}
+
+function responseText(text, config) {
+  let processed = redactForMemory(stripMarkdown(text), config);
+  if (config.responseSummarization === 'extractive') {
+    processed = extractiveSummarize(processed, config);
+  }
+  const max = config.maxResponseLength || 1000;
+  return processed.length > max ? processed.substring(0, max) + '...' : processed;
+}
+
+// Branch and monorepo workspace the message was recorded in, as
+// entryLocation() would have tagged a live entry
+function messageLocation(msg, root, config) {
+  const location = {};
+  if (config.branchMemory?.enabled !== false && msg.gitBranch && msg.gitBranch !== 'HEAD') {
+    location.branch = msg.gitBranch;
+  }
+  if (config.workspaceMemory?.enabled !== false && msg.cwd && root) {
+    const workspace = currentWorkspace(msg.cwd, root);
+    if (workspace) location.workspace = workspace;
+  }
+  return location;
+}
+
+/**
+ * Convert one transcript into log entries the way the hooks would have
+ * captured it live: a prompt per user message, the last assistant text of
+ * each turn as its response, git commits, and file edits (entity tracking
+ * only, like post-tool-use). Entries carry the transcript's timestamps.
+ * @param {object[]} messages - parseTranscript() output
+ * @param {{ config?: object, root?: string }} [options]
+ * @returns {object[]}
+ */
+export function transcriptToEntries(messages, { config = {}, root = null } = {}) {
+  const entries = [];
+  let lastText = null;
+
+  const flushResponse = () => {
+    if (!lastText) return;
+    const content = responseText(lastText.text, config);
+    if (content && content.length >= 10) {
+      entries.push({ ts: lastText.ts, type: 'response', content, ...lastText.location });
+    }
+    lastText = null;
+  };
+
+  for (const msg of messages) {
+    if (!msg.timestamp || msg.isSidechain || msg.isMeta || msg.isCompactSummary) continue;
+
+    if (msg.type === 'user') {
+      const content = promptText(msg, config);
+      if (!content) continue;
+      flushResponse();
+      entries.push({ ts: msg.timestamp, type: 'prompt', content, ...messageLocation(msg, root, config) });
+      continue;
+    }
+
+    if (msg.type !== 'assistant' || !Array.isArray(msg.message?.content)) continue;
+    const location = messageLocation(msg, root, config);
+    for (const block of msg.message.content) {
+      if (block.type === 'text' && block.text?.trim()) {
+        lastText = { ts: msg.timestamp, text: block.text, location };
+      } else if (block.type === 'tool_use' && (block.name === 'Write' || block.name === 'Edit')) {
+        const filePath = block.input?.file_path;
+        if (filePath) entries.push({ ts: msg.timestamp, type: 'edit', content: filePath, ...location });
+      } else if (block.type === 'tool_use' && block.name === 'Bash' && /git\s+commit/.test(block.input?.command || '')) {
+        let message = extractCommitMessage(block.input.command);
+        if (!message) continue;
+        message = redactForMemory(message, config);
+        if (message.length > 200) message = message.substring(0, 200) + '...';
+        entries.push({ ts: msg.timestamp, type: 'commit', content: message, ...location });
+      }
+    }
+  }
+  flushResponse();
+
+  return entries;
+}
+
+/**
+ * Split chronologically sorted entries into chunks of `size` log entries.
+ * Edits ride along with the log entries around them.
+ */
+export function chunkEntries(entries, size = DEFAULT_CHUNK_SIZE) {
+  const chunks = [];
+  let current = [];
+  let count = 0;
+  for (const entry of entries) {
+    if (entry.type !== 'edit') {
+      if (count >= size) {
+        chunks.push(current);
+        current = [];
+        count = 0;
+      }
+      count++;
+    }
+    current.push(entry);
+  }
+  if (current.length > 0) chunks.push(current);
+  return chunks;
+}
+
+/**
+ * When live capture started: the oldest entry in the log or its archive.
+ * Transcript entries from then on are already in memory.
+ * @returns {number|null} epoch ms
+ */
+function liveCaptureStart(paths) {
+  const stamps = [];
+  try {
+    const first = readFileSync(paths.log, 'utf-8').split('\n').find(Boolean);
+    if (first) stamps.push(JSON.parse(first).ts);
+  } catch {}
+  for (const partition of Object.values(loadArchiveIndex(paths.project).partitions || {})) {
+    stamps.push(partition.firstTs);
+  }
+  const times = stamps.map(ts => Date.parse(ts)).filter(Number.isFinite);
+  return times.length > 0 ? Math.min(...times) : null;
+}
+
+function readJson(path, fallback) {
+  try {
+    return JSON.parse(readFileSync(path, 'utf-8'));
+  } catch {
+    return fallback;
+  }
+}
+
+function countByType(entries) {
+  const counts = { prompt: 0, response: 0, commit: 0 };
+  for (const e of entries) {
+    if (e.type in counts) counts[e.type]++;
+  }
+  return counts;
+}
+
+export async function main({
+  argv = process.argv.slice(2),
+  cwd = process.cwd()
+} = {}) {
+  const opts = parseArgs(argv);
+  const root = getProjectRoot(cwd);
+  const paths = ensureMemoryDirs(cwd);
+  const projectName = getProjectName(cwd);
+  const config = loadConfig();
+  const state = readJson(paths.bootstrap, {});
+  const summary = readJson(paths.summaryJson, null) || emptyStructuredSummary();
+  const hasSummary = !!summary.lastUpdated;
+
+  // Oldest first; skip what an earlier run imported and what was captured live
+  const logs = findSessionLogs(root, { minSize: 0 }).reverse();
+  const importedThrough = Date.parse(state.importedThrough) || null;
+  // Fixed on the first run: imported entries end up in the archive too
+  const liveFrom = Date.parse(state.liveCaptureFrom) || liveCaptureStart(paths);
+  const entries = [];
+  let sessions = 0;
+  for (const [i, log] of logs.entries()) {
+    if (!opts.dryRun) console.error(`[claude-mneme] Reading transcript ${i + 1}/${logs.length}...`);
+    const converted = transcriptToEntries(parseTranscript(log.path), { config, root }).filter(e => {
+      const t = Date.parse(e.ts);
+      return (!importedThrough || t > importedThrough) && (!liveFrom || t < liveFrom);
+    });
+    if (converted.length === 0) continue;
+    sessions++;
+    entries.push(...converted);
+  }
+  entries.sort((a, b) => Date.parse(a.ts) - Date.parse(b.ts));
+
+  const logEntries = entries.filter(e => e.type !== 'edit');
+  const chunks = chunkEntries(entries, opts.chunkSize);
+
+  if (logEntries.length === 0) {
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'empty',
+      message: importedThrough
+        ? 'No new transcript history since the last import.'
+        : 'No transcript history found for this project.',
+      transcripts: logs.length
+    }));
+    return;
+  }
+
+  if (opts.dryRun) {
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'dry_run',
+      transcripts: logs.length,
+      sessions,
+      entries: countByType(logEntries),
+      edits: entries.length - logEntries.length,
+      from: logEntries[0].ts,
+      to: logEntries[logEntries.length - 1].ts,
+      chunks: chunks.length,
+      hasSummary,
+      ...(importedThrough && { resumingAfter: state.importedThrough }),
+      ...(liveFrom && { liveCaptureFrom: new Date(liveFrom).toISOString() }),
+      preview: logEntries.slice(0, PREVIEW_ENTRIES).map(formatEntry)
+    }, null, 2));
+    return;
+  }
+
+  if (hasSummary && !importedThrough && !opts.force) {
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'skipped',
+      message: 'Project already has a summary. Use --force to import transcripts into it.'
+    }));
+    return;
+  }
+
+  // Same lock as summarize.mjs, so background summarization waits for us
+  const lockFile = `${paths.log}.lock`;
+  if (existsSync(lockFile) && Date.now() - statSync(lockFile).mtimeMs < 120000) {
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'locked',
+      message: 'Summarization already in progress.'
+    }));
+    return;
+  }
+  writeFileSync(lockFile, Date.now().toString());
+
+  try {
+    let current = summary;
+    let entitiesIndexed = 0;
+
+    for (const [i, chunk] of chunks.entries()) {
+      const chunkLog = chunk.filter(e => e.type !== 'edit');
+      const from = chunk[0].ts.slice(0, 10);
+      const to = chunk[chunk.length - 1].ts.slice(0, 10);
+      console.error(`[claude-mneme] Bootstrapping chunk ${i + 1}/${chunks.length}: ${chunkLog.length} entries (${from} → ${to})...`);
+
+      if (chunkLog.length > 0) {
+        const updated = await summarizeEntries(current, chunkLog.map(e => JSON.stringify(e)), { config, projectName });
+        if (!updated) {
+          throw new Error(`Summarization failed on chunk ${i + 1}/${chunks.length}; run again to resume`);
+        }
+        current = updated;
+        writeSummaryJson(paths, current, 'bootstrap');
+        if (config.logArchive?.enabled !== false) {
+          try {
+            archiveLogEntries(paths.project, chunkLog);
+          } catch (e) {
+            logError(e, 'mem-bootstrap:archive');
+          }
+        }
+      }
+
+      entitiesIndexed += updateEntityIndexBatch(chunk, paths.project, config, {
+        logErrorFn: (err, ctx) => logError(err, `mem-bootstrap:${ctx}`)
+      }).processedEntries;
+
+      state.importedThrough = chunk[chunk.length - 1].ts;
+      if (liveFrom) state.liveCaptureFrom = new Date(liveFrom).toISOString();
+      writeFileAtomic(paths.bootstrap, JSON.stringify(state, null, 2) + '\n');
+      // Keep the lock fresh across long runs
+      writeFileSync(lockFile, Date.now().toString());
+    }
+
+    invalidateCache(cwd);
+
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'success',
+      sessions,
+      entries: countByType(logEntries),
+      chunks: chunks.length,
+      entitiesIndexed,
+      importedThrough: state.importedThrough,
+      summaryUpdated: current.lastUpdated
+    }));
+
+  } catch (error) {
+    logError(error, 'mem-bootstrap');
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'error',
+      message: error.message
+    }));
+    process.exitCode = 1;
+
+  } finally {
+    try { unlinkSync(lockFile); } catch {}
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    logError(error, 'mem-bootstrap');
+    console.log(JSON.stringify({
+      project: basename(process.cwd()),
+      status: 'error',
+      message: error.message
+    }));
+    process.exit(1);
+  });
+}
@@ -0,0 +1,140 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { parseArgs, transcriptToEntries, chunkEntries } from './mem-bootstrap.mjs';
+
+const MEM_BOOTSTRAP = fileURLToPath(new URL('./mem-bootstrap.mjs', import.meta.url));
+
+function userMsg(content, ts, extra = {}) {
+  return { type: 'user', timestamp: ts, message: { content }, ...extra };
+}
+
+function assistantMsg(content, ts, extra = {}) {
+  return { type: 'assistant', timestamp: ts, message: { content }, ...extra };
+}
+
+const SESSION = [
+  { type: 'summary', summary: 'Auth work' },
+  userMsg('Add JWT refresh tokens to the auth service', '2025-03-01T10:00:00.000Z', { gitBranch: 'feat/auth' }),
+  assistantMsg([
+    { type: 'text', text: 'Let me look at the auth module.' },
+    { type: 'tool_use', id: 't1', name: 'Edit', input: { file_path: '/repo/src/auth.js' } },
+  ], '2025-03-01T10:00:05.000Z', { gitBranch: 'feat/auth' }),
+  userMsg([{ type: 'tool_result', tool_use_id: 't1', content: 'ok' }], '2025-03-01T10:00:06.000Z'),
+  assistantMsg([
+    { type: 'tool_use', id: 't2', name: 'Bash', input: { command: 'git commit -m "Add refresh tokens"' } },
+    { type: 'text', text: '**Done** — refresh tokens are issued on login and rotated on use.' },
+  ], '2025-03-01T10:02:00.000Z', { gitBranch: 'feat/auth' }),
+  userMsg('ok', '2025-03-01T10:03:00.000Z'),
+  userMsg('<system-reminder>injected</system-reminder>', '2025-03-01T10:03:01.000Z'),
+  userMsg('/compact', '2025-03-01T10:03:02.000Z'),
+  assistantMsg([{ type: 'text', text: 'Subagent chatter that should not be logged' }], '2025-03-01T10:03:03.000Z', { isSidechain: true }),
+];
+
+describe('parseArgs', () => {
+  it('reads flags and the chunk size', () => {
+    assert.deepEqual(parseArgs(['--dry-run', '--chunk-size', '25']), { dryRun: true, force: false, chunkSize: 25 });
+    assert.equal(parseArgs(['--chunk-size', 'x']).chunkSize, 100);
+  });
+});
+
+describe('transcriptToEntries', () => {
+  it('turns a transcript into dated prompt, response, commit and edit entries', () => {
+    const entries = transcriptToEntries(SESSION);
+    assert.deepEqual(entries.map(e => [e.type, e.ts]), [
+      ['prompt', '2025-03-01T10:00:00.000Z'],
+      ['edit', '2025-03-01T10:00:05.000Z'],
+      ['commit', '2025-03-01T10:02:00.000Z'],
+      ['response', '2025-03-01T10:02:00.000Z'],
+    ]);
+    assert.equal(entries[0].content, 'Add JWT refresh tokens to the auth service');
+    assert.equal(entries[2].content, 'Add refresh tokens');
+    // Last assistant text of the turn, markdown stripped
+    assert.equal(entries[3].content, 'Done — refresh tokens are issued on login and rotated on use.');
+    assert.ok(entries.every(e => e.branch === 'feat/auth'));
+  });
+
+  it('leaves out branches when branch memory is off', () => {
+    const entries = transcriptToEntries(SESSION, { config: { branchMemory: { enabled: false } } });
+    assert.ok(entries.every(e => e.branch === undefined));
+  });
+
+  it('caps long prompts and responses', () => {
+    const entries = transcriptToEntries([
+      userMsg('x'.repeat(800), '2025-03-01T10:00:00.000Z'),
+      assistantMsg([{ type: 'text', text: 'y'.repeat(300) }], '2025-03-01T10:00:01.000Z'),
+    ], { config: { maxResponseLength: 100 } });
+    assert.equal(entries[0].content.length, 503);
+    assert.equal(entries[1].content.length, 103);
+  });
+});
+
+describe('chunkEntries', () => {
+  it('splits by log entries and keeps edits with their neighbours', () => {
+    const e = type => ({ type });
+    const chunks = chunkEntries([e('prompt'), e('edit'), e('response'), e('edit'), e('prompt'), e('response')], 2);
+    assert.deepEqual(chunks.map(c => c.map(x => x.type)), [
+      ['prompt', 'edit', 'response', 'edit'],
+      ['prompt', 'response'],
+    ]);
+    assert.deepEqual(chunkEntries([], 2), []);
+  });
+});
+
+describe('mem-bootstrap --dry-run', () => {
+  let home, project;
+
+  function run(...args) {
+    return JSON.parse(execFileSync('node', [MEM_BOOTSTRAP, ...args], {
+      cwd: project,
+      env: { ...process.env, HOME: home, CLAUDE_CONFIG_DIR: join(home, '.claude') },
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }));
+  }
+
+  before(() => {
+    home = mkdtempSync(join(tmpdir(), 'mneme-bootstrap-'));
+    project = join(home, 'project');
+    mkdirSync(project);
+    mkdirSync(join(home, '.claude-mneme'));
+    writeFileSync(join(home, '.claude-mneme', 'config.json'), '{}');
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('reports when there is no history', () => {
+    const result = run('--dry-run');
+    assert.equal(result.status, 'empty');
+    assert.equal(result.transcripts, 0);
+  });
+
+  it('previews the import without writing a summary', () => {
+    const logDir = join(home, '.claude', 'projects', project.replace(/^\//, '-').replace(/\//g, '-'));
+    mkdirSync(logDir, { recursive: true });
+    const second = [
+      userMsg('Document the refresh flow in the README', '2025-03-04T09:00:00.000Z'),
+      assistantMsg([{ type: 'text', text: 'Added a section on token refresh to the README.' }], '2025-03-04T09:01:00.000Z'),
+    ];
+    writeFileSync(join(logDir, 's1.jsonl'), SESSION.map(m => JSON.stringify(m)).join('\n') + '\n');
+    writeFileSync(join(logDir, 's2.jsonl'), second.map(m => JSON.stringify(m)).join('\n') + '\n');
+
+    const result = run('--dry-run', '--chunk-size', '3');
+    assert.equal(result.status, 'dry_run');
+    assert.equal(result.sessions, 2);
+    assert.deepEqual(result.entries, { prompt: 2, response: 2, commit: 1 });
+    assert.equal(result.edits, 1);
+    assert.equal(result.from, '2025-03-01T10:00:00.000Z');
+    assert.equal(result.to, '2025-03-04T09:01:00.000Z');
+    assert.equal(result.chunks, 2);
+    assert.equal(result.hasSummary, false);
+    assert.match(result.preview[0], /User: Add JWT refresh tokens/);
+  });
+});
@@ -1,143 +1,159 @@
 #!/usr/bin/env node
 /**
  * Entity Query Script
- * Queries the entity index to find information about files, functions, errors, packages.
+ * Queries the entity index to find information about files, functions, errors, packages, symbols.
  *
  * Usage:
  *   node mem-entity.mjs [options] [query]
  *
  * Options:
  *   --list              List all entities
- *   --category <cat>    Filter by category (files, functions, errors, packages)
- *   <query>             Search for entities matching this name
+ *   --category <cat>    Filter by category (files, functions, errors, packages, symbols)
+ *   --workspace <name>  Only a monorepo package's entities (and repo-level ones)
+ *   <query>             Search for entities matching this name, and for
+ *                       fixes of a matching error (lib/error-episodes.mjs)
  */
 
-import { loadEntityIndex, ensureMemoryDirs, getProjectName } from './utils.mjs';
-
-const args = process.argv.slice(2);
-const cwd = process.cwd();
-const projectName = getProjectName(cwd);
-
-// Parse arguments
-let listMode = false;
-let category = null;
-let query = null;
-
-for (let i = 0; i < args.length; i++) {
-  const arg = args[i];
-  if (arg === '--list') {
-    listMode = true;
-  } else if (arg === '--category' && args[i + 1]) {
-    category = args[++i];
-  } else if (!arg.startsWith('--')) {
-    query = arg;
+import { pathToFileURL } from 'node:url';
+import { loadEntityIndex, getProjectName, ensureMemoryDirs } from './utils.mjs';
+import { workspaceEntityIndex } from '../lib/workspaces.mjs';
+import { readFixes, findFixes } from '../lib/error-episodes.mjs';
+
+const ENTITY_CATEGORIES = ['files', 'functions', 'errors', 'packages', 'symbols'];
+
+export function parseArgs(args) {
+  const opts = { list: false, category: null, query: null, workspace: null };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--list') {
+      opts.list = true;
+    } else if (arg === '--category' && args[i + 1]) {
+      opts.category = args[++i];
+    } else if (arg === '--workspace' && args[i + 1]) {
+      opts.workspace = args[++i];
+    } else if (!arg.startsWith('--')) {
+      opts.query = arg;
+    }
   }
+  return opts;
 }
 
-// Load entity index
-const index = loadEntityIndex(cwd);
-
-// Check if index has any data
-const hasData = index.files && (
-  Object.keys(index.files).length > 0 ||
-  Object.keys(index.functions || {}).length > 0 ||
-  Object.keys(index.errors || {}).length > 0 ||
-  Object.keys(index.packages || {}).length > 0
-);
-
-if (!hasData) {
-  console.log(JSON.stringify({
-    project: projectName,
-    status: 'empty',
-    message: 'No entities indexed yet. Entities are extracted from log entries as you work.'
-  }));
-  process.exit(0);
-}
-
-// List mode - show all entities
-if (listMode) {
-  const result = {
-    project: projectName,
-    status: 'ok',
-    categories: {}
-  };
-
-  const categories = category ? [category] : ['files', 'functions', 'errors', 'packages'];
-
-  for (const cat of categories) {
-    if (!index[cat]) continue;
-
-    const entities = Object.entries(index[cat])
-      .map(([name, data]) => ({
-        name,
-        mentions: data.mentions,
-        lastSeen: data.lastSeen
-      }))
-      .sort((a, b) => b.mentions - a.mentions);
-
-    if (entities.length > 0) {
-      result.categories[cat] = entities;
+/**
+ * Query an entity index the same way the CLI does.
+ * @param {object} index - Entity index (loadEntityIndex)
+ * @param {{ list?: boolean, category?: string|null, query?: string|null, fixes?: object|null }} opts
+ *   fixes: fixes.json contents, searched for the query's error
+ * @returns {object} Result without the project field
+ */
+export function queryEntities(index, { list = false, category = null, query = null, fixes = null } = {}) {
+  const knownFixes = query && !list && fixes ? findFixes(fixes, query) : [];
+
+  // Check if index has any data
+  const hasData = index.files && (
+    Object.keys(index.files).length > 0 ||
+    Object.keys(index.functions || {}).length > 0 ||
+    Object.keys(index.errors || {}).length > 0 ||
+    Object.keys(index.packages || {}).length > 0 ||
+    Object.keys(index.symbols || {}).length > 0
+  );
+
+  if (!hasData) {
+    if (knownFixes.length > 0) {
+      return { query, status: 'ok', matches: [], fixes: knownFixes };
     }
+    return {
+      status: 'empty',
+      message: 'No entities indexed yet. Entities are extracted from log entries as you work.'
+    };
   }
 
-  console.log(JSON.stringify(result, null, 2));
-  process.exit(0);
-}
+  const categories = category ? [category] : ENTITY_CATEGORIES;
 
-// Query mode - search for matching entities
-if (query) {
-  const queryLower = query.toLowerCase();
-  const matches = [];
+  // List mode - show all entities
+  if (list) {
+    const result = { status: 'ok', categories: {} };
 
-  const categories = category ? [category] : ['files', 'functions', 'errors', 'packages'];
+    for (const cat of categories) {
+      if (!index[cat]) continue;
 
-  for (const cat of categories) {
-    if (!index[cat]) continue;
-
-    for (const [name, data] of Object.entries(index[cat])) {
-      // Match if name contains query (case-insensitive)
-      if (name.toLowerCase().includes(queryLower)) {
-        matches.push({
+      const entities = Object.entries(index[cat])
+        .map(([name, data]) => ({
           name,
-          category: cat,
           mentions: data.mentions,
-          lastSeen: data.lastSeen,
-          contexts: data.contexts || []
-        });
+          lastSeen: data.lastSeen
+        }))
+        .sort((a, b) => b.mentions - a.mentions);
+
+      if (entities.length > 0) {
+        result.categories[cat] = entities;
       }
     }
+
+    return result;
   }
 
-  // Sort by relevance: exact match first, then by mentions
-  matches.sort((a, b) => {
-    const aExact = a.name.toLowerCase() === queryLower ? 1 : 0;
-    const bExact = b.name.toLowerCase() === queryLower ? 1 : 0;
-    if (aExact !== bExact) return bExact - aExact;
-    return b.mentions - a.mentions;
-  });
-
-  console.log(JSON.stringify({
-    project: projectName,
-    query,
-    status: matches.length > 0 ? 'ok' : 'not_found',
-    matches: matches.slice(0, 20) // Limit to top 20
-  }, null, 2));
-  process.exit(0);
+  // Query mode - search for matching entities
+  if (query) {
+    const queryLower = query.toLowerCase();
+    const matches = [];
+
+    for (const cat of categories) {
+      if (!index[cat]) continue;
+
+      for (const [name, data] of Object.entries(index[cat])) {
+        // Match if name contains query (case-insensitive)
+        if (name.toLowerCase().includes(queryLower)) {
+          matches.push({
+            name,
+            category: cat,
+            mentions: data.mentions,
+            lastSeen: data.lastSeen,
+            contexts: data.contexts || [],
+            ...(data.kind && { kind: data.kind }),
+            ...(data.locations && { locations: data.locations }),
+            ...(data.symbols && { symbols: data.symbols }),
+            ...(data.workspaces && { workspaces: data.workspaces })
+          });
+        }
+      }
+    }
+
+    // Sort by relevance: exact match first, then by mentions
+    matches.sort((a, b) => {
+      const aExact = a.name.toLowerCase() === queryLower ? 1 : 0;
+      const bExact = b.name.toLowerCase() === queryLower ? 1 : 0;
+      if (aExact !== bExact) return bExact - aExact;
+      return b.mentions - a.mentions;
+    });
+
+    return {
+      query,
+      status: matches.length > 0 || knownFixes.length > 0 ? 'ok' : 'not_found',
+      matches: matches.slice(0, 20), // Limit to top 20
+      ...(knownFixes.length > 0 && { fixes: knownFixes })
+    };
+  }
+
+  // No query and not list mode - show summary
+  return {
+    status: 'ok',
+    lastUpdated: index.lastUpdated,
+    counts: {
+      files: Object.keys(index.files || {}).length,
+      functions: Object.keys(index.functions || {}).length,
+      errors: Object.keys(index.errors || {}).length,
+      packages: Object.keys(index.packages || {}).length,
+      symbols: Object.keys(index.symbols || {}).length
+    },
+    hint: 'Use --list to see all entities, or provide a query to search.'
+  };
 }
 
-// No query and not list mode - show summary
-const summary = {
-  project: projectName,
-  status: 'ok',
-  lastUpdated: index.lastUpdated,
-  counts: {
-    files: Object.keys(index.files || {}).length,
-    functions: Object.keys(index.functions || {}).length,
-    errors: Object.keys(index.errors || {}).length,
-    packages: Object.keys(index.packages || {}).length
-  },
-  hint: 'Use --list to see all entities, or provide a query to search.'
-};
-
-console.log(JSON.stringify(summary, null, 2));
-process.exit(0);
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  const cwd = process.cwd();
+  const opts = parseArgs(process.argv.slice(2));
+  const fixes = readFixes(ensureMemoryDirs(cwd).fixes);
+  const result = queryEntities(workspaceEntityIndex(loadEntityIndex(cwd), opts.workspace), { ...opts, fixes });
+  const compact = result.status === 'empty';
+  console.log(JSON.stringify({ project: getProjectName(cwd), ...result }, null, compact ? 0 : 2));
+}
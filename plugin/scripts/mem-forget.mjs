@@ -6,55 +6,59 @@
  *   node mem-forget.mjs --list                    List all entries with indices
  *   node mem-forget.mjs --remove 0,2,3            Remove entries at indices
  *   node mem-forget.mjs --match "description"     AI-assisted matching
+ *
+ * Add --global to operate on the global (all-projects) items instead, or
+ * --team for the items shared with the team in the repository
+ * (.mneme/shared.json). Without either, only this machine's private items
+ * are affected.
  */
 
-import { readFileSync, writeFileSync, existsSync } from 'node:fs';
-import { ensureDeps, ensureMemoryDirs, loadConfig, getProjectName, invalidateCache, withFileLock } from './utils.mjs';
+import { ensureDeps, loadConfig, getProjectName, readRememberedEntries, removeRememberedEntries } from './utils.mjs';
 
 const cwd = process.cwd();
-const paths = ensureMemoryDirs(cwd);
 const projectName = getProjectName(cwd);
 const config = loadConfig();
 
 // Parse arguments
-const args = process.argv.slice(2);
+const argv = process.argv.slice(2);
+const global = argv.includes('--global');
+const team = argv.includes('--team');
+const args = argv.filter(a => a !== '--global' && a !== '--team');
 const mode = args[0];
 
-// Read existing entries
-function readEntries() {
-  if (!existsSync(paths.remembered)) {
-    return [];
-  }
-  try {
-    return JSON.parse(readFileSync(paths.remembered, 'utf-8'));
-  } catch {
-    return [];
-  }
+if (global && team) {
+  console.error('Use either --global or --team, not both.');
+  process.exit(1);
 }
 
-// Write entries back
-function writeEntries(entries) {
-  writeFileSync(paths.remembered, JSON.stringify(entries, null, 2) + '\n');
-  invalidateCache(cwd);
-}
+const scope = { global, team };
+const scopeName = global ? 'all projects' : team ? `the "${projectName}" team (.mneme/shared.json)` : `"${projectName}"`;
 
-// Format entry for display
-function formatEntry(entry, index) {
-  const date = new Date(entry.ts).toLocaleDateString();
-  return `[${index}] (${entry.type}) ${entry.content} — ${date}`;
+// Read existing entries
+function readEntries() {
+  return readRememberedEntries(cwd, scope);
 }
 
 // List mode
 if (mode === '--list') {
   const entries = readEntries();
+  if (!global && !team) {
+    const teamCount = readRememberedEntries(cwd, { team: true }).length;
+    if (teamCount > 0) {
+      console.error(`${teamCount} team item(s) in .mneme/shared.json — use --team to list them.`);
+    }
+  }
   if (entries.length === 0) {
-    console.log('No remembered items for this project.');
+    console.log(global ? 'No global remembered items.'
+      : team ? 'No team remembered items for this project.'
+      : 'No remembered items for this project.');
     process.exit(0);
   }
 
   // Output as JSON for easy parsing by Claude
   const output = entries.map((entry, index) => ({
     index,
+    scope: global ? 'global' : team ? 'team' : 'private',
     type: entry.type,
     content: entry.content,
     date: new Date(entry.ts).toLocaleDateString()
@@ -78,39 +82,23 @@ if (mode === '--remove') {
   }
 
   // Read-modify-write under lock to prevent lost updates from concurrent sessions
-  const lockPath = paths.remembered + '.lock';
-  const removed = withFileLock(lockPath, () => {
-    const entries = readEntries();
-    if (entries.length === 0) {
-      return null;
-    }
-
-    const invalid = indices.filter(i => i < 0 || i >= entries.length);
-    if (invalid.length > 0) {
-      console.error(`Invalid indices: ${invalid.join(', ')}. Valid range: 0-${entries.length - 1}`);
-      process.exit(1);
-    }
-
-    const removedItems = [];
-    const sortedIndices = [...indices].sort((a, b) => b - a);
-    for (const idx of sortedIndices) {
-      removedItems.unshift(entries[idx]);
-      entries.splice(idx, 1);
-    }
-
-    writeEntries(entries);
-    return removedItems;
-  }, 10);
+  const { removed, invalid } = removeRememberedEntries(indices, cwd, scope);
+  if (invalid.length > 0) {
+    const count = readEntries().length;
+    console.error(`Invalid indices: ${invalid.join(', ')}. Valid range: 0-${count - 1}`);
+    process.exit(1);
+  }
 
-  if (!removed || removed.length === 0) {
+  if (removed.length === 0) {
     console.log('No remembered items to remove.');
     process.exit(0);
   }
 
-  console.log(`Removed ${removed.length} item(s) from "${projectName}":`);
+  console.log(`Removed ${removed.length} item(s) from ${scopeName}:`);
   for (const entry of removed) {
     console.log(`  - [${entry.type}] ${entry.content}`);
   }
+  if (team) console.log('Commit .mneme/shared.json to share the change with your team.');
   process.exit(0);
 }
 
@@ -241,5 +229,7 @@ Return ONLY the JSON object, no other text.`;
 console.error(`Usage:
   node mem-forget.mjs --list                    List all entries with indices
   node mem-forget.mjs --remove 0,2,3            Remove entries at indices
-  node mem-forget.mjs --match "description"     AI-assisted matching`);
+  node mem-forget.mjs --match "description"     AI-assisted matching
+  Add --global to operate on items shared across all projects
+  Add --team to operate on items shared with the team (.mneme/shared.json)`);
 process.exit(1);
@@ -5,14 +5,11 @@
  * Next session-start will inject it and archive it automatically.
  */
 
-import { ensureMemoryDirs, getProjectName, invalidateCache } from './utils.mjs';
-import { writeFileAtomic } from '../lib/atomic-write.mjs';
+import { getProjectName, writeBriefing } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
 
 const cwd = process.cwd();
-const paths = ensureMemoryDirs(cwd);
 const projectName = getProjectName(cwd);
-const briefingPath = paths.briefing;
 
 let input = '';
 process.stdin.setEncoding('utf8');
@@ -26,18 +23,7 @@ process.stdin.on('end', () => {
       process.exit(1);
     }
 
-    const briefing = {
-      ts: new Date().toISOString(),
-      summary: data.summary,
-      ...(data.keyDecisions?.length > 0 && { keyDecisions: data.keyDecisions }),
-      ...(data.currentState && { currentState: data.currentState }),
-      ...(data.nextSteps?.length > 0 && { nextSteps: data.nextSteps }),
-      ...(data.blockers?.length > 0 && { blockers: data.blockers }),
-      ...(data.context && { context: data.context }),
-    };
-
-    writeFileAtomic(briefingPath, JSON.stringify(briefing, null, 2) + '\n');
-    invalidateCache(cwd);
+    writeBriefing(data, cwd);
 
     console.log(`Briefing saved for "${projectName}". Next session will pick it up automatically.`);
 
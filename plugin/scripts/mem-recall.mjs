@@ -1,9 +1,9 @@
 import { findSessionLogs, parseTranscript, mineAll } from './mine.mjs';
 import { getProjectRoot } from './utils.mjs';
+import { estimateTokens } from '../lib/token-budget.mjs';
 
 const DEFAULT_BUDGET = 2000;
 const DEFAULT_SESSIONS = 1;
-const CHARS_PER_TOKEN = 4;
 
 const ALL_CATEGORIES = ['decisions', 'files', 'errors', 'todos', 'thinking', 'tools', 'instructions'];
 const DEFAULT_CATEGORIES = ['decisions', 'files', 'errors', 'todos'];
@@ -59,12 +59,13 @@ function allocateBudget(categories, budget) {
   return alloc;
 }
 
-function charBudget(tokenBudget) {
-  return tokenBudget * CHARS_PER_TOKEN;
+// True if appending line would push the section past its token budget
+function overBudget(out, line, limit) {
+  return estimateTokens(out + line) > limit;
 }
 
 // ---------------------------------------------------------------------------
-// Formatters — each returns a string trimmed to charLimit
+// Formatters — each returns a string trimmed to its token limit
 // ---------------------------------------------------------------------------
 
 function formatDecisions(items, limit) {
@@ -72,7 +73,7 @@ function formatDecisions(items, limit) {
   let out = `### Decisions (${items.length})\n`;
   for (const d of items) {
     const line = `- ${d}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -91,7 +92,7 @@ function formatFiles(items, limit) {
     if (!paths.length) continue;
     const label = action.charAt(0).toUpperCase() + action.slice(1);
     const line = `**${label}**: ${paths.join(', ')}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -104,7 +105,7 @@ function formatErrors(items, limit) {
     const text = e.text.split('\n')[0].slice(0, 150);
     const tool = e.tool && e.tool !== 'unknown' ? ` [${e.tool}]` : '';
     const line = `- ${text}${tool}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -115,7 +116,7 @@ function formatTodos(items, limit) {
   let out = `### Todos (${items.length})\n`;
   for (const t of items) {
     const line = `- ${t}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -125,8 +126,8 @@ function formatThinking(items, limit) {
   if (!items.length) return '';
   let out = `### Thinking Threads (${items.length})\n`;
   for (const t of items) {
-    const line = `- ${t.summary} (${Math.round(t.length / CHARS_PER_TOKEN)}t)\n`;
-    if (out.length + line.length > limit) break;
+    const line = `- ${t.summary} (${t.tokens ?? Math.round(t.length / 4)}t)\n`;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -137,7 +138,7 @@ function formatTools(data, limit) {
   let out = `### Tool Flow (${data.total} calls)\n`;
   for (const [name, count] of data.counts) {
     const line = `- ${name}: ${count}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -148,7 +149,7 @@ function formatInstructions(items, limit) {
   let out = `### User Instructions (${items.length})\n`;
   for (const inst of items) {
     const line = `- ${inst}\n`;
-    if (out.length + line.length > limit) break;
+    if (overBudget(out, line, limit)) break;
     out += line;
   }
   return out;
@@ -204,8 +205,7 @@ function recall(input) {
       const data = mined[cat];
       const formatter = FORMATTERS[cat];
       if (!formatter) continue;
-      const limit = charBudget(budget[cat]);
-      const formatted = formatter(data, limit);
+      const formatted = formatter(data, budget[cat]);
       if (formatted) parts.push(formatted);
     }
 
@@ -0,0 +1,255 @@
+#!/usr/bin/env node
+/**
+ * Scrub Leaked Secrets from Memory
+ *
+ * Finds a literal, a regex or anything the redaction detectors match in every
+ * memory file of a project (log, archive, summary and its history, entities,
+ * remembered items, briefings, pre-compact snapshots), shows where, and
+ * replaces the matches with a placeholder.
+ *
+ * Usage:
+ *   node mem-scrub.mjs <text> [options]
+ *   node mem-scrub.mjs --pattern <regex> [--flags <flags>] [options]
+ *   node mem-scrub.mjs --secrets [options]
+ *
+ * Options:
+ *   --dry-run    Show matches without changing anything
+ *   --all        Every project and global memory, not just this project
+ *   --push       Push the cleaned files to the sync server afterwards
+ *
+ * Files are rewritten atomically. Derived files (cache, search index,
+ * embeddings) are deleted and rebuild on demand.
+ *
+ * With sync enabled, scrubbed log entries keep their place in the sync state
+ * and replace their events on the server at the next push instead of being
+ * pushed again; scrubbed files are uploaded even where only the merge base
+ * changed. --push also deletes the server's older versions of those files.
+ * Machines that already pulled the secret have to be scrubbed themselves.
+ */
+
+import { existsSync, readFileSync, readdirSync } from 'node:fs';
+import { join, relative, basename } from 'node:path';
+import { pathToFileURL } from 'node:url';
+import { scrubMemoryDir } from '../lib/scrub.mjs';
+import { invalidRules } from '../lib/redact.mjs';
+import { logError } from '../lib/error-log.mjs';
+import {
+  ensureMemoryDirs,
+  getProjectName,
+  loadConfig,
+  withFileLock,
+  MEMORY_BASE,
+  GLOBAL_DIR
+} from './utils.mjs';
+import { pushIfEnabled, recordScrubbedLogEntries, markSyncBaseScrubbed, purgeServerVersions, FILES_TO_SYNC } from './sync.mjs';
+
+const USAGE = 'Usage: mem-scrub.mjs <text> | --pattern <regex> [--flags <f>] | --secrets [--dry-run] [--all] [--push]';
+const MAX_LOCATIONS_PER_FILE = 20;
+const SCRUB_TYPE = 'scrubbed';
+const SYNCED_FILES = new Set(FILES_TO_SYNC.map(f => f.name));
+
+export function parseArgs(argv) {
+  const opts = { text: null, pattern: null, flags: '', secrets: false, dryRun: false, all: false, push: false };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--pattern') opts.pattern = argv[++i] ?? null;
+    else if (arg === '--flags') opts.flags = argv[++i] ?? '';
+    else if (arg === '--secrets') opts.secrets = true;
+    else if (arg === '--dry-run') opts.dryRun = true;
+    else if (arg === '--all') opts.all = true;
+    else if (arg === '--push') opts.push = true;
+    else if (opts.text === null) opts.text = arg;
+  }
+  return opts;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * What to scrub, as a redaction config for lib/scrub.mjs.
+ * @returns {object|null} null when nothing (or an invalid regex) was given
+ */
+export function matcherFor(opts, redaction = {}) {
+  if (opts.secrets) return { ...redaction, enabled: true };
+  const pattern = opts.pattern ?? (opts.text ? escapeRegExp(opts.text) : null);
+  if (!pattern) return null;
+  const matcher = {
+    placeholder: redaction.placeholder,
+    detectors: false,
+    rules: [{ name: SCRUB_TYPE, pattern, flags: opts.flags }]
+  };
+  return invalidRules(matcher).length > 0 ? null : matcher;
+}
+
+// Project memory directories in scope: [{ name, dir, root }]
+function scrubTargets(opts, cwd) {
+  if (!opts.all) {
+    const paths = ensureMemoryDirs(cwd);
+    return [{ name: relative(MEMORY_BASE, paths.project), dir: paths.project, root: cwd }];
+  }
+
+  const targets = [];
+  const projectsDir = join(MEMORY_BASE, 'projects');
+  let names = [];
+  try {
+    names = readdirSync(projectsDir, { withFileTypes: true }).filter(d => d.isDirectory()).map(d => d.name).sort();
+  } catch {}
+  for (const name of names) {
+    const dir = join(projectsDir, name);
+    let root = null;
+    try {
+      root = readFileSync(join(dir, '.project-root'), 'utf-8').trim() || null;
+    } catch {}
+    targets.push({ name: `projects/${name}`, dir, root });
+  }
+  // Global memory is pushed along with any project
+  if (existsSync(GLOBAL_DIR)) targets.push({ name: 'global', dir: GLOBAL_DIR, root: cwd });
+  return targets;
+}
+
+// The log is appended to concurrently; rewrite it under its write lock
+function withLogLock(file, fn) {
+  return basename(file) === 'log.jsonl' ? withFileLock(`${file}.wlock`, fn, 30) : fn();
+}
+
+function parseLogLine(line) {
+  try {
+    return JSON.parse(line);
+  } catch {
+    return null;
+  }
+}
+
+// Synced files (summary.json, ...) a scrub rewrote, either the file or its merge base
+function scrubbedSyncedFiles(rewritten) {
+  const names = rewritten.map(file => file.startsWith('.sync-base/') ? file.slice('.sync-base/'.length) : file);
+  return [...new Set(names)].filter(name => SYNCED_FILES.has(name));
+}
+
+/**
+ * Make the next push carry a scrub to the sync server: rewrite the server
+ * events of scrubbed log entries and re-upload scrubbed files.
+ * @returns {number} Log entries queued to be rewritten on the server
+ */
+function recordScrubForSync(target, scrubbed, config) {
+  const global = target.name === 'global';
+  markSyncBaseScrubbed(target.dir, scrubbedSyncedFiles(scrubbed.rewritten));
+  if (global || !target.root || !existsSync(target.root)) return 0;
+  const changes = (scrubbed.logLines || [])
+    .map(({ before, after }) => ({ before: parseLogLine(before), after: parseLogLine(after) }))
+    .filter(c => c.before && c.after);
+  return recordScrubbedLogEntries(target.root, config, changes);
+}
+
+export async function main({
+  argv = process.argv.slice(2),
+  cwd = process.cwd()
+} = {}) {
+  const opts = parseArgs(argv);
+  const projectName = getProjectName(cwd);
+  const config = loadConfig();
+
+  const matcher = matcherFor(opts, config.redaction);
+  if (!matcher) {
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'error',
+      message: opts.pattern ? `Invalid pattern: ${opts.pattern}` : USAGE
+    }));
+    process.exitCode = 1;
+    return;
+  }
+
+  const syncEnabled = config.sync?.enabled === true && !!config.sync?.serverUrl;
+  const results = [];
+  let total = 0;
+  let queuedRewrites = 0;
+  for (const target of scrubTargets(opts, cwd)) {
+    const scrubbed = scrubMemoryDir(target.dir, matcher, { write: !opts.dryRun, withLock: withLogLock });
+    const matches = scrubbed.files.reduce((n, f) => n + f.matches.length, 0);
+    if (matches === 0 && scrubbed.locked.length === 0) continue;
+    total += matches;
+    if (syncEnabled && !opts.dryRun) {
+      try {
+        queuedRewrites += recordScrubForSync(target, scrubbed, config);
+      } catch (e) {
+        logError(e, 'mem-scrub:sync-state');
+      }
+    }
+    results.push({
+      ...target,
+      matches,
+      files: scrubbed.files.map(f => ({
+        file: f.file,
+        matches: f.matches.length,
+        locations: f.matches.slice(0, MAX_LOCATIONS_PER_FILE)
+      })),
+      rewritten: scrubbed.rewritten,
+      removed: scrubbed.removed,
+      locked: scrubbed.locked
+    });
+  }
+
+  const status = total === 0 ? 'clean' : opts.dryRun ? 'dry_run' : 'success';
+  const output = {
+    project: opts.all ? 'all' : projectName,
+    status,
+    matches: total,
+    message: total === 0
+      ? 'No matches found.'
+      : opts.dryRun
+        ? `${total} match(es) would be scrubbed. Run without --dry-run to rewrite them.`
+        : `Scrubbed ${total} match(es).`,
+    projects: results.map(({ root, ...r }) => r)
+  };
+  const locked = results.flatMap(r => r.locked.map(f => `${r.name}/${f}`));
+  if (locked.length > 0) {
+    output.message += ` Skipped while in use, rerun to scrub: ${locked.join(', ')}.`;
+  }
+
+  if (syncEnabled && !opts.dryRun && total > 0) {
+    output.message += opts.push
+      ? ' Machines that already pulled these entries keep them until scrubbed there too.'
+      : ` The sync server keeps the secret until the next push${queuedRewrites > 0 ? ` (${queuedRewrites} log entries to replace)` : ''}; run with --push to push now and delete older file versions. Machines that already pulled these entries keep them until scrubbed there too.`;
+  }
+
+  if (opts.push && !opts.dryRun && total > 0) {
+    output.pushed = [];
+    for (const r of results.filter(r => r.rewritten.length > 0)) {
+      if (!r.root || !existsSync(r.root)) {
+        output.pushed.push({ project: r.name, pushed: false, message: 'Checkout not found, push from the project' });
+        continue;
+      }
+      try {
+        const { pushed, files, message } = await pushIfEnabled(r.root, config);
+        const result = { project: r.name, pushed, files, message };
+        const synced = scrubbedSyncedFiles(r.rewritten);
+        if (pushed && synced.length > 0) {
+          const { purged, failed } = await purgeServerVersions(r.root, config, synced, { global: r.name === 'global' });
+          result.purgedVersions = purged;
+          if (failed.length > 0) result.message += `; older server versions of ${failed.join(', ')} still hold the secret`;
+        }
+        output.pushed.push(result);
+      } catch (e) {
+        logError(e, 'mem-scrub:push');
+        output.pushed.push({ project: r.name, pushed: false, message: e.message });
+      }
+    }
+  }
+
+  console.log(JSON.stringify(output, null, 2));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch((error) => {
+    logError(error, 'mem-scrub');
+    console.log(JSON.stringify({
+      project: basename(process.cwd()),
+      status: 'error',
+      message: error.message
+    }));
+    process.exit(1);
+  });
+}
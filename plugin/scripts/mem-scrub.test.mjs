@@ -0,0 +1,98 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, readdirSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+import { execFileSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+
+import { parseArgs, matcherFor } from './mem-scrub.mjs';
+
+const MEM_SCRUB = fileURLToPath(new URL('./mem-scrub.mjs', import.meta.url));
+
+describe('parseArgs', () => {
+  it('reads the literal and flags', () => {
+    assert.deepEqual(parseArgs(['hunter2', '--dry-run', '--all']), {
+      text: 'hunter2', pattern: null, flags: '', secrets: false, dryRun: true, all: true, push: false
+    });
+    assert.deepEqual(parseArgs(['--pattern', 'pin \\d+', '--flags', 'i', '--push']), {
+      text: null, pattern: 'pin \\d+', flags: 'i', secrets: false, dryRun: false, all: false, push: true
+    });
+  });
+});
+
+describe('matcherFor', () => {
+  it('matches a literal as is, with only that rule', () => {
+    const matcher = matcherFor({ text: 'a.b(c)' }, { placeholder: '<{type}>' });
+    assert.deepEqual(matcher, {
+      placeholder: '<{type}>', detectors: false, rules: [{ name: 'scrubbed', pattern: 'a\\.b\\(c\\)', flags: undefined }]
+    });
+  });
+
+  it('uses the redaction config for --secrets', () => {
+    assert.deepEqual(matcherFor({ secrets: true }, { enabled: false, rules: [] }), { enabled: true, rules: [] });
+  });
+
+  it('rejects a missing or invalid pattern', () => {
+    assert.equal(matcherFor({}), null);
+    assert.equal(matcherFor({ pattern: '(' }), null);
+  });
+});
+
+describe('mem-scrub', () => {
+  let home, project, memoryDir;
+
+  function run(...args) {
+    return JSON.parse(execFileSync('node', [MEM_SCRUB, ...args], {
+      cwd: project,
+      env: { ...process.env, HOME: home },
+      encoding: 'utf8',
+      stdio: ['ignore', 'pipe', 'ignore']
+    }));
+  }
+
+  before(() => {
+    home = mkdtempSync(join(tmpdir(), 'mneme-scrub-'));
+    project = join(home, 'project');
+    mkdirSync(project);
+    mkdirSync(join(home, '.claude-mneme'));
+    writeFileSync(join(home, '.claude-mneme', 'config.json'), '{}');
+  });
+
+  after(() => {
+    rmSync(home, { recursive: true, force: true });
+  });
+
+  it('reports a clean project', () => {
+    const result = run('hunter2');
+    assert.equal(result.status, 'clean');
+    assert.equal(result.matches, 0);
+    const projects = join(home, '.claude-mneme', 'projects');
+    memoryDir = join(projects, readdirSync(projects)[0]);
+  });
+
+  it('shows matches on a dry run, then scrubs them', () => {
+    writeFileSync(join(memoryDir, 'log.jsonl'), JSON.stringify({ type: 'prompt', content: 'the db password is hunter2' }) + '\n');
+    writeFileSync(join(memoryDir, 'remembered.json'), JSON.stringify([{ content: 'staging uses hunter2' }]));
+
+    const preview = run('hunter2', '--dry-run');
+    assert.equal(preview.status, 'dry_run');
+    assert.equal(preview.matches, 2);
+    assert.deepEqual(preview.projects[0].files.map(f => f.file), ['log.jsonl', 'remembered.json']);
+    assert.deepEqual(preview.projects[0].files[0].locations[0], {
+      line: 1, path: 'content', type: 'scrubbed', preview: 'the db password is [REDACTED:scrubbed]'
+    });
+    assert.match(readFileSync(join(memoryDir, 'log.jsonl'), 'utf-8'), /hunter2/);
+
+    const result = run('hunter2');
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.projects[0].rewritten, ['log.jsonl', 'remembered.json']);
+    assert.doesNotMatch(readFileSync(join(memoryDir, 'log.jsonl'), 'utf-8'), /hunter2/);
+    assert.doesNotMatch(readFileSync(join(memoryDir, 'remembered.json'), 'utf-8'), /hunter2/);
+    assert.equal(run('hunter2').status, 'clean');
+  });
+
+  it('fails on an invalid pattern', () => {
+    assert.throws(() => run('--pattern', '('), /Command failed/);
+  });
+});
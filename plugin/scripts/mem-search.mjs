@@ -0,0 +1,110 @@
+#!/usr/bin/env node
+/**
+ * Full-Text Memory Search
+ * Searches the project's entire memory history: activity log, summary,
+ * briefings (current + archived) and pre-compact extractions.
+ *
+ * Usage:
+ *   node mem-search.mjs [options] <query...>
+ *
+ * Options:
+ *   --limit <n>         Max hits to return (default 10)
+ *   --source <family>   Restrict to log, summary, briefing or extraction (repeatable, or comma-separated)
+ *   --since <date>      Only hits on/after this date (YYYY-MM-DD or ISO timestamp)
+ */
+
+import { pathToFileURL } from 'node:url';
+import { logError } from '../lib/error-log.mjs';
+import { updateSearchIndex, searchIndex } from '../lib/search-index.mjs';
+import { ensureMemoryDirs, getProjectName } from './utils.mjs';
+
+const DEFAULT_LIMIT = 10;
+const SNIPPET_LENGTH = 240;
+const SOURCE_FAMILIES = ['log', 'summary', 'briefing', 'extraction'];
+const USAGE = 'Usage: mem-search.mjs [--limit N] [--source log|summary|briefing|extraction] [--since YYYY-MM-DD] <query>';
+
+/**
+ * @returns {{ query: string, limit: number, sources: string[], since: string|null, error?: string }}
+ *   error is set for an option value that can't be used (an unparseable --since)
+ */
+export function parseArgs(args) {
+  const opts = { query: '', limit: DEFAULT_LIMIT, sources: [], since: null };
+  const words = [];
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--limit' && args[i + 1]) {
+      opts.limit = parseInt(args[++i], 10) || DEFAULT_LIMIT;
+    } else if (arg === '--source' && args[i + 1]) {
+      opts.sources.push(...args[++i].split(',').filter(s => SOURCE_FAMILIES.includes(s)));
+    } else if (arg === '--since' && args[i + 1]) {
+      opts.since = args[++i];
+      if (Number.isNaN(Date.parse(opts.since))) opts.error = `Invalid --since date: ${opts.since}`;
+    } else if (!arg.startsWith('--')) {
+      words.push(arg);
+    }
+  }
+
+  opts.query = words.join(' ');
+  return opts;
+}
+
+function snippet(text, query) {
+  const flat = text.replace(/\s+/g, ' ').trim();
+  if (flat.length <= SNIPPET_LENGTH) return flat;
+  // Center the snippet on the first query word found in the text
+  const lower = flat.toLowerCase();
+  const pos = query.toLowerCase().split(/\s+/)
+    .map(w => lower.indexOf(w))
+    .filter(p => p >= 0)
+    .sort((a, b) => a - b)[0] ?? 0;
+  const start = Math.max(0, pos - SNIPPET_LENGTH / 3);
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH);
+  return (start > 0 ? '…' : '') + flat.slice(start, end) + (end < flat.length ? '…' : '');
+}
+
+/**
+ * Update the project's search index and run a query.
+ * @param {string} cwd
+ * @param {{ query: string, limit?: number, sources?: string[], since?: string|null }} opts
+ * @returns {{ project: string, query: string, indexed: number, hits: object[] }}
+ */
+export function searchMemory(cwd, opts) {
+  const paths = ensureMemoryDirs(cwd);
+  const index = updateSearchIndex(paths.project);
+  const hits = searchIndex(index, opts.query, { ...opts, limit: opts.limit || DEFAULT_LIMIT });
+
+  return {
+    project: getProjectName(cwd),
+    query: opts.query,
+    indexed: Object.keys(index.docs).length,
+    hits: hits.map(h => ({
+      date: h.ts ? h.ts.slice(0, 10) : null,
+      source: h.src,
+      kind: h.kind,
+      score: Math.round(h.score * 100) / 100,
+      text: snippet(h.text, opts.query)
+    }))
+  };
+}
+
+function main() {
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (!opts.query || opts.error) {
+    console.log(opts.error ? `${opts.error}\n${USAGE}` : USAGE);
+    process.exit(1);
+  }
+
+  console.log(JSON.stringify(searchMemory(process.cwd(), opts), null, 2));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    main();
+  } catch (e) {
+    logError(e, 'mem-search');
+    console.log(JSON.stringify({ status: 'error', message: e.message }));
+    process.exit(1);
+  }
+}
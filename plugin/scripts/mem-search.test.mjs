@@ -0,0 +1,16 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs } from './mem-search.mjs';
+
+describe('parseArgs', () => {
+  it('parses the query and options', () => {
+    assert.deepStrictEqual(parseArgs(['--limit', '3', '--source', 'log,summary,bogus', '--since', '2026-03-01', 'webhook', 'retry']),
+      { query: 'webhook retry', limit: 3, sources: ['log', 'summary'], since: '2026-03-01' });
+  });
+
+  it('flags a --since date that does not parse', () => {
+    const opts = parseArgs(['--since', 'last-week', 'webhook']);
+    assert.equal(opts.error, 'Invalid --since date: last-week');
+    assert.equal(parseArgs(['--since', '2026-03-01T10:00:00Z', 'webhook']).error, undefined);
+  });
+});
@@ -3,11 +3,14 @@
  * Plugin Health Check Script
  *
  * Checks the status of the claude-mneme plugin:
- * - Config validity
+ * - Config validity (including redaction rules)
  * - Claude binary availability
  * - Memory directories
  * - Recent errors
  * - Summary and log status
+ * - Injected context size (last session start)
+ * - Sync configuration (warns without encryption), queued pushes and recent
+ *   merge conflicts
  *
  * Usage: node mem-status.mjs [--clear-errors]
  */
@@ -15,12 +18,19 @@
 import { existsSync, readFileSync, statSync, accessSync, constants } from 'node:fs';
 import { execFileSync } from 'node:child_process';
 import { getRecentErrors, getErrorsSince, clearErrorLog, getErrorLogPath } from '../lib/error-log.mjs';
+import { getArchiveStats } from '../lib/log-archive.mjs';
+import { loadKeyring } from '../lib/sync-crypto.mjs';
+import { parseOutbox } from '../lib/sync-outbox.mjs';
+import { invalidRules } from '../lib/redact.mjs';
 import {
   MEMORY_BASE,
   CONFIG_FILE,
+  SYNC_OUTBOX_FILE,
   ensureMemoryDirs,
+  unmergedMemoryDirs,
   loadConfig,
-  getProjectName
+  getProjectName,
+  getProjectRoot
 } from './utils.mjs';
 
 const cwd = process.cwd();
@@ -64,6 +74,13 @@ try {
     status.checks.config.warning = `claudePath "${config.claudePath}" does not exist`;
     status.warnings.push(`Config: claudePath not found at ${config.claudePath}`);
   }
+
+  // Invalid redaction rules are skipped, so what they target is written as-is
+  const redaction = config.redaction || {};
+  status.checks.config.redaction = redaction.enabled === false ? 'disabled' : 'enabled';
+  for (const { name, error } of invalidRules(redaction)) {
+    status.warnings.push(`Config: redaction rule "${name}" is invalid and skipped (${error})`);
+  }
 } catch (err) {
   status.checks.config = { status: 'error', message: err.message };
   status.errors.push(`Config: ${err.message}`);
@@ -144,6 +161,15 @@ try {
     status.errors.push('Memory directories not writable');
     status.overall = 'unhealthy';
   }
+
+  // Older memory of this project with files the project dir has too
+  const unmerged = unmergedMemoryDirs(cwd);
+  if (unmerged.length > 0) {
+    status.checks.directories.unmerged = unmerged;
+    for (const dir of unmerged) {
+      status.warnings.push(`Directories: ${dir} was only partly merged into ${paths.project}, compare and move the rest by hand`);
+    }
+  }
 } catch (err) {
   status.checks.directories = { status: 'error', message: err.message };
   status.errors.push(`Directories: ${err.message}`);
@@ -191,6 +217,10 @@ try {
     },
     entities: {
       exists: entitiesExists
+    },
+    archive: {
+      enabled: loadConfig().logArchive?.enabled !== false,
+      ...getArchiveStats(paths.project)
     }
   };
 
@@ -203,6 +233,40 @@ try {
   status.errors.push(`Memory files: ${err.message}`);
 }
 
+// ============================================================================
+// Check 4b: Context Injection Size (recorded by session-start)
+// ============================================================================
+try {
+  const paths = ensureMemoryDirs(cwd);
+  const ciConfig = loadConfig().contextInjection || {};
+
+  if (existsSync(paths.lastInjection)) {
+    const report = JSON.parse(readFileSync(paths.lastInjection, 'utf-8'));
+    const overBudget = report.maxTokens > 0 && report.tokens > report.maxTokens;
+    status.checks.contextInjection = {
+      status: overBudget ? 'warning' : 'ok',
+      lastInjected: getFileAge(paths.lastInjection),
+      tokens: report.tokens,
+      maxTokens: report.maxTokens,
+      mode: report.mode,
+      dropped: report.dropped || [],
+      compacted: report.compacted || [],
+      trimmed: report.trimmed || {}
+    };
+    if (overBudget) {
+      status.warnings.push(`Injected context was ${report.tokens} tokens (budget ${report.maxTokens}) — briefing/handoff alone exceed the budget`);
+    }
+  } else {
+    status.checks.contextInjection = {
+      status: 'ok',
+      maxTokens: ciConfig.maxTokens ?? 2000,
+      note: 'Nothing injected yet (recorded at next session start)'
+    };
+  }
+} catch (err) {
+  status.checks.contextInjection = { status: 'error', message: err.message };
+}
+
 // ============================================================================
 // Check 5: Recent Errors
 // ============================================================================
@@ -242,20 +306,61 @@ try {
     status.checks.sync = {
       status: 'configured',
       serverUrl: syncConfig.serverUrl,
-      hasApiKey: !!syncConfig.apiKey
+      hasApiKey: !!syncConfig.apiKey,
+      encrypted: !!syncConfig.encryption?.enabled
     };
 
+    if (!syncConfig.encryption?.enabled) {
+      status.checks.sync.status = 'warning';
+      status.warnings.push('Sync is enabled without encryption — the server can read all synced memory (set sync.encryption)');
+    } else {
+      try {
+        const keyring = loadKeyring(syncConfig.encryption);
+        status.checks.sync.keyId = keyring[0].id;
+        status.checks.sync.previousKeys = keyring.length - 1;
+      } catch (err) {
+        status.checks.sync.status = 'error';
+        status.checks.sync.encryptionError = err.message;
+        status.errors.push(`Sync encryption: ${err.message}`);
+      }
+    }
+
     // Try to reach the server
     if (syncConfig.serverUrl) {
       // We can't easily do async HTTP here, so just note it's configured
       status.checks.sync.note = 'Server reachability not checked (use session-start to verify)';
     }
+
+    // Pushes that failed and are waiting for a retry (all projects)
+    if (existsSync(SYNC_OUTBOX_FILE)) {
+      const queued = Object.values(parseOutbox(readFileSync(SYNC_OUTBOX_FILE, 'utf-8')).pushes);
+      status.checks.sync.queuedPushes = queued.length;
+      if (queued.length > 0) {
+        const own = queued.find(p => p.cwd === getProjectRoot(cwd));
+        if (own) status.checks.sync.queuedPush = own;
+        if (status.checks.sync.status === 'configured') status.checks.sync.status = 'warning';
+        status.warnings.push(`${queued.length} project(s) have sync pushes queued for retry${own ? ` (including this one: ${own.lastError})` : ''} — changes are saved locally and retried automatically`);
+      }
+    }
   } else {
     status.checks.sync = {
       status: 'disabled',
       note: 'Local-only mode (default)'
     };
   }
+
+  // Merge conflicts from the last week (the newer version was kept)
+  const conflictsPath = ensureMemoryDirs(cwd).syncConflicts;
+  if (existsSync(conflictsPath)) {
+    const since = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000).toISOString();
+    const conflicts = (JSON.parse(readFileSync(conflictsPath, 'utf-8')).conflicts || [])
+      .filter(c => String(c.ts || '') >= since);
+    if (conflicts.length > 0) {
+      status.checks.sync.conflictsLast7d = conflicts.length;
+      status.checks.sync.recentConflicts = conflicts.slice(-5);
+      status.warnings.push(`${conflicts.length} sync merge conflict(s) in the last 7 days — newer version kept, check recentConflicts`);
+    }
+  }
 } catch (err) {
   status.checks.sync = { status: 'error', message: err.message };
 }
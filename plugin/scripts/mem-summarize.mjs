@@ -17,18 +17,19 @@ import { readFileSync, writeFileSync, existsSync, unlinkSync } from 'node:fs';
 import { join, basename } from 'node:path';
 import { homedir } from 'node:os';
 import { pathToFileURL } from 'node:url';
-import { formatEntriesForSummary, emptyStructuredSummary } from '../lib/summary-format.mjs';
+import { emptyStructuredSummary } from '../lib/summary-format.mjs';
 import { logError } from '../lib/error-log.mjs';
-import { queryJsonWithRetry } from '../lib/llm-query.mjs';
 import {
   ensureMemoryDirs,
   loadConfig,
   getProjectName,
-  deduplicateEntries,
   flushPendingLog,
-  withFileLock
+  withFileLock,
+  writeSummaryJson
 } from './utils.mjs';
 import { getLogFileState, writeLogMetadata } from '../lib/log-metadata.mjs';
+import { archiveLogEntries, applyArchiveRetention } from '../lib/log-archive.mjs';
+import { summarizeEntries } from './summarize.mjs';
 
 const DEFAULT_TRUNCATE_LOCK_TIMEOUT_MS = 2000;
 const DEFAULT_TRUNCATE_RETRY_DELAY_MS = 25;
@@ -65,6 +66,7 @@ export async function truncateLogSafely({
   readFileSyncFn = readFileSync,
   writeFileSyncFn = writeFileSync,
   existsSyncFn = existsSync,
+  archiveFn = null,
 } = {}) {
   const deadline = Date.now() + timeoutMs;
 
@@ -73,6 +75,15 @@ export async function truncateLogSafely({
       const currentLogContent = existsSyncFn(logPath) ? readFileSyncFn(logPath, 'utf-8').trim() : '';
       const currentLines = currentLogContent ? currentLogContent.split('\n').filter(Boolean) : [];
       const remainingLines = currentLines.slice(summarizeCount);
+      if (archiveFn) {
+        // The archive replaces the dropped entries: without it, keep them
+        try {
+          archiveFn(currentLines.slice(0, summarizeCount));
+        } catch (e) {
+          logError(e, 'mem-summarize:archive');
+          throw new Error(`Archiving summarized entries failed, log left intact: ${e.message}`);
+        }
+      }
       writeFileSyncFn(logPath, remainingLines.join('\n') + (remainingLines.length ? '\n' : ''));
       writeLogMetadata(logPath, remainingLines.length, getLogFileState(logPath));
       return remainingLines.length;
@@ -92,7 +103,8 @@ export async function truncateLogSafely({
 
 export async function main({
   argv = process.argv.slice(2),
-  cwd = process.cwd()
+  cwd = process.cwd(),
+  summarizeFn = summarizeEntries
 } = {}) {
   const dryRun = argv.includes('--dry-run');
   const force = argv.includes('--force');
@@ -197,10 +209,6 @@ export async function main({
   writeFileSync(lockFile, Date.now().toString());
 
   try {
-    // Ensure SDK is installed, then import
-    ensureDeps();
-    const { query } = await import('@anthropic-ai/claude-agent-sdk');
-
     // Read existing summary
     let existingSummary = emptyStructuredSummary();
     if (existsSync(paths.summaryJson)) {
@@ -226,132 +234,26 @@ export async function main({
 
     const entriesToSummarize = lines.slice(0, summarizeCount);
 
-    // Parse and deduplicate entries
-    const parsedEntries = entriesToSummarize.map(line => {
-      try { return JSON.parse(line); }
-      catch { return null; }
-    }).filter(Boolean);
-
-    const deduped = deduplicateEntries(parsedEntries, config);
-    const dedupedLines = deduped.map(e => JSON.stringify(e));
-    const entriesText = formatEntriesForSummary(dedupedLines);
-
-    // Build context from existing summary
-    const existingContext = [];
-    if (existingSummary.projectContext) {
-      existingContext.push(`Project: ${existingSummary.projectContext}`);
-    }
-    if (existingSummary.keyDecisions?.length > 0) {
-      existingContext.push(`Key decisions: ${existingSummary.keyDecisions.map(d => d.decision).join('; ')}`);
-    }
-    if (existingSummary.currentState?.length > 0) {
-      existingContext.push(`Current state: ${existingSummary.currentState.map(s => `${s.topic}: ${s.status}`).join('; ')}`);
-    }
-
-    const prompt = `You are updating a structured memory for project "${projectName}".
-
-<existing_context>
-${existingContext.join('\n') || '(New project, no existing context)'}
-Recent work items: ${existingSummary.recentWork?.length || 0}
-</existing_context>
-
-<new_entries>
-${entriesText}
-</new_entries>
-
-Analyze the new entries and output a JSON object with updates:
-
-{
-  "projectContext": "Updated project description if new info changes it, or null to keep existing",
-  "newKeyDecisions": [
-    { "date": "YYYY-MM-DD", "decision": "Important architectural/design choice", "reason": "Why" }
-  ],
-  "updateCurrentState": [
-    { "topic": "Feature name", "status": "New or updated status" }
-  ],
-  "newRecentWork": [
-    { "date": "YYYY-MM-DD", "summary": "What was done" }
-  ],
-  "promoteToCurrentState": [],
-  "removeFromRecentWork": []
-}
-
-Rules:
-- Only include fields that have updates (use empty arrays for no changes)
-- Key decisions: major architectural choices, technology decisions, design patterns
-- Current state: features implemented, work in progress, known issues
-- Recent work: specific tasks completed in this batch of entries
-- Merge similar entries, avoid duplicates
-- Be concise — each item should be one clear sentence
-- Output ONLY the JSON object`;
-
     console.error(`[claude-mneme] Summarizing ${entriesToSummarize.length} entries for "${projectName}"...`);
 
-    const updates = await queryJsonWithRetry(prompt, 'memory-summarize-manual', config);
-
-    // Apply updates to summary
-    const result = { ...existingSummary };
-
-    if (updates.projectContext) {
-      result.projectContext = updates.projectContext;
-    }
-
-    if (updates.newKeyDecisions?.length > 0) {
-      result.keyDecisions = [...(result.keyDecisions || []), ...updates.newKeyDecisions];
+    // Same pipeline as automatic summarization: per branch/worktree partition,
+    // with recent work tagged by workspace
+    const result = await summarizeFn(existingSummary, entriesToSummarize, { config, projectName });
+    if (!result) {
+      throw new Error('Summarization returned no updates, log left intact');
     }
 
-    if (updates.updateCurrentState?.length > 0) {
-      const stateMap = new Map((result.currentState || []).map(s => [s.topic, s]));
-      for (const update of updates.updateCurrentState) {
-        stateMap.set(update.topic, update);
-      }
-      result.currentState = Array.from(stateMap.values());
-    }
-
-    let recentWork = [...(result.recentWork || [])];
-
-    // Remove stale items (process in reverse to preserve indices)
-    if (updates.removeFromRecentWork?.length > 0) {
-      const toRemove = new Set(updates.removeFromRecentWork.map(Number));
-      recentWork = recentWork.filter((_, i) => !toRemove.has(i));
-    }
-
-    // Promote items to current state
-    if (updates.promoteToCurrentState?.length > 0) {
-      const toPromote = new Set(updates.promoteToCurrentState.map(Number));
-      for (const idx of toPromote) {
-        if (result.recentWork?.[idx]) {
-          const item = result.recentWork[idx];
-          result.currentState = result.currentState || [];
-          result.currentState.push({
-            topic: 'Completed',
-            status: item.summary
-          });
-        }
-      }
-      recentWork = recentWork.filter((_, i) => !toPromote.has(i));
-    }
-
-    if (updates.newRecentWork?.length > 0) {
-      recentWork = [...recentWork, ...updates.newRecentWork];
-    }
-    result.recentWork = recentWork.slice(-10);
-
-    if (result.currentState?.length > 15) {
-      result.currentState = result.currentState.slice(-15);
-    }
-    if (result.keyDecisions?.length > 10) {
-      result.keyDecisions = result.keyDecisions.slice(-10);
-    }
-
-    result.lastUpdated = new Date().toISOString();
-
     // Write updated summary
-    writeFileSync(paths.summaryJson, JSON.stringify(result, null, 2) + '\n');
+    writeSummaryJson(paths, result, 'manual');
 
+    const archiveConfig = config.logArchive || {};
     const keptCount = await truncateLogSafely({
       logPath: paths.log,
-      summarizeCount
+      summarizeCount,
+      archiveFn: archiveConfig.enabled === false ? null : (lines) => {
+        archiveLogEntries(paths.project, lines);
+        applyArchiveRetention(paths.project, archiveConfig);
+      }
     });
 
     console.log(JSON.stringify({
@@ -9,7 +9,23 @@ import {
 } from 'node:fs';
 import { join } from 'node:path';
 import { tmpdir } from 'node:os';
-import { truncateLogSafely } from './mem-summarize.mjs';
+import { truncateLogSafely, main } from './mem-summarize.mjs';
+import { loadConfig } from './utils.mjs';
+
+// Run main() with console output captured
+async function runMain(options) {
+  const out = [];
+  const { log, error } = console;
+  console.log = (line) => out.push(line);
+  console.error = () => {};
+  try {
+    await main(options);
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+  return JSON.parse(out[out.length - 1]);
+}
 
 describe('truncateLogSafely', () => {
   it('preserves entries appended while waiting on the log write lock', async () => {
@@ -50,4 +66,80 @@ describe('truncateLogSafely', () => {
     assert.equal(lines.length, 1);
     assert.ok(lines[0].includes('arrived later'));
   });
+
+  it('hands the truncated lines to archiveFn before dropping them', async () => {
+    const projectDir = mkdtempSync(join(tmpdir(), 'mneme-mem-summarize-'));
+    const logPath = join(projectDir, 'log.jsonl');
+    writeFileSync(logPath, ['a', 'b', 'c'].map(c => JSON.stringify({ type: 'prompt', content: c })).join('\n') + '\n');
+
+    let archived = null;
+    const keptCount = await truncateLogSafely({
+      logPath,
+      summarizeCount: 2,
+      archiveFn: (lines) => { archived = lines; }
+    });
+
+    assert.equal(keptCount, 1);
+    assert.deepStrictEqual(archived.map(l => JSON.parse(l).content), ['a', 'b']);
+  });
+
+  it('leaves the log intact when archiving fails', async () => {
+    const projectDir = mkdtempSync(join(tmpdir(), 'mneme-mem-summarize-'));
+    const logPath = join(projectDir, 'log.jsonl');
+    const log = ['a', 'b', 'c'].map(c => JSON.stringify({ type: 'prompt', content: c })).join('\n') + '\n';
+    writeFileSync(logPath, log);
+
+    await assert.rejects(
+      truncateLogSafely({
+        logPath,
+        summarizeCount: 2,
+        archiveFn: () => { throw new Error('ENOSPC: no space left on device'); }
+      }),
+      /log left intact/
+    );
+    assert.equal(readFileSync(logPath, 'utf-8'), log);
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+});
+
+describe('main', () => {
+  const setup = () => {
+    const projectDir = mkdtempSync(join(tmpdir(), 'mneme-mem-summarize-'));
+    const count = loadConfig().keepRecentEntries + 3;
+    const entries = Array.from({ length: count }, (_, i) =>
+      ({ ts: '2026-10-18T10:00:00Z', type: 'prompt', content: `entry ${i}`, ...(i === 1 && { branch: 'feature/auth' }) }));
+    writeFileSync(join(projectDir, 'log.jsonl'), entries.map(e => JSON.stringify(e)).join('\n') + '\n');
+    return projectDir;
+  };
+
+  it('summarizes through the shared branch-aware pipeline', async () => {
+    const projectDir = setup();
+    let received = null;
+    const result = await runMain({
+      argv: ['--project-dir', projectDir],
+      summarizeFn: async (summary, lines, options) => {
+        received = { lines, projectName: options.projectName };
+        return { ...summary, branches: { 'feature/auth': { recentWork: [{ summary: 'Auth work' }] } }, lastUpdated: '2026-10-18T11:00:00Z' };
+      }
+    });
+
+    assert.equal(result.status, 'success');
+    assert.deepEqual(received.lines.map(l => JSON.parse(l).content), ['entry 0', 'entry 1', 'entry 2']);
+    assert.equal(JSON.parse(received.lines[1]).branch, 'feature/auth');
+    const summary = JSON.parse(readFileSync(join(projectDir, 'summary.json'), 'utf-8'));
+    assert.deepEqual(summary.branches['feature/auth'].recentWork, [{ summary: 'Auth work' }]);
+    assert.equal(readFileSync(join(projectDir, 'log.jsonl'), 'utf-8').trim().split('\n').length, result.kept);
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('keeps the log when summarization fails', async () => {
+    const projectDir = setup();
+    const before = readFileSync(join(projectDir, 'log.jsonl'), 'utf-8');
+    const result = await runMain({ argv: ['--project-dir', projectDir], summarizeFn: async () => null });
+    process.exitCode = 0;
+
+    assert.equal(result.status, 'error');
+    assert.equal(readFileSync(join(projectDir, 'log.jsonl'), 'utf-8'), before);
+    rmSync(projectDir, { recursive: true, force: true });
+  });
 });
@@ -0,0 +1,142 @@
+#!/usr/bin/env node
+/**
+ * Summary History
+ * Lists, diffs and restores versions of summary.json.
+ *
+ * Usage:
+ *   node mem-summary-history.mjs [--list]
+ *   node mem-summary-history.mjs --show <version>
+ *   node mem-summary-history.mjs --diff <from> [<to>]   (default <to>: current summary)
+ *   node mem-summary-history.mjs --restore <version>
+ */
+
+import { existsSync, readFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { logError } from '../lib/error-log.mjs';
+import {
+  listSummaryVersions,
+  readSummaryVersion,
+  restoreSummaryVersion,
+  diffSummaries
+} from '../lib/summary-history.mjs';
+import { ensureMemoryDirs, getProjectName, loadConfig, invalidateCache } from './utils.mjs';
+
+const USAGE = 'Usage: mem-summary-history.mjs [--list] | --show <v> | --diff <from> [<to>] | --restore <v>';
+
+export function parseArgs(args) {
+  const versionAt = (i) => {
+    const n = parseInt(args[i], 10);
+    return Number.isInteger(n) && n > 0 ? n : null;
+  };
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--list') return { action: 'list' };
+    if (arg === '--show') return { action: 'show', version: versionAt(i + 1) };
+    if (arg === '--restore') return { action: 'restore', version: versionAt(i + 1) };
+    if (arg === '--diff') return { action: 'diff', from: versionAt(i + 1), to: versionAt(i + 2) };
+  }
+  return { action: 'list' };
+}
+
+/**
+ * Render a diffSummaries() result as compact markdown.
+ */
+export function formatDiff(diff, fromLabel, toLabel) {
+  const lines = [`## Summary diff: ${fromLabel} → ${toLabel}`];
+  if (diff.unchanged) {
+    lines.push('', 'No changes.');
+    return lines.join('\n');
+  }
+
+  if (diff.projectContext) {
+    lines.push('', '### Project Context', `- ${diff.projectContext.before || '(empty)'}`, `+ ${diff.projectContext.after || '(empty)'}`);
+  }
+
+  const section = (title, d, text) => {
+    if (d.added.length === 0 && d.removed.length === 0 && !(d.changed?.length)) return;
+    lines.push('', `### ${title}`);
+    for (const i of d.removed) lines.push(`- ${text(i)}`);
+    for (const i of d.added) lines.push(`+ ${text(i)}`);
+    for (const c of d.changed || []) lines.push(`~ ${c.topic}: ${c.before} → ${c.after}`);
+  };
+  section('Key Decisions', diff.keyDecisions, d => d.decision);
+  section('Current State', diff.currentState, s => `${s.topic}: ${s.status}`);
+  section('Recent Work', diff.recentWork, w => `${w.date ? `[${w.date}] ` : ''}${w.summary}`);
+
+  return lines.join('\n');
+}
+
+function readCurrentSummary(paths) {
+  if (!existsSync(paths.summaryJson)) return null;
+  try {
+    return JSON.parse(readFileSync(paths.summaryJson, 'utf-8'));
+  } catch {
+    return null;
+  }
+}
+
+function main() {
+  const cwd = process.cwd();
+  const paths = ensureMemoryDirs(cwd);
+  const projectName = getProjectName(cwd);
+  const opts = parseArgs(process.argv.slice(2));
+
+  if (opts.action === 'list') {
+    console.log(JSON.stringify({
+      project: projectName,
+      versions: listSummaryVersions(paths.project).reverse()
+    }, null, 2));
+    return;
+  }
+
+  if (opts.action === 'show') {
+    const v = opts.version && readSummaryVersion(paths.project, opts.version);
+    if (!v) {
+      console.log(`Version not found. ${USAGE}`);
+      process.exit(1);
+    }
+    console.log(JSON.stringify(v, null, 2));
+    return;
+  }
+
+  if (opts.action === 'diff') {
+    const from = opts.from && readSummaryVersion(paths.project, opts.from);
+    const to = opts.to ? readSummaryVersion(paths.project, opts.to) : { summary: readCurrentSummary(paths) };
+    if (!from || !to) {
+      console.log(`Version not found. ${USAGE}`);
+      process.exit(1);
+    }
+    console.log(formatDiff(diffSummaries(from.summary, to.summary), `v${opts.from}`, opts.to ? `v${opts.to}` : 'current'));
+    return;
+  }
+
+  if (opts.action === 'restore') {
+    const historyConfig = loadConfig().summaryHistory || {};
+    const newVersion = opts.version && restoreSummaryVersion(paths.project, opts.version, 'restore', {
+      summaryPath: paths.summaryJson,
+      maxVersions: historyConfig.maxVersions,
+      onError: (e) => logError(e, 'mem-summary-history:restore')
+    });
+    if (!newVersion) {
+      console.log(`Version not found. ${USAGE}`);
+      process.exit(1);
+    }
+    invalidateCache(cwd);
+    console.log(JSON.stringify({
+      project: projectName,
+      status: 'restored',
+      restoredFrom: opts.version,
+      version: newVersion
+    }));
+  }
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  try {
+    main();
+  } catch (e) {
+    logError(e, 'mem-summary-history');
+    console.log(JSON.stringify({ status: 'error', message: e.message }));
+    process.exit(1);
+  }
+}
@@ -0,0 +1,38 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, formatDiff } from './mem-summary-history.mjs';
+import { diffSummaries } from '../lib/summary-history.mjs';
+
+describe('parseArgs', () => {
+  it('defaults to list', () => {
+    assert.deepStrictEqual(parseArgs([]), { action: 'list' });
+  });
+
+  it('parses show, restore and diff versions', () => {
+    assert.deepStrictEqual(parseArgs(['--show', '3']), { action: 'show', version: 3 });
+    assert.deepStrictEqual(parseArgs(['--restore', '2']), { action: 'restore', version: 2 });
+    assert.deepStrictEqual(parseArgs(['--diff', '1', '4']), { action: 'diff', from: 1, to: 4 });
+    assert.deepStrictEqual(parseArgs(['--diff', '1']), { action: 'diff', from: 1, to: null });
+  });
+
+  it('rejects non-numeric versions', () => {
+    assert.equal(parseArgs(['--restore', 'latest']).version, null);
+  });
+});
+
+describe('formatDiff', () => {
+  it('renders added, removed and changed lines per section', () => {
+    const out = formatDiff(diffSummaries(
+      { keyDecisions: [{ decision: 'Use Stripe' }], currentState: [{ topic: 'Invoices', status: 'WIP' }] },
+      { keyDecisions: [{ decision: 'Use Adyen' }], currentState: [{ topic: 'Invoices', status: 'Done' }] },
+    ), 'v1', 'current');
+    assert.ok(out.includes('## Summary diff: v1 → current'));
+    assert.ok(out.includes('- Use Stripe'));
+    assert.ok(out.includes('+ Use Adyen'));
+    assert.ok(out.includes('~ Invoices: WIP → Done'));
+  });
+
+  it('says so when nothing changed', () => {
+    assert.ok(formatDiff(diffSummaries({}, {}), 'v1', 'v2').includes('No changes.'));
+  });
+});
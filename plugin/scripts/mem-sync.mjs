@@ -0,0 +1,128 @@
+#!/usr/bin/env node
+/**
+ * Sync History
+ * Lists the sync server's versions of a synced file and restores one of them
+ * into local memory. The restored file is pushed at the end of the session
+ * like any other local change.
+ *
+ * Usage:
+ *   node mem-sync.mjs versions <file> [--global]
+ *   node mem-sync.mjs restore <file> --version <n> [--global]
+ *   node mem-sync.mjs restore <file> --before <ISO date> [--global]
+ */
+
+import { existsSync, readFileSync, writeFileSync } from 'node:fs';
+import { pathToFileURL } from 'node:url';
+import { logError } from '../lib/error-log.mjs';
+import { writeFileAtomic } from '../lib/atomic-write.mjs';
+import { SyncClient, FILES_TO_SYNC, GLOBAL_FILES_TO_SYNC } from './sync.mjs';
+import { ensureMemoryDirs, getProjectName, loadConfig, invalidateCache, writeSummaryJson } from './utils.mjs';
+
+const USAGE = 'Usage: mem-sync.mjs versions <file> | restore <file> (--version <n> | --before <date>) [--global]';
+
+export function parseArgs(args) {
+  const opts = { action: null, file: null, version: null, before: null, global: false };
+  const positional = [];
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--global') opts.global = true;
+    else if (arg === '--version') {
+      const n = parseInt(args[++i], 10);
+      opts.version = Number.isInteger(n) && n > 0 ? n : null;
+    } else if (arg === '--before') {
+      const ts = Date.parse(args[++i]);
+      opts.before = Number.isNaN(ts) ? null : new Date(ts).toISOString();
+    } else positional.push(arg);
+  }
+  opts.action = ['versions', 'restore'].includes(positional[0]) ? positional[0] : null;
+  // "summary" is short for "summary.json"
+  if (positional[1]) opts.file = positional[1].endsWith('.json') ? positional[1] : `${positional[1]}.json`;
+  return opts;
+}
+
+/**
+ * Pick the version to restore: an exact version number, or the newest
+ * version saved at or before `before`.
+ * @param {Array<{ version: number, savedAt: string }>} versions
+ */
+export function selectVersion(versions, { version, before }) {
+  if (version) return versions.find(v => v.version === version) || null;
+  if (before) {
+    return versions
+      .filter(v => v.savedAt && v.savedAt <= before)
+      .sort((a, b) => b.version - a.version)[0] || null;
+  }
+  return null;
+}
+
+function fail(message) {
+  console.log(JSON.stringify({ status: 'error', message }));
+  process.exit(1);
+}
+
+async function main() {
+  const cwd = process.cwd();
+  const opts = parseArgs(process.argv.slice(2));
+  if (!opts.action || !opts.file) fail(USAGE);
+
+  const config = loadConfig();
+  if (!config.sync?.enabled || !config.sync?.serverUrl) fail('Sync is not enabled (sync.enabled, sync.serverUrl)');
+
+  const file = (opts.global ? GLOBAL_FILES_TO_SYNC : FILES_TO_SYNC).find(f => f.name === opts.file);
+  if (!file) fail(`${opts.file} is not synced${opts.global ? ' globally' : ''}`);
+
+  const client = new SyncClient(config, cwd, { global: opts.global });
+  const health = await client.checkHealth();
+  if (!health.ok) fail(`Sync server unavailable (${health.error || health.reason})`);
+
+  const listed = await client.listVersions(file.name);
+  if (!listed.success) fail(`Could not list versions of ${file.name} (status ${listed.status ?? 'unknown'})`);
+
+  const project = opts.global ? 'global' : getProjectName(cwd);
+  if (opts.action === 'versions') {
+    console.log(JSON.stringify({ project, file: file.name, versions: listed.versions }, null, 2));
+    return;
+  }
+
+  const chosen = selectVersion(listed.versions, opts);
+  if (!chosen) fail(`Version not found. ${USAGE}`);
+
+  const download = await client.downloadVersion(file.name, chosen.version);
+  if (!download.success) fail(`Could not download version ${chosen.version} of ${file.name}`);
+  let parsed;
+  try {
+    parsed = JSON.parse(download.content);
+  } catch {
+    fail(`Version ${chosen.version} of ${file.name} is not valid JSON`);
+  }
+
+  const localPath = client.paths[file.key];
+  const backup = existsSync(localPath) ? localPath + '.bak' : null;
+  if (backup) writeFileSync(backup, readFileSync(localPath, 'utf-8'));
+  if (file.name === 'summary.json' && !opts.global) {
+    // Through summary history, so the restore itself can be undone locally
+    writeSummaryJson(ensureMemoryDirs(cwd), parsed, 'sync-restore');
+  } else {
+    writeFileAtomic(localPath, download.content);
+  }
+  invalidateCache(cwd);
+
+  console.log(JSON.stringify({
+    project,
+    file: file.name,
+    status: 'restored',
+    version: chosen.version,
+    savedAt: chosen.savedAt,
+    clientId: chosen.clientId,
+    user: chosen.user,
+    backup
+  }));
+}
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  main().catch(e => {
+    logError(e, 'mem-sync');
+    console.log(JSON.stringify({ status: 'error', message: e.message }));
+    process.exit(1);
+  });
+}
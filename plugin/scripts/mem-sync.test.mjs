@@ -0,0 +1,37 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseArgs, selectVersion } from './mem-sync.mjs';
+
+describe('parseArgs', () => {
+  it('parses the action, file and flags', () => {
+    assert.deepStrictEqual(parseArgs(['versions', 'summary.json']),
+      { action: 'versions', file: 'summary.json', version: null, before: null, global: false });
+    assert.deepStrictEqual(parseArgs(['restore', 'remembered', '--version', '4', '--global']),
+      { action: 'restore', file: 'remembered.json', version: 4, before: null, global: true });
+  });
+
+  it('normalizes --before and rejects bad values', () => {
+    assert.equal(parseArgs(['restore', 'summary', '--before', '2026-03-01']).before, '2026-03-01T00:00:00.000Z');
+    assert.equal(parseArgs(['restore', 'summary', '--before', 'yesterday']).before, null);
+    assert.equal(parseArgs(['restore', 'summary', '--version', 'latest']).version, null);
+    assert.equal(parseArgs(['undo', 'summary']).action, null);
+  });
+});
+
+describe('selectVersion', () => {
+  const versions = [
+    { version: 3, savedAt: '2026-03-03T10:00:00.000Z' },
+    { version: 2, savedAt: '2026-03-02T10:00:00.000Z' },
+    { version: 1, savedAt: '2026-03-01T10:00:00.000Z' },
+  ];
+
+  it('finds an exact version', () => {
+    assert.equal(selectVersion(versions, { version: 2 }).version, 2);
+    assert.equal(selectVersion(versions, { version: 9 }), null);
+  });
+
+  it('picks the newest version saved before a point in time', () => {
+    assert.equal(selectVersion(versions, { before: '2026-03-02T12:00:00.000Z' }).version, 2);
+    assert.equal(selectVersion(versions, { before: '2026-02-01T00:00:00.000Z' }), null);
+  });
+});
@@ -1,5 +1,6 @@
 import { readFileSync, readdirSync, statSync } from 'node:fs';
 import { join, basename } from 'node:path';
+import { estimateTokens } from '../lib/token-budget.mjs';
 
 // ---------------------------------------------------------------------------
 // JSONL session log discovery
@@ -118,7 +119,7 @@ export function mineThinking(messages) {
       const text = block.thinking || '';
       if (text.length < 50) continue;
       const firstLine = text.trim().split('\n')[0].slice(0, 150);
-      blocks.push({ summary: firstLine, length: text.length });
+      blocks.push({ summary: firstLine, length: text.length, tokens: estimateTokens(text) });
     }
   }
   return blocks;
@@ -1,14 +1,26 @@
 #!/usr/bin/env node
 /**
- * PostToolUse Hook - File Edit and Git Commit Capture
- * Captures file modifications (Write, Edit) and commit messages from Bash git commits
+ * PostToolUse / PostToolUseFailure Hook - File Edit, Git Commit, Test Outcome
+ * and Error Episode Capture
+ * Captures file modifications (Write, Edit) and the symbols they touch
+ * (lib/symbols.mjs), commit messages from Bash git
+ * commits, test/build outcomes from Bash test runs (lib/test-outcomes.mjs),
+ * and follows failing commands until they pass (lib/error-episodes.mjs)
  */
 
-import { isSessionDisabled, appendLogEntry, trackEntityOnly } from './utils.mjs';
+import { existsSync, readFileSync, statSync } from 'node:fs';
+import { isAbsolute, join, relative } from 'node:path';
+import { isSessionDisabled, appendLogEntry, trackEntityOnly, extractCommitMessage, redactForMemory, ensureMemoryDirs, getProjectRoot, getFileWorkspace, loadConfig, withFileLock } from './utils.mjs';
+import { parseRunOutput, bashOutput, outcomeEntry, recordTestStatus, describeOutcome } from '../lib/test-outcomes.mjs';
+import { errorSignature, updateEpisodes, recordRun, recordEdit, recordCommit } from '../lib/error-episodes.mjs';
+import { languageFor, changedSymbols } from '../lib/symbols.mjs';
 import { logError } from '../lib/error-log.mjs';
 
 if (process.env.MNEME_DISABLED === '1') process.exit(0);
 
+// Larger files (bundles, generated code) are not scanned for symbols
+const MAX_SYMBOL_SOURCE_BYTES = 1024 * 1024;
+
 // Read hook input from stdin
 let input = '';
 process.stdin.setEncoding('utf8');
@@ -23,45 +35,11 @@ process.stdin.on('end', async () => {
   }
 });
 
-/**
- * Extract commit message from git commit command
- */
-function extractCommitMessage(command) {
-  if (!command || typeof command !== 'string') {
-    return null;
-  }
-
-  // HEREDOC pattern first — must check before simple -m (which would match the shell wrapper)
-  let match = command.match(/<<['"]?EOF['"]?\s*\n\s*([^\n]+)/);
-  if (match) {
-    return match[1].trim();
-  }
-
-  // Simple -m flag patterns (also handles combined flags like -am)
-  match = command.match(/git\s+commit\s+[^"']*-[a-z]*m\s*["']([^"']+)["']/);
-  if (match) {
-    return match[1].trim();
-  }
-
-  // --message= pattern
-  match = command.match(/git\s+commit\s+[^"']*--message=["']([^"']+)["']/);
-  if (match) {
-    return match[1].trim();
-  }
-
-  // Fallback: try to find any quoted string after commit
-  match = command.match(/git\s+commit.*["']([^"']{10,})["']/);
-  if (match) {
-    return match[1].trim();
-  }
-
-  return null;
-}
-
 /**
  * Process Write or Edit tool usage - track entity only (no log entry).
  * File edits are low-signal in the log (just a path, no context).
- * Entity index already tracks file activity with frequency/recency/co-occurrence.
+ * Entity index already tracks file activity with frequency/recency/co-occurrence,
+ * and the symbols the edit touched with their file:line.
  */
 async function processFileEdit(hookData) {
   const { tool_input, cwd } = hookData;
@@ -71,44 +49,100 @@ async function processFileEdit(hookData) {
     return false;
   }
 
+  const file = projectPath(filePath, getProjectRoot(cwd || process.cwd()));
   const entry = {
     ts: new Date().toISOString(),
     type: 'edit',
-    content: filePath
+    content: file
   };
 
+  // The package the file is in, not the one the session started in
+  const workspace = getFileWorkspace(filePath, cwd || process.cwd());
+  if (workspace) {
+    entry.workspace = workspace;
+  }
+
+  const symbols = editedSymbols(hookData, filePath, file);
+  if (symbols.length > 0) {
+    entry.symbols = symbols;
+  }
+
   await trackEntityOnly(entry, cwd || process.cwd());
+  processEpisodeEdit(hookData, file);
   return true;
 }
 
+// A path inside the project as the project-relative path the entity index uses
+function projectPath(filePath, root) {
+  return isAbsolute(filePath) && !relative(root, filePath).startsWith('..') ? relative(root, filePath) : filePath;
+}
+
 /**
- * Process Bash tool usage - only capture git commits
+ * Symbols a Write defines or an Edit modifies (lib/symbols.mjs), read from
+ * the file as written
  */
-async function processBash(hookData) {
-  const { tool_input, cwd } = hookData;
+function editedSymbols(hookData, filePath, file) {
+  const eeConfig = loadConfig().entityExtraction || {};
+  if (eeConfig.enabled === false || eeConfig.categories?.symbols === false || !languageFor(filePath)) {
+    return [];
+  }
 
-  const command = tool_input?.command;
-  if (!command || typeof command !== 'string') {
-    return false;
+  try {
+    const absolute = isAbsolute(filePath) ? filePath : join(hookData.cwd || process.cwd(), filePath);
+    if (statSync(absolute).size > MAX_SYMBOL_SOURCE_BYTES) {
+      return [];
+    }
+    const { tool_name, tool_input } = hookData;
+    const edit = tool_name === 'Edit' ? { new_string: tool_input.new_string, replace_all: tool_input.replace_all } : null;
+    return changedSymbols(filePath, readFileSync(absolute, 'utf-8'), { edit, maxSymbols: eeConfig.maxSymbolsPerEdit })
+      .map(s => ({ ...s, file }));
+  } catch (err) {
+    logError(err, 'post-tool-use:symbols');
+    return [];
   }
+}
 
-  // Only capture git commit commands
-  if (!command.includes('git') || !command.includes('commit')) {
-    return false;
+/**
+ * Process a Bash test, type check or lint run - log its outcome when it
+ * changed since that runner's last run
+ * @returns {object|null} The parsed run (lib/test-outcomes.mjs)
+ */
+async function processTestRun(hookData, output) {
+  const { tool_input } = hookData;
+  const cwd = hookData.cwd || process.cwd();
+  const config = loadConfig();
+  const tcConfig = config.testCapture || {};
+  if (tcConfig.enabled === false) {
+    return null;
   }
 
-  // More specific check - must be a git commit command
-  if (!/git\s+commit/.test(command)) {
-    return false;
+  const result = parseRunOutput(tool_input.command, output, {
+    root: getProjectRoot(cwd),
+    maxFailures: tcConfig.maxFailures
+  });
+  if (!result) {
+    return null;
   }
 
-  const commitMessage = extractCommitMessage(command);
+  const entry = redactForMemory(outcomeEntry(result, tool_input.command), config);
+  if (recordTestStatus(ensureMemoryDirs(cwd).testStatus, entry)) {
+    await appendLogEntry(entry, cwd);
+  }
+  return result;
+}
+
+/**
+ * Process a git commit - log its message
+ * @returns {string|null} The logged message
+ */
+async function processCommit(hookData) {
+  const commitMessage = extractCommitMessage(hookData.tool_input.command);
   if (!commitMessage) {
-    return false;
+    return null;
   }
 
-  // Truncate very long commit messages
-  let message = commitMessage;
+  // Truncate very long commit messages (after redaction, so no half-secrets)
+  let message = redactForMemory(commitMessage);
   if (message.length > 200) {
     message = message.substring(0, 200) + '...';
   }
@@ -119,7 +153,86 @@ async function processBash(hookData) {
     content: message
   };
 
-  await appendLogEntry(entry, cwd || process.cwd());
+  await appendLogEntry(entry, hookData.cwd || process.cwd());
+  return message;
+}
+
+/**
+ * Follow the session's error episodes (lib/error-episodes.mjs) through a
+ * Bash run: a failure opens one or counts an attempt, a pass of the same
+ * command resolves it
+ */
+function processEpisodeRun(hookData, { failed, output, outcome, commitMessage }) {
+  const config = loadConfig();
+  if (config.errorEpisodes?.enabled === false) {
+    return false;
+  }
+
+  let error = null;
+  const failure = outcome?.failures?.[0];
+  if (outcome && (outcome.failed > 0 || outcome.errors > 0)) {
+    error = !failure ? `${outcome.runner}: ${describeOutcome(outcome)}`
+      : outcome.kind === 'test' ? `Test failed: ${failure.name}` : failure.name;
+  } else if (failed) {
+    // A failure without a recognizable error tells nothing about any episode
+    error = errorSignature(output);
+    if (!error) return false;
+  }
+
+  const cwd = hookData.cwd || process.cwd();
+  const sessionId = hookData.session_id || 'default';
+  const episodesPath = ensureMemoryDirs(cwd).errorEpisodes;
+  // Passing runs only matter while there are episodes to resolve
+  if (!error && !existsSync(episodesPath)) {
+    return false;
+  }
+
+  return updateEpisodes(episodesPath, state => {
+    const changed = recordRun(state, sessionId, {
+      command: redactForMemory(hookData.tool_input.command, config),
+      error: error && redactForMemory(error, config)
+    });
+    return (commitMessage ? recordCommit(state, sessionId, commitMessage) : false) || changed;
+  }, { withFileLockFn: withFileLock }) || false;
+}
+
+/**
+ * Add an edited file to the session's open error episodes
+ */
+function processEpisodeEdit(hookData, file) {
+  const cwd = hookData.cwd || process.cwd();
+  const episodesPath = ensureMemoryDirs(cwd).errorEpisodes;
+  if (!existsSync(episodesPath) || loadConfig().errorEpisodes?.enabled === false) {
+    return false;
+  }
+
+  return updateEpisodes(episodesPath, state => recordEdit(state, hookData.session_id || 'default', file), {
+    withFileLockFn: withFileLock
+  }) || false;
+}
+
+/**
+ * Process Bash tool usage - capture git commits, test outcomes and error
+ * episodes. Failed commands arrive as PostToolUseFailure with the output
+ * in `error`.
+ */
+async function processBash(hookData) {
+  const { tool_input } = hookData;
+
+  const command = tool_input?.command;
+  if (!command || typeof command !== 'string' || hookData.is_interrupt) {
+    return false;
+  }
+
+  const failed = hookData.hook_event_name === 'PostToolUseFailure';
+  const output = failed ? String(hookData.error ?? '') : bashOutput(hookData.tool_response);
+
+  // Anything but a git commit may be a test or build run
+  const isCommit = /git\s+commit/.test(command);
+  const outcome = isCommit ? null : await processTestRun(hookData, output);
+  const commitMessage = isCommit && !failed ? await processCommit(hookData) : null;
+
+  processEpisodeRun(hookData, { failed, output, outcome, commitMessage });
   return true;
 }
 
@@ -128,7 +241,8 @@ async function processToolUse(hookData) {
   if (isSessionDisabled(hookData.cwd)) { process.exit(0); return; }
 
   if (tool_name === 'Write' || tool_name === 'Edit') {
-    await processFileEdit(hookData);
+    // A failed edit changed nothing
+    if (hookData.hook_event_name !== 'PostToolUseFailure') await processFileEdit(hookData);
   } else if (tool_name === 'Bash') {
     await processBash(hookData);
   }
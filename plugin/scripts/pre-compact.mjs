@@ -15,7 +15,7 @@ import { readFileSync, writeFileSync, existsSync, mkdirSync, readdirSync, unlink
 import { join, dirname, resolve } from 'node:path';
 import { spawn } from 'node:child_process';
 import { fileURLToPath } from 'node:url';
-import { isSessionDisabled, ensureDeps, ensureMemoryDirs, loadConfig, getProjectName, flushPendingLog, appendLogEntry, withoutNestedSessionGuard } from './utils.mjs';
+import { isSessionDisabled, ensureDeps, ensureMemoryDirs, loadConfig, getProjectName, flushPendingLog, appendLogEntry, withoutNestedSessionGuard, redactForMemory } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
@@ -313,7 +313,7 @@ function saveSnapshot(transcript, paths, trigger, maxCount = 10) {
   const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
   const snapshotPath = join(snapshotDir, `pre-compact-${trigger}-${timestamp}.jsonl`);
 
-  const content = transcript.map(e => JSON.stringify(e)).join('\n');
+  const content = transcript.map(e => JSON.stringify(redactForMemory(e))).join('\n');
   writeFileSync(snapshotPath, content + '\n');
 
   // Rotate: keep only the most recent maxCount snapshots
@@ -341,7 +341,7 @@ function forceSummarize(cwd) {
   const summarizeScript = join(__dirname, 'summarize.mjs');
 
   return new Promise((resolve) => {
-    const child = spawn('node', [summarizeScript, cwd], {
+    const child = spawn('node', [summarizeScript, cwd, '--reason', 'pre-compact'], {
       stdio: 'inherit',
       cwd
     });
@@ -484,7 +484,7 @@ async function processPreCompact(hookData) {
         }
       }
 
-      extractions.push(extracted);
+      extractions.push(redactForMemory(extracted));
       if (extractions.length > 5) {
         extractions = extractions.slice(-5);
       }
@@ -5,8 +5,19 @@
  *
  * Uses hierarchical context injection:
  * - HIGH priority: Project context, key decisions, current state, remembered items
- * - MEDIUM priority: Recent work, git changes, active entities
+ *   (private + team layer from .mneme/shared.json, then global), last known
+ *   test/build status
+ * - MEDIUM priority: Recent work, git changes, known fixes, active entities
  * - LOW priority: Recent log entries (limited to last few)
+ *
+ * Summary memory is viewed from the checked-out branch (lib/branch-memory.mjs):
+ * trunk plus that branch's (or linked worktree's) partition, other branches
+ * left out. Inside a monorepo package, other packages' recent work and
+ * entities are left out too (lib/workspaces.mjs).
+ *
+ * The assembled output is fitted to contextInjection.maxTokens by
+ * lib/token-budget.mjs; the actual token count is recorded in
+ * .last-injection.json for /status.
  */
 
 import { readFileSync, writeFileSync, existsSync, mkdirSync, renameSync } from 'node:fs';
@@ -14,9 +25,14 @@ import { execFileSync } from 'node:child_process';
 import { join } from 'node:path';
 import { formatEntry, formatDecisionLine, renderSummaryToMarkdown } from '../lib/summary-format.mjs';
 import { logError, getErrorsSince } from '../lib/error-log.mjs';
-import { isSessionDisabled, ensureMemoryDirs, loadConfig, getProjectName, escapeAttr, flushPendingLog, scoreEntriesByRelevance, getRelevantEntities, deduplicateEntries, readCachedData } from './utils.mjs';
-import { pullIfEnabled, startHeartbeat } from './sync.mjs';
+import { fitSections, renderSections, sectionsFromMarkdown, DEFAULT_MAX_TOKENS } from '../lib/token-budget.mjs';
+import { isSessionDisabled, ensureMemoryDirs, loadConfig, getProjectName, escapeAttr, flushPendingLog, scoreEntriesByRelevance, getRelevantEntities, getCurrentWorkspace, deduplicateEntries, readCachedData, readRememberedEntries, budgetGlobalRemembered } from './utils.mjs';
+import { pullIfEnabled } from './sync.mjs';
 import { gatherContextSignals, extractSearchTerms, retrieveRelevantMemory } from '../lib/memory-retriever.mjs';
+import { currentBranch, currentWorktree, mergedBranches, branchView, allBranchesView, filterEntriesForBranch, WORKTREE_PREFIX } from '../lib/branch-memory.mjs';
+import { workspaceView } from '../lib/workspaces.mjs';
+import { readTestStatus, testStatusLines } from '../lib/test-outcomes.mjs';
+import { readFixes, knownFixLines } from '../lib/error-episodes.mjs';
 
 /**
  * Render summary sections from retrieval results (scored/filtered items).
@@ -83,15 +99,42 @@ async function main() {
   flushPendingLog(cwd, 0);
 
   // Sync: pull files from server if enabled (before reading cached data)
-  const syncResult = await pullIfEnabled(cwd, config);
-  if (syncResult.lockAcquired) {
-    startHeartbeat(cwd, config);
-  }
+  await pullIfEnabled(cwd, config);
 
   // ============================================================================
   // Read all data using cache (avoids redundant file reads/parsing)
   // ============================================================================
-  const cachedData = readCachedData(cwd, config);
+  let cachedData = readCachedData(cwd, config);
+
+  // Branch-aware view: trunk memory plus the checked-out branch's partition;
+  // other branches' state, work and log entries are left out
+  const bmConfig = config.branchMemory || {};
+  let branchName = null;
+  if (bmConfig.enabled !== false) {
+    if (bmConfig.mode === 'all') {
+      cachedData = { ...cachedData, summary: allBranchesView(cachedData.summary) };
+    } else {
+      const branch = currentBranch(cwd);
+      const worktree = bmConfig.worktrees !== false ? currentWorktree(cwd) : '';
+      const summary = branchView(cachedData.summary, branch, {
+        trunkBranches: bmConfig.trunkBranches,
+        merged: cachedData.summary ? mergedBranches(cwd) : undefined,
+        worktree,
+      });
+      branchName = summary?.branch || null;
+      cachedData = {
+        ...cachedData,
+        summary,
+        logEntries: filterEntriesForBranch(cachedData.logEntries || [], branch, bmConfig.trunkBranches, worktree),
+      };
+    }
+  }
+
+  // Inside a monorepo package: its own recent work plus repo-level work
+  const workspace = getCurrentWorkspace(cwd, config);
+  if (workspace) {
+    cachedData = { ...cachedData, summary: workspaceView(cachedData.summary, workspace) };
+  }
 
   // ============================================================================
   // Context-Aware Retrieval — score memory by relevance to current work
@@ -102,7 +145,7 @@ async function main() {
     try {
       const signals = gatherContextSignals(cwd, cachedData, paths);
       const searchTerms = extractSearchTerms(signals);
-      retrieval = retrieveRelevantMemory(searchTerms, cachedData, config);
+      retrieval = retrieveRelevantMemory(searchTerms, cachedData, config, { embeddingCache: paths.embeddings });
     } catch (e) {
       logError(e, 'session-start:retrieval');
       // Falls through to legacy path
@@ -133,6 +176,24 @@ async function main() {
     remembered = retrieval ? (retrieval.remembered || []) : (cachedData.remembered || []);
   }
 
+  // Global remembered items — shared across all projects, own section and budget
+  let globalRemembered = [];
+  const globalConfig = sections.globalRemembered || { enabled: true };
+  if (globalConfig.enabled !== false) {
+    globalRemembered = budgetGlobalRemembered(
+      readRememberedEntries(cwd, { global: true }),
+      cachedData.remembered || [],
+      { maxItems: globalConfig.maxItems ?? 20, maxChars: globalConfig.maxChars ?? 2000 }
+    );
+  }
+
+  // Last known test/build outcome per runner (lib/test-outcomes.mjs)
+  let testStatus = [];
+  const tsConfig = sections.testStatus || { enabled: true };
+  if (tsConfig.enabled !== false) {
+    testStatus = testStatusLines(readTestStatus(paths.testStatus), { maxAgeDays: tsConfig.maxAgeDays ?? 14 });
+  }
+
   // ============================================================================
   // MEDIUM PRIORITY - Inject if relevant/recent
   // ============================================================================
@@ -163,6 +224,16 @@ async function main() {
     }
   }
 
+  // Errors hit before and how they were fixed (lib/error-episodes.mjs)
+  let knownFixes = [];
+  const kfConfig = sections.knownFixes || { enabled: true };
+  if (kfConfig.enabled !== false) {
+    knownFixes = knownFixLines(readFixes(paths.fixes), {
+      maxItems: kfConfig.maxItems ?? 5,
+      maxAgeDays: kfConfig.maxAgeDays ?? 30
+    });
+  }
+
   // Get relevant entities for context (MEDIUM priority)
   let relevantEntities = null;
   const aeConfig = sections.activeEntities || { enabled: true, maxFiles: 5, maxFunctions: 5 };
@@ -250,11 +321,15 @@ async function main() {
   }
 
   const hasContent = summaryParts.high || summaryParts.medium ||
-                     remembered.length > 0 || gitChanges ||
+                     remembered.length > 0 || globalRemembered.length > 0 || testStatus.length > 0 || gitChanges || knownFixes.length > 0 ||
                      recentEntries.length > 0 || relevantEntities || briefing || handoff;
 
   if (hasContent) {
-    console.log(`<claude-mneme project="${escapeAttr(projectName)}">`);
+    // Each block is a budget section; fitSections() trims them to contextInjection.maxTokens
+    const blocks = [];
+    const block = (id, priority, header, items = [], extra = {}) => blocks.push({ id, priority, header, items, ...extra });
+
+    block('open', 'top', `<claude-mneme project="${escapeAttr(projectName)}">`, [], { keepHeader: true });
 
     // Temporal header — session time + last session reference
     const now = new Date();
@@ -279,72 +354,76 @@ async function main() {
       const pct = Math.round(retrieval.signalStrength * 100);
       temporalLine += ` | Context: ${pct}% signal`;
     }
-    console.log(`\n${temporalLine}`);
+    if (branchName?.startsWith(WORKTREE_PREFIX)) temporalLine += ` | Worktree: ${branchName.slice(WORKTREE_PREFIX.length)}`;
+    else if (branchName) temporalLine += ` | Branch: ${branchName}`;
+    if (workspace) temporalLine += ` | Workspace: ${workspace}`;
+    block('temporal', 'top', `\n${temporalLine}`);
 
     // BRIEFING from /handoff command (highest immediate value, replaces auto-handoff)
     if (briefing) {
-      console.log('\n## Session Briefing\n');
-      console.log(briefing.summary);
+      const items = [briefing.summary];
       if (briefing.keyDecisions?.length > 0) {
-        console.log('\n**Key decisions:**');
-        for (const d of briefing.keyDecisions) console.log(`- ${d}`);
+        items.push('\n**Key decisions:**', ...briefing.keyDecisions.map(d => `- ${d}`));
       }
       if (briefing.currentState) {
-        console.log(`\n**Current state:** ${briefing.currentState}`);
+        items.push(`\n**Current state:** ${briefing.currentState}`);
       }
       if (briefing.nextSteps?.length > 0) {
-        console.log('\n**Next steps:**');
-        for (const s of briefing.nextSteps) console.log(`- ${s}`);
+        items.push('\n**Next steps:**', ...briefing.nextSteps.map(s => `- ${s}`));
       }
       if (briefing.blockers?.length > 0) {
-        console.log('\n**Blockers:**');
-        for (const b of briefing.blockers) console.log(`- ${b}`);
+        items.push('\n**Blockers:**', ...briefing.blockers.map(b => `- ${b}`));
       }
       if (briefing.context) {
-        console.log(`\n**Context:** ${briefing.context}`);
+        items.push(`\n**Context:** ${briefing.context}`);
       }
+      block('briefing', 'top', '\n## Session Briefing\n', items);
     } else if (handoff) {
       // Auto-extracted handoff (fallback when no manual briefing)
-      console.log('\n## Last Session\n');
-      if (handoff.workingOn) console.log(`**Working on:** ${handoff.workingOn}`);
-      if (handoff.lastDone) console.log(`**Done:** ${handoff.lastDone}`);
-      if (handoff.keyInsight) console.log(`**Key insight:** ${handoff.keyInsight}`);
+      const items = [];
+      if (handoff.workingOn) items.push(`**Working on:** ${handoff.workingOn}`);
+      if (handoff.lastDone) items.push(`**Done:** ${handoff.lastDone}`);
+      if (handoff.keyInsight) items.push(`**Key insight:** ${handoff.keyInsight}`);
       if (handoff.openItems?.length > 0) {
-        console.log(`**Open:** ${handoff.openItems.join(', ')}`);
+        items.push(`**Open:** ${handoff.openItems.join(', ')}`);
       }
+      block('last-session', 'top', '\n## Last Session\n', items);
     }
 
     // LESSONS LEARNED - high visibility to avoid repeating mistakes
     const lessons = remembered.filter(r => r.type === 'lesson');
     const otherRemembered = remembered.filter(r => r.type !== 'lesson');
+    // Team items come from .mneme/shared.json in the repository
+    const scopeTag = (item) => item.scope === 'team' ? ' (team)' : '';
 
     if (lessons.length > 0) {
-      console.log('\n## Lessons Learned\n');
-      for (const item of lessons) {
-        console.log(`- ${item.content}`);
-      }
+      block('lessons', 'high', '\n## Lessons Learned\n', lessons.map(item => `- ${item.content}${scopeTag(item)}`));
     }
 
     // HIGH PRIORITY SECTION
-    if (summaryParts.high) {
-      console.log(summaryParts.high);
-    }
+    blocks.push(...sectionsFromMarkdown(summaryParts.high, 'high'));
 
     if (otherRemembered.length > 0) {
-      console.log('\n## Remembered\n');
-      for (const item of otherRemembered) {
-        console.log(`- [${item.type}] ${item.content}`);
-      }
+      block('remembered', 'high', '\n## Remembered\n', otherRemembered.map(item => `- [${item.type}] ${item.content}${scopeTag(item)}`));
     }
 
-    // MEDIUM PRIORITY SECTION
-    if (summaryParts.medium) {
-      console.log(summaryParts.medium);
+    if (globalRemembered.length > 0) {
+      block('global-remembered', 'high', '\n## Remembered (all projects)\n', globalRemembered.map(item => `- [${item.type}] ${item.content}`));
+    }
+
+    if (testStatus.length > 0) {
+      block('test-status', 'high', '\n## Last Known Test Status\n', testStatus.map(line => `- ${line}`));
     }
 
+    // MEDIUM PRIORITY SECTION
+    blocks.push(...sectionsFromMarkdown(summaryParts.medium, 'medium'));
+
     if (gitChanges) {
-      console.log('\n## Changes Since Last Session\n');
-      console.log(gitChanges);
+      block('git-changes', 'medium', '\n## Changes Since Last Session\n', gitChanges.split('\n'));
+    }
+
+    if (knownFixes.length > 0) {
+      block('known-fixes', 'medium', '\n## Known Fixes\n', knownFixes.map(line => `- ${line}`));
     }
 
     if (relevantEntities) {
@@ -355,8 +434,8 @@ async function main() {
                           (relevantEntities.files?.length > 0) ||
                           (relevantEntities.functions?.length > 0);
       if (hasEntities) {
-        console.log('\n## Recently Active\n');
-        const badgeMap = { commit: 'modified', task: 'worked on', prompt: 'discussed', agent: 'worked on', response: 'discussed' };
+        const items = [];
+        const badgeMap = { commit: 'modified', task: 'worked on', prompt: 'discussed', agent: 'worked on', response: 'discussed', test: 'tested', build: 'checked', fix: 'fixed' };
         const formatEntity = (e) => {
           let line = `\`${e.name}\``;
           const badges = [...new Set((e.contextTypes || []).map(t => badgeMap[t]).filter(Boolean))];
@@ -370,35 +449,59 @@ async function main() {
             const label = cluster.label
               ? cluster.label.charAt(0).toUpperCase() + cluster.label.slice(1)
               : 'Related';
-            console.log(`**${label}:**`);
-            cluster.entities.forEach(e => console.log(formatEntity(e)));
+            items.push(`**${label}:**`);
+            cluster.entities.forEach(e => items.push(formatEntity(e)));
           }
         }
         if (relevantEntities.files?.length > 0) {
-          console.log('**Files:**');
-          relevantEntities.files.slice(0, maxFiles).forEach(f => console.log(formatEntity(f)));
+          items.push('**Files:**');
+          relevantEntities.files.slice(0, maxFiles).forEach(f => items.push(formatEntity(f)));
         }
         if (relevantEntities.functions?.length > 0) {
-          console.log('**Functions:**');
-          relevantEntities.functions.slice(0, maxFunctions).forEach(f => console.log(formatEntity(f)));
+          items.push('**Functions:**');
+          relevantEntities.functions.slice(0, maxFunctions).forEach(f => items.push(formatEntity(f)));
         }
+        block('recently-active', 'medium', '\n## Recently Active\n', items);
       }
     }
 
     // LOW PRIORITY SECTION
     if (recentEntries.length > 0) {
-      console.log('\n## Recent Activity\n');
-      recentEntries.forEach(entry => console.log(`- ${entry}`));
+      block('recent-activity', 'low', '\n## Recent Activity\n', recentEntries.map(entry => `- ${entry}`));
     }
 
     // Check for recent errors and warn user
     const recentErrors = getErrorsSince(24);
     if (recentErrors.length > 0) {
-      console.log(`\n⚠️ **${recentErrors.length} error(s) in the last 24 hours.** Run \`/status\` to diagnose.`);
+      block('errors', 'top', `\n⚠️ **${recentErrors.length} error(s) in the last 24 hours.** Run \`/status\` to diagnose.`);
     }
 
-    console.log('\nTip: Use /remember to save key decisions, preferences, or project context for future sessions.');
-    console.log('</claude-mneme>');
+    block('tip', 'low', '\nTip: Use /remember to save key decisions, preferences, or project context for future sessions.');
+    block('close', 'top', '</claude-mneme>', [], { keepHeader: true });
+
+    const fitted = fitSections(blocks, ciConfig.maxTokens ?? DEFAULT_MAX_TOKENS, { mode: ciConfig.budgetMode || 'adaptive' });
+    console.log(renderSections(fitted.sections));
+    writeInjectionReport(paths, fitted);
+  }
+}
+
+/**
+ * Record what was injected so /status can report the actual token count.
+ */
+function writeInjectionReport(paths, fitted) {
+  try {
+    writeFileSync(paths.lastInjection, JSON.stringify({
+      ts: new Date().toISOString(),
+      tokens: fitted.tokens,
+      maxTokens: fitted.maxTokens,
+      mode: fitted.mode,
+      sections: fitted.sections.map(s => ({ id: s.id, priority: s.priority, items: s.items.filter(Boolean).length })),
+      dropped: fitted.dropped,
+      compacted: fitted.compacted,
+      trimmed: fitted.trimmed,
+    }, null, 2) + '\n');
+  } catch (e) {
+    logError(e, 'session-start:injection-report');
   }
 }
 
@@ -22,6 +22,12 @@ function setupProject(opts = {}) {
   execFileSync('git', ['config', 'user.email', 'test@test.com'], { cwd: projectDir, stdio: 'ignore' });
   execFileSync('git', ['config', 'user.name', 'Test'], { cwd: projectDir, stdio: 'ignore' });
   writeFileSync(join(projectDir, 'README.md'), '# Test\n');
+
+  // Team layer committed in the repository
+  if (opts.shared) {
+    mkdirSync(join(projectDir, '.mneme'));
+    writeFileSync(join(projectDir, '.mneme', 'shared.json'), JSON.stringify(opts.shared, null, 2));
+  }
   execFileSync('git', ['add', '.'], { cwd: projectDir, stdio: 'ignore' });
   execFileSync('git', ['commit', '-m', 'init'], { cwd: projectDir, stdio: 'ignore' });
 
@@ -33,10 +39,10 @@ function setupProject(opts = {}) {
     writeFileSync(join(projectDir, opts.modifiedFile), 'modified\n');
   }
 
-  // Set up mneme data directory — must match getProjectMemoryDir() convention
-  // /tmp/foo/project → -tmp-foo-project (leading / becomes -, rest of / becomes -)
-  const absPath = projectDir.replace(/^\//, '-').replace(/\//g, '-');
-  const dataDir = join(root, '.claude-mneme', 'projects', absPath);
+  // Set up mneme data directory — must match getProjectMemoryDir() convention:
+  // a repository without a remote is identified by its root commit (git-<sha12>)
+  const rootCommit = execFileSync('git', ['rev-list', '--max-parents=0', 'HEAD'], { cwd: projectDir, encoding: 'utf8' }).trim();
+  const dataDir = join(root, '.claude-mneme', 'projects', `git-${rootCommit.slice(0, 12)}`);
   mkdirSync(dataDir, { recursive: true });
 
   // Config pointing to our custom data root
@@ -60,6 +66,12 @@ function setupProject(opts = {}) {
     writeFileSync(join(dataDir, 'remembered.json'), JSON.stringify(opts.remembered, null, 2));
   }
 
+  // Global remembered items (shared across projects)
+  if (opts.globalRemembered) {
+    mkdirSync(join(configDir, 'global'), { recursive: true });
+    writeFileSync(join(configDir, 'global', 'remembered.json'), JSON.stringify(opts.globalRemembered, null, 2));
+  }
+
   // Entities
   if (opts.entities) {
     writeFileSync(join(dataDir, 'entities.json'), JSON.stringify(opts.entities, null, 2));
@@ -75,6 +87,16 @@ function setupProject(opts = {}) {
     writeFileSync(join(dataDir, 'briefing.json'), JSON.stringify(opts.briefing, null, 2));
   }
 
+  // Last known test/build outcomes
+  if (opts.testStatus) {
+    writeFileSync(join(dataDir, '.test-status.json'), JSON.stringify(opts.testStatus, null, 2));
+  }
+
+  // Known fixes (lib/error-episodes.mjs)
+  if (opts.fixes) {
+    writeFileSync(join(dataDir, 'fixes.json'), JSON.stringify(opts.fixes, null, 2));
+  }
+
   // Last session timestamp
   if (opts.lastSession) {
     writeFileSync(join(dataDir, '.last-session'), opts.lastSession);
@@ -239,6 +261,14 @@ describe('session-start integration: fallback path', () => {
       remembered: [
         { type: 'note', content: 'Remember this thing' },
       ],
+      globalRemembered: [
+        { type: 'preference', content: 'I use pnpm' },
+        { type: 'note', content: 'remember this thing' },
+      ],
+      shared: {
+        remembered: [{ type: 'fact', content: 'Releases are cut from main' }],
+        keyDecisions: [{ decision: 'Team decision from the repo', reason: 'Agreed in review' }],
+      },
     });
   });
 
@@ -263,6 +293,20 @@ describe('session-start integration: fallback path', () => {
     const output = runSessionStart(env.projectDir, env.root);
     assert.ok(output.includes('Remember this thing'));
   });
+
+  it('includes global remembered items in their own section', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    const section = output.split('## Remembered (all projects)')[1];
+    assert.ok(section, 'should have global section');
+    assert.ok(section.includes('I use pnpm'));
+    assert.ok(!section.includes('remember this thing'), 'should skip items the project already remembers');
+  });
+
+  it('merges the team layer from .mneme/shared.json', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    assert.ok(output.includes('- [fact] Releases are cut from main (team)'));
+    assert.ok(output.includes('Team decision from the repo'));
+  });
 });
 
 // ============================================================================
@@ -331,6 +375,71 @@ describe('session-start integration: empty project', () => {
   });
 });
 
+// ============================================================================
+// Integration: Last known test status
+// ============================================================================
+describe('session-start integration: test status', () => {
+  let env;
+
+  before(() => {
+    const now = Date.now();
+    env = setupProject({
+      testStatus: {
+        jest: { ts: new Date(now - 3600000).toISOString(), type: 'test', runner: 'jest', content: 'jest: 2 failing, 34 passing — src/auth.test.ts › refresh' },
+        tsc: { ts: new Date(now - 7200000).toISOString(), type: 'build', runner: 'tsc', content: 'tsc: no errors' },
+        eslint: { ts: new Date(now - 30 * 86400000).toISOString(), type: 'build', runner: 'eslint', content: 'eslint: 3 errors' },
+      },
+    });
+  });
+
+  after(() => {
+    rmSync(env.root, { recursive: true, force: true });
+  });
+
+  it('shows the latest outcome per runner, newest first', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    const section = output.split('## Last Known Test Status')[1];
+    assert.ok(section, 'should have the test status section');
+    assert.match(section, /- Tests \(jest, [^)]+\): 2 failing, 34 passing — src\/auth\.test\.ts › refresh\n- Build \(tsc, [^)]+\): no errors/);
+    assert.ok(!output.includes('eslint'), 'should leave out stale runs');
+  });
+});
+
+// ============================================================================
+// Integration: Known fixes
+// ============================================================================
+describe('session-start integration: known fixes', () => {
+  let env;
+
+  before(() => {
+    const now = Date.now();
+    env = setupProject({
+      fixes: {
+        'cannot find module ./db': {
+          cause: "Error: Cannot find module './db'", resolution: 'The import path was missing the .mjs extension.',
+          files: ['src/server.mjs'], command: 'npm start', ts: new Date(now - 3600000).toISOString(), times: 2
+        },
+        'old': {
+          cause: 'TypeError: x is undefined', resolution: 'Changed src/a.js',
+          files: ['src/a.js'], command: 'npm test', ts: new Date(now - 60 * 86400000).toISOString(), times: 1
+        },
+      },
+    });
+  });
+
+  after(() => {
+    rmSync(env.root, { recursive: true, force: true });
+  });
+
+  it('lists recent fixes with what resolved them', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    const section = output.split('## Known Fixes')[1];
+    assert.ok(section, 'should have the known fixes section');
+    assert.match(section, /- Error: Cannot find module '\.\/db' → The import path was missing the \.mjs extension\. \(src\/server\.mjs\) — fixed 2 times/);
+    assert.ok(!output.includes('x is undefined'), 'should leave out old fixes');
+  });
+});
+
 // ============================================================================
 // Integration: Briefing (/handoff command)
 // ============================================================================
@@ -384,10 +493,8 @@ describe('session-start integration: briefing', () => {
   });
 
   it('archives briefing after reading', () => {
-    const absPath = env.projectDir.replace(/^\//, '-').replace(/\//g, '-');
-    const dataDir = join(env.root, '.claude-mneme', 'projects', absPath);
-    const briefingPath = join(dataDir, 'briefing.json');
-    const archiveDir = join(dataDir, 'briefing-archive');
+    const briefingPath = join(env.dataDir, 'briefing.json');
+    const archiveDir = join(env.dataDir, 'briefing-archive');
 
     // Briefing should be gone (archived)
     assert.ok(!existsSync(briefingPath), 'briefing.json should be removed after reading');
@@ -432,3 +539,117 @@ describe('session-start integration: expired briefing', () => {
     assert.ok(output.includes('Fresh auto-handoff'), 'should include handoff content');
   });
 });
+
+// ============================================================================
+// Integration: Branch-aware memory
+// ============================================================================
+describe('session-start integration: branch memory', () => {
+  let env;
+
+  before(() => {
+    const now = new Date();
+    env = setupProject({
+      branch: 'feature/billing',
+      summary: {
+        lastUpdated: now.toISOString(),
+        projectContext: 'A test project',
+        keyDecisions: [
+          { decision: 'Shared decision on trunk', reason: 'r', foundational: true },
+          { decision: 'Invoice totals in cents', reason: 'r', foundational: true, branch: 'feature/billing' },
+          { decision: 'Unmerged search experiment', reason: 'r', foundational: true, branch: 'feature/search' },
+        ],
+        currentState: [{ topic: 'Trunk', status: 'Stable release' }],
+        recentWork: [],
+        branches: {
+          'feature/billing': {
+            currentState: [{ topic: 'Billing', status: 'Invoice export in progress' }],
+            recentWork: [{ date: now.toISOString().slice(0, 10), summary: 'Added billing invoice model' }],
+          },
+          'feature/search': {
+            currentState: [{ topic: 'Search', status: 'Prototype of search index' }],
+            recentWork: [],
+          },
+        },
+      },
+      logEntries: [
+        { ts: now.toISOString(), type: 'commit', content: 'billing: add invoice table', branch: 'feature/billing' },
+        { ts: now.toISOString(), type: 'commit', content: 'search: tune billing ranking', branch: 'feature/search' },
+      ],
+    });
+  });
+
+  after(() => {
+    rmSync(env.root, { recursive: true, force: true });
+  });
+
+  it('shows the checked-out branch alongside trunk memory', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    assert.ok(output.includes('Branch: feature/billing'), 'should name the branch');
+    assert.ok(output.includes('Invoice export in progress'), 'should include branch state');
+    assert.ok(output.includes('Invoice totals in cents'), 'should include branch decisions');
+    assert.ok(output.includes('Shared decision on trunk'), 'should include trunk decisions');
+  });
+
+  it('leaves out other branches', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    assert.ok(!output.includes('Prototype of search index'), 'should skip other branch state');
+    assert.ok(!output.includes('Unmerged search experiment'), 'should skip unmerged branch decisions');
+    assert.ok(!output.includes('tune billing ranking'), 'should skip other branch log entries');
+  });
+});
+
+// ============================================================================
+// Integration: Token budget
+// ============================================================================
+describe('session-start integration: token budget', () => {
+  let env;
+
+  before(() => {
+    const now = new Date();
+    env = setupProject({
+      config: { contextInjection: { maxTokens: 125 } },
+      summary: {
+        lastUpdated: now.toISOString(),
+        projectContext: 'A test project',
+        keyDecisions: [
+          { decision: 'Use ESM everywhere', reason: 'Native node support and better tree shaking across the plugin', foundational: true },
+          { decision: 'Store memory per project', reason: 'Projects should never leak context into each other', foundational: true },
+        ],
+        currentState: [],
+        recentWork: [],
+      },
+      logEntries: Array.from({ length: 10 }, (_, i) => ({
+        ts: now.toISOString(),
+        type: 'commit',
+        content: `chore: routine maintenance commit number ${i} touching several files`,
+      })),
+      remembered: [
+        { type: 'preference', content: 'Always run the tests before committing' },
+      ],
+    });
+  });
+
+  after(() => {
+    rmSync(env.root, { recursive: true, force: true });
+  });
+
+  it('drops low-priority sections and compacts decisions to fit', () => {
+    const output = runSessionStart(env.projectDir, env.root);
+    assert.ok(output.includes('</claude-mneme>'), 'should keep the closing tag');
+    assert.ok(output.includes('Always run the tests'), 'should keep remembered items');
+    assert.ok(output.includes('Use ESM everywhere'), 'should keep decisions');
+    assert.ok(!output.includes('Native node support'), 'should drop decision reasons');
+    assert.ok(!output.includes('## Recent Activity'), 'should drop recent activity');
+    assert.ok(!output.includes('Tip:'), 'should drop the tip');
+  });
+
+  it('records the injected token count', () => {
+    runSessionStart(env.projectDir, env.root);
+    const report = JSON.parse(readFileSync(join(env.dataDir, '.last-injection.json'), 'utf-8'));
+    assert.equal(report.maxTokens, 125);
+    assert.equal(report.mode, 'adaptive');
+    assert.ok(report.tokens > 0 && report.tokens <= 125, `got ${report.tokens}`);
+    assert.ok(report.dropped.includes('tip'));
+    assert.ok(report.dropped.includes('recent-activity'));
+  });
+});
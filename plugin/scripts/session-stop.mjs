@@ -7,7 +7,7 @@
 import { pathToFileURL } from 'node:url';
 import { isSessionDisabled, flushPendingLog, maybeSummarize, loadConfig } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
-import { pushIfEnabled, stopHeartbeat } from './sync.mjs';
+import { pushIfEnabled } from './sync.mjs';
 
 const DEFAULT_SUMMARIZE_TIMEOUT_MS = 1500;
 
@@ -29,7 +29,6 @@ export async function main({
   cwd = process.cwd(),
   summarizeTimeoutMs = DEFAULT_SUMMARIZE_TIMEOUT_MS,
   loadConfigFn = loadConfig,
-  stopHeartbeatFn = stopHeartbeat,
   flushPendingLogFn = flushPendingLog,
   maybeSummarizeFn = maybeSummarize,
   pushIfEnabledFn = pushIfEnabled,
@@ -39,9 +38,6 @@ export async function main({
 
   const config = loadConfigFn();
 
-  // Stop the heartbeat interval
-  stopHeartbeatFn();
-
   // Flush any remaining pending entries (throttle=0 forces immediate flush)
   flushPendingLogFn(cwd, 0);
 
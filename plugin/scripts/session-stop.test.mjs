@@ -22,7 +22,6 @@ describe('session-stop', () => {
       cwd: '/tmp/project',
       summarizeTimeoutMs: 1000,
       loadConfigFn: () => ({}),
-      stopHeartbeatFn: () => steps.push('stopHeartbeat'),
       flushPendingLogFn: () => steps.push('flushPendingLog'),
       maybeSummarizeFn: () => {
         steps.push('maybeSummarize:start');
@@ -40,7 +39,6 @@ describe('session-stop', () => {
     await new Promise((resolve) => setTimeout(resolve, 20));
     assert.equal(completed, false);
     assert.deepEqual(steps, [
-      'stopHeartbeat',
       'flushPendingLog',
       'maybeSummarize:start'
     ]);
@@ -49,7 +47,6 @@ describe('session-stop', () => {
     await runPromise;
 
     assert.deepEqual(steps, [
-      'stopHeartbeat',
       'flushPendingLog',
       'maybeSummarize:start',
       'maybeSummarize:done',
@@ -66,7 +63,6 @@ describe('session-stop', () => {
       cwd: '/tmp/project',
       summarizeTimeoutMs: 30,
       loadConfigFn: () => ({}),
-      stopHeartbeatFn: () => steps.push('stopHeartbeat'),
       flushPendingLogFn: () => steps.push('flushPendingLog'),
       maybeSummarizeFn: () => {
         steps.push('maybeSummarize:start');
@@ -80,7 +76,6 @@ describe('session-stop', () => {
     const elapsed = Date.now() - start;
     assert.ok(elapsed >= 20, `expected timeout delay, got ${elapsed}ms`);
     assert.deepEqual(steps, [
-      'stopHeartbeat',
       'flushPendingLog',
       'maybeSummarize:start',
       'pushIfEnabled'
@@ -5,13 +5,18 @@
  * Primary path: forwards hookData to CaptureService (server-side).
  * Fallback: when server is unreachable, extracts last_assistant_message
  * from hookData and writes to log.pending.jsonl so the response isn't lost.
+ *
+ * Error episodes resolved during the turn (lib/error-episodes.mjs) are
+ * logged as fix entries first, explained by the assistant's reply.
  */
 
 import { getClient } from '../client/mneme-client.mjs';
-import { isSessionDisabled, ensureMemoryDirs, appendToPendingLog, invalidateCache } from './utils.mjs';
+import { isSessionDisabled, ensureMemoryDirs, appendToPendingLog, appendLogEntry, invalidateCache, redactForMemory, loadConfig, withFileLock } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
 import { stripMarkdown } from '../lib/text.mjs';
+import { updateEpisodes, takeResolved, fixExplanation, fixEntry, recordFix } from '../lib/error-episodes.mjs';
 import { execFileSync } from 'node:child_process';
+import { existsSync } from 'node:fs';
 
 if (process.env.MNEME_DISABLED === '1') process.exit(0);
 
@@ -39,7 +44,7 @@ function clientSideFallback(hookData, cwd) {
   const text = extractTextContent(hookData?.last_assistant_message);
   if (!text || text.trim().length < 10) return;
 
-  let processed = stripMarkdown(text);
+  let processed = redactForMemory(stripMarkdown(text));
   if (processed.length > 2000) processed = processed.substring(0, 2000) + '...';
 
   ensureMemoryDirs(cwd);
@@ -48,6 +53,25 @@ function clientSideFallback(hookData, cwd) {
   invalidateCache(cwd);
 }
 
+async function closeErrorEpisodes(hookData, cwd) {
+  const config = loadConfig();
+  const eeConfig = config.errorEpisodes || {};
+  const paths = ensureMemoryDirs(cwd);
+  if (eeConfig.enabled === false || !existsSync(paths.errorEpisodes)) return;
+
+  const resolved = updateEpisodes(paths.errorEpisodes, state => takeResolved(state, hookData.session_id || 'default'), {
+    withFileLockFn: withFileLock
+  }) || [];
+  if (resolved.length === 0) return;
+
+  const explanation = fixExplanation(stripMarkdown(extractTextContent(hookData.last_assistant_message)));
+  for (const episode of resolved) {
+    const entry = redactForMemory(fixEntry(episode, { explanation }), config);
+    recordFix(paths.fixes, entry, { maxFixes: eeConfig.maxFixes, withFileLockFn: withFileLock });
+    await appendLogEntry(entry, cwd);
+  }
+}
+
 let input = '';
 process.stdin.setEncoding('utf8');
 process.stdin.on('data', chunk => input += chunk);
@@ -56,6 +80,11 @@ process.stdin.on('end', async () => {
     const hookData = JSON.parse(input);
     const cwd = hookData.cwd || process.cwd();
     if (isSessionDisabled(cwd)) { process.exit(0); return; }
+    try {
+      await closeErrorEpisodes(hookData, cwd);
+    } catch (e) {
+      logError(e, 'stop-capture:episodes');
+    }
     const project = getProjectRoot(cwd);
     const client = await getClient();
     await client.captureStop(project, hookData);
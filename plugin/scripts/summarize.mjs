@@ -23,19 +23,27 @@ import {
   getProjectName,
   deduplicateEntries,
   withFileLock,
+  writeSummaryJson,
 } from './utils.mjs';
 import { getLogFileState, writeLogMetadata } from '../lib/log-metadata.mjs';
+import { archiveLogEntries, applyArchiveRetention } from '../lib/log-archive.mjs';
+import { applyDecisionUpdates, pruneDecisions, formatDecisionsForPrompt } from '../lib/decisions.mjs';
+import { groupEntriesByPartition, partitionSummary, mergePartitionSummary, tagNewDecisions, WORKTREE_PREFIX } from '../lib/branch-memory.mjs';
+import { tagWorkspaceWork } from '../lib/workspaces.mjs';
 
 const MEMORY_BASE = join(homedir(), '.claude-mneme');
 const __summarize_filename = fileURLToPath(import.meta.url);
 const _isDirectRun = process.argv[1] && resolve(process.argv[1]) === resolve(__summarize_filename);
 
-// Module-level state — only computed when run directly
-let cwd, migrateOnly, isMemoryDir, paths, config, projectName;
+// Module-level state, computed only when run directly
+let cwd, migrateOnly, isMemoryDir, paths, config, projectName, summaryReason;
 
 if (_isDirectRun) {
   cwd = process.argv[2] || process.cwd();
   migrateOnly = process.argv.includes('--migrate');
+  // Why this run happened, recorded in summary history (pre-compact passes --reason pre-compact)
+  const reasonIdx = process.argv.indexOf('--reason');
+  summaryReason = reasonIdx >= 0 && process.argv[reasonIdx + 1] ? process.argv[reasonIdx + 1] : 'incremental';
   isMemoryDir = cwd.startsWith(join(MEMORY_BASE, 'projects'));
   paths = isMemoryDir ? buildPaths(cwd) : ensureMemoryDirs(cwd);
   config = loadConfig();
@@ -131,8 +139,9 @@ Rules:
 
 /**
  * Perform incremental summarization of new entries
+ * @param {{ config: object, projectName: string, branch?: string|null }} options
  */
-async function incrementalSummarize(existingSummary, newEntries) {
+async function incrementalSummarize(existingSummary, newEntries, { config, projectName, branch = null }) {
   // Parse entries for deduplication
   const parsedEntries = newEntries.map(line => {
     try { return JSON.parse(line); }
@@ -147,11 +156,17 @@ async function incrementalSummarize(existingSummary, newEntries) {
 
   // Build a compact representation of existing summary for context
   const existingContext = [];
+  if (branch?.startsWith(WORKTREE_PREFIX)) {
+    existingContext.push(`Worktree: ${branch.slice(WORKTREE_PREFIX.length)} (current state and recent work are tracked for this worktree only)`);
+  } else if (branch) {
+    existingContext.push(`Branch: ${branch} (current state and recent work are tracked for this branch only)`);
+  }
   if (existingSummary.projectContext) {
     existingContext.push(`Project: ${existingSummary.projectContext}`);
   }
-  if (existingSummary.keyDecisions?.length > 0) {
-    existingContext.push(`Key decisions: ${existingSummary.keyDecisions.map(d => d.decision).join('; ')}`);
+  const decisionsText = formatDecisionsForPrompt(existingSummary.keyDecisions);
+  if (decisionsText) {
+    existingContext.push(`Key decisions: ${decisionsText}`);
   }
   if (existingSummary.currentState?.length > 0) {
     existingContext.push(`Current state: ${existingSummary.currentState.map(s => `${s.topic}: ${s.status}`).join('; ')}`);
@@ -177,11 +192,14 @@ Analyze the new entries and output a JSON object with updates:
   "newKeyDecisions": [
     { "date": "YYYY-MM-DD", "decision": "Max ~80 chars: the choice or discovery", "reason": "Max ~80 chars: why", "foundational": true }
   ],
+  "decisionUpdates": [
+    { "id": "id of an existing decision, e.g. d1a2b3c", "action": "supersede | revert | rationale", "supersededBy": 0, "reason": "Max ~80 chars: why it changed" }
+  ],
   "updateCurrentState": [
     { "topic": "Feature name", "status": "New or updated status" }
   ],
   "newRecentWork": [
-    { "date": "YYYY-MM-DD", "summary": "What was done" }
+    { "date": "YYYY-MM-DD", "summary": "What was done", "workspace": "package name from a [workspace] tag, or omit" }
   ],
   "promoteToCurrentState": ["indices of recentWork items to promote, e.g. 0, 1"],
   "removeFromRecentWork": ["indices of recentWork items that are now stale"]
@@ -197,11 +215,22 @@ Rules:
 - CAPTURE DEAD ENDS: When entries show something was tried and failed or abandoned,
   record it as a key decision. Example: "Tried sync file locking — caused deadlocks under concurrent writes, switched to advisory locks".
   Dead ends prevent repeating mistakes and are high-value memory.
+- Decision lifecycle: never leave a reversed decision and its replacement both active.
+  If new entries replace an existing decision, add the replacement to newKeyDecisions and emit
+  { "id": "<old id>", "action": "supersede", "supersededBy": <index of the replacement in newKeyDecisions> }.
+  If a decision was undone with no replacement, use "action": "revert".
+  If only the reasoning behind a decision changed, use "action": "rationale" with the new "reason".
+  Only reference ids shown in existing_context.
 - Decision permanence: Set "foundational": true for architectural choices that affect the project going forward
   (e.g. "ESM only", "server-first architecture"). Set "foundational": false for tactical/session-specific
   decisions (e.g. "use extractive summarization for this batch"). Foundational decisions are protected from pruning.
 - Current state: features implemented, work in progress, known issues, implementation details
+- Tests/Build entries are test runs, type checks and lint runs with their failures: keep the latest
+  outcome per area in current state (e.g. "Auth tests: 2 failing — token refresh rotation"), not in recent work
+- Fixed entries are errors resolved during a session, with what fixed them: keep recurring or non-obvious ones
+  in current state as known issues with their fix (e.g. "ERR_REQUIRE_ESM from node-fetch — import it dynamically")
 - Recent work: specific tasks completed in this batch of entries
+- Entries tagged [name] were recorded in that monorepo workspace package: set "workspace" on recent work done in it
 - Merge similar entries, avoid duplicates
 - Be concise — each item should be one clear sentence
 - Output ONLY the JSON object`;
@@ -227,9 +256,10 @@ function applyUpdates(existing, updates) {
     result.projectContext = updates.projectContext;
   }
 
-  // Add new key decisions
-  if (updates.newKeyDecisions?.length > 0) {
-    result.keyDecisions = [...(result.keyDecisions || []), ...updates.newKeyDecisions];
+  // Add new key decisions and apply supersede/revert/rationale operations
+  // (also assigns ids to legacy decisions)
+  if (result.keyDecisions?.length > 0 || updates.newKeyDecisions?.length > 0) {
+    result.keyDecisions = applyDecisionUpdates(result.keyDecisions, updates.newKeyDecisions, updates.decisionUpdates);
   }
 
   // Update current state (merge by topic)
@@ -282,19 +312,9 @@ function applyUpdates(existing, updates) {
     result.currentState = result.currentState.slice(-15);
   }
 
-  // Limit key decisions to 10 — prune tactical first, then oldest foundational
+  // Limit key decisions to 10 — prune superseded/reverted first, then tactical, then oldest foundational
   if (result.keyDecisions?.length > 10) {
-    const foundational = result.keyDecisions.filter(d => d.foundational);
-    const tactical = result.keyDecisions.filter(d => !d.foundational);
-    const excess = result.keyDecisions.length - 10;
-
-    if (tactical.length >= excess) {
-      result.keyDecisions = [...foundational, ...tactical.slice(excess)];
-    } else {
-      // Not enough tactical to drop — trim oldest foundational too
-      const foundationalToKeep = 10 - tactical.length;
-      result.keyDecisions = [...foundational.slice(-foundationalToKeep)];
-    }
+    result.keyDecisions = pruneDecisions(result.keyDecisions, 10);
   }
 
   result.lastUpdated = new Date().toISOString();
@@ -302,8 +322,89 @@ function applyUpdates(existing, updates) {
   return result;
 }
 
-// Export pure functions for testing
-export { buildPaths, applyUpdates };
+/**
+ * Apply updates produced from one branch partition's entries.
+ * State and work land in that partition; new decisions are shared but tagged
+ * with the branch they were made on.
+ */
+function applyBranchUpdates(existing, updates, partition, options = {}) {
+  const updated = applyUpdates(partitionSummary(existing, partition), updates);
+  updated.keyDecisions = tagNewDecisions(existing.keyDecisions, updated.keyDecisions, partition);
+  return mergePartitionSummary(existing, updated, partition, options);
+}
+
+/**
+ * Summarize entries one branch partition at a time (trunk first, then each
+ * feature branch or worktree in order of appearance). Returns null if any partition fails
+ * so the log is left intact.
+ */
+async function summarizeByBranch(existingSummary, lines, { config, projectName }) {
+  const bm = config.branchMemory || {};
+  const parsed = lines.map(line => {
+    try { return JSON.parse(line); }
+    catch { return null; }
+  }).filter(Boolean);
+  const groups = bm.enabled === false
+    ? new Map([[null, parsed]])
+    : groupEntriesByPartition(parsed, bm.trunkBranches);
+
+  let summary = existingSummary;
+  for (const [partition, entries] of groups) {
+    if (partition) console.error(`[claude-mneme] Summarizing ${entries.length} entries from branch "${partition}"...`);
+    const updates = await incrementalSummarize(partitionSummary(summary, partition), entries.map(e => JSON.stringify(e)), {
+      config, projectName, branch: partition
+    });
+    if (!updates) return null;
+    updates.newRecentWork = tagWorkspaceWork(updates.newRecentWork, entries);
+    summary = applyBranchUpdates(summary, updates, partition, { maxBranches: bm.maxBranches });
+  }
+  return summary;
+}
+
+/**
+ * Summarize log lines into a summary without reading or truncating the log.
+ * Used by mem-bootstrap to replay imported transcripts chunk by chunk.
+ * @param {{ config: object, projectName: string }} options
+ * @returns {Promise<object|null>} Updated summary, or null if summarization failed
+ */
+async function summarizeEntries(existingSummary, lines, { config, projectName }) {
+  return summarizeByBranch(existingSummary, lines, { config, projectName });
+}
+
+/**
+ * Write the new summary and drop the summarized entries from the log, after
+ * rotating them into the archive. The log is re-read under its write lock so
+ * entries flushPendingLog appends meanwhile are kept. If archiving fails,
+ * nothing is written: the entries stay in the log for the next run.
+ * @returns {number|null|undefined} Entries kept, null if archiving failed,
+ *   undefined if the write lock was busy
+ */
+function commitSummarizedLog(paths, summarizeCount, newSummary, { config, reason, archiveFn = archiveLogEntries } = {}) {
+  return withFileLock(paths.log + '.wlock', () => {
+    const currentLogContent = readFileSync(paths.log, 'utf-8').trim();
+    const currentLines = currentLogContent ? currentLogContent.split('\n').filter(l => l) : [];
+    const remainingLines = currentLines.slice(summarizeCount);
+    if (config.logArchive?.enabled !== false) {
+      try {
+        archiveFn(paths.project, currentLines.slice(0, summarizeCount));
+        applyArchiveRetention(paths.project, config.logArchive);
+      } catch (e) {
+        logError(e, 'summarize:archive');
+        return null;
+      }
+    }
+    // Record how many entries remain so the server's isNeeded() can track
+    // new-since-last-summarize instead of always seeing a cold count.
+    newSummary.lastEntryIndex = remainingLines.length;
+    writeSummaryJson(paths, newSummary, reason);
+    writeFileAtomic(paths.log, remainingLines.join('\n') + (remainingLines.length ? '\n' : ''));
+    writeLogMetadata(paths.log, remainingLines.length, getLogFileState(paths.log), (err, context) => logError(err, `summarize:${context}`));
+    return remainingLines.length;
+  }, 30);
+}
+
+// Exported for tests and mem-bootstrap
+export { buildPaths, applyUpdates, applyBranchUpdates, summarizeEntries, commitSummarizedLog };
 
 // ============ Main execution — only when run directly ============
 
@@ -312,7 +413,7 @@ if (_isDirectRun) {
   if (migrateOnly) {
     const migrated = await migrateMarkdownSummary();
     if (migrated) {
-      writeFileAtomic(paths.summaryJson, JSON.stringify(migrated, null, 2) + '\n');
+      writeSummaryJson(paths, migrated, 'migration');
       console.error(`[claude-mneme] Migration complete. Created summary.json for "${projectName}".`);
       console.error('[claude-mneme] You can delete summary.md if the migration looks correct.');
     }
@@ -360,7 +461,7 @@ if (_isDirectRun) {
       const migrated = await migrateMarkdownSummary();
       if (migrated) {
         existingSummary = migrated;
-        writeFileAtomic(paths.summaryJson, JSON.stringify(existingSummary, null, 2) + '\n');
+        writeSummaryJson(paths, existingSummary, 'migration');
       }
     }
 
@@ -375,30 +476,19 @@ if (_isDirectRun) {
 
     console.error(`[claude-mneme] Incrementally summarizing ${entriesToSummarize.length} entries for "${projectName}"...`);
 
-    // Run incremental summarization
-    const updates = await incrementalSummarize(existingSummary, entriesToSummarize);
-
-    if (updates) {
-      const newSummary = applyUpdates(existingSummary, updates);
-
-      // Re-read the log under write lock to prevent flushPendingLog from
-      // appending between our read and write (which would silently lose entries).
-      const logWriteLock = paths.log + '.wlock';
-      const truncateResult = withFileLock(logWriteLock, () => {
-        const currentLogContent = readFileSync(paths.log, 'utf-8').trim();
-        const currentLines = currentLogContent ? currentLogContent.split('\n').filter(l => l) : [];
-        const remainingLines = currentLines.slice(summarizeCount);
-        // Record how many entries remain so the server's isNeeded() can track
-        // new-since-last-summarize instead of always seeing a cold count.
-        newSummary.lastEntryIndex = remainingLines.length;
-        writeFileAtomic(paths.summaryJson, JSON.stringify(newSummary, null, 2) + '\n');
-        writeFileAtomic(paths.log, remainingLines.join('\n') + (remainingLines.length ? '\n' : ''));
-        writeLogMetadata(paths.log, remainingLines.length, getLogFileState(paths.log), (err, context) => logError(err, `summarize:${context}`));
-        return remainingLines.length;
-      }, 30);
-
-      const keptCount = truncateResult ?? 0;
-      console.error(`[claude-mneme] Summary updated. Kept ${keptCount} entries (${keptCount - entriesToKeep.length} arrived during summarization).`);
+    // Run incremental summarization (per branch partition)
+    const newSummary = await summarizeByBranch(existingSummary, entriesToSummarize, { config, projectName });
+
+    if (newSummary) {
+
+      const truncateResult = commitSummarizedLog(paths, summarizeCount, newSummary, { config, reason: summaryReason });
+
+      if (truncateResult === null) {
+        console.error('[claude-mneme] Archiving summarized entries failed, keeping log and summary intact.');
+      } else {
+        const keptCount = truncateResult ?? 0;
+        console.error(`[claude-mneme] Summary updated. Kept ${keptCount} entries (${keptCount - entriesToKeep.length} arrived during summarization).`);
+      }
     } else {
       console.error('[claude-mneme] Summarization returned no updates, keeping log intact.');
     }
@@ -1,9 +1,10 @@
 import { describe, it } from 'node:test';
 import assert from 'node:assert/strict';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
-import { homedir } from 'node:os';
+import { homedir, tmpdir } from 'node:os';
 
-import { buildPaths, applyUpdates } from './summarize.mjs';
+import { buildPaths, applyUpdates, applyBranchUpdates, commitSummarizedLog } from './summarize.mjs';
 
 // ---------------------------------------------------------------------------
 // buildPaths
@@ -109,6 +110,45 @@ describe('applyUpdates — key decisions', () => {
   });
 });
 
+describe('applyUpdates — decision lifecycle', () => {
+  it('assigns ids to legacy decisions', () => {
+    const existing = { keyDecisions: [{ decision: 'Use ESM' }], currentState: [], recentWork: [] };
+    const result = applyUpdates(existing, {});
+    assert.match(result.keyDecisions[0].id, /^d[0-9a-f]{6}$/);
+    assert.equal(result.keyDecisions[0].status, 'active');
+  });
+
+  it('applies supersede operations from decisionUpdates', () => {
+    const existing = {
+      keyDecisions: [{ id: 'dabc123', decision: 'Use REST', status: 'active' }],
+      currentState: [],
+      recentWork: [],
+    };
+    const updates = {
+      newKeyDecisions: [{ decision: 'Use gRPC', reason: 'Streaming' }],
+      decisionUpdates: [{ id: 'dabc123', action: 'supersede', supersededBy: 0, reason: 'Needed streaming' }],
+    };
+    const result = applyUpdates(existing, updates);
+    assert.equal(result.keyDecisions.length, 2);
+    assert.equal(result.keyDecisions[0].status, 'superseded');
+    assert.equal(result.keyDecisions[0].supersededBy, result.keyDecisions[1].id);
+  });
+
+  it('prunes superseded decisions before active ones', () => {
+    const existing = {
+      keyDecisions: [
+        { id: 'dold', decision: 'Old', status: 'superseded', foundational: true },
+        ...Array(9).fill(null).map((_, i) => ({ decision: `Tactical ${i}`, foundational: false })),
+      ],
+      currentState: [],
+      recentWork: [],
+    };
+    const result = applyUpdates(existing, { newKeyDecisions: [{ decision: 'New', foundational: false }] });
+    assert.equal(result.keyDecisions.length, 10);
+    assert.ok(!result.keyDecisions.some(d => d.id === 'dold'));
+  });
+});
+
 describe('applyUpdates — current state', () => {
   it('merges by topic (upsert)', () => {
     const existing = {
@@ -275,3 +315,90 @@ describe('applyUpdates — combined operations', () => {
     assert.equal(result.recentWork.length, 1);
   });
 });
+
+// ---------------------------------------------------------------------------
+// applyBranchUpdates
+// ---------------------------------------------------------------------------
+
+describe('applyBranchUpdates', () => {
+  const existing = () => ({
+    projectContext: 'P',
+    keyDecisions: [{ decision: 'Use ESM', foundational: true }],
+    currentState: [{ topic: 'Main', status: 'Stable' }],
+    recentWork: [{ date: '2026-01-01', summary: 'Released v1' }],
+  });
+
+  it('applies trunk updates to the top-level lists', () => {
+    const result = applyBranchUpdates(existing(), { newRecentWork: [{ date: '2026-01-02', summary: 'Hotfix' }] }, null);
+    assert.deepEqual(result.recentWork.map(w => w.summary), ['Released v1', 'Hotfix']);
+    assert.equal(result.branches, undefined);
+  });
+
+  it('keeps branch state and work in the branch partition', () => {
+    const result = applyBranchUpdates(existing(), {
+      updateCurrentState: [{ topic: 'Auth', status: 'In progress' }],
+      newRecentWork: [{ date: '2026-01-02', summary: 'Added login form' }],
+      newKeyDecisions: [{ decision: 'Use JWT', reason: 'Stateless', foundational: true }],
+    }, 'feature/auth');
+
+    assert.deepEqual(result.currentState, [{ topic: 'Main', status: 'Stable' }]);
+    assert.deepEqual(result.recentWork.map(w => w.summary), ['Released v1']);
+    assert.deepEqual(result.branches['feature/auth'].currentState.map(s => s.topic), ['Auth']);
+    assert.deepEqual(result.branches['feature/auth'].recentWork.map(w => w.summary), ['Added login form']);
+    assert.ok(result.branches['feature/auth'].lastUpdated);
+    assert.deepEqual(result.keyDecisions.map(d => [d.decision, d.branch]), [['Use ESM', undefined], ['Use JWT', 'feature/auth']]);
+  });
+
+  it('keeps only the most recently updated partitions', () => {
+    let summary = existing();
+    summary.branches = {
+      'old/a': { currentState: [], recentWork: [], lastUpdated: '2026-01-01T00:00:00Z' },
+      'old/b': { currentState: [], recentWork: [], lastUpdated: '2026-01-02T00:00:00Z' },
+    };
+    summary = applyBranchUpdates(summary, {}, 'feature/new', { maxBranches: 2 });
+    assert.deepEqual(Object.keys(summary.branches).sort(), ['feature/new', 'old/b']);
+  });
+});
+
+// ---------------------------------------------------------------------------
+// commitSummarizedLog
+// ---------------------------------------------------------------------------
+
+describe('commitSummarizedLog', () => {
+  const setup = () => {
+    const paths = buildPaths(mkdtempSync(join(tmpdir(), 'mneme-summarize-')));
+    const log = ['a', 'b', 'c'].map(content => JSON.stringify({ type: 'prompt', content })).join('\n') + '\n';
+    writeFileSync(paths.log, log);
+    return { paths, log };
+  };
+
+  it('archives the summarized entries and keeps the rest', () => {
+    const { paths } = setup();
+    let archived = null;
+    const kept = commitSummarizedLog(paths, 2, { recentWork: [] }, {
+      config: {},
+      reason: 'incremental',
+      archiveFn: (dir, lines) => { archived = lines; }
+    });
+
+    assert.equal(kept, 1);
+    assert.deepEqual(archived.map(l => JSON.parse(l).content), ['a', 'b']);
+    assert.equal(JSON.parse(readFileSync(paths.log, 'utf-8')).content, 'c');
+    assert.equal(JSON.parse(readFileSync(paths.summaryJson, 'utf-8')).lastEntryIndex, 1);
+    rmSync(paths.project, { recursive: true, force: true });
+  });
+
+  it('leaves the log and summary untouched when archiving fails', () => {
+    const { paths, log } = setup();
+    const kept = commitSummarizedLog(paths, 2, { recentWork: [] }, {
+      config: {},
+      reason: 'incremental',
+      archiveFn: () => { throw new Error('ENOSPC: no space left on device'); }
+    });
+
+    assert.equal(kept, null);
+    assert.equal(readFileSync(paths.log, 'utf-8'), log);
+    assert.ok(!existsSync(paths.summaryJson));
+    rmSync(paths.project, { recursive: true, force: true });
+  });
+});
@@ -3,16 +3,38 @@
  *
  * Handles synchronization with the optional mneme-server.
  * All operations fail gracefully to local-only mode.
+ *
+ * Log entries are exchanged through the server's append-only event stream:
+ * new local entries are appended as events, and events from other machines
+ * since the last cursor (.sync-state.json) are appended to the local log.
+ *
+ * Derived files changed on both this machine and the server since the last
+ * sync are three-way merged (lib/sync-merge.mjs) against the last synced copy
+ * kept in .sync-base/, instead of the newer copy overwriting the other.
+ * Uploads are conditional on the server copy's hash, so no project lock is
+ * needed and sessions on several machines can run at once.
+ *
+ * With sync.encryption enabled, SyncClient encrypts everything it sends and
+ * replaces project ids and file names with keyed hashes (lib/sync-crypto.mjs);
+ * the rest of this module only ever sees plaintext and logical names.
+ *
+ * A push that can't complete (server down, upload failed) queues the project
+ * in the outbox (lib/sync-outbox.mjs). The Mneme daemon retries queued pushes
+ * with backoff, and the next pull pushes first.
  */
 
-import { existsSync, readFileSync, writeFileSync, statSync } from 'node:fs';
-import { join } from 'node:path';
+import { existsSync, readFileSync, writeFileSync, appendFileSync, mkdirSync } from 'node:fs';
+import { join, dirname, basename } from 'node:path';
 import { hostname } from 'node:os';
-import { randomUUID } from 'node:crypto';
+import { randomUUID, createHash } from 'node:crypto';
 import http from 'node:http';
 import https from 'node:https';
-import { ensureMemoryDirs, getProjectRoot } from './utils.mjs';
+import { ensureMemoryDirs, ensureGlobalDirs, getProjectRoot, getProjectIdentity, flushPendingLog, withFileLock, SYNC_OUTBOX_FILE } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
+import { writeFileAtomic } from '../lib/atomic-write.mjs';
+import { contentHash, mergeFile } from '../lib/sync-merge.mjs';
+import { loadKeyring, opaqueName, keyedEventId, encryptText, decryptText, isEncrypted } from '../lib/sync-crypto.mjs';
+import { emptyOutbox, parseOutbox, queuePush, clearPush, duePushes } from '../lib/sync-outbox.mjs';
 
 // ============================================================================
 // Client ID Management
@@ -167,10 +189,22 @@ class HttpClient {
 // ============================================================================
 
 /**
- * SyncClient handles all communication with the mneme-server
+ * SyncClient handles all communication with the mneme-server.
+ * With { global: true } it targets the global memory layer, stored on the
+ * server as its own project (sync.globalProjectId).
+ *
+ * With encryption, keyIndex picks the keyring key whose server namespace
+ * this client reads and writes (0 = primary; others are for moving data
+ * after a key rotation). Throws if encryption is enabled without a key.
  */
-class SyncClient {
-  constructor(config, cwd) {
+export class SyncClient {
+  /**
+   * @param {object} [options]
+   * @param {boolean} [options.global] - The global memory layer instead of the project
+   * @param {number} [options.keyIndex] - Keyring key to use (0 = primary)
+   * @param {string} [options.projectId] - Server project id instead of the default
+   */
+  constructor(config, cwd, { global = false, keyIndex = 0, projectId = null } = {}) {
     const syncConfig = config.sync || {};
 
     this.enabled = syncConfig.enabled === true && !!syncConfig.serverUrl;
@@ -180,14 +214,26 @@ class SyncClient {
     this.retries = syncConfig.retries || 3;
 
     this.cwd = cwd;
-    this.paths = ensureMemoryDirs(cwd);
-    // Default projectId uses sanitized full path to match local dir naming.
-    // Breaking change for sync users without explicit projectId — server-side
-    // data needs manual rename or re-sync.
-    const root = getProjectRoot(cwd);
-    this.projectId = syncConfig.projectId || root.replace(/^\//, '-').replace(/\//g, '-');
+    // Conflicts are reported per project, including the global layer's
+    this.conflictsPath = ensureMemoryDirs(cwd).syncConflicts;
+    this.filePrefix = global ? 'global/' : '';
+    if (global) {
+      this.paths = ensureGlobalDirs();
+      this.projectId = syncConfig.globalProjectId || '_global';
+    } else {
+      this.paths = ensureMemoryDirs(cwd);
+      // Default projectId is the local memory dir name (the project identity),
+      // so every clone of a repository syncs to the same server project
+      this.projectId = projectId || syncConfig.projectId || getProjectIdentity(cwd).dirName;
+    }
     this.clientId = getClientId(this.paths.base);
 
+    this.keyring = loadKeyring(syncConfig.encryption);
+    this.key = this.keyring ? this.keyring[keyIndex] : null;
+    if (this.key) {
+      this.projectId = opaqueName(this.key, 'project', this.projectId);
+    }
+
     this.http = this.enabled
       ? new HttpClient(this.serverUrl, this.apiKey, this.timeoutMs, this.retries)
       : null;
@@ -213,110 +259,189 @@ class SyncClient {
   }
 
   /**
-   * Acquire lock for this project
+   * Server-side name of a synced file
+   */
+  remoteName(fileName) {
+    return this.key ? `enc-${opaqueName(this.key, 'file', fileName)}` : fileName;
+  }
+
+  /**
+   * Id of a log event: a hash of the entry (keyed when encrypting)
+   */
+  eventId(entry) {
+    if (this.key) return keyedEventId(this.key, entry);
+    return createHash('sha256').update(JSON.stringify(entry)).digest('hex').slice(0, 32);
+  }
+
+  /**
+   * True if this client's server namespace holds no files and no events
+   */
+  async isEmpty() {
+    const files = await this.listServerFiles();
+    const events = await this.fetchEvents(0, 1);
+    return files.success && files.files.length === 0 && events.success && events.lastSeq === 0;
+  }
+
+  /**
+   * List files on server with mtimes and content hashes (under their logical names)
    */
-  async acquireLock() {
-    if (!this.enabled) return { success: false, reason: 'sync_disabled' };
+  async listServerFiles() {
+    if (!this.enabled) return { success: false };
 
     try {
-      const res = await this.http.post(
-        `/projects/${encodeURIComponent(this.projectId)}/lock`,
-        null,
-        { 'X-Client-Id': this.clientId }
+      const res = await this.http.get(
+        `/projects/${encodeURIComponent(this.projectId)}/files`
       );
 
       if (res.status === 200) {
-        return { success: true, lock: res.data.lock };
+        const logical = new Map(ALL_FILE_NAMES.map(name => [this.remoteName(name), name]));
+        const files = (res.data.files || [])
+          .filter(f => logical.has(f.name))
+          .map(f => ({ ...f, name: logical.get(f.name) }));
+        return { success: true, files };
       }
+      return { success: false };
+    } catch {
+      return { success: false };
+    }
+  }
 
-      if (res.status === 409) {
+  /**
+   * Download a file from server
+   */
+  async downloadFile(fileName) {
+    if (!this.enabled) return { success: false };
+
+    try {
+      const res = await this.http.get(
+        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(this.remoteName(fileName))}`
+      );
+
+      if (res.status === 200) {
+        let content = res.data.content;
+        if (this.key) {
+          if (!isEncrypted(content)) throw new Error(`${fileName} on server is not encrypted`);
+          content = decryptText(this.keyring, content, `file:${fileName}`);
+        }
         return {
-          success: false,
-          reason: 'locked_by_other',
-          lock: res.data.lock
+          success: true,
+          content,
+          mtime: res.data.mtime,
+          hash: res.data.hash
         };
       }
-
-      return { success: false, reason: 'server_error', status: res.status };
+      return { success: false, status: res.status };
     } catch (err) {
-      return { success: false, reason: 'unreachable', error: err.message };
+      if (this.key) logError(err, 'sync-decrypt');
+      return { success: false };
     }
   }
 
   /**
-   * Release lock for this project
+   * Upload a file to server.
+   * With baseHash (null = must not exist), the server rejects the write if
+   * its copy changed since it was read: { success: false, conflict: true, hash }.
    */
-  async releaseLock() {
-    if (!this.enabled) return { success: true };
+  async uploadFile(fileName, content, baseHash) {
+    if (!this.enabled) return { success: false };
 
     try {
-      const res = await this.http.delete(
-        `/projects/${encodeURIComponent(this.projectId)}/lock`,
+      if (this.key) content = encryptText(this.key, content, `file:${fileName}`);
+      const body = baseHash === undefined ? { content } : { content, baseHash };
+      const res = await this.http.put(
+        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(this.remoteName(fileName))}`,
+        body,
         { 'X-Client-Id': this.clientId }
       );
 
-      return { success: res.status === 200 };
+      if (res.status === 200) {
+        return { success: true, mtime: res.data.mtime, hash: res.data.hash };
+      }
+      if (res.status === 409) {
+        return { success: false, conflict: true, hash: res.data?.hash ?? null };
+      }
+      return { success: false, error: res.data?.error };
     } catch {
-      // Ignore errors on release - lock will expire
-      return { success: true };
+      return { success: false };
     }
   }
 
   /**
-   * Send heartbeat to extend lock TTL
+   * List the server's stored versions of a file, newest first
+   * @returns {Promise<{ success: boolean, versions?: Array<{ version: number, hash: string, size: number, savedAt: string, clientId: string|null, user: string|null }>, status?: number }>}
    */
-  async heartbeat() {
+  async listVersions(fileName) {
     if (!this.enabled) return { success: false };
 
     try {
-      const res = await this.http.post(
-        `/projects/${encodeURIComponent(this.projectId)}/lock/heartbeat`,
-        null,
-        { 'X-Client-Id': this.clientId }
+      const res = await this.http.get(
+        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(this.remoteName(fileName))}/versions`
       );
 
-      return { success: res.status === 200 };
+      if (res.status === 200) {
+        return { success: true, versions: res.data.versions || [] };
+      }
+      return { success: false, status: res.status };
     } catch {
       return { success: false };
     }
   }
 
   /**
-   * List files on server with mtimes
+   * Download one stored version of a file
    */
-  async listServerFiles() {
+  async downloadVersion(fileName, version) {
     if (!this.enabled) return { success: false };
 
     try {
       const res = await this.http.get(
-        `/projects/${encodeURIComponent(this.projectId)}/files`
+        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(this.remoteName(fileName))}/versions/${version}`
       );
 
       if (res.status === 200) {
-        return { success: true, files: res.data.files || [] };
+        let content = res.data.content;
+        if (this.key) {
+          if (!isEncrypted(content)) throw new Error(`${fileName} version ${version} on server is not encrypted`);
+          content = decryptText(this.keyring, content, `file:${fileName}`);
+        }
+        const { content: _ignored, ...meta } = res.data;
+        return { success: true, ...meta, content };
       }
-      return { success: false };
-    } catch {
+      return { success: false, status: res.status };
+    } catch (err) {
+      if (this.key) logError(err, 'sync-decrypt');
       return { success: false };
     }
   }
 
   /**
-   * Download a file from server
+   * Fetch log events appended after the `since` cursor.
+   * An event that can't be decrypted comes back with `entry: null`.
+   * @returns {Promise<{ success: boolean, events?: object[], lastSeq?: number, hasMore?: boolean, status?: number }>}
    */
-  async downloadFile(fileName) {
+  async fetchEvents(since, limit = EVENT_BATCH_SIZE) {
     if (!this.enabled) return { success: false };
 
     try {
       const res = await this.http.get(
-        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(fileName)}`
+        `/projects/${encodeURIComponent(this.projectId)}/events?since=${since}&limit=${limit}`
       );
 
       if (res.status === 200) {
+        const events = (res.data.events || []).map(event => {
+          if (!this.key) return event;
+          try {
+            return { ...event, entry: JSON.parse(decryptText(this.keyring, event.entry?.enc, 'log-event')) };
+          } catch (err) {
+            logError(err, 'sync-decrypt');
+            return { ...event, entry: null };
+          }
+        });
         return {
           success: true,
-          content: res.data.content,
-          mtime: res.data.mtime
+          events,
+          lastSeq: res.data.lastSeq || 0,
+          hasMore: !!res.data.hasMore
         };
       }
       return { success: false, status: res.status };
@@ -326,22 +451,80 @@ class SyncClient {
   }
 
   /**
-   * Upload a file to server
+   * Append log events ({ id, entry }). The server skips ids it already has.
+   * @returns {Promise<{ success: boolean, seqs?: number[], error?: string }>}
    */
-  async uploadFile(fileName, content) {
+  async appendEvents(events) {
     if (!this.enabled) return { success: false };
 
     try {
-      const res = await this.http.put(
-        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(fileName)}`,
-        { content },
+      if (this.key) {
+        events = events.map(({ id, entry }) => ({
+          id,
+          entry: { enc: encryptText(this.key, JSON.stringify(entry), 'log-event') }
+        }));
+      }
+      const res = await this.http.post(
+        `/projects/${encodeURIComponent(this.projectId)}/events`,
+        { events },
         { 'X-Client-Id': this.clientId }
       );
 
       if (res.status === 200) {
-        return { success: true, mtime: res.data.mtime };
+        return { success: true, seqs: res.data.seqs || [] };
       }
       return { success: false, error: res.data?.error };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Replace events already on the server ({ id, newId, entry }), keeping
+   * their seq: how a scrubbed entry replaces the copy with the secret.
+   * @returns {Promise<{ success: boolean, rewritten?: number, removed?: number, status?: number, error?: string }>}
+   */
+  async rewriteEvents(rewrites) {
+    if (!this.enabled) return { success: false };
+
+    try {
+      if (this.key) {
+        rewrites = rewrites.map(({ entry, ...r }) => ({
+          ...r,
+          entry: { enc: encryptText(this.key, JSON.stringify(entry), 'log-event') }
+        }));
+      }
+      const res = await this.http.post(
+        `/projects/${encodeURIComponent(this.projectId)}/events/rewrite`,
+        { rewrites },
+        { 'X-Client-Id': this.clientId }
+      );
+
+      if (res.status === 200) {
+        return { success: true, rewritten: res.data.rewritten, removed: res.data.removed };
+      }
+      return { success: false, status: res.status, error: res.data?.error };
+    } catch (err) {
+      return { success: false, error: err.message };
+    }
+  }
+
+  /**
+   * Delete the server's stored versions of a file
+   * @returns {Promise<{ success: boolean, removed?: number, status?: number }>}
+   */
+  async purgeVersions(fileName) {
+    if (!this.enabled) return { success: false };
+
+    try {
+      const res = await this.http.delete(
+        `/projects/${encodeURIComponent(this.projectId)}/files/${encodeURIComponent(this.remoteName(fileName))}/versions`
+      );
+
+      if (res.status === 200) {
+        return { success: true, removed: res.data.removed };
+      }
+      return { success: false, status: res.status };
     } catch {
       return { success: false };
     }
@@ -352,130 +535,652 @@ class SyncClient {
 // Files to Sync
 // ============================================================================
 
-const FILES_TO_SYNC = [
-  { name: 'log.jsonl', key: 'log' },
+// Derived files, synced whole (log entries go through the event stream)
+export const FILES_TO_SYNC = [
   { name: 'summary.json', key: 'summaryJson' },
   { name: 'remembered.json', key: 'remembered' },
   { name: 'entities.json', key: 'entities' }
 ];
 
-/**
- * Get local file info (mtime)
- */
-function getLocalFileInfo(filePath) {
-  if (!existsSync(filePath)) {
+// Global memory layer (~/.claude-mneme/global/), shared across projects
+export const GLOBAL_FILES_TO_SYNC = [
+  { name: 'remembered.json', key: 'remembered' }
+];
+
+const ALL_FILE_NAMES = [...new Set([...FILES_TO_SYNC, ...GLOBAL_FILES_TO_SYNC].map(f => f.name))];
+
+const MAX_RECORDED_CONFLICTS = 50;
+const EVENT_BATCH_SIZE = 500;
+
+function readLocalFile(filePath) {
+  if (!filePath || !existsSync(filePath)) return null;
+  try {
+    return readFileSync(filePath, 'utf-8');
+  } catch {
     return null;
   }
+}
+
+/**
+ * Last synced copy of a file (the merge base), kept in .sync-base/ next to it,
+ * with the server hash of that copy in .sync-base/hashes.json. Encrypted
+ * copies on the server hash differently from the plaintext, so the hash is
+ * recorded rather than recomputed. hashes.json also lists bases a scrub
+ * rewrote ("scrubbed"): their server copy still holds the secret, so they are
+ * uploaded even though they match the local file.
+ */
+function syncBasePath(localPath) {
+  return join(dirname(localPath), '.sync-base', basename(localPath));
+}
+
+function syncBaseHashesPath(localPath) {
+  return join(dirname(localPath), '.sync-base', 'hashes.json');
+}
+
+function readBaseRecord(hashesPath) {
   try {
-    const stat = statSync(filePath);
-    return {
-      mtime: stat.mtime.toISOString(),
-      mtimeMs: stat.mtimeMs
-    };
+    return JSON.parse(readFileSync(hashesPath, 'utf-8'));
   } catch {
-    return null;
+    return {};
+  }
+}
+
+function readBaseHashes(client, localPath) {
+  const record = readBaseRecord(syncBaseHashesPath(localPath));
+  // Hashes from another server namespace (e.g. before a key rotation) don't apply
+  return record.projectId === client.projectId ? record.files || {} : {};
+}
+
+/**
+ * @returns {{ content: string|null, hash: string|null, scrubbed: boolean }}
+ *   hash = server hash of the base, if known
+ */
+function readSyncBase(client, localPath) {
+  const content = readLocalFile(syncBasePath(localPath));
+  const recorded = readBaseHashes(client, localPath)[basename(localPath)];
+  const fallback = !client.key && content !== null ? contentHash(content) : null;
+  const scrubbed = (readBaseRecord(syncBaseHashesPath(localPath)).scrubbed || []).includes(basename(localPath));
+  return { content, hash: recorded ?? fallback, scrubbed };
+}
+
+function writeSyncBase(client, localPath, content, hash) {
+  try {
+    mkdirSync(dirname(syncBasePath(localPath)), { recursive: true });
+    writeFileSync(syncBasePath(localPath), content);
+    const name = basename(localPath);
+    const files = { ...readBaseHashes(client, localPath), [name]: hash ?? null };
+    const scrubbed = (readBaseRecord(syncBaseHashesPath(localPath)).scrubbed || []).filter(n => n !== name);
+    const record = { projectId: client.projectId, files, ...(scrubbed.length > 0 && { scrubbed }) };
+    writeFileSync(syncBaseHashesPath(localPath), JSON.stringify(record, null, 2) + '\n');
+  } catch (err) {
+    logError(err, 'sync-write-base');
+  }
+}
+
+/**
+ * Mark merge bases in a memory dir's .sync-base/ as scrubbed, so the next
+ * push uploads their files even though nothing else changed.
+ * @param {string} dir - Project or global memory directory
+ * @param {string[]} names - File names, e.g. ['summary.json']
+ */
+export function markSyncBaseScrubbed(dir, names) {
+  if (names.length === 0) return;
+  const hashesPath = join(dir, '.sync-base', 'hashes.json');
+  const record = readBaseRecord(hashesPath);
+  record.scrubbed = [...new Set([...(record.scrubbed || []), ...names])];
+  try {
+    mkdirSync(dirname(hashesPath), { recursive: true });
+    writeFileSync(hashesPath, JSON.stringify(record, null, 2) + '\n');
+  } catch (err) {
+    logError(err, 'sync-mark-scrubbed');
+  }
+}
+
+/**
+ * Append merge conflicts to .sync-conflicts.json (newest last, bounded).
+ */
+function recordConflicts(client, conflicts) {
+  if (conflicts.length === 0) return;
+  const ts = new Date().toISOString();
+  try {
+    let existing = [];
+    if (existsSync(client.conflictsPath)) {
+      existing = JSON.parse(readFileSync(client.conflictsPath, 'utf-8')).conflicts || [];
+    }
+    const added = conflicts.map(c => ({ ts, ...c, file: client.filePrefix + c.file }));
+    writeFileSync(client.conflictsPath, JSON.stringify({
+      conflicts: [...existing, ...added].slice(-MAX_RECORDED_CONFLICTS)
+    }, null, 2) + '\n');
+    console.error(`[mneme-sync] ${conflicts.length} merge conflict(s), newer version kept (see /status)`);
+  } catch (err) {
+    logError(err, 'sync-record-conflicts');
+  }
+}
+
+/**
+ * Map of server file name → file info ({ name, mtime, hash, ... }). Empty on failure.
+ */
+async function listServerFileMap(client) {
+  const serverFiles = await client.listServerFiles();
+  const serverFileMap = new Map();
+  if (serverFiles.success) {
+    for (const f of serverFiles.files) {
+      serverFileMap.set(f.name, f);
+    }
+  }
+  return serverFileMap;
+}
+
+/**
+ * Bring local files up to date with the server.
+ *
+ * Skips files whose server copy hasn't changed since the last sync. Others
+ * are downloaded and three-way merged with the local copy; the merge result
+ * stays local until the next push. Overwritten local files are backed up to
+ * <file>.bak.
+ * @returns {Promise<string[]>} Names of files changed locally
+ */
+async function pullFiles(client, files, serverFileMap) {
+  const pulledFiles = [];
+  const conflicts = [];
+
+  for (const { name, key } of files) {
+    const localPath = client.paths[key];
+    if (!localPath) continue;
+
+    const serverFile = serverFileMap.get(name);
+    if (!serverFile) continue; // File doesn't exist on server
+
+    const local = readLocalFile(localPath);
+    const base = readSyncBase(client, localPath);
+    if (serverFile.hash) {
+      if (base.hash === serverFile.hash) continue; // Only changed locally, if at all
+      if (!client.key && local !== null && contentHash(local) === serverFile.hash) {
+        writeSyncBase(client, localPath, local, serverFile.hash);
+        continue;
+      }
+    }
+
+    const download = await client.downloadFile(name);
+    if (!download.success) continue;
+
+    const merged = mergeFile(name, base.content, local, download.content);
+    try {
+      if (merged.content !== local) {
+        if (local !== null) writeFileSync(localPath + '.bak', local);
+        writeFileSync(localPath, merged.content);
+        pulledFiles.push(name);
+      }
+      writeSyncBase(client, localPath, download.content, download.hash);
+      conflicts.push(...merged.conflicts);
+    } catch (err) {
+      console.error(`[mneme-sync] Failed to write ${name}: ${err.message}`);
+      logError(err, 'sync-pull-write');
+    }
+  }
+
+  recordConflicts(client, conflicts);
+  return pulledFiles;
+}
+
+/**
+ * Upload files that changed locally since the last sync.
+ *
+ * If the server copy changed too, it is merged in first. Uploads carry the
+ * hash of the server copy they were based on; if another machine wrote in
+ * between, the server answers 409 and the file is merged again and retried.
+ * @returns {Promise<{ pushed: string[], failed: string[] }>} Names of uploaded files,
+ *   and of files with local changes that couldn't be uploaded
+ */
+async function pushFiles(client, files, serverFileMap) {
+  const pushedFiles = [];
+  const failedFiles = [];
+  const conflicts = [];
+
+  for (const { name, key } of files) {
+    const localPath = client.paths[key];
+    let content = readLocalFile(localPath);
+    if (content === null) continue;
+
+    const serverFile = serverFileMap.get(name);
+    // Old servers don't report hashes; fall back to an unconditional upload
+    const checked = !serverFile || !!serverFile.hash;
+    let remoteHash = serverFile?.hash ?? null;
+    let done = false;
+
+    for (let attempt = 0; attempt < 3 && !done; attempt++) {
+      const base = readSyncBase(client, localPath);
+      if (remoteHash && base.hash !== remoteHash) {
+        // Server changed since our base — merge it in before uploading
+        const download = await client.downloadFile(name);
+        if (!download.success) break;
+        const merged = mergeFile(name, base.content, content, download.content);
+        conflicts.push(...merged.conflicts);
+        remoteHash = download.hash ?? contentHash(download.content);
+        writeSyncBase(client, localPath, download.content, remoteHash);
+        if (merged.content !== content) {
+          try {
+            writeFileSync(localPath, merged.content);
+          } catch (err) {
+            logError(err, 'sync-push-write');
+          }
+          content = merged.content;
+        }
+        if (content === download.content) {
+          done = true; // Nothing of ours left to upload
+          break;
+        }
+      } else if (remoteHash && base.content === content && !base.scrubbed) {
+        done = true; // Unchanged on both sides
+        break;
+      }
+
+      const upload = await client.uploadFile(name, content, checked ? remoteHash : undefined);
+      if (upload.success) {
+        writeSyncBase(client, localPath, content, upload.hash);
+        pushedFiles.push(name);
+        done = true;
+        break;
+      }
+      if (!upload.conflict) {
+        if (upload.error) console.error(`[mneme-sync] Failed to upload ${name}: ${upload.error}`);
+        break;
+      }
+      remoteHash = upload.hash; // Changed under us — merge again
+    }
+    if (!done) failedFiles.push(name);
   }
+
+  recordConflicts(client, conflicts);
+  return { pushed: pushedFiles, failed: failedFiles };
 }
 
 // ============================================================================
-// Heartbeat Management
+// Log Event Stream
 // ============================================================================
 
-let heartbeatInterval = null;
-let heartbeatClient = null;
+/**
+ * Sync state: the server event cursor, and the ids of log entries already
+ * exchanged with the server (id → seq; null until the server assigns one).
+ * Entry ids (SyncClient.eventId) are stable, so the same entry is never
+ * appended twice — neither by the server when a push is retried, nor
+ * locally when our own events come back in a pull. State recorded for
+ * another server namespace (e.g. before a key rotation) starts over.
+ * rewrites (old id → { id, entry }) are scrubbed entries whose server
+ * events still hold the secret; the next push replaces them.
+ */
+function readSyncState(statePath, projectId) {
+  try {
+    if (existsSync(statePath)) {
+      const state = JSON.parse(readFileSync(statePath, 'utf-8'));
+      if (state.projectId === undefined || state.projectId === projectId) {
+        return { projectId, cursor: state.cursor || 0, known: state.known || {}, rewrites: state.rewrites || {} };
+      }
+    }
+  } catch (err) {
+    logError(err, 'sync-read-state');
+  }
+  return { projectId, cursor: 0, known: {}, rewrites: {} };
+}
 
 /**
- * Start heartbeat to keep lock alive
+ * Write sync state, forgetting ids that have left the local log (summarized
+ * away) once the cursor has moved past them — they can't come back in a pull.
  */
-export function startHeartbeat(cwd, config) {
-  if (heartbeatInterval) {
-    return; // Already running
+function writeSyncState(statePath, state, logIds) {
+  const known = {};
+  for (const [id, seq] of Object.entries(state.known)) {
+    if (logIds.has(id) || seq === null || seq > state.cursor) known[id] = seq;
   }
+  const rewrites = Object.keys(state.rewrites || {}).length > 0 ? { rewrites: state.rewrites } : {};
+  try {
+    writeFileSync(statePath, JSON.stringify({ projectId: state.projectId, cursor: state.cursor, known, ...rewrites }) + '\n');
+  } catch (err) {
+    logError(err, 'sync-write-state');
+  }
+}
 
-  const syncConfig = config.sync || {};
-  if (!syncConfig.enabled || !syncConfig.serverUrl) {
-    return;
+function readLogEntries(logPath) {
+  const content = readLocalFile(logPath);
+  if (!content) return [];
+  return content.split('\n').filter(l => l.trim()).map(line => {
+    try { return JSON.parse(line); }
+    catch { return null; }
+  }).filter(Boolean);
+}
+
+/**
+ * Append events from other machines to the local log.
+ * Entries go through the pending log so the append takes the log write lock.
+ * @returns {Promise<number>} Number of entries added
+ */
+async function pullLogEvents(client) {
+  const paths = client.paths;
+  const state = readSyncState(paths.syncState, client.projectId);
+  const logIds = new Set(readLogEntries(paths.log).map(entry => client.eventId(entry)));
+  const added = [];
+
+  for (;;) {
+    const res = await client.fetchEvents(state.cursor);
+    if (!res.success) {
+      if (res.status === 404) console.error('[mneme-sync] Server has no event stream, update mneme-server to sync the log');
+      break;
+    }
+    const undecryptable = res.events.findIndex(event => event.entry === null);
+    const events = undecryptable === -1 ? res.events : res.events.slice(0, undecryptable);
+    for (const event of events) {
+      if (!(event.id in state.known) && !logIds.has(event.id)) {
+        added.push(event.entry);
+        logIds.add(event.id);
+      }
+      state.known[event.id] = event.seq;
+      state.cursor = Math.max(state.cursor, event.seq);
+    }
+    if (undecryptable !== -1) {
+      // Stop before it, so it is fetched again once the right key is configured
+      console.error('[mneme-sync] Skipping log events that can\'t be decrypted (see error log)');
+      break;
+    }
+    if (!res.hasMore || res.events.length === 0) break;
+  }
+
+  if (added.length > 0) {
+    try {
+      const pendingPath = paths.log.replace('.jsonl', '.pending.jsonl');
+      appendFileSync(pendingPath, added.map(e => JSON.stringify(e)).join('\n') + '\n');
+      flushPendingLog(client.cwd, 0);
+    } catch (err) {
+      logError(err, 'sync-pull-events');
+      return 0;
+    }
+  }
+  writeSyncState(paths.syncState, state, logIds);
+  return added.length;
+}
+
+/**
+ * Append local log entries the server hasn't seen as events.
+ * @returns {Promise<{ pushed: number, remaining: number }>} Entries pushed, and
+ *   entries still unsent because a batch failed
+ */
+async function pushLogEvents(client) {
+  const paths = client.paths;
+  const state = readSyncState(paths.syncState, client.projectId);
+  await pushRewrites(client, state);
+  const entries = readLogEntries(paths.log);
+  const logIds = new Set();
+  const pending = [];
+  for (const entry of entries) {
+    const id = client.eventId(entry);
+    logIds.add(id);
+    if (!(id in state.known) || state.known[id] === null) pending.push({ id, entry });
+  }
+
+  let pushed = 0;
+  for (let i = 0; i < pending.length; i += EVENT_BATCH_SIZE) {
+    const batch = pending.slice(i, i + EVENT_BATCH_SIZE);
+    const res = await client.appendEvents(batch);
+    if (!res.success) {
+      if (res.error) console.error(`[mneme-sync] Failed to push log entries: ${res.error}`);
+      break;
+    }
+    batch.forEach((event, j) => { state.known[event.id] = res.seqs[j] ?? null; });
+    pushed += batch.length;
+  }
+
+  writeSyncState(paths.syncState, state, logIds);
+  return { pushed, remaining: pending.length - pushed };
+}
+
+/**
+ * Replace server events of scrubbed entries (state.rewrites). Kept for the
+ * next push if the server is unreachable or predates the rewrite endpoint.
+ */
+async function pushRewrites(client, state) {
+  const pending = Object.entries(state.rewrites);
+  for (let i = 0; i < pending.length; i += EVENT_BATCH_SIZE) {
+    const batch = pending.slice(i, i + EVENT_BATCH_SIZE);
+    const res = await client.rewriteEvents(batch.map(([id, { id: newId, entry }]) => ({ id, newId, entry })));
+    if (!res.success) {
+      if (res.status === 404) console.error('[mneme-sync] Server can\'t rewrite events, update mneme-server to remove scrubbed secrets from it');
+      else if (res.error) console.error(`[mneme-sync] Failed to rewrite scrubbed log entries: ${res.error}`);
+      return;
+    }
+    for (const [id] of batch) delete state.rewrites[id];
+  }
+}
+
+/**
+ * After a scrub rewrote log entries: move their sync state to the scrubbed
+ * entries' ids, so they aren't pushed again as new events, and queue the
+ * server events that still hold the secret to be rewritten on the next push.
+ * @param {Array<{ before: object, after: object }>} changes - Log entries before and after the scrub
+ * @returns {number} Entries whose server event will be rewritten
+ */
+export function recordScrubbedLogEntries(cwd, config, changes) {
+  if (changes.length === 0) return 0;
+  const client = new SyncClient(config, cwd);
+  const state = readSyncState(client.paths.syncState, client.projectId);
+  let queued = 0;
+  for (const { before, after } of changes) {
+    const id = client.eventId(before);
+    if (!(id in state.known)) continue; // Never pushed: goes out scrubbed
+    const newId = client.eventId(after);
+    state.known[newId] = state.known[id];
+    delete state.known[id];
+    // An earlier scrub may have queued the original event already
+    const original = Object.keys(state.rewrites).find(old => state.rewrites[old].id === id) || id;
+    state.rewrites[original] = { id: newId, entry: after };
+    queued++;
+  }
+  const logIds = new Set(readLogEntries(client.paths.log).map(entry => client.eventId(entry)));
+  writeSyncState(client.paths.syncState, state, logIds);
+  return queued;
+}
+
+/**
+ * Delete the server's stored versions of files a scrub rewrote: the
+ * current copies are clean once pushed, but older versions aren't.
+ * @param {{ global?: boolean }} [options] - Files of the global memory layer
+ * @returns {Promise<{ purged: string[], failed: string[] }>}
+ */
+export async function purgeServerVersions(cwd, config, fileNames, options = {}) {
+  const client = new SyncClient(config, cwd, { global: !!options.global });
+  const purged = [];
+  const failed = [];
+  for (const name of fileNames) {
+    const res = await client.purgeVersions(name);
+    (res.success ? purged : failed).push(name);
   }
+  return { purged, failed };
+}
 
-  heartbeatClient = new SyncClient(config, cwd);
+// ============================================================================
+// Key Rotation and Project Identity Changes
+// ============================================================================
 
-  // Send heartbeat every 5 minutes (default lock TTL is 30 min)
-  const intervalMs = 5 * 60 * 1000;
+/**
+ * Where to pull from. After a key rotation the primary key's namespace is
+ * empty until the first push; until then, pull from the namespace of the
+ * previous key that still has data. Likewise when the project's identity
+ * changed (a remote was added, or an older version synced under the path):
+ * pull from the project's previous server id. The next push writes
+ * everything to the current namespace.
+ */
+async function pullSource(config, cwd, client, options = {}) {
+  const keyCount = client.keyring ? client.keyring.length : 1;
+  const previousIds = options.global || config.sync?.projectId
+    ? []
+    : getProjectIdentity(cwd).previousDirNames;
+  if (keyCount < 2 && previousIds.length === 0) return client;
+  if (!(await client.isEmpty())) return client;
+
+  const namespaces = [];
+  for (let keyIndex = 1; keyIndex < keyCount; keyIndex++) namespaces.push({ keyIndex });
+  for (const projectId of previousIds) {
+    for (let keyIndex = 0; keyIndex < keyCount; keyIndex++) namespaces.push({ keyIndex, projectId });
+  }
 
-  heartbeatInterval = setInterval(async () => {
-    const result = await heartbeatClient.heartbeat();
-    if (!result.success) {
-      // Lost lock - stop heartbeat
-      console.error('[mneme-sync] Lost lock, stopping heartbeat');
-      stopHeartbeat();
+  for (const namespace of namespaces) {
+    const previous = new SyncClient(config, cwd, { ...options, ...namespace });
+    if (!(await previous.isEmpty())) {
+      console.error(namespace.projectId
+        ? `[mneme-sync] Moving project memory from ${namespace.projectId} to ${getProjectIdentity(cwd).dirName}`
+        : `[mneme-sync] Moving ${options.global ? 'global' : 'project'} memory to the new encryption key`);
+      return previous;
     }
-  }, intervalMs);
+  }
+  return client;
+}
+
+// ============================================================================
+// Global Memory Sync
+// ============================================================================
+
+/**
+ * Pull the global memory layer.
+ * @returns {Promise<string[]>} Names of changed files
+ */
+async function pullGlobal(config, cwd) {
+  try {
+    const client = await pullSource(config, cwd, new SyncClient(config, cwd, { global: true }), { global: true });
+    return await pullFiles(client, GLOBAL_FILES_TO_SYNC, await listServerFileMap(client));
+  } catch (err) {
+    logError(err, 'sync-pull-global');
+    return [];
+  }
+}
+
+/**
+ * Push the global memory layer.
+ * @returns {Promise<{ pushed: string[], failed: string[] }>} See pushFiles()
+ */
+async function pushGlobal(config, cwd) {
+  try {
+    const client = new SyncClient(config, cwd, { global: true });
+    return await pushFiles(client, GLOBAL_FILES_TO_SYNC, await listServerFileMap(client));
+  } catch (err) {
+    logError(err, 'sync-push-global');
+    return { pushed: [], failed: GLOBAL_FILES_TO_SYNC.map(f => f.name) };
+  }
+}
+
+// ============================================================================
+// Push Outbox
+// ============================================================================
+
+export function readOutbox() {
+  if (!existsSync(SYNC_OUTBOX_FILE)) return emptyOutbox();
+  try {
+    return parseOutbox(readFileSync(SYNC_OUTBOX_FILE, 'utf-8'));
+  } catch {
+    return emptyOutbox();
+  }
+}
 
-  // Don't prevent process from exiting
-  heartbeatInterval.unref();
+function updateOutbox(update) {
+  try {
+    withFileLock(SYNC_OUTBOX_FILE + '.lock', () => {
+      const outbox = readOutbox();
+      const updated = update(outbox);
+      if (updated !== outbox) writeFileAtomic(SYNC_OUTBOX_FILE, JSON.stringify(updated, null, 2) + '\n');
+    });
+  } catch (err) {
+    logError(err, 'sync-outbox');
+  }
+}
+
+function queueFailedPush(cwd, config, reason) {
+  const outboxConfig = config.sync?.outbox || {};
+  if (outboxConfig.enabled === false) return false;
+  updateOutbox(outbox => queuePush(outbox, getProjectRoot(cwd), reason, Date.now(), outboxConfig));
+  return true;
 }
 
 /**
- * Stop heartbeat
+ * Retry queued pushes whose backoff has elapsed. Run by the Mneme daemon.
+ * Projects whose directory is gone are dropped from the queue.
+ * @returns {Promise<{ attempted: number, pushed: number }>}
  */
-export function stopHeartbeat() {
-  if (heartbeatInterval) {
-    clearInterval(heartbeatInterval);
-    heartbeatInterval = null;
+export async function flushOutbox(config, now = Date.now()) {
+  const syncConfig = config.sync || {};
+  if (!syncConfig.enabled || !syncConfig.serverUrl) return { attempted: 0, pushed: 0 };
+
+  let attempted = 0;
+  let pushed = 0;
+  const due = duePushes(readOutbox(), now);
+  for (const [i, entry] of due.entries()) {
+    if (!existsSync(entry.cwd)) {
+      updateOutbox(outbox => clearPush(outbox, entry.cwd));
+      continue;
+    }
+    attempted++;
+    const result = await pushIfEnabled(entry.cwd, config);
+    if (!result.queued) pushed++;
+    if (result.message === 'Server unreachable') {
+      // The rest would fail the same way; count it as their attempt too
+      for (const rest of due.slice(i + 1)) queueFailedPush(rest.cwd, config, result.message);
+      break;
+    }
   }
-  heartbeatClient = null;
+  return { attempted, pushed };
 }
 
 // ============================================================================
 // Pull / Push Operations
 // ============================================================================
 
+function logEntriesLabel(count) {
+  return `${count} log ${count === 1 ? 'entry' : 'entries'}`;
+}
+
 /**
- * Pull files from server at session start
+ * Pull from server at session start: new log events, then derived files
  *
  * @param {string} cwd - Working directory
  * @param {object} config - Full config
- * @returns {object} { synced: boolean, lockAcquired: boolean, files: string[], message: string }
+ * @returns {object} { synced: boolean, files: string[], entries: number, message: string }
  */
 export async function pullIfEnabled(cwd, config) {
   const syncConfig = config.sync || {};
 
   if (!syncConfig.enabled || !syncConfig.serverUrl) {
-    return { synced: false, lockAcquired: false, message: 'Sync disabled' };
+    return { synced: false, files: [], entries: 0, message: 'Sync disabled' };
   }
 
-  const client = new SyncClient(config, cwd);
+  let client;
+  try {
+    client = new SyncClient(config, cwd);
+  } catch (err) {
+    // Encryption enabled without a usable key — never fall back to plaintext
+    console.error(`[mneme-sync] ${err.message}, using local memory`);
+    logError(err, 'sync-pull');
+    return { synced: false, files: [], entries: 0, message: 'Encryption key unavailable' };
+  }
 
   // Check server health
   const health = await client.checkHealth();
   if (!health.ok) {
     console.error(`[mneme-sync] Server unreachable, using local memory`);
     logError(new Error(`Sync server unreachable: ${health.error || health.reason}`), 'sync-pull');
-    return { synced: false, lockAcquired: false, message: 'Server unreachable' };
-  }
-
-  // Try to acquire lock
-  const lockResult = await client.acquireLock();
-  if (!lockResult.success) {
-    if (lockResult.reason === 'locked_by_other') {
-      console.error(`[mneme-sync] Project locked by another machine, using local copy`);
-      return {
-        synced: false,
-        lockAcquired: false,
-        message: `Locked by ${lockResult.lock?.clientId}`
-      };
-    }
-    console.error(`[mneme-sync] Failed to acquire lock, using local memory`);
-    return { synced: false, lockAcquired: false, message: 'Lock failed' };
+    return { synced: false, files: [], entries: 0, message: 'Server unreachable' };
+  }
+
+  // Changes queued while the server was down go up first, so they're merged
+  // with the server copy instead of piling up on this machine
+  if (readOutbox().pushes[getProjectRoot(cwd)]) {
+    console.error(`[mneme-sync] Pushing changes queued while the server was unreachable`);
+    await pushIfEnabled(cwd, config);
   }
 
-  // Wrap post-lock operations in try/finally to release lock on failure
   try {
-    // List server files
-    const serverFiles = await client.listServerFiles();
+    const source = await pullSource(config, cwd, client);
+    const entries = await pullLogEvents(source);
+
+    const serverFiles = await source.listServerFiles();
     if (!serverFiles.success) {
       console.error(`[mneme-sync] Failed to list server files`);
-      return { synced: false, lockAcquired: true, message: 'List files failed' };
+      return { synced: false, files: [], entries, message: 'List files failed' };
     }
 
     // Build map of server files by name
@@ -484,131 +1189,90 @@ export async function pullIfEnabled(cwd, config) {
       serverFileMap.set(f.name, f);
     }
 
-    // Download files that are newer on server
-    const pulledFiles = [];
-    const paths = ensureMemoryDirs(cwd);
-
-    for (const { name, key } of FILES_TO_SYNC) {
-      const localPath = paths[key];
-      if (!localPath) continue;
-
-      const serverFile = serverFileMap.get(name);
-      if (!serverFile) continue; // File doesn't exist on server
-
-      const localInfo = getLocalFileInfo(localPath);
-      const serverMtimeMs = new Date(serverFile.mtime).getTime();
-
-      // Download if server is newer or local doesn't exist
-      if (!localInfo || serverMtimeMs > localInfo.mtimeMs) {
-        const download = await client.downloadFile(name);
-        if (download.success) {
-          try {
-            // Backup existing local file before overwriting
-            if (existsSync(localPath)) {
-              writeFileSync(localPath + '.bak', readFileSync(localPath));
-            }
-            writeFileSync(localPath, download.content);
-            pulledFiles.push(name);
-          } catch (err) {
-            console.error(`[mneme-sync] Failed to write ${name}: ${err.message}`);
-            logError(err, 'sync-pull-write');
-          }
-        }
-      }
+    const pulledFiles = await pullFiles(source, FILES_TO_SYNC, serverFileMap);
+    if (syncConfig.syncGlobal !== false) {
+      const globalFiles = await pullGlobal(config, cwd);
+      pulledFiles.push(...globalFiles.map(name => `global/${name}`));
     }
 
-    if (pulledFiles.length > 0) {
-      console.error(`[mneme-sync] Synced from server: ${pulledFiles.join(', ')}`);
+    if (entries > 0 || pulledFiles.length > 0) {
+      const parts = [...(entries > 0 ? [logEntriesLabel(entries)] : []), ...pulledFiles];
+      console.error(`[mneme-sync] Synced from server: ${parts.join(', ')}`);
     }
 
     return {
       synced: true,
-      lockAcquired: true,
       files: pulledFiles,
-      message: pulledFiles.length > 0 ? 'Synced from server' : 'Already up to date'
+      entries,
+      message: entries > 0 || pulledFiles.length > 0 ? 'Synced from server' : 'Already up to date'
     };
   } catch (err) {
-    // Release lock on unexpected failure so the project isn't locked for 30 minutes
-    console.error(`[mneme-sync] Pull failed, releasing lock: ${err.message}`);
+    console.error(`[mneme-sync] Pull failed: ${err.message}`);
     logError(err, 'sync-pull');
-    try { await client.releaseLock(); } catch {}
-    return { synced: false, lockAcquired: false, message: `Pull failed: ${err.message}` };
+    return { synced: false, files: [], entries: 0, message: `Pull failed: ${err.message}` };
   }
 }
 
 /**
- * Push files to server at session end
+ * Push to server at session end: new log events, then derived files
  *
  * @param {string} cwd - Working directory
  * @param {object} config - Full config
- * @returns {object} { pushed: boolean, files: string[], message: string }
+ * @returns {object} { pushed: boolean, files: string[], entries: number, message: string }
  */
 export async function pushIfEnabled(cwd, config) {
   const syncConfig = config.sync || {};
 
   if (!syncConfig.enabled || !syncConfig.serverUrl) {
-    return { pushed: false, files: [], message: 'Sync disabled' };
+    return { pushed: false, files: [], entries: 0, message: 'Sync disabled' };
   }
 
-  const client = new SyncClient(config, cwd);
+  let client;
+  try {
+    client = new SyncClient(config, cwd);
+  } catch (err) {
+    console.error(`[mneme-sync] ${err.message}, changes saved locally only`);
+    logError(err, 'sync-push');
+    return { pushed: false, files: [], entries: 0, message: 'Encryption key unavailable' };
+  }
 
   // Check server health
   const health = await client.checkHealth();
   if (!health.ok) {
-    console.error(`[mneme-sync] Server unreachable, changes saved locally only`);
+    const queued = queueFailedPush(cwd, config, 'Server unreachable');
+    console.error(`[mneme-sync] Server unreachable, changes saved locally${queued ? ' and queued for retry' : ' only'}`);
     logError(new Error('Sync server unreachable during push'), 'sync-push');
-    return { pushed: false, files: [], message: 'Server unreachable' };
+    return { pushed: false, queued, files: [], entries: 0, message: 'Server unreachable' };
   }
 
-  // List server files to compare mtimes
-  const serverFiles = await client.listServerFiles();
-  const serverFileMap = new Map();
-  if (serverFiles.success) {
-    for (const f of serverFiles.files) {
-      serverFileMap.set(f.name, f);
-    }
-  }
-
-  // Upload files that are newer locally
-  const pushedFiles = [];
-  const paths = ensureMemoryDirs(cwd);
+  const { pushed: entries, remaining } = await pushLogEvents(client);
+  const { pushed: pushedFiles, failed } = await pushFiles(client, FILES_TO_SYNC, await listServerFileMap(client));
 
-  for (const { name, key } of FILES_TO_SYNC) {
-    const localPath = paths[key];
-    if (!localPath || !existsSync(localPath)) continue;
-
-    const localInfo = getLocalFileInfo(localPath);
-    if (!localInfo) continue;
-
-    const serverFile = serverFileMap.get(name);
-    const serverMtimeMs = serverFile ? new Date(serverFile.mtime).getTime() : 0;
-
-    // Upload if local is newer
-    if (localInfo.mtimeMs > serverMtimeMs) {
-      try {
-        const content = readFileSync(localPath, 'utf-8');
-        const upload = await client.uploadFile(name, content);
-        if (upload.success) {
-          pushedFiles.push(name);
-        } else if (upload.error) {
-          console.error(`[mneme-sync] Failed to upload ${name}: ${upload.error}`);
-        }
-      } catch (err) {
-        console.error(`[mneme-sync] Failed to read ${name}: ${err.message}`);
-      }
-    }
+  if (syncConfig.syncGlobal !== false) {
+    const globalFiles = await pushGlobal(config, cwd);
+    pushedFiles.push(...globalFiles.pushed.map(name => `global/${name}`));
+    failed.push(...globalFiles.failed.map(name => `global/${name}`));
   }
 
-  // Release lock
-  await client.releaseLock();
+  if (entries > 0 || pushedFiles.length > 0) {
+    const parts = [...(entries > 0 ? [logEntriesLabel(entries)] : []), ...pushedFiles];
+    console.error(`[mneme-sync] Pushed to server: ${parts.join(', ')}`);
+  }
 
-  if (pushedFiles.length > 0) {
-    console.error(`[mneme-sync] Pushed to server: ${pushedFiles.join(', ')}`);
+  const unsent = [...(remaining > 0 ? [logEntriesLabel(remaining)] : []), ...failed];
+  let queued = false;
+  if (unsent.length > 0) {
+    queued = queueFailedPush(cwd, config, `Not pushed: ${unsent.join(', ')}`);
+    if (queued) console.error(`[mneme-sync] Queued for retry: ${unsent.join(', ')}`);
+  } else {
+    updateOutbox(outbox => clearPush(outbox, getProjectRoot(cwd)));
   }
 
   return {
     pushed: true,
+    queued,
     files: pushedFiles,
-    message: pushedFiles.length > 0 ? 'Pushed to server' : 'No changes to push'
+    entries,
+    message: entries > 0 || pushedFiles.length > 0 ? 'Pushed to server' : 'No changes to push'
   };
 }
@@ -6,7 +6,7 @@
  * Filters out confirmations and slash commands, captures everything else
  */
 
-import { isSessionDisabled, ensureMemoryDirs, appendLogEntry } from './utils.mjs';
+import { isSessionDisabled, ensureMemoryDirs, appendLogEntry, redactForMemory } from './utils.mjs';
 import { logError } from '../lib/error-log.mjs';
 
 if (process.env.MNEME_DISABLED === '1') process.exit(0);
@@ -65,10 +65,13 @@ async function processPrompt(hookData) {
     return;
   }
 
+  // Redact before truncating, so a secret cut in half is still caught
+  const redacted = redactForMemory(trimmedPrompt);
+
   // Truncate very long prompts to first 500 chars
-  const content = trimmedPrompt.length > 500
-    ? trimmedPrompt.substring(0, 500) + '...'
-    : trimmedPrompt;
+  const content = redacted.length > 500
+    ? redacted.substring(0, 500) + '...'
+    : redacted;
 
   const entry = {
     ts: new Date().toISOString(),
@@ -2,10 +2,10 @@
  * Shared utilities for claude-mneme plugin
  */
 
-import { existsSync, mkdirSync, readFileSync, appendFileSync, writeFileSync, statSync, unlinkSync, renameSync, openSync, closeSync, writeSync, readSync, accessSync, constants as fsConstants } from 'node:fs';
+import { existsSync, mkdirSync, readFileSync, readdirSync, appendFileSync, writeFileSync, statSync, unlinkSync, renameSync, rmSync, openSync, closeSync, writeSync, readSync, accessSync, constants as fsConstants } from 'node:fs';
 import { execFileSync } from 'node:child_process';
 import { homedir } from 'node:os';
-import { join, basename, dirname } from 'node:path';
+import { join, basename, dirname, relative, resolve, isAbsolute } from 'node:path';
 import { fileURLToPath } from 'node:url';
 
 // Re-export entity functions from shared module (used by both hooks and server)
@@ -42,11 +42,19 @@ import {
 } from '../lib/entities.mjs';
 import { getLogFileState, updateLogMetadataAfterAppend } from '../lib/log-metadata.mjs';
 import { logError } from '../lib/error-log.mjs';
+import { writeSummaryVersion } from '../lib/summary-history.mjs';
+import { writeFileAtomic } from '../lib/atomic-write.mjs';
+import { sharedMemoryPath, readSharedMemory, writeSharedMemory, mergeSharedMemory } from '../lib/shared-memory.mjs';
+import { currentBranch, currentWorktree } from '../lib/branch-memory.mjs';
+import { currentWorkspace, projectWorkspaces, workspaceForPath, workspaceEntityIndex } from '../lib/workspaces.mjs';
+import { resolveProjectIdentity } from '../lib/project-identity.mjs';
+import { redactValue } from '../lib/redact.mjs';
 
 export const MEMORY_BASE = join(homedir(), '.claude-mneme');
 export const CONFIG_FILE = join(MEMORY_BASE, 'config.json');
+export const SYNC_OUTBOX_FILE = join(MEMORY_BASE, '.sync-outbox.json');
 
-const DEFAULT_EXCLUDE_PATTERNS = ['.ao-worktrees-'];
+const DEFAULT_EXCLUDE_PATTERNS = [];
 
 /**
  * Check if mneme should skip this session entirely.
@@ -112,51 +120,182 @@ export function getProjectName(cwd = process.cwd()) {
   return basename(getProjectRoot(cwd));
 }
 
+// Identity per project root (a few git calls). Long-lived processes (the
+// daemon) must not keep a stale one: it is re-resolved after IDENTITY_TTL_MS,
+// or as soon as its dir disappears because another process moved the memory.
+const IDENTITY_TTL_MS = 60_000;
+const identityCache = new Map();
+
+/**
+ * Get the stable identity of the project at cwd (see lib/project-identity.mjs):
+ * the same memory for every clone, worktree and location of a repository.
+ * @returns {{ id: string, source: string, dirName: string, previousDirNames: string[], root: string }}
+ */
+export function getProjectIdentity(cwd = process.cwd(), projectRoot = getProjectRoot(cwd)) {
+  const cached = identityCache.get(projectRoot);
+  if (cached && Date.now() - cached.resolvedAt < IDENTITY_TTL_MS) {
+    // A dir that is not created yet is fine; one that existed and is gone was moved
+    const dirExists = existsSync(join(MEMORY_BASE, 'projects', cached.identity.dirName));
+    if (dirExists || !cached.dirSeen) {
+      cached.dirSeen = dirExists;
+      return cached.identity;
+    }
+  }
+  const identity = { ...resolveProjectIdentity(projectRoot), root: projectRoot };
+  identityCache.set(projectRoot, {
+    identity,
+    resolvedAt: Date.now(),
+    dirSeen: existsSync(join(MEMORY_BASE, 'projects', identity.dirName))
+  });
+  return identity;
+}
+
+/**
+ * Get the project-specific memory directory, named after the project identity.
+ * Doesn't create or migrate anything — see ensureMemoryDirs().
+ */
+export function getProjectMemoryDir(cwd = process.cwd(), projectRoot = getProjectRoot(cwd)) {
+  return join(MEMORY_BASE, 'projects', getProjectIdentity(cwd, projectRoot).dirName);
+}
+
+// Rebuilt or rewritten on use — an old dir's copy is not worth keeping
+const REBUILT_MEMORY_FILES = new Set(['log.meta.json', '.cache.json', '.project-root']);
+
 /**
- * Get the project-specific memory directory.
- * Uses full absolute path as dirname to avoid collisions between
- * projects with the same basename (e.g. ~/work/api vs ~/personal/api).
- * Convention: /home/foo/bar → -home-foo-bar (matches Claude Code's own auto-memory).
+ * Merge an old memory dir into the identity dir: files the identity dir lacks
+ * are moved, logs (*.jsonl) are appended, and anything else that exists in
+ * both is left in the old dir rather than dropped. A partial merge is
+ * reported in the error log; what is left is listed by /status (see
+ * unmergedMemoryDirs()).
  */
-function getProjectMemoryDir(cwd = process.cwd()) {
+function mergeMemoryDir(oldDir, projectDir) {
+  const leftovers = [];
+  let merged = 0;
+  for (const name of readdirSync(oldDir)) {
+    const from = join(oldDir, name);
+    const to = join(projectDir, name);
+    try {
+      if (!existsSync(to)) {
+        renameSync(from, to);
+        merged++;
+      } else if (REBUILT_MEMORY_FILES.has(name)) {
+        unlinkSync(from);
+      } else if (name.endsWith('.jsonl') && statSync(from).isFile()) {
+        const content = readFileSync(from, 'utf-8');
+        if (content) {
+          const separator = statSync(to).size > 0 && !readFileSync(to, 'utf-8').endsWith('\n') ? '\n' : '';
+          appendFileSync(to, separator + content + (content.endsWith('\n') ? '' : '\n'));
+        }
+        unlinkSync(from);
+        merged++;
+      } else {
+        leftovers.push(name);
+      }
+    } catch (e) {
+      logError(e, 'ensureMemoryDirs:merge');
+      leftovers.push(name);
+    }
+  }
+  if (leftovers.length === 0) {
+    rmSync(oldDir, { recursive: true, force: true });
+  } else if (merged > 0) {
+    // Only when something moved: dirs left as they were are retried on every call
+    logError(new Error(`Not merged into ${projectDir}: ${leftovers.join(', ')}`), `ensureMemoryDirs:${oldDir}`);
+  }
+}
+
+// Existing memory dirs of the project's less specific identities
+function previousMemoryDirs(cwd, projectRoot, projectDir) {
+  return getProjectIdentity(cwd, projectRoot).previousDirNames
+    .map(name => join(MEMORY_BASE, 'projects', name))
+    .filter(dir => dir !== projectDir && existsSync(dir));
+}
+
+/**
+ * Old memory dirs of this project that ensureMemoryDirs() could not merge
+ * completely: they hold files that also exist in the identity dir.
+ * @returns {string[]}
+ */
+export function unmergedMemoryDirs(cwd = process.cwd()) {
   const projectRoot = getProjectRoot(cwd);
-  // Convert absolute path to safe dirname: /home/foo/bar → -home-foo-bar
-  const safeName = projectRoot.replace(/^\//, '-').replace(/\//g, '-');
-  return join(MEMORY_BASE, 'projects', safeName);
+  return previousMemoryDirs(cwd, projectRoot, getProjectMemoryDir(cwd, projectRoot));
 }
 
 /**
  * Ensure memory directories exist and return paths.
- * Migrates old-style (basename-only) dirs to new-style (full-path) dirs.
+ * Moves older memory into the identity-named dir: from less specific
+ * identities (root commit, full path -home-foo-bar) and an old basename-only
+ * dir. While the identity dir doesn't exist yet, the first old dir found is
+ * renamed and the others are merged into it (see mergeMemoryDir()). Once it
+ * exists, dirs of less specific identities that still show up (e.g. another
+ * checkout's full-path dir) are merged into it too; the basename-only dir is
+ * not, since another project may share the name.
+ *
+ * `shared` points at the team layer inside the repository
+ * (<root>/.mneme/shared.json), which is not created here. The project root is
+ * recorded in `.project-root` so tools that only see the memory dir (the
+ * dashboard) can find it.
  */
 export function ensureMemoryDirs(cwd = process.cwd()) {
-  const projectDir = getProjectMemoryDir(cwd);
+  const projectRoot = getProjectRoot(cwd);
+  const projectDir = getProjectMemoryDir(cwd, projectRoot);
 
   if (!existsSync(MEMORY_BASE)) {
     mkdirSync(MEMORY_BASE, { recursive: true });
   }
 
-  // Migrate old-style (basename-only) dir to new-style (full-path) dir
   if (!existsSync(projectDir)) {
-    const oldName = getProjectName(cwd).replace(/[^a-zA-Z0-9_-]/g, '_');
-    const oldDir = join(MEMORY_BASE, 'projects', oldName);
-    if (existsSync(oldDir)) {
-      renameSync(oldDir, projectDir);
+    const oldNames = [
+      ...getProjectIdentity(cwd, projectRoot).previousDirNames,
+      getProjectName(cwd).replace(/[^a-zA-Z0-9_-]/g, '_')
+    ];
+    const oldDirs = [...new Set(oldNames)]
+      .map(name => join(MEMORY_BASE, 'projects', name))
+      .filter(dir => dir !== projectDir && existsSync(dir));
+    if (oldDirs.length > 0) {
+      renameSync(oldDirs[0], projectDir);
+      for (const oldDir of oldDirs.slice(1)) mergeMemoryDir(oldDir, projectDir);
     } else {
       mkdirSync(projectDir, { recursive: true });
     }
+  } else {
+    for (const oldDir of previousMemoryDirs(cwd, projectRoot, projectDir)) mergeMemoryDir(oldDir, projectDir);
+  }
+
+  // Kept current: the same identity can move to another path
+  const projectRootFile = join(projectDir, '.project-root');
+  let recordedRoot = null;
+  try {
+    recordedRoot = readFileSync(projectRootFile, 'utf-8').trim();
+  } catch {}
+  if (recordedRoot !== projectRoot) {
+    try {
+      writeFileSync(projectRootFile, projectRoot + '\n');
+    } catch (e) {
+      logError(e, 'ensureMemoryDirs:project-root');
+    }
   }
 
   return {
     base: MEMORY_BASE,
     project: projectDir,
+    projectRootFile,
+    shared: sharedMemoryPath(projectRoot),
     log: join(projectDir, 'log.jsonl'),
     summary: join(projectDir, 'summary.md'),
     summaryJson: join(projectDir, 'summary.json'),
     remembered: join(projectDir, 'remembered.json'),
     entities: join(projectDir, 'entities.json'),
     cache: join(projectDir, '.cache.json'),
+    embeddings: join(projectDir, '.embeddings.json'),
     lastSession: join(projectDir, '.last-session'),
+    lastInjection: join(projectDir, '.last-injection.json'),
+    syncConflicts: join(projectDir, '.sync-conflicts.json'),
+    syncState: join(projectDir, '.sync-state.json'),
+    bootstrap: join(projectDir, '.bootstrap.json'),
+    testStatus: join(projectDir, '.test-status.json'),
+    errorEpisodes: join(projectDir, '.error-episodes.json'),
+    fixes: join(projectDir, 'fixes.json'),
     handoff: join(projectDir, 'handoff.json'),
     briefing: join(projectDir, 'briefing.json'),
     briefingArchive: join(projectDir, 'briefing-archive'),
@@ -246,10 +385,12 @@ export function readCachedData(cwd = process.cwd(), config = {}) {
         const rememberedMtime = getFileMtime(paths.remembered);
         const logMtime = getFileMtime(paths.log);
         const entitiesMtime = getFileMtime(paths.entities);
+        const sharedMtime = getFileMtime(paths.shared);
 
         const mtimesMatch =
           cache.mtimes?.summary === summaryMtime &&
           cache.mtimes?.remembered === rememberedMtime &&
+          cache.mtimes?.shared === sharedMtime &&
           cache.mtimes?.log === logMtime &&
           cache.mtimes?.entities === entitiesMtime &&
           cache.window?.logEntries === logWindowEntries;
@@ -273,6 +414,7 @@ export function readCachedData(cwd = process.cwd(), config = {}) {
       mtimes: {
         summary: getFileMtime(paths.summaryJson),
         remembered: getFileMtime(paths.remembered),
+        shared: getFileMtime(paths.shared),
         log: getFileMtime(paths.log),
         entities: getFileMtime(paths.entities)
       },
@@ -290,7 +432,8 @@ export function readCachedData(cwd = process.cwd(), config = {}) {
 }
 
 /**
- * Read fresh data from source files (no caching)
+ * Read fresh data from source files (no caching).
+ * The team layer (.mneme/shared.json) is merged into remembered and summary.
  */
 function readFreshData(paths, config = {}) {
   const result = {
@@ -337,7 +480,8 @@ function readFreshData(paths, config = {}) {
     }
   }
 
-  return result;
+  const shared = readSharedMemory(paths.shared, e => logError(e, 'readFreshData:shared.json'));
+  return mergeSharedMemory(result, shared);
 }
 
 export function readRecentJsonlEntries(filePath, maxEntries = 250, chunkSize = 64 * 1024) {
@@ -399,6 +543,182 @@ export function invalidateCache(cwd = process.cwd()) {
   }
 }
 
+/**
+ * Write summary.json, recording a history snapshot with the reason for the
+ * change (see lib/summary-history.mjs) unless summaryHistory is disabled.
+ * @param {{ project: string, summaryJson: string }} paths
+ * @param {object} summary
+ * @param {string} reason - incremental | pre-compact | migration | manual | ...
+ */
+export function writeSummaryJson(paths, summary, reason) {
+  const historyConfig = loadConfig().summaryHistory || {};
+  if (historyConfig.enabled === false) {
+    writeFileAtomic(paths.summaryJson, JSON.stringify(summary, null, 2) + '\n');
+    return;
+  }
+  writeSummaryVersion(paths.project, summary, reason, {
+    summaryPath: paths.summaryJson,
+    maxVersions: historyConfig.maxVersions,
+    onError: (e) => logError(e, `summaryHistory:${reason}`)
+  });
+}
+
+// ============================================================================
+// Remembered Items & Briefings
+// ============================================================================
+
+export const REMEMBERED_TYPES = ['fact', 'project', 'preference', 'note', 'lesson'];
+
+export const GLOBAL_DIR = join(MEMORY_BASE, 'global');
+
+/**
+ * Ensure the per-user global memory dir exists and return its paths.
+ * Global items (e.g. "I use pnpm") are injected into every project.
+ */
+export function ensureGlobalDirs() {
+  if (!existsSync(GLOBAL_DIR)) {
+    mkdirSync(GLOBAL_DIR, { recursive: true });
+  }
+  return {
+    base: MEMORY_BASE,
+    global: GLOBAL_DIR,
+    remembered: join(GLOBAL_DIR, 'remembered.json')
+  };
+}
+
+/**
+ * Resolve where remembered items for a scope live.
+ * The team layer's lock stays in the private memory dir so it never shows
+ * up in the repository.
+ */
+function rememberedStore(cwd, options) {
+  if (options.team) {
+    const paths = ensureMemoryDirs(cwd);
+    const onError = e => logError(e, 'readRememberedEntries:shared.json');
+    return {
+      lockPath: join(paths.project, '.shared.lock'),
+      read: () => readSharedMemory(paths.shared, onError).remembered,
+      write: (entries) => writeSharedMemory(paths.shared, { ...readSharedMemory(paths.shared, onError), remembered: entries }),
+    };
+  }
+
+  const filePath = options.global ? ensureGlobalDirs().remembered : ensureMemoryDirs(cwd).remembered;
+  return {
+    lockPath: filePath + '.lock',
+    read: () => {
+      if (!existsSync(filePath)) return [];
+      try {
+        const entries = JSON.parse(readFileSync(filePath, 'utf-8'));
+        return Array.isArray(entries) ? entries : [];
+      } catch (e) {
+        logError(e, 'readRememberedEntries');
+        return [];
+      }
+    },
+    write: (entries) => writeFileAtomic(filePath, JSON.stringify(entries, null, 2) + '\n'),
+  };
+}
+
+/**
+ * Read remembered items for one scope (returns [] if missing or corrupt)
+ * @param {{ global?: boolean, team?: boolean }} [options] - Read the global layer or the
+ *   team layer (.mneme/shared.json) instead of the project's private remembered.json
+ */
+export function readRememberedEntries(cwd = process.cwd(), options = {}) {
+  return rememberedStore(cwd, options).read();
+}
+
+/**
+ * Append a remembered item (locked read-modify-write).
+ * @param {{ global?: boolean, team?: boolean }} [options]
+ * @returns {{ ts: string, type: string, content: string }|null} The stored entry, or null if the lock was busy
+ */
+export function addRememberedEntry(type, content, cwd = process.cwd(), options = {}) {
+  const store = rememberedStore(cwd, options);
+  const stored = withFileLock(store.lockPath, () => {
+    const entries = store.read();
+    const entry = { ts: new Date().toISOString(), type, content: redactForMemory(content) };
+    entries.push(entry);
+    store.write(entries);
+    return entry;
+  }, 10);
+  if (stored && !options.global) invalidateCache(cwd);
+  return stored || null;
+}
+
+/**
+ * Remove remembered items by index (locked read-modify-write).
+ * Nothing is removed if any index is out of range or the lock is busy.
+ * @param {{ global?: boolean, team?: boolean }} [options]
+ * @returns {{ removed: object[], invalid: number[], busy?: boolean }}
+ */
+export function removeRememberedEntries(indices, cwd = process.cwd(), options = {}) {
+  const store = rememberedStore(cwd, options);
+  const result = withFileLock(store.lockPath, () => {
+    const entries = store.read();
+    const invalid = indices.filter(i => !Number.isInteger(i) || i < 0 || i >= entries.length);
+    if (invalid.length > 0 || entries.length === 0) return { removed: [], invalid };
+
+    const removed = [];
+    for (const idx of [...new Set(indices)].sort((a, b) => b - a)) {
+      removed.unshift(entries[idx]);
+      entries.splice(idx, 1);
+    }
+    store.write(entries);
+    return { removed, invalid: [] };
+  }, 10) || { removed: [], invalid: [], busy: true };
+  if (result.removed.length > 0 && !options.global) invalidateCache(cwd);
+  return result;
+}
+
+/**
+ * Pick the global remembered items to inject alongside a project's own.
+ * Skips items the project already remembers, then keeps the newest items
+ * that fit the section budget. Returned in their original order.
+ *
+ * @param {object[]} globalEntries
+ * @param {object[]} projectEntries
+ * @param {{ maxItems?: number, maxChars?: number }} [budget] - 0 = unlimited
+ * @returns {object[]}
+ */
+export function budgetGlobalRemembered(globalEntries, projectEntries = [], { maxItems = 20, maxChars = 2000 } = {}) {
+  const projectContent = new Set(projectEntries.map(e => (e.content || '').trim().toLowerCase()));
+  const candidates = globalEntries.filter(e => e?.content && !projectContent.has(e.content.trim().toLowerCase()));
+
+  const selected = new Set();
+  let chars = 0;
+  for (const entry of [...candidates].reverse()) {
+    if (maxItems > 0 && selected.size >= maxItems) break;
+    if (maxChars > 0 && chars + entry.content.length > maxChars) continue;
+    selected.add(entry);
+    chars += entry.content.length;
+  }
+  return candidates.filter(e => selected.has(e));
+}
+
+/**
+ * Save a session briefing for the next session (briefing.json).
+ * @param {{ summary: string, keyDecisions?: string[], currentState?: string,
+ *   nextSteps?: string[], blockers?: string[], context?: string }} data
+ * @returns {object} The stored briefing
+ */
+export function writeBriefing(data, cwd = process.cwd()) {
+  if (!data?.summary) throw new Error('"summary" field is required');
+  const paths = ensureMemoryDirs(cwd);
+  const briefing = redactForMemory({
+    ts: new Date().toISOString(),
+    summary: data.summary,
+    ...(data.keyDecisions?.length > 0 && { keyDecisions: data.keyDecisions }),
+    ...(data.currentState && { currentState: data.currentState }),
+    ...(data.nextSteps?.length > 0 && { nextSteps: data.nextSteps }),
+    ...(data.blockers?.length > 0 && { blockers: data.blockers }),
+    ...(data.context && { context: data.context }),
+  });
+  writeFileAtomic(paths.briefing, JSON.stringify(briefing, null, 2) + '\n');
+  invalidateCache(cwd);
+  return briefing;
+}
+
 /**
  * Recursively merge source into target, preserving nested default keys.
  * Arrays and non-plain-object values from source replace target entirely.
@@ -433,6 +753,18 @@ export function loadConfig() {
     keepRecentEntries: 10,
     maxResponseLength: 1000,
     responseSummarization: 'none',
+
+    // Secret and PII redaction before anything is written to memory (lib/redact.mjs)
+    redaction: {
+      enabled: true,
+      placeholder: '[REDACTED:{type}]', // {type} = detector or rule name
+      detectors: {},                    // Built-in detectors are all on; e.g. { email: false } turns one off
+      rules: [],                        // Extra regexes: [{ name, pattern, flags? }]; a (?<secret>...) group limits the replacement
+      entropy: {                        // high-entropy detector
+        minLength: 32,                  // Shortest token considered
+        threshold: 4                    // Bits per character
+      }
+    },
     maxSummarySentences: 6,
     actionWords: [
       'fixed', 'added', 'created', 'updated', 'removed', 'deleted',
@@ -498,7 +830,10 @@ export function loadConfig() {
       },
       typePriorities: {                 // Priority scores by entry type (higher = more important)
         commit: 1.0,
+        fix: 0.95,
         task: 0.9,
+        test: 0.9,
+        build: 0.7,
         agent: 0.8,
         prompt: 0.5,
         response: 0.3,
@@ -515,8 +850,10 @@ export function loadConfig() {
         files: true,                    // Extract file paths
         functions: true,                // Extract function/method names
         errors: true,                   // Extract error messages
-        packages: true                  // Extract package names
+        packages: true,                 // Extract package names
+        symbols: true                   // Classes, functions, methods, types and routes of edited files
       },
+      maxSymbolsPerEdit: 50,            // Symbols recorded per Write/Edit (lib/symbols.mjs)
       // File extension filter - only index files with these extensions
       fileExtensions: ['js', 'ts', 'jsx', 'tsx', 'mjs', 'py', 'rb', 'go', 'rs', 'java', 'cpp', 'c', 'h', 'css', 'scss', 'html', 'vue', 'svelte', 'json', 'yaml', 'yml', 'md', 'sql'],
       // Minimum entity name length to index
@@ -533,7 +870,10 @@ export function loadConfig() {
       timeWindowMinutes: 5,             // Group entries within this time window
       typePriority: {                   // Higher = more signal (kept over lower)
         commit: 100,
+        fix: 95,
+        test: 90,
         task: 80,
+        build: 75,
         agent: 70,
         prompt: 40,
         response: 30,
@@ -553,9 +893,27 @@ export function loadConfig() {
       trackDuration: true               // Track how long tasks took
     },
 
+    // Test and build outcomes parsed from Bash results (lib/test-outcomes.mjs)
+    testCapture: {
+      enabled: true,                    // Log test/build runs whose outcome changed
+      maxFailures: 10                   // Failing tests / errors kept per run
+    },
+
+    // Errors followed until the change that fixed them (lib/error-episodes.mjs)
+    errorEpisodes: {
+      enabled: true,                    // Log resolved errors as fix entries
+      maxFixes: 200                     // Fixes kept in fixes.json (latest per error)
+    },
+
     // Context-aware memory retrieval configuration
     memoryRetrieval: {
       enabled: true,                    // Enable/disable retrieval (false = always use legacy dump)
+      mode: 'lexical',                  // 'lexical' | 'semantic' | 'hybrid'
+      semanticWeight: 0.5,              // Share of semantic similarity in hybrid mode (0-1)
+      embedding: {                      // Embedding backend for semantic/hybrid modes
+        backend: 'hashed-ngram',        // Local hashed word + character n-gram vectors
+        dimensions: 256,
+      },
       minSignalStrength: 0.2,           // Minimum signal strength to activate (0-1, fraction of sources)
       relevanceThreshold: 0.15,         // Minimum score for an item to be included (0-1)
       alwaysIncludeFoundational: true,  // Always include foundational decisions regardless of score
@@ -567,6 +925,33 @@ export function loadConfig() {
       },
     },
 
+    // Branch-aware memory (summary.json "branches" partitions)
+    branchMemory: {
+      enabled: true,                    // Tag log entries with their git branch and summarize per branch
+      mode: 'current',                  // Session start: 'current' (checked-out branch + trunk) | 'all' (every branch)
+      trunkBranches: ['main', 'master', 'develop', 'trunk'],  // Share the top-level summary
+      maxBranches: 10,                  // Branch partitions kept in summary.json (least recently updated dropped)
+      worktrees: true                   // Linked worktrees without a feature branch get their own partition
+    },
+
+    // Monorepo workspaces (package.json workspaces, pnpm-workspace.yaml, lerna.json)
+    workspaceMemory: {
+      enabled: true                     // Tag entries with their workspace package; scope recent work and entities per package
+    },
+
+    // summary.json version history (summary-history/v<N>.json)
+    summaryHistory: {
+      enabled: true,                    // Snapshot every summary write for diff/rollback
+      maxVersions: 20                   // Oldest versions beyond this are pruned
+    },
+
+    // Archive of summarized log entries (archive/YYYY-MM.jsonl.gz)
+    logArchive: {
+      enabled: true,                    // false = summarized entries are discarded
+      retentionMonths: 12,              // Drop month partitions older than this (0 = keep forever)
+      maxTotalMB: 0                     // Drop oldest partitions beyond this size (0 = unlimited)
+    },
+
     // File caching configuration
     caching: {
       enabled: true,                    // Enable/disable file caching
@@ -586,7 +971,21 @@ export function loadConfig() {
       apiKey: null,                     // Optional authentication
       projectId: null,                  // Override auto-detected project name
       timeoutMs: 10000,                 // Request timeout
-      retries: 3                        // Retry count on failure
+      retries: 3,                       // Retry count on failure
+      syncGlobal: true,                 // Also sync ~/.claude-mneme/global/
+      globalProjectId: '_global',       // Server-side id for the global layer
+      outbox: {
+        enabled: true,                  // Queue failed pushes and retry them
+        baseDelayMs: 30000,             // First retry after 30s, then doubling...
+        maxDelayMs: 1800000             // ...up to 30 minutes between attempts
+      },
+      encryption: {
+        enabled: false,                 // Encrypt everything sent to the server
+        keyFile: null,                  // Path to a secret key file, or...
+        passphraseEnv: 'MNEME_SYNC_PASSPHRASE',  // ...env var holding a passphrase
+        previousKeyFiles: [],           // Old keys, decrypt only (key rotation)
+        previousPassphraseEnv: 'MNEME_SYNC_PREVIOUS_PASSPHRASE'
+      }
     },
 
     // Hierarchical context injection configuration
@@ -595,18 +994,24 @@ export function loadConfig() {
       sections: {
         // High priority - always inject
         projectContext: { enabled: true, priority: 'high' },
-        keyDecisions: { enabled: true, priority: 'high', maxItems: 10 },
+        keyDecisions: { enabled: true, priority: 'high', maxItems: 10, showSuperseded: false },
         currentState: { enabled: true, priority: 'high', maxItems: 10 },
         remembered: { enabled: true, priority: 'high' },
+        globalRemembered: { enabled: true, priority: 'high', maxItems: 20, maxChars: 2000 },
+        testStatus: { enabled: true, priority: 'high', maxAgeDays: 14 },
         // Medium priority - inject if relevant/recent
         recentWork: { enabled: true, priority: 'medium', maxItems: 5, maxAgeDays: 7 },
         gitChanges: { enabled: true, priority: 'medium' },
+        knownFixes: { enabled: true, priority: 'medium', maxItems: 5, maxAgeDays: 30 },
         activeEntities: { enabled: true, priority: 'medium', maxFiles: 5, maxFunctions: 5 },
         // Low priority - minimal injection
         recentEntries: { enabled: true, priority: 'low', maxItems: 4 }
       },
-      // When context budget is limited, drop low priority first
-      budgetMode: 'adaptive'           // 'adaptive' | 'strict' | 'full'
+      // Total token budget for the injected context (0 = unlimited).
+      // Low priority sections are dropped first, then lines are shortened
+      // and trimmed (see lib/token-budget.mjs)
+      maxTokens: 2000,
+      budgetMode: 'adaptive'           // 'adaptive' | 'strict' (may trim briefing/handoff) | 'full' (measure only)
     }
   };
 
@@ -692,6 +1097,7 @@ export function loadEntityIndex(cwd = process.cwd()) {
 function updateEntityIndex(entry, cwd = process.cwd(), config = {}) {
   const paths = ensureMemoryDirs(cwd);
   _updateEntityIndex(entry, paths.project, config, {
+    workspaces: config.workspaceMemory?.enabled === false ? [] : projectWorkspaces(getProjectRoot(cwd)),
     logErrorFn: logError,
     withFileLockFn: withFileLock
   });
@@ -835,7 +1241,8 @@ function sanitizeRecentContext(text) {
 }
 
 export function getRelevantEntities(cwd = process.cwd(), recentFiles = []) {
-  const index = loadEntityIndex(cwd);
+  // Inside a monorepo package: that package's entities and repo-level ones
+  const index = workspaceEntityIndex(loadEntityIndex(cwd), getCurrentWorkspace(cwd));
   const result = { files: [], functions: [], errors: [], packages: [], clusters: [] };
   const now = Date.now();
   const DAY = 86400000;
@@ -986,7 +1393,10 @@ export function deduplicateEntries(entries, config = {}) {
   const timeWindowMs = (dedupConfig.timeWindowMinutes || 5) * 60 * 1000;
   const typePriority = dedupConfig.typePriority || {
     commit: 100,
+    fix: 95,
+    test: 90,
     task: 80,
+    build: 75,
     agent: 70,
     prompt: 40,
     response: 30,
@@ -1149,7 +1559,10 @@ export function scoreEntriesByRelevance(entries, cwd, config) {
   const weights = rsConfig.weights || { recency: 0.4, fileRelevance: 0.35, typePriority: 0.25 };
   const typePriorities = rsConfig.typePriorities || {
     commit: 1.0,
+    fix: 0.95,
     task: 0.9,
+    test: 0.9,
+    build: 0.7,
     agent: 0.8,
     prompt: 0.5,
     response: 0.3,
@@ -1215,12 +1628,49 @@ export function scoreEntriesByRelevance(entries, cwd, config) {
   return scored.map(s => s.entry);
 }
 
+/**
+ * Extract commit message from a git commit command (post-tool-use hook,
+ * transcript import)
+ */
+export function extractCommitMessage(command) {
+  if (!command || typeof command !== 'string') {
+    return null;
+  }
+
+  // HEREDOC pattern first — must check before simple -m (which would match the shell wrapper)
+  let match = command.match(/<<['"]?EOF['"]?\s*\n\s*([^\n]+)/);
+  if (match) {
+    return match[1].trim();
+  }
+
+  // Simple -m flag patterns (also handles combined flags like -am)
+  match = command.match(/git\s+commit\s+[^"']*-[a-z]*m\s*["']([^"']+)["']/);
+  if (match) {
+    return match[1].trim();
+  }
+
+  // --message= pattern
+  match = command.match(/git\s+commit\s+[^"']*--message=["']([^"']+)["']/);
+  if (match) {
+    return match[1].trim();
+  }
+
+  // Fallback: try to find any quoted string after commit
+  match = command.match(/git\s+commit.*["']([^"']{10,})["']/);
+  if (match) {
+    return match[1].trim();
+  }
+
+  return null;
+}
+
 /**
  * Append a log entry via the Mneme server (batched, deduplicated).
  * Also extracts and indexes entities from the entry.
  */
 export async function appendLogEntry(entry, cwd = process.cwd()) {
   const project = getProjectRoot(cwd);
+  entry = redactForMemory(withLocation(entry, cwd));
 
   // Server-first: server handles entity extraction, cache invalidation, summarization
   try {
@@ -1246,6 +1696,7 @@ export async function appendLogEntry(entry, cwd = process.cwd()) {
  */
 export async function trackEntityOnly(entry, cwd = process.cwd()) {
   const project = getProjectRoot(cwd);
+  entry = redactForMemory(withLocation(entry, cwd));
 
   try {
     const { getClient } = await import('../client/mneme-client.mjs');
@@ -1262,11 +1713,78 @@ export async function trackEntityOnly(entry, cwd = process.cwd()) {
   invalidateCache(cwd);
 }
 
+/**
+ * Monorepo workspace package cwd is in (lib/workspaces.mjs), or null.
+ */
+export function getCurrentWorkspace(cwd = process.cwd(), config = loadConfig()) {
+  if (config.workspaceMemory?.enabled === false) return null;
+  return currentWorkspace(cwd, checkoutRoot(cwd));
+}
+
+/**
+ * Monorepo workspace package a file is in: an edit belongs to the package of
+ * the file it changed, wherever the session runs. Falls back to cwd's
+ * package for files outside a package.
+ */
+export function getFileWorkspace(filePath, cwd = process.cwd(), config = loadConfig()) {
+  if (config.workspaceMemory?.enabled === false) return null;
+  const root = checkoutRoot(cwd);
+  const rel = relative(root, resolve(cwd, filePath));
+  const inCheckout = rel && !rel.startsWith('..') && !isAbsolute(rel);
+  return (inCheckout && workspaceForPath(projectWorkspaces(root), rel)) || currentWorkspace(cwd, root);
+}
+
+// The checkout cwd is in (a linked worktree's own), not the main repository
+function checkoutRoot(cwd) {
+  try {
+    return execFileSync('git', ['rev-parse', '--show-toplevel'], {
+      encoding: 'utf8', cwd, stdio: ['ignore', 'pipe', 'ignore']
+    }).trim();
+  } catch {
+    return cwd;
+  }
+}
+
+/**
+ * Where an entry is captured: git branch and linked worktree, so
+ * summarization can keep their work in its own partition
+ * (lib/branch-memory.mjs), and monorepo workspace package.
+ * @returns {{ branch?: string, worktree?: string, workspace?: string }}
+ */
+export function entryLocation(cwd = process.cwd(), config = loadConfig()) {
+  const location = {};
+  const bm = config.branchMemory || {};
+  if (bm.enabled !== false) {
+    const branch = currentBranch(cwd);
+    if (branch) location.branch = branch;
+    const worktree = bm.worktrees !== false ? currentWorktree(cwd) : '';
+    if (worktree) location.worktree = worktree;
+  }
+  const workspace = getCurrentWorkspace(cwd, config);
+  if (workspace) location.workspace = workspace;
+  return location;
+}
+
+/**
+ * Redact secrets and PII from a string, entry or object (lib/redact.mjs)
+ * per the redaction config. Applied before anything is written to memory.
+ */
+export function redactForMemory(value, config = loadConfig()) {
+  return redactValue(value, config.redaction || {});
+}
+
+// An entry's own location wins: edits bring the workspace of their file
+function withLocation(entry, cwd) {
+  if (entry.branch !== undefined || entry.worktree !== undefined) return entry;
+  return { ...entryLocation(cwd), ...entry };
+}
+
 /**
  * Append entry to pending log (atomic append, no locking).
  * Used as fallback when Plugin Service is unavailable.
  */
 export function appendToPendingLog(entry, cwd = process.cwd()) {
+  entry = redactForMemory(withLocation(entry, cwd));
   const paths = ensureMemoryDirs(cwd);
   const pendingPath = paths.log.replace('.jsonl', '.pending.jsonl');
   try {
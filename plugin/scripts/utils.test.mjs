@@ -9,9 +9,9 @@ import assert from 'node:assert/strict';
 
 // Import the functions under test — some are not exported, so we test
 // the exported wrappers that exercise them.
-import { mkdirSync, writeFileSync, readFileSync, existsSync, mkdtempSync, rmSync, appendFileSync } from 'fs';
+import { mkdirSync, writeFileSync, readFileSync, readdirSync, existsSync, mkdtempSync, rmSync, renameSync, appendFileSync } from 'fs';
 import { execFileSync } from 'child_process';
-import { join } from 'path';
+import { join, basename } from 'path';
 import { tmpdir } from 'os';
 import { before, after } from 'node:test';
 
@@ -30,9 +30,13 @@ import {
   loadConfig,
   flushPendingLog,
   ensureMemoryDirs,
+  unmergedMemoryDirs,
   readCachedData,
   getProjectRoot,
   getProjectName,
+  getProjectIdentity,
+  getProjectMemoryDir,
+  getFileWorkspace,
   MEMORY_BASE,
   calculateRecencyScore,
   calculateFileRelevanceScore,
@@ -47,6 +51,12 @@ import {
   isValidPackageName,
   stripMarkdown,
   formatDecisionLine,
+  readRememberedEntries,
+  addRememberedEntry,
+  removeRememberedEntries,
+  writeBriefing,
+  budgetGlobalRemembered,
+  appendToPendingLog,
 } from './utils.mjs';
 
 import { truncateContext } from '../lib/entities.mjs';
@@ -561,6 +571,118 @@ describe('flushPendingLog', () => {
   });
 });
 
+describe('appendToPendingLog branch tagging', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'mneme-branch-log-'));
+    execFileSync('git', ['init', '-b', 'feature/tagging'], { cwd: tmpDir, stdio: 'ignore' });
+  });
+
+  after(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+    const projectDir = join(MEMORY_BASE, 'projects', tmpDir.replace(/^\//, '-').replace(/\//g, '-'));
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('records the checked-out branch unless the entry already has one', () => {
+    const paths = ensureMemoryDirs(tmpDir);
+    const pendingPath = paths.log.replace('.jsonl', '.pending.jsonl');
+    appendToPendingLog({ ts: new Date().toISOString(), type: 'test', content: 'tagged' }, tmpDir);
+    appendToPendingLog({ ts: new Date().toISOString(), type: 'test', content: 'kept', branch: 'other' }, tmpDir);
+
+    const entries = readFileSync(pendingPath, 'utf-8').trim().split('\n').map(l => JSON.parse(l));
+    assert.deepEqual(entries.map(e => e.branch), ['feature/tagging', 'other']);
+  });
+});
+
+describe('remembered entries and briefings', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = mkdtempSync(join(tmpdir(), 'mneme-remembered-'));
+  });
+
+  after(() => {
+    rmSync(tmpDir, { recursive: true, force: true });
+    const projectDir = join(MEMORY_BASE, 'projects', tmpDir.replace(/^\//, '-').replace(/\//g, '-'));
+    rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('adds and removes remembered items under the lock', () => {
+    assert.deepEqual(readRememberedEntries(tmpDir), []);
+    assert.equal(addRememberedEntry('fact', 'first', tmpDir).content, 'first');
+    addRememberedEntry('note', 'second', tmpDir);
+    addRememberedEntry('note', 'third', tmpDir);
+
+    const { removed, invalid } = removeRememberedEntries([2, 0], tmpDir);
+    assert.deepEqual(invalid, []);
+    assert.deepEqual(removed.map(e => e.content), ['first', 'third']);
+    assert.deepEqual(readRememberedEntries(tmpDir).map(e => e.content), ['second']);
+  });
+
+  it('removes nothing when an index is out of range', () => {
+    const { removed, invalid } = removeRememberedEntries([0, 5], tmpDir);
+    assert.deepEqual(removed, []);
+    assert.deepEqual(invalid, [5]);
+    assert.equal(readRememberedEntries(tmpDir).length, 1);
+  });
+
+  it('keeps team items in .mneme/shared.json and merges them on read', () => {
+    assert.ok(addRememberedEntry('fact', 'Deploys go through staging', tmpDir, { team: true }));
+    const paths = ensureMemoryDirs(tmpDir);
+    assert.equal(paths.shared, join(tmpDir, '.mneme', 'shared.json'));
+    assert.equal(readFileSync(paths.projectRootFile, 'utf-8').trim(), tmpDir);
+
+    const shared = JSON.parse(readFileSync(paths.shared, 'utf-8'));
+    assert.deepEqual(shared.remembered.map(e => e.content), ['Deploys go through staging']);
+    assert.deepEqual(shared.keyDecisions, []);
+    assert.ok(!readRememberedEntries(tmpDir).some(e => e.content === 'Deploys go through staging'));
+
+    const data = readCachedData(tmpDir, { caching: { enabled: false } });
+    assert.deepEqual(data.remembered.map(e => [e.content, e.scope]), [
+      ['Deploys go through staging', 'team'],
+      ['second', undefined],
+    ]);
+
+    const { removed } = removeRememberedEntries([0], tmpDir, { team: true });
+    assert.equal(removed[0].content, 'Deploys go through staging');
+    assert.deepEqual(readRememberedEntries(tmpDir, { team: true }), []);
+  });
+
+  it('writes briefings and requires a summary', () => {
+    const briefing = writeBriefing({ summary: 'Done', nextSteps: [], blockers: ['CI red'] }, tmpDir);
+    assert.equal(briefing.summary, 'Done');
+    assert.equal(briefing.nextSteps, undefined);
+    assert.deepEqual(JSON.parse(readFileSync(ensureMemoryDirs(tmpDir).briefing, 'utf-8')).blockers, ['CI red']);
+    assert.throws(() => writeBriefing({}, tmpDir), /summary/);
+  });
+});
+
+describe('budgetGlobalRemembered', () => {
+  const entry = (content) => ({ type: 'preference', content });
+
+  it('skips items the project already remembers', () => {
+    const result = budgetGlobalRemembered(
+      [entry('I use pnpm'), entry('Prefer tabs')],
+      [entry('i use PNPM ')]
+    );
+    assert.deepEqual(result.map(e => e.content), ['Prefer tabs']);
+  });
+
+  it('keeps the newest items within the budget, in original order', () => {
+    const global = [entry('a'.repeat(50)), entry('b'.repeat(50)), entry('c'.repeat(50)), entry('d')];
+    assert.deepEqual(
+      budgetGlobalRemembered(global, [], { maxItems: 2, maxChars: 0 }).map(e => e.content[0]),
+      ['c', 'd']
+    );
+    assert.deepEqual(
+      budgetGlobalRemembered(global, [], { maxItems: 0, maxChars: 101 }).map(e => e.content[0]),
+      ['b', 'c', 'd']
+    );
+  });
+});
+
 describe('readCachedData log windowing', () => {
   it('loads only the recent log window for large logs', () => {
     const tmpDir = mkdtempSync(join(tmpdir(), 'mneme-read-cache-'));
@@ -1570,19 +1692,161 @@ describe('getProjectName', () => {
 });
 
 // ============================================================================
-// getProjectMemoryDir (full-path-based naming + migration)
+// getProjectMemoryDir (identity/full-path-based naming + migration)
 // ============================================================================
 
+function gitRepo(prefix, { commit = false } = {}) {
+  const dir = mkdtempSync(join(tmpdir(), prefix));
+  const git = (...args) => execFileSync('git', args, { cwd: dir, stdio: 'ignore' });
+  git('init');
+  if (commit) {
+    git('-c', 'user.email=test@test.com', '-c', 'user.name=Test', 'commit', '--allow-empty', '-m', 'init');
+  }
+  return dir;
+}
+
 describe('ensureMemoryDirs (full-path naming + migration)', () => {
-  it('creates dir with full-path-based name', () => {
+  it('names the dir after the project identity', () => {
     const paths = ensureMemoryDirs();
-    // Should contain the full path sanitized, not just basename
-    assert.ok(paths.project.includes('-home-') || paths.project.includes('-Users-'),
-      `Expected full-path dir name, got ${paths.project}`);
+    assert.equal(basename(paths.project), getProjectIdentity().dirName);
     assert.ok(!paths.project.endsWith('/projects/claude-mneme'),
       `Should NOT be old-style basename-only dir: ${paths.project}`);
   });
 
+  it('moves the full-path dir to the identity dir', () => {
+    const tmp = gitRepo('mneme-identity-');
+    execFileSync('git', ['remote', 'add', 'origin', `git@github.com:acme/${basename(tmp)}.git`], { cwd: tmp });
+    const pathDir = join(MEMORY_BASE, 'projects', tmp.replace(/^\//, '-').replace(/\//g, '-'));
+    const identityDir = join(MEMORY_BASE, 'projects', getProjectIdentity(tmp).dirName);
+
+    try {
+      mkdirSync(pathDir, { recursive: true });
+      writeFileSync(join(pathDir, 'marker.txt'), 'migrated');
+
+      const paths = ensureMemoryDirs(tmp);
+
+      assert.equal(paths.project, identityDir);
+      assert.ok(basename(identityDir).startsWith('github.com-acme-'));
+      assert.ok(!existsSync(pathDir), 'Full-path dir should be gone after migration');
+      assert.equal(readFileSync(join(identityDir, 'marker.txt'), 'utf-8'), 'migrated');
+      assert.equal(readFileSync(paths.projectRootFile, 'utf-8').trim(), tmp);
+    } finally {
+      rmSync(pathDir, { recursive: true, force: true });
+      rmSync(identityDir, { recursive: true, force: true });
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('keeps memory from before a remote was added', () => {
+    const tmp = gitRepo('mneme-identity-', { commit: true });
+    const rootCommit = execFileSync('git', ['rev-list', '--max-parents=0', 'HEAD'], { cwd: tmp, encoding: 'utf8' }).trim();
+    const commitDir = join(MEMORY_BASE, 'projects', `git-${rootCommit.slice(0, 12)}`);
+    execFileSync('git', ['remote', 'add', 'origin', `https://github.com/acme/${basename(tmp)}`], { cwd: tmp });
+    const identityDir = join(MEMORY_BASE, 'projects', getProjectIdentity(tmp).dirName);
+
+    try {
+      mkdirSync(commitDir, { recursive: true });
+      writeFileSync(join(commitDir, 'marker.txt'), 'kept');
+
+      ensureMemoryDirs(tmp);
+
+      assert.ok(!existsSync(commitDir), 'Root-commit dir should be gone after migration');
+      assert.equal(readFileSync(join(identityDir, 'marker.txt'), 'utf-8'), 'kept');
+    } finally {
+      rmSync(commitDir, { recursive: true, force: true });
+      rmSync(identityDir, { recursive: true, force: true });
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('merges every old dir into the identity dir', () => {
+    const tmp = gitRepo('mneme-identity-', { commit: true });
+    const rootCommit = execFileSync('git', ['rev-list', '--max-parents=0', 'HEAD'], { cwd: tmp, encoding: 'utf8' }).trim();
+    const commitDir = join(MEMORY_BASE, 'projects', `git-${rootCommit.slice(0, 12)}`);
+    const pathDir = join(MEMORY_BASE, 'projects', tmp.replace(/^\//, '-').replace(/\//g, '-'));
+    execFileSync('git', ['remote', 'add', 'origin', `https://github.com/acme/${basename(tmp)}`], { cwd: tmp });
+    const identityDir = join(MEMORY_BASE, 'projects', getProjectIdentity(tmp).dirName);
+
+    try {
+      mkdirSync(commitDir, { recursive: true });
+      writeFileSync(join(commitDir, 'log.jsonl'), '{"content":"from commit dir"}\n');
+      writeFileSync(join(commitDir, 'log.meta.json'), '{}');
+      writeFileSync(join(commitDir, 'summary.json'), '"commit"');
+      mkdirSync(pathDir, { recursive: true });
+      writeFileSync(join(pathDir, 'log.jsonl'), '{"content":"from path dir"}');
+      writeFileSync(join(pathDir, 'log.meta.json'), '{}');
+      writeFileSync(join(pathDir, 'remembered.json'), '[]');
+      writeFileSync(join(pathDir, 'summary.json'), '"path"');
+
+      ensureMemoryDirs(tmp);
+
+      assert.ok(!existsSync(commitDir), 'Root-commit dir should be gone after migration');
+      assert.deepEqual(
+        readFileSync(join(identityDir, 'log.jsonl'), 'utf-8').trim().split('\n').map(l => JSON.parse(l).content),
+        ['from commit dir', 'from path dir']
+      );
+      assert.equal(readFileSync(join(identityDir, 'remembered.json'), 'utf-8'), '[]');
+      assert.equal(readFileSync(join(identityDir, 'summary.json'), 'utf-8'), '"commit"');
+      // Only what could not be merged stays behind
+      assert.deepEqual(readdirSync(pathDir), ['summary.json']);
+    } finally {
+      rmSync(commitDir, { recursive: true, force: true });
+      rmSync(pathDir, { recursive: true, force: true });
+      rmSync(identityDir, { recursive: true, force: true });
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('merges an old dir that shows up after the identity dir exists', () => {
+    const tmp = gitRepo('mneme-identity-', { commit: true });
+    const pathDir = join(MEMORY_BASE, 'projects', tmp.replace(/^\//, '-').replace(/\//g, '-'));
+    const identityDir = ensureMemoryDirs(tmp).project;
+
+    try {
+      writeFileSync(join(identityDir, 'log.jsonl'), '{"content":"from identity dir"}\n');
+      writeFileSync(join(identityDir, 'summary.json'), '"identity"');
+      // e.g. another checkout, still on an older version, writing by path
+      mkdirSync(pathDir, { recursive: true });
+      writeFileSync(join(pathDir, 'log.jsonl'), '{"content":"from path dir"}\n');
+      writeFileSync(join(pathDir, 'summary.json'), '"path"');
+
+      ensureMemoryDirs(tmp);
+
+      assert.deepEqual(
+        readFileSync(join(identityDir, 'log.jsonl'), 'utf-8').trim().split('\n').map(l => JSON.parse(l).content),
+        ['from identity dir', 'from path dir']
+      );
+      assert.equal(readFileSync(join(identityDir, 'summary.json'), 'utf-8'), '"identity"');
+      assert.deepEqual(unmergedMemoryDirs(tmp), [pathDir]);
+
+      rmSync(join(pathDir, 'summary.json'));
+      ensureMemoryDirs(tmp);
+      assert.ok(!existsSync(pathDir));
+      assert.deepEqual(unmergedMemoryDirs(tmp), []);
+    } finally {
+      rmSync(pathDir, { recursive: true, force: true });
+      rmSync(identityDir, { recursive: true, force: true });
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
+  it('follows memory another process moved to a new identity', () => {
+    const tmp = gitRepo('mneme-identity-', { commit: true });
+    const commitDir = ensureMemoryDirs(tmp).project;
+    execFileSync('git', ['remote', 'add', 'origin', `https://github.com/acme/${basename(tmp)}`], { cwd: tmp });
+    const identityDir = join(MEMORY_BASE, 'projects', `github.com-acme-${basename(tmp).toLowerCase()}`);
+
+    try {
+      assert.equal(getProjectMemoryDir(tmp), commitDir, 'Identity is cached while its dir exists');
+      renameSync(commitDir, identityDir);
+      assert.equal(getProjectMemoryDir(tmp), identityDir);
+    } finally {
+      rmSync(commitDir, { recursive: true, force: true });
+      rmSync(identityDir, { recursive: true, force: true });
+      rmSync(tmp, { recursive: true, force: true });
+    }
+  });
+
   it('migrates old-style dir to new-style dir', () => {
     // Create a temp directory to simulate a project root
     const tmp = mkdtempSync(join(tmpdir(), 'mneme-migrate-'));
@@ -1650,6 +1914,46 @@ describe('ensureMemoryDirs (full-path naming + migration)', () => {
   });
 });
 
+// ============================================================================
+// getFileWorkspace — the monorepo package an edited file is in
+// ============================================================================
+
+describe('getFileWorkspace', () => {
+  let root;
+
+  before(() => {
+    root = gitRepo('mneme-file-workspace-');
+    writeFileSync(join(root, 'package.json'), JSON.stringify({ workspaces: ['packages/*'] }));
+    for (const name of ['api', 'web']) {
+      mkdirSync(join(root, 'packages', name, 'src'), { recursive: true });
+      writeFileSync(join(root, 'packages', name, 'package.json'), JSON.stringify({ name }));
+    }
+  });
+
+  after(() => {
+    rmSync(root, { recursive: true, force: true });
+  });
+
+  it('tags a file with its own package, not the session\'s', () => {
+    const cwd = join(root, 'packages', 'web');
+    assert.equal(getFileWorkspace(join(root, 'packages/api/src/routes.js'), cwd), 'api');
+    assert.equal(getFileWorkspace('src/app.css', cwd), 'web');
+    assert.equal(getFileWorkspace(join(root, 'packages/api/src/routes.js'), root), 'api');
+  });
+
+  it('falls back to the session\'s package outside any package', () => {
+    const cwd = join(root, 'packages', 'web');
+    assert.equal(getFileWorkspace(join(root, 'README.md'), cwd), 'web');
+    assert.equal(getFileWorkspace('/etc/hosts', cwd), 'web');
+    assert.equal(getFileWorkspace(join(root, 'README.md'), root), null);
+  });
+
+  it('is off with workspace memory disabled', () => {
+    const file = join(root, 'packages/api/src/routes.js');
+    assert.equal(getFileWorkspace(file, root, { workspaceMemory: { enabled: false } }), null);
+  });
+});
+
 // ============================================================================
 // truncateContext — smart boundary truncation
 // ============================================================================
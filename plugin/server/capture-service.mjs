@@ -11,7 +11,7 @@
 import { statSync, readFileSync, writeFileSync, existsSync } from 'node:fs';
 import { join } from 'node:path';
 import { stripMarkdown, extractiveSummarize } from '../lib/text.mjs';
-import { loadConfig } from '../scripts/utils.mjs';
+import { loadConfig, entryLocation, redactForMemory } from '../scripts/utils.mjs';
 
 const STABILITY_POLL_MS = 200;
 const STABILITY_TIMEOUT_MS = 8000;
@@ -134,7 +134,8 @@ export class CaptureService {
     const entry = {
       ts: new Date().toISOString(),
       type: 'response',
-      content: processed
+      content: processed,
+      ...entryLocation(hookData.cwd || project, userConfig)
     };
     this.logService.append(project, entry);
     this.stats.processed++;
@@ -268,10 +269,10 @@ export class CaptureService {
   // --- Response processing ---
 
   /**
-   * Strip markdown, optionally summarize, cap length
+   * Strip markdown, redact secrets, optionally summarize, cap length
    */
   _processResponseText(text, config) {
-    let processed = stripMarkdown(text);
+    let processed = redactForMemory(stripMarkdown(text), config);
 
     const mode = config.responseSummarization || 'none';
     if (mode === 'extractive') {
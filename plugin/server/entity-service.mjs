@@ -7,6 +7,7 @@
  */
 
 import { updateEntityIndexBatch } from '../lib/entities.mjs';
+import { projectWorkspaces } from '../lib/workspaces.mjs';
 
 function createTimingStats() {
   return { count: 0, totalMs: 0, maxMs: 0 };
@@ -49,6 +50,8 @@ export class EntityService {
 
     try {
       const result = updateEntityIndexBatch(entries, projectDir, this.config, {
+        // File entities are project-relative: count them for their own workspace
+        workspaces: this.config.workspaceMemory?.enabled === false ? [] : projectWorkspaces(project),
         logErrorFn: (err, ctx) => this.logger.error('entity-update-error', {
           project, context: ctx, error: err.message
         })
@@ -7,10 +7,10 @@
 
 import { existsSync, appendFileSync, mkdirSync } from 'fs';
 import { join } from 'path';
-import { homedir } from 'os';
 import { BatchQueue } from './batch-queue.mjs';
 import { Deduplicator } from './deduplicator.mjs';
 import { getLogFileState, updateLogMetadataAfterAppend } from '../lib/log-metadata.mjs';
+import { getProjectMemoryDir, redactForMemory } from '../scripts/utils.mjs';
 
 function createTimingStats() {
   return { count: 0, totalMs: 0, maxMs: 0 };
@@ -23,9 +23,12 @@ function recordTiming(stats, durationMs) {
 }
 
 export class LogService {
-  constructor(config, logger, { onEntriesWritten } = {}) {
+  constructor(config, logger, { getProjectDir, onEntriesWritten, redact } = {}) {
     this.config = config;
     this.logger = logger;
+    this.getProjectDir = getProjectDir || ((project) => getProjectMemoryDir(project, project));
+    // Secrets are redacted here too: clients, hooks and capture all write through append()
+    this.redact = redact || ((entry) => redactForMemory(entry));
     this.onEntriesWritten = onEntriesWritten || null;
     this.deduplicator = new Deduplicator({ windowMs: 5000 });
     this.stats = {
@@ -53,6 +56,7 @@ export class LogService {
    */
   append(project, entry) {
     this.stats.entriesReceived++;
+    entry = this.redact(entry);
 
     // Deduplicate
     if (this.deduplicator.isDuplicate(project, entry)) {
@@ -122,7 +126,7 @@ export class LogService {
    * Write entries to project log file
    */
   writeToLog(project, entries) {
-    const projectDir = this.getProjectMemoryDir(project);
+    const projectDir = this.getProjectDir(project);
     const logFile = join(projectDir, 'log.jsonl');
 
     // Ensure directory exists
@@ -153,16 +157,6 @@ export class LogService {
     }
   }
 
-  /**
-   * Get project memory directory path
-   */
-  getProjectMemoryDir(project) {
-    // Convert absolute path to safe dirname: /home/foo/bar → -home-foo-bar
-    const safeName = project.replace(/^\//, '-').replace(/\//g, '-');
-    const memoryBase = homedir() + '/.claude-mneme';
-    return join(memoryBase, 'projects', safeName);
-  }
-
   /**
    * Get queue depth
    */
@@ -3,7 +3,8 @@
  * Mneme Server
  *
  * Centralized daemon for managing Claude Mneme operations across multiple sessions.
- * Handles log batching, summarization throttling, entity extraction, and caching.
+ * Handles log batching, summarization throttling, entity extraction, caching,
+ * and retrying queued sync pushes.
  */
 
 import { createServer } from 'node:http';
@@ -15,6 +16,9 @@ import { LogService } from './log-service.mjs';
 import { SummarizationService } from './summarization-service.mjs';
 import { EntityService } from './entity-service.mjs';
 import { CaptureService } from './capture-service.mjs';
+import { SyncOutboxService } from './sync-outbox-service.mjs';
+import { updateSearchIndex } from '../lib/search-index.mjs';
+import { getProjectMemoryDir, redactForMemory } from '../scripts/utils.mjs';
 
 const MEMORY_BASE = join(homedir(), '.claude-mneme');
 const PID_FILE = join(MEMORY_BASE, '.server.pid');
@@ -34,6 +38,12 @@ const DEFAULT_CONFIG = {
   },
   summarization: {
     entryThreshold: 50
+  },
+  syncOutbox: {
+    checkIntervalMs: 60 * 1000
+  },
+  searchIndex: {
+    debounceMs: 5000
   }
 };
 
@@ -76,6 +86,7 @@ class MnemeServer {
     this.port = null;
     this.lastActivity = Date.now();
     this.inactivityTimer = null;
+    this.searchIndexTimers = new Map(); // project → pending update
     this.stats = {
       requestsHandled: 0,
       errorsTotal: 0,
@@ -94,9 +105,12 @@ class MnemeServer {
       (project) => this.getProjectMemoryDir(project)
     );
     this.logService = new LogService(this.config, this.logger, {
+      getProjectDir: (project) => this.getProjectMemoryDir(project),
       onEntriesWritten: (project, entries) => {
         // Entity extraction (server is single writer — no lock needed)
         this.entityService.processEntries(project, entries);
+        // Search index catch-up, once a burst of flushes settles
+        this.scheduleSearchIndexUpdate(project);
         // Cache invalidation
         this.invalidateProjectCache(project);
         // Summarization check (fire-and-forget)
@@ -110,14 +124,38 @@ class MnemeServer {
       (project) => this.getProjectMemoryDir(project),
       this.logService
     );
+
+    this.syncOutboxService = new SyncOutboxService(this.config, this.logger);
   }
 
   /**
-   * Get project memory directory path
+   * Get project memory directory path (`project` is the project root the
+   * client sends; the dir is named after its identity)
    */
   getProjectMemoryDir(project) {
-    const safeName = project.replace(/^\//, '-').replace(/\//g, '-');
-    return join(MEMORY_BASE, 'projects', safeName);
+    return getProjectMemoryDir(project, project);
+  }
+
+  /**
+   * Update a project's search index debounceMs after its first write, off
+   * the flush path: the update loads the whole index, so flushes in a burst
+   * share one.
+   */
+  scheduleSearchIndexUpdate(project) {
+    if (this.searchIndexTimers.has(project)) return;
+    const timer = setTimeout(() => this.updateProjectSearchIndex(project), this.config.searchIndex?.debounceMs ?? 5000);
+    if (typeof timer.unref === 'function') timer.unref();
+    this.searchIndexTimers.set(project, timer);
+  }
+
+  updateProjectSearchIndex(project) {
+    clearTimeout(this.searchIndexTimers.get(project));
+    this.searchIndexTimers.delete(project);
+    try {
+      updateSearchIndex(this.getProjectMemoryDir(project));
+    } catch (err) {
+      this.logger.error('search-index-update-failed', { project, error: err.message });
+    }
   }
 
   /**
@@ -190,6 +228,9 @@ class MnemeServer {
     // Start inactivity monitor
     this.startInactivityMonitor();
 
+    // Retry sync pushes queued while the sync server was unreachable
+    this.syncOutboxService.start();
+
     this.logger.info('server-started', {
       port: this.port,
       host: this.config.host,
@@ -315,7 +356,8 @@ class MnemeServer {
           throttled: sumStats.throttled
         },
         entity: this.entityService.getStats(),
-        capture: this.captureService.getStats()
+        capture: this.captureService.getStats(),
+        syncOutbox: this.syncOutboxService.getStats()
       },
       timings: {
         logFlushMs: logStats.timings?.flushMs || null,
@@ -342,7 +384,8 @@ class MnemeServer {
       return;
     }
 
-    this.entityService.processEntries(project, [entry]);
+    // Entity contexts quote the entry: redact it like LogService.append does
+    this.entityService.processEntries(project, [redactForMemory(entry)]);
     this.invalidateProjectCache(project);
 
     res.writeHead(200, { 'Content-Type': 'application/json' });
@@ -520,8 +563,12 @@ class MnemeServer {
 
     // Shutdown services (flush pending operations)
     await this.captureService.shutdown();
+    await this.syncOutboxService.shutdown();
     await this.logService.shutdown();
     await this.summarizationService.shutdown();
+    for (const project of [...this.searchIndexTimers.keys()]) {
+      this.updateProjectSearchIndex(project);
+    }
 
     if (this.server) {
       // Stop accepting new connections
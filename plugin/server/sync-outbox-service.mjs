@@ -0,0 +1,76 @@
+/**
+ * SyncOutboxService
+ *
+ * Retries sync pushes that failed at session end (server unreachable, upload
+ * failed). Every checkIntervalMs it pushes the queued projects whose backoff
+ * has elapsed; see lib/sync-outbox.mjs and flushOutbox() in scripts/sync.mjs.
+ * The timer doesn't keep the daemon alive or count as activity.
+ */
+
+import { flushOutbox } from '../scripts/sync.mjs';
+import { loadConfig } from '../scripts/utils.mjs';
+
+const DEFAULT_CHECK_INTERVAL_MS = 60 * 1000;
+
+export class SyncOutboxService {
+  constructor(config, logger, { flush = flushOutbox, loadUserConfig = loadConfig } = {}) {
+    this.config = config;
+    this.logger = logger;
+    this.flush = flush;
+    this.loadUserConfig = loadUserConfig;
+    this.checkIntervalMs = config.syncOutbox?.checkIntervalMs || DEFAULT_CHECK_INTERVAL_MS;
+    this.timer = null;
+    this.running = null;
+    this.stats = {
+      checks: 0,
+      attempted: 0,
+      pushed: 0,
+      errors: 0,
+      lastCheckAt: null
+    };
+  }
+
+  start() {
+    if (this.timer) return;
+    this.timer = setInterval(() => this.check(), this.checkIntervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Push due projects once. Overlapping calls share the run in progress.
+   */
+  check() {
+    if (!this.running) {
+      this.running = this.runCheck().finally(() => { this.running = null; });
+    }
+    return this.running;
+  }
+
+  async runCheck() {
+    this.stats.checks++;
+    this.stats.lastCheckAt = new Date().toISOString();
+    try {
+      const { attempted, pushed } = await this.flush(this.loadUserConfig());
+      this.stats.attempted += attempted;
+      this.stats.pushed += pushed;
+      if (attempted > 0) {
+        this.logger.info('sync-outbox-flushed', { attempted, pushed });
+      }
+    } catch (err) {
+      this.stats.errors++;
+      this.logger.error('sync-outbox-error', { error: err.message });
+    }
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+
+  async shutdown() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (this.running) await this.running;
+  }
+}
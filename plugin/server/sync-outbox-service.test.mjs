@@ -0,0 +1,40 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { SyncOutboxService } from './sync-outbox-service.mjs';
+
+const nullLogger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe('SyncOutboxService', () => {
+  it('flushes with the current user config and tracks results', async () => {
+    const calls = [];
+    const service = new SyncOutboxService({}, nullLogger, {
+      flush: async (config) => { calls.push(config); return { attempted: 2, pushed: 1 }; },
+      loadUserConfig: () => ({ sync: { enabled: true } })
+    });
+
+    await service.check();
+    const stats = service.getStats();
+    assert.deepEqual(calls, [{ sync: { enabled: true } }]);
+    assert.equal(stats.checks, 1);
+    assert.equal(stats.attempted, 2);
+    assert.equal(stats.pushed, 1);
+  });
+
+  it('does not overlap runs and survives flush errors', async () => {
+    let release;
+    let runs = 0;
+    const service = new SyncOutboxService({}, nullLogger, {
+      flush: () => { runs++; return new Promise((_, reject) => { release = () => reject(new Error('boom')); }); },
+      loadUserConfig: () => ({})
+    });
+
+    const first = service.check();
+    const second = service.check();
+    assert.equal(first, second);
+    release();
+    await first;
+    assert.equal(runs, 1);
+    assert.equal(service.getStats().errors, 1);
+    await service.shutdown();
+  });
+});
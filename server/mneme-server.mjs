@@ -6,17 +6,33 @@
  * Uses only built-in Node.js modules (http, fs, path, os, crypto).
  *
  * Features:
- * - Lock-based concurrency (one machine at a time per project)
- * - File storage and retrieval
- * - Optional API key authentication
- * - Heartbeat-based lock extension
+ * - Append-only event stream per project for log entries: each event gets a
+ *   monotonically increasing sequence number, clients fetch since a cursor
+ * - File storage for derived artifacts (summary, remembered, entities), with
+ *   content hashes so clients can three-way merge and reject writes based on
+ *   a stale copy
+ * - Opaque file names and contents from clients that encrypt (the server
+ *   never needs to read what it stores)
+ * - Version history per file (the last historyVersions writes, with who
+ *   wrote them), so a bad push can be rolled back
+ * - Optional authentication: users with scoped tokens and per-project
+ *   read/write grants (users.json), or shared API keys with full access
+ * - Audit log of every write (audit.jsonl, rotated past auditMaxBytes)
+ * - Web admin console at /admin: projects, locks, storage, file versions and
+ *   per-client activity, with force-unlock and project deletion
+ * - Legacy lock endpoints for clients that write files without a base hash
+ *
+ * Usage:
+ *   node mneme-server.mjs                 Start the server
+ *   node mneme-server.mjs admin <command> Manage users and grants (see `admin help`)
  */
 
 import { createServer } from 'http';
-import { existsSync, mkdirSync, readFileSync, writeFileSync, unlinkSync, readdirSync, statSync, openSync, closeSync, writeSync, constants as fsConstants } from 'fs';
+import { existsSync, mkdirSync, readFileSync, writeFileSync, appendFileSync, renameSync, unlinkSync, rmSync, readdirSync, statSync, openSync, closeSync, writeSync, readSync, constants as fsConstants } from 'fs';
 import { join, basename } from 'path';
 import { homedir } from 'os';
-import { randomUUID, timingSafeEqual } from 'crypto';
+import { randomUUID, randomBytes, timingSafeEqual, createHash } from 'crypto';
+import { pathToFileURL } from 'url';
 
 // ============================================================================
 // Configuration
@@ -27,6 +43,10 @@ const DEFAULT_CONFIG = {
   dataDir: join(homedir(), '.mneme-server'),
   apiKeys: [],           // Empty = no auth required
   lockTTLMinutes: 30,
+  historyVersions: 20,   // Versions kept per file (0 = no history)
+  maxEventsPerProject: 100000, // Newest events kept per project (0 = all)
+  auditMaxBytes: 10 * 1024 * 1024, // audit.jsonl is rotated to audit.1.jsonl past this
+  adminConsole: true,    // Serve the web admin console at /admin
   allowedOrigins: []     // Empty = no CORS (CLI-only); set to ['*'] to allow all
 };
 
@@ -62,16 +82,26 @@ if (!existsSync(config.dataDir)) {
 // Utilities
 // ============================================================================
 
+/**
+ * Project ID as stored on disk. Access grants match this form, so two ids
+ * that share a directory can't be granted separately.
+ */
+function sanitizeProjectId(projectId) {
+  return projectId.replace(/[^a-zA-Z0-9_-]/g, '_');
+}
+
 function getProjectDir(projectId) {
-  // Sanitize project ID for filesystem
-  const safeName = projectId.replace(/[^a-zA-Z0-9_-]/g, '_');
-  const dir = join(config.dataDir, 'projects', safeName);
+  const dir = join(config.dataDir, 'projects', sanitizeProjectId(projectId));
   if (!existsSync(dir)) {
     mkdirSync(dir, { recursive: true });
   }
   return dir;
 }
 
+function contentHash(content) {
+  return createHash('sha256').update(content, 'utf8').digest('hex');
+}
+
 function getLockPath(projectId) {
   return join(getProjectDir(projectId), '.lock.json');
 }
@@ -153,34 +183,181 @@ function sendError(res, status, message) {
 }
 
 // ============================================================================
-// Authentication
+// Users & Access Control
 // ============================================================================
 
-function checkAuth(req, res) {
-  if (config.apiKeys.length === 0) {
-    return true; // No auth required
+// users.json: { users: { <name>: { admin, tokens: [{ id, hash, label, createdAt }],
+//                                   projects: { <projectId | "*">: "read" | "write" } } } }
+// Only token hashes are stored; the token itself is shown once when created.
+const USERS_FILE = join(config.dataDir, 'users.json');
+const AUDIT_FILE = join(config.dataDir, 'audit.jsonl');
+const ROTATED_AUDIT_FILE = join(config.dataDir, 'audit.1.jsonl');
+const READ_CHUNK_BYTES = 64 * 1024;
+const PERMISSIONS = ['read', 'write'];
+
+let usersCache = { mtimeMs: -1, data: { users: {} } };
+
+/**
+ * Read users.json, re-reading only when it changed (the admin CLI edits it
+ * while the server runs). A broken file keeps the last good copy.
+ */
+function loadUsers() {
+  if (!existsSync(USERS_FILE)) {
+    return { users: {} };
+  }
+  const { mtimeMs } = statSync(USERS_FILE);
+  if (mtimeMs !== usersCache.mtimeMs) {
+    try {
+      const data = JSON.parse(readFileSync(USERS_FILE, 'utf-8'));
+      usersCache = { mtimeMs, data: { ...data, users: data.users || {} } };
+    } catch (err) {
+      console.error(`[mneme-server] Error reading users.json: ${err.message}`);
+    }
+  }
+  return usersCache.data;
+}
+
+function saveUsers(data) {
+  const tmpPath = USERS_FILE + '.tmp';
+  writeFileSync(tmpPath, JSON.stringify(data, null, 2) + '\n', { mode: 0o600 });
+  renameSync(tmpPath, USERS_FILE);
+}
+
+function hashToken(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function safeEqual(a, b) {
+  const aBuf = Buffer.from(a);
+  const bBuf = Buffer.from(b);
+  return aBuf.length === bBuf.length && timingSafeEqual(aBuf, bBuf);
+}
+
+function authRequired() {
+  return config.apiKeys.length > 0 || Object.keys(loadUsers().users).length > 0;
+}
+
+/**
+ * Identify the caller.
+ * Shared apiKeys (and an open server) have full access; user tokens are
+ * limited to the user's grants.
+ * @returns {{ user: string|null, admin: boolean, tokenId?: string, projects?: object }|null}
+ *   null after an error response has been sent
+ */
+function authenticate(req, res) {
+  if (!authRequired()) {
+    return { user: null, admin: true };
   }
 
   const authHeader = req.headers['authorization'];
   if (!authHeader || !authHeader.startsWith('Bearer ')) {
     sendError(res, 401, 'Missing or invalid Authorization header');
-    return false;
+    return null;
   }
 
   const token = authHeader.slice(7);
-  const tokenBuf = Buffer.from(token);
-  const isValid = config.apiKeys.some(key => {
-    const keyBuf = Buffer.from(key);
-    if (tokenBuf.length !== keyBuf.length) return false;
-    return timingSafeEqual(tokenBuf, keyBuf);
-  });
+  if (config.apiKeys.some(key => safeEqual(token, key))) {
+    return { user: 'apikey', admin: true };
+  }
 
-  if (!isValid) {
-    sendError(res, 403, 'Invalid API key');
-    return false;
+  const hash = hashToken(token);
+  for (const [name, user] of Object.entries(loadUsers().users)) {
+    const match = (user.tokens || []).find(t => safeEqual(hash, t.hash));
+    if (match) {
+      return { user: name, admin: !!user.admin, tokenId: match.id, projects: user.projects || {} };
+    }
   }
 
-  return true;
+  sendError(res, 403, 'Invalid API key or token');
+  return null;
+}
+
+/**
+ * Whether the caller may read or write a project. An exact grant wins
+ * over the "*" grant, so "*": "write" with "secret": "read" is read-only
+ * on secret.
+ */
+function isAllowed(principal, projectId, needed) {
+  if (principal.admin) return true;
+  const grants = principal.projects || {};
+  const safeId = sanitizeProjectId(projectId);
+  const permission = grants[safeId] ?? grants['*'];
+  return permission === 'write' || (permission === 'read' && needed === 'read');
+}
+
+/**
+ * Append a line to the audit log. Never fails the request.
+ */
+function audit(principal, req, projectId, fields) {
+  const record = {
+    ts: new Date().toISOString(),
+    user: principal.user,
+    token: principal.tokenId,
+    clientId: req.headers['x-client-id'],
+    ip: req.socket.remoteAddress,
+    project: sanitizeProjectId(projectId),
+    ...fields
+  };
+  try {
+    appendFileSync(AUDIT_FILE, JSON.stringify(record) + '\n');
+    // Keep one rotated file: the audit log is bounded at about twice auditMaxBytes
+    if (config.auditMaxBytes > 0 && statSync(AUDIT_FILE).size > config.auditMaxBytes) {
+      renameSync(AUDIT_FILE, ROTATED_AUDIT_FILE);
+    }
+  } catch (err) {
+    console.error(`[mneme-server] Error writing audit log: ${err.message}`);
+  }
+}
+
+/**
+ * Call onLine with each line of a file, last line first, until it returns
+ * false. Reads the file from the end in chunks.
+ * @returns {boolean} false if onLine stopped the scan
+ */
+function scanLinesBackward(filePath, onLine) {
+  let fd;
+  try {
+    fd = openSync(filePath, 'r');
+  } catch {
+    return true;
+  }
+  try {
+    let position = statSync(filePath).size;
+    let rest = Buffer.alloc(0);
+    while (position > 0) {
+      const length = Math.min(READ_CHUNK_BYTES, position);
+      position -= length;
+      const chunk = Buffer.alloc(length);
+      readSync(fd, chunk, 0, length, position);
+      let data = Buffer.concat([chunk, rest]);
+      let newline;
+      while ((newline = data.lastIndexOf(10)) !== -1) {
+        const line = data.toString('utf8', newline + 1);
+        data = data.subarray(0, newline);
+        if (line && onLine(line) === false) return false;
+      }
+      rest = data;
+    }
+    return rest.length === 0 || onLine(rest.toString('utf8')) !== false;
+  } finally {
+    closeSync(fd);
+  }
+}
+
+/**
+ * The newest audit records, oldest first, optionally filtered by user and
+ * project. Reads back from the end of the log only until limit records match.
+ */
+function readAudit({ user, project, limit = Infinity } = {}) {
+  const records = [];
+  const onLine = (line) => {
+    let r;
+    try { r = JSON.parse(line); } catch { return true; }
+    if ((!user || r.user === user) && (!project || r.project === sanitizeProjectId(project))) records.push(r);
+    return records.length < limit;
+  };
+  if (limit > 0 && scanLinesBackward(AUDIT_FILE, onLine)) scanLinesBackward(ROTATED_AUDIT_FILE, onLine);
+  return records.reverse();
 }
 
 // ============================================================================
@@ -291,28 +468,33 @@ function heartbeatLock(projectId, clientId) {
 // File Operations
 // ============================================================================
 
-// Files that should be synced
+// Derived artifacts synced as whole files (log entries go through events)
 const SYNCABLE_FILES = [
-  'log.jsonl',
   'summary.json',
   'remembered.json',
   'entities.json'
 ];
 
+// Clients with sync encryption name files enc-<keyed hash>
+const ENCRYPTED_FILE_RE = /^enc-[0-9a-f]{32}$/;
+
+function isSyncableFile(name) {
+  return SYNCABLE_FILES.includes(name) || ENCRYPTED_FILE_RE.test(name);
+}
+
 function listFiles(projectId) {
   const dir = getProjectDir(projectId);
   const files = [];
 
-  for (const name of SYNCABLE_FILES) {
+  for (const name of readdirSync(dir).filter(isSyncableFile).sort()) {
     const filePath = join(dir, name);
-    if (existsSync(filePath)) {
-      const stat = statSync(filePath);
-      files.push({
-        name,
-        size: stat.size,
-        mtime: stat.mtime.toISOString()
-      });
-    }
+    const stat = statSync(filePath);
+    files.push({
+      name,
+      size: stat.size,
+      mtime: stat.mtime.toISOString(),
+      hash: contentHash(readFileSync(filePath, 'utf-8'))
+    });
   }
 
   return files;
@@ -320,7 +502,7 @@ function listFiles(projectId) {
 
 function getFile(projectId, fileName) {
   // Only allow syncing specific files
-  if (!SYNCABLE_FILES.includes(fileName)) {
+  if (!isSyncableFile(fileName)) {
     return { error: 'File not allowed for sync' };
   }
 
@@ -335,49 +517,655 @@ function getFile(projectId, fileName) {
     const stat = statSync(filePath);
     return {
       content,
-      mtime: stat.mtime.toISOString()
+      mtime: stat.mtime.toISOString(),
+      hash: contentHash(content)
     };
   } catch (err) {
     return { error: err.message };
   }
 }
 
-function putFile(projectId, fileName, content, clientId) {
+// ============================================================================
+// File History
+// ============================================================================
+
+// history/<file>/index.json lists versions oldest first; each version's
+// content is stored next to it as history/<file>/<version>.
+function getHistoryDir(projectId, fileName) {
+  return join(getProjectDir(projectId), 'history', fileName);
+}
+
+function readHistoryIndex(historyDir) {
+  const indexPath = join(historyDir, 'index.json');
+  if (!existsSync(indexPath)) return [];
+  try {
+    return JSON.parse(readFileSync(indexPath, 'utf-8')).versions || [];
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Record a written file as a new version and prune to historyVersions.
+ * A file that predates history is recorded first, so the copy a push
+ * replaces can always be restored.
+ */
+function recordVersion(projectId, fileName, filePath, previous, author) {
+  const keep = config.historyVersions;
+  if (!(keep > 0)) return;
+
+  const historyDir = getHistoryDir(projectId, fileName);
+  mkdirSync(historyDir, { recursive: true });
+  let versions = readHistoryIndex(historyDir);
+  const add = (content, meta) => {
+    const version = (versions[versions.length - 1]?.version || 0) + 1;
+    writeFileSync(join(historyDir, String(version)), content);
+    versions.push({ version, hash: contentHash(content), size: Buffer.byteLength(content), ...meta });
+  };
+
+  if (versions.length === 0 && previous) {
+    add(previous.content, { savedAt: previous.mtime, clientId: null, user: null });
+  }
+  add(readFileSync(filePath, 'utf-8'), { savedAt: new Date().toISOString(), clientId: author.clientId, user: author.user });
+
+  const pruned = versions.slice(0, Math.max(0, versions.length - keep));
+  for (const v of pruned) {
+    try { unlinkSync(join(historyDir, String(v.version))); } catch {}
+  }
+  versions = versions.slice(pruned.length);
+  writeFileSync(join(historyDir, 'index.json'), JSON.stringify({ versions }, null, 2));
+}
+
+/**
+ * Versions of a file, newest first.
+ */
+function listVersions(projectId, fileName) {
+  if (!isSyncableFile(fileName)) {
+    return { error: 'File not allowed for sync' };
+  }
+  return { versions: readHistoryIndex(getHistoryDir(projectId, fileName)).reverse() };
+}
+
+function getVersion(projectId, fileName, version) {
+  if (!isSyncableFile(fileName)) {
+    return { error: 'File not allowed for sync' };
+  }
+  const historyDir = getHistoryDir(projectId, fileName);
+  const meta = readHistoryIndex(historyDir).find(v => v.version === version);
+  if (!meta) {
+    return { error: 'Version not found' };
+  }
+  return { ...meta, content: readFileSync(join(historyDir, String(version)), 'utf-8') };
+}
+
+/**
+ * Delete a file's stored versions, e.g. after a leaked secret was scrubbed
+ * from it: its old versions still hold the secret.
+ */
+function purgeVersions(projectId, fileName) {
+  if (!isSyncableFile(fileName)) {
+    return { error: 'File not allowed for sync' };
+  }
+  const historyDir = getHistoryDir(projectId, fileName);
+  const removed = readHistoryIndex(historyDir).length;
+  rmSync(historyDir, { recursive: true, force: true });
+  return { removed };
+}
+
+/**
+ * Write a file. If baseHash is given (null = file must not exist yet), the
+ * write is rejected with a conflict when the stored content has changed
+ * since the client read it, so the client can merge and retry.
+ * Every successful write is kept as a version (see recordVersion).
+ */
+function putFile(projectId, fileName, content, clientId, baseHash, user = null) {
   // Only allow syncing specific files
-  if (!SYNCABLE_FILES.includes(fileName)) {
+  if (!isSyncableFile(fileName)) {
     return { error: 'File not allowed for sync' };
   }
 
-  // Verify lock
+  // A write based on a known hash is safe without the lock; blind writes
+  // (legacy clients) still need it
   const lock = getLock(projectId);
-  if (!lock) {
-    return { error: 'No lock held - acquire lock before writing' };
-  }
-  if (lock.clientId !== clientId) {
+  if (lock && lock.clientId !== clientId) {
     return { error: 'Lock held by different client' };
   }
+  if (!lock && baseHash === undefined) {
+    return { error: 'No lock held - acquire lock or send baseHash' };
+  }
 
   const filePath = join(getProjectDir(projectId), fileName);
 
+  const previous = existsSync(filePath)
+    ? { content: readFileSync(filePath, 'utf-8'), mtime: statSync(filePath).mtime.toISOString() }
+    : null;
+  if (baseHash !== undefined) {
+    const currentHash = previous ? contentHash(previous.content) : null;
+    if (currentHash !== baseHash) {
+      return { error: 'Conflict - file changed since it was read', conflict: true, hash: currentHash };
+    }
+  }
+
   try {
     writeFileSync(filePath, content);
+    try {
+      recordVersion(projectId, fileName, filePath, previous, { clientId, user });
+    } catch (err) {
+      console.error(`[mneme-server] Error recording version of ${fileName}: ${err.message}`);
+    }
     const stat = statSync(filePath);
     return {
       success: true,
-      mtime: stat.mtime.toISOString()
+      mtime: stat.mtime.toISOString(),
+      hash: contentHash(content)
     };
   } catch (err) {
     return { error: err.message };
   }
 }
 
+// ============================================================================
+// Event Stream
+// ============================================================================
+
+const EVENTS_FILE = 'events.jsonl';
+const MAX_EVENT_ID_LENGTH = 128;
+const DEFAULT_EVENTS_LIMIT = 500;
+const MAX_EVENTS_LIMIT = 1000;
+
+// On-disk projectId -> { lastSeq, size, ids: Map<eventId, seq>, seqs, offsets },
+// loaded on first use. Event seqs[i] starts at byte offsets[i] of the events
+// file, so a fetch reads only the lines after its cursor instead of the whole
+// stream. Appends are synchronous, so sequence numbers never interleave.
+const eventIndexes = new Map();
+
+function getEventsPath(projectId) {
+  return join(getProjectDir(projectId), EVENTS_FILE);
+}
+
+function getEventIndex(projectId) {
+  const key = sanitizeProjectId(projectId);
+  let index = eventIndexes.get(key);
+  if (!index) {
+    index = { lastSeq: 0, size: 0, ids: new Map(), seqs: [], offsets: [] };
+    const eventsPath = getEventsPath(projectId);
+    const data = existsSync(eventsPath) ? readFileSync(eventsPath) : Buffer.alloc(0);
+    let start = 0;
+    while (start < data.length) {
+      const newline = data.indexOf(10, start);
+      const end = newline === -1 ? data.length : newline;
+      try {
+        const event = JSON.parse(data.toString('utf8', start, end));
+        index.ids.set(event.id, event.seq);
+        if (event.seq > index.lastSeq) {
+          index.seqs.push(event.seq);
+          index.offsets.push(start);
+          index.lastSeq = event.seq;
+        }
+      } catch {
+        // Skip a torn line; its seq is simply never handed out again
+      }
+      start = end + 1;
+    }
+    index.size = data.length;
+    // Terminate a torn last line so the next append starts on a line of its own
+    if (data.length > 0 && data[data.length - 1] !== 10) {
+      appendFileSync(eventsPath, '\n');
+      index.size++;
+    }
+    eventIndexes.set(key, index);
+  }
+  return index;
+}
+
+/**
+ * Append events. Each event is { id, entry }; ids already stored are not
+ * appended again (clients retry), but still get their original seq back.
+ * @returns {{ seqs: number[], lastSeq: number, appended: number } | { error: string }}
+ */
+function appendEvents(projectId, events, clientId) {
+  if (!Array.isArray(events)) {
+    return { error: 'events must be an array' };
+  }
+  for (const event of events) {
+    if (!event || typeof event.id !== 'string' || !event.id || event.id.length > MAX_EVENT_ID_LENGTH) {
+      return { error: 'Each event needs a string id' };
+    }
+    if (!event.entry || typeof event.entry !== 'object') {
+      return { error: 'Each event needs an entry object' };
+    }
+  }
+
+  const index = getEventIndex(projectId);
+  const receivedAt = new Date().toISOString();
+  // Seqs are handed out here but only enter the index once they are on disk:
+  // an id the index knows is never appended again
+  const assigned = new Map();
+  let lastSeq = index.lastSeq;
+  const added = [];
+  const seqs = events.map(event => {
+    const existing = index.ids.get(event.id) ?? assigned.get(event.id);
+    if (existing !== undefined) return existing;
+    const seq = ++lastSeq;
+    assigned.set(event.id, seq);
+    added.push({ seq, line: JSON.stringify({ seq, id: event.id, clientId, receivedAt, entry: event.entry }) + '\n' });
+    return seq;
+  });
+
+  if (added.length > 0) {
+    try {
+      appendFileSync(getEventsPath(projectId), added.map(a => a.line).join(''));
+    } catch (err) {
+      // Part of the batch may have been written: reload the index from disk
+      eventIndexes.delete(sanitizeProjectId(projectId));
+      throw err;
+    }
+    for (const { seq, line } of added) {
+      index.seqs.push(seq);
+      index.offsets.push(index.size);
+      index.size += Buffer.byteLength(line);
+    }
+    for (const [id, seq] of assigned) index.ids.set(id, seq);
+    index.lastSeq = lastSeq;
+    try {
+      pruneEvents(projectId, index);
+    } catch (err) {
+      console.error(`[mneme-server] Error pruning events of ${projectId}: ${err.message}`);
+    }
+  }
+  return { seqs, lastSeq: index.lastSeq, appended: added.length };
+}
+
+/**
+ * Drop the oldest events once a project holds more than maxEventsPerProject,
+ * with 10% slack so the file isn't rewritten on every append. A client behind
+ * the first kept seq resumes there: what the dropped entries were summarized
+ * into reaches it through the synced files. Their ids are forgotten too, so
+ * one pushed again is appended as a new event.
+ */
+function pruneEvents(projectId, index) {
+  const max = config.maxEventsPerProject;
+  if (!(max > 0) || index.seqs.length <= max + Math.ceil(max / 10)) return;
+  const eventsPath = getEventsPath(projectId);
+  const tmpPath = `${eventsPath}.tmp`;
+  writeFileSync(tmpPath, readFileSync(eventsPath).subarray(index.offsets[index.seqs.length - max]));
+  renameSync(tmpPath, eventsPath);
+  // Offsets moved: index again on next use
+  eventIndexes.delete(sanitizeProjectId(projectId));
+}
+
+/**
+ * Replace stored events in place, keeping their seq: { id, newId, entry }
+ * swaps the event's id and entry (a client scrubbed a secret from it). If
+ * newId is already stored, the old event is dropped instead. Clients past
+ * the seq are not sent the event again, so the rewrite only reaches
+ * machines that haven't pulled it yet.
+ * @returns {{ rewritten: number, removed: number, missing: number } | { error: string }}
+ */
+function rewriteEvents(projectId, rewrites) {
+  if (!Array.isArray(rewrites)) {
+    return { error: 'rewrites must be an array' };
+  }
+  for (const r of rewrites) {
+    if (!r || [r.id, r.newId].some(id => typeof id !== 'string' || !id || id.length > MAX_EVENT_ID_LENGTH)) {
+      return { error: 'Each rewrite needs a string id and newId' };
+    }
+    if (!r.entry || typeof r.entry !== 'object') {
+      return { error: 'Each rewrite needs an entry object' };
+    }
+  }
+
+  const index = getEventIndex(projectId);
+  const byId = new Map(rewrites.filter(r => index.ids.has(r.id)).map(r => [r.id, r]));
+  const result = { rewritten: 0, removed: 0, missing: rewrites.length - byId.size };
+  if (byId.size === 0) return result;
+
+  const eventsPath = getEventsPath(projectId);
+  const assigned = new Set();
+  const lines = readFileSync(eventsPath, 'utf-8').split('\n').filter(Boolean).map(line => {
+    let event;
+    try {
+      event = JSON.parse(line);
+    } catch {
+      return line;
+    }
+    const rewrite = byId.get(event.id);
+    if (!rewrite) return line;
+    if (assigned.has(rewrite.newId) || (rewrite.newId !== rewrite.id && index.ids.has(rewrite.newId))) {
+      result.removed++;
+      return null;
+    }
+    assigned.add(rewrite.newId);
+    result.rewritten++;
+    return JSON.stringify({ ...event, id: rewrite.newId, entry: rewrite.entry, rewrittenAt: new Date().toISOString() });
+  }).filter(line => line !== null);
+
+  const tmpPath = `${eventsPath}.tmp`;
+  writeFileSync(tmpPath, lines.map(line => line + '\n').join(''));
+  renameSync(tmpPath, eventsPath);
+  // Offsets moved: index again on next use
+  eventIndexes.delete(sanitizeProjectId(projectId));
+  return result;
+}
+
+/**
+ * Position of the first seq greater than since (binary search).
+ */
+function firstSeqAfter(seqs, since) {
+  let lo = 0;
+  let hi = seqs.length;
+  while (lo < hi) {
+    const mid = (lo + hi) >>> 1;
+    if (seqs[mid] > since) hi = mid;
+    else lo = mid + 1;
+  }
+  return lo;
+}
+
+/**
+ * Events with seq > since, oldest first. Reads only the byte range of the
+ * returned events.
+ * @returns {{ events: object[], lastSeq: number, hasMore: boolean }}
+ */
+function getEventsSince(projectId, since, limit) {
+  const index = getEventIndex(projectId);
+  const first = firstSeqAfter(index.seqs, since);
+  const last = Math.min(first + limit, index.seqs.length);
+  const hasMore = last < index.seqs.length;
+  if (first >= last) {
+    return { events: [], lastSeq: index.lastSeq, hasMore };
+  }
+
+  const start = index.offsets[first];
+  const end = hasMore ? index.offsets[last] : index.size;
+  const buffer = Buffer.alloc(end - start);
+  const fd = openSync(getEventsPath(projectId), 'r');
+  try {
+    readSync(fd, buffer, 0, buffer.length, start);
+  } finally {
+    closeSync(fd);
+  }
+
+  const events = [];
+  for (const line of buffer.toString('utf8').split('\n')) {
+    if (!line) continue;
+    try {
+      events.push(JSON.parse(line));
+    } catch {
+      // Skip a torn line
+    }
+  }
+  return { events, lastSeq: index.lastSeq, hasMore };
+}
+
+// ============================================================================
+// Admin Console
+// ============================================================================
+
+const PROJECTS_DIR = join(config.dataDir, 'projects');
+const RECENT_ACTIVITY = 50;
+const CLIENT_ACTIVITY_RECORDS = 2000; // Audit records per project behind the per-client counts
+
+function listProjectIds() {
+  if (!existsSync(PROJECTS_DIR)) return [];
+  return readdirSync(PROJECTS_DIR, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => entry.name)
+    .sort();
+}
+
+function projectExists(projectId) {
+  return existsSync(join(PROJECTS_DIR, sanitizeProjectId(projectId)));
+}
+
+/**
+ * Total size and newest mtime of everything under a directory.
+ */
+function diskUsage(dir) {
+  let size = 0;
+  let mtimeMs = 0;
+  for (const entry of readdirSync(dir, { withFileTypes: true })) {
+    const path = join(dir, entry.name);
+    if (entry.isDirectory()) {
+      const sub = diskUsage(path);
+      size += sub.size;
+      mtimeMs = Math.max(mtimeMs, sub.mtimeMs);
+    } else {
+      const stat = statSync(path);
+      size += stat.size;
+      mtimeMs = Math.max(mtimeMs, stat.mtimeMs);
+    }
+  }
+  return { size, mtimeMs };
+}
+
+function projectOverview(projectId) {
+  const { size, mtimeMs } = diskUsage(getProjectDir(projectId));
+  return {
+    id: projectId,
+    size,
+    updatedAt: mtimeMs ? new Date(mtimeMs).toISOString() : null,
+    files: listFiles(projectId).length,
+    lastSeq: getEventIndex(projectId).lastSeq,
+    lock: getLock(projectId)
+  };
+}
+
+/**
+ * Writes per client, from the project's newest audit records.
+ */
+function clientActivity(records) {
+  const clients = new Map();
+  for (const r of records) {
+    if (!r.clientId || !['put-file', 'append-events'].includes(r.action)) continue;
+    const client = clients.get(r.clientId) || { clientId: r.clientId, user: r.user, filePushes: 0, events: 0, lastSeen: null };
+    if (r.action === 'put-file') client.filePushes++;
+    else client.events += r.count || 0;
+    client.user = r.user;
+    client.lastSeen = r.ts;
+    clients.set(r.clientId, client);
+  }
+  return [...clients.values()].sort((a, b) => String(b.lastSeen).localeCompare(String(a.lastSeen)));
+}
+
+function projectDetail(projectId) {
+  const records = readAudit({ project: projectId, limit: CLIENT_ACTIVITY_RECORDS });
+  return {
+    ...projectOverview(projectId),
+    files: listFiles(projectId).map(file => ({ ...file, versions: listVersions(projectId, file.name).versions })),
+    clients: clientActivity(records),
+    activity: records.slice(-RECENT_ACTIVITY).reverse()
+  };
+}
+
+function deleteProject(projectId) {
+  rmSync(join(PROJECTS_DIR, sanitizeProjectId(projectId)), { recursive: true, force: true });
+  eventIndexes.delete(sanitizeProjectId(projectId));
+}
+
+/**
+ * The console can delete projects, so it is only served once there are
+ * credentials to check (users or apiKeys); an open server refuses it.
+ */
+function adminConsoleEnabled() {
+  return config.adminConsole && authRequired();
+}
+
+/**
+ * JSON API behind the console. Admins only: shared API keys and admin users.
+ */
+function handleAdminApi(req, res, principal, path) {
+  if (!principal.admin || !principal.user) {
+    audit(principal, req, '-', { action: 'denied', method: req.method, path });
+    sendError(res, 403, 'Admin access required');
+    return;
+  }
+
+  if (path === '/admin/api/projects' && req.method === 'GET') {
+    sendJson(res, 200, { projects: listProjectIds().map(projectOverview) });
+    return;
+  }
+
+  const match = path.match(/^\/admin\/api\/projects\/([^/]+)(\/lock)?$/);
+  const projectId = match && decodeURIComponent(match[1]);
+  if (!match || !projectExists(projectId)) {
+    sendError(res, 404, 'Not found');
+    return;
+  }
+
+  if (match[2] && req.method === 'DELETE') {
+    const lock = getLock(projectId);
+    if (lock) unlinkSync(getLockPath(projectId));
+    audit(principal, req, projectId, { action: 'force-unlock', heldBy: lock?.clientId ?? null });
+    sendJson(res, 200, { success: true, released: lock });
+    return;
+  }
+
+  if (!match[2] && req.method === 'GET') {
+    sendJson(res, 200, projectDetail(projectId));
+    return;
+  }
+
+  if (!match[2] && req.method === 'DELETE') {
+    deleteProject(projectId);
+    audit(principal, req, projectId, { action: 'delete-project' });
+    sendJson(res, 200, { success: true });
+    return;
+  }
+
+  sendError(res, 404, 'Not found');
+}
+
+// The page holds no data: it asks for an API key and calls /admin/api/*
+const ADMIN_PAGE = `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>Mneme Sync Server</title>
+<style>
+  * { box-sizing: border-box; }
+  body { margin: 0; padding: 20px; font: 14px -apple-system, BlinkMacSystemFont, 'Segoe UI', system-ui, sans-serif; background: #0d1117; color: #e6edf3; }
+  h1 { font-size: 18px; margin: 0 0 16px; }
+  h2 { font-size: 15px; margin: 24px 0 8px; color: #8b949e; }
+  table { width: 100%; border-collapse: collapse; background: #161b22; border: 1px solid #30363d; }
+  th, td { text-align: left; padding: 6px 10px; border-bottom: 1px solid #30363d; vertical-align: top; }
+  th { color: #8b949e; font-weight: 500; font-size: 12px; text-transform: uppercase; }
+  tr.project { cursor: pointer; }
+  tr.project:hover, tr.selected { background: #1f6feb33; }
+  code { font-size: 12px; }
+  .muted { color: #8b949e; }
+  .locked { color: #d29922; }
+  .error { color: #f85149; margin: 8px 0; }
+  button, input { font: inherit; padding: 5px 10px; border: 1px solid #30363d; border-radius: 6px; background: #161b22; color: #e6edf3; }
+  button { cursor: pointer; }
+  button:hover { border-color: #58a6ff; color: #58a6ff; }
+  button.danger:hover { border-color: #f85149; color: #f85149; }
+  #auth { display: flex; gap: 8px; margin-bottom: 16px; }
+  #auth input { width: 360px; }
+</style>
+</head>
+<body>
+<h1>Mneme Sync Server</h1>
+<form id="auth"><input id="key" type="password" placeholder="API key or admin token"><button>Connect</button></form>
+<div id="error" class="error"></div>
+<table id="projects"></table>
+<div id="detail"></div>
+<script>
+const $ = id => document.getElementById(id);
+const esc = v => String(v ?? '').replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[c]);
+const size = n => n < 1024 ? n + ' B' : n < 1048576 ? (n / 1024).toFixed(1) + ' KB' : (n / 1048576).toFixed(1) + ' MB';
+const when = ts => ts ? new Date(ts).toLocaleString() : '<span class="muted">-</span>';
+let selected = null;
+
+async function api(method, path) {
+  const key = sessionStorage.getItem('mneme-admin-key');
+  const res = await fetch(path, { method, headers: key ? { Authorization: 'Bearer ' + key } : {} });
+  const data = await res.json();
+  if (!res.ok) throw new Error(data.error || res.statusText);
+  return data;
+}
+
+function lockCell(lock) {
+  if (!lock) return '<span class="muted">-</span>';
+  return '<span class="locked">' + esc(lock.clientId) + '</span><br><span class="muted">until ' + when(lock.expiresAt) + '</span>';
+}
+
+async function loadProjects() {
+  $('error').textContent = '';
+  try {
+    const { projects } = await api('GET', '/admin/api/projects');
+    $('projects').innerHTML = '<tr><th>Project</th><th>Storage</th><th>Files</th><th>Events</th><th>Lock</th><th>Last change</th></tr>' +
+      (projects.map(p => '<tr class="project' + (p.id === selected ? ' selected' : '') + '" data-id="' + esc(p.id) + '"><td><code>' + esc(p.id) + '</code></td><td>' + size(p.size) +
+        '</td><td>' + p.files + '</td><td>' + p.lastSeq + '</td><td>' + lockCell(p.lock) + '</td><td>' + when(p.updatedAt) + '</td></tr>').join('') ||
+        '<tr><td colspan="6" class="muted">No projects yet</td></tr>');
+    if (selected && projects.some(p => p.id === selected)) await loadDetail(selected);
+    else $('detail').innerHTML = '';
+  } catch (err) {
+    $('error').textContent = err.message;
+  }
+}
+
+async function loadDetail(id) {
+  selected = id;
+  const p = await api('GET', '/admin/api/projects/' + encodeURIComponent(id));
+  const versions = p.files.map(f => f.versions.map(v => '<tr><td><code>' + esc(f.name) + '</code></td><td>' + v.version + '</td><td>' + size(v.size) +
+    '</td><td>' + when(v.savedAt) + '</td><td>' + esc(v.clientId || '-') + '</td><td>' + esc(v.user || '-') + '</td></tr>').join('')).join('');
+  const clients = p.clients.map(c => '<tr><td>' + esc(c.clientId) + '</td><td>' + esc(c.user || '-') + '</td><td>' + c.filePushes +
+    '</td><td>' + c.events + '</td><td>' + when(c.lastSeen) + '</td></tr>').join('');
+  const activity = p.activity.map(r => '<tr><td>' + when(r.ts) + '</td><td>' + esc(r.user || '-') + '</td><td>' + esc(r.clientId || '-') +
+    '</td><td>' + esc(r.action) + '</td><td>' + esc(r.file || (r.count !== undefined ? r.count + ' events' : r.path || '')) + '</td></tr>').join('');
+  const empty = cols => '<tr><td colspan="' + cols + '" class="muted">None</td></tr>';
+  $('detail').innerHTML =
+    '<h2>' + esc(p.id) + '</h2>' +
+    '<p>' + (p.lock ? '<button data-action="unlock">Force-release lock held by ' + esc(p.lock.clientId) + '</button> ' : '') +
+    '<button class="danger" data-action="delete">Delete project</button></p>' +
+    '<h2>File versions</h2><table><tr><th>File</th><th>Version</th><th>Size</th><th>Saved</th><th>Client</th><th>User</th></tr>' + (versions || empty(6)) + '</table>' +
+    '<h2>Clients</h2><table><tr><th>Client</th><th>User</th><th>File pushes</th><th>Events</th><th>Last seen</th></tr>' + (clients || empty(5)) + '</table>' +
+    '<h2>Recent activity</h2><table><tr><th>Time</th><th>User</th><th>Client</th><th>Action</th><th>Detail</th></tr>' + (activity || empty(5)) + '</table>';
+}
+
+$('auth').onsubmit = e => {
+  e.preventDefault();
+  sessionStorage.setItem('mneme-admin-key', $('key').value);
+  $('key').value = '';
+  loadProjects();
+};
+
+$('projects').onclick = e => {
+  const row = e.target.closest('tr.project');
+  if (row) { selected = row.dataset.id; loadProjects(); }
+};
+
+$('detail').onclick = async e => {
+  const action = e.target.dataset.action;
+  if (!action) return;
+  const path = '/admin/api/projects/' + encodeURIComponent(selected);
+  try {
+    if (action === 'unlock') await api('DELETE', path + '/lock');
+    if (action === 'delete') {
+      if (!confirm('Delete ' + selected + ' and all its files, events and history?')) return;
+      await api('DELETE', path);
+      selected = null;
+    }
+    await loadProjects();
+  } catch (err) {
+    $('error').textContent = err.message;
+  }
+};
+
+loadProjects();
+</script>
+</body>
+</html>
+`;
+
 // ============================================================================
 // Request Router
 // ============================================================================
 
 function parseRoute(url) {
-  // Remove query string
-  const path = url.split('?')[0];
+  const [path, query = ''] = url.split('?');
 
   // Match /projects/:id/...
   const match = path.match(/^\/projects\/([^/]+)(\/.*)?$/);
@@ -387,7 +1175,8 @@ function parseRoute(url) {
 
   return {
     projectId: decodeURIComponent(match[1]),
-    subPath: match[2] || ''
+    subPath: match[2] || '',
+    query: new URLSearchParams(query)
   };
 }
 
@@ -419,13 +1208,37 @@ async function handleRequest(req, res) {
     sendJson(res, 200, {
       status: 'ok',
       version: '1.0.0',
-      authRequired: config.apiKeys.length > 0
+      authRequired: authRequired()
     });
     return;
   }
 
+  const path = req.url.split('?')[0];
+  const isAdminPath = path === '/admin' || path.startsWith('/admin/api/');
+  if (config.adminConsole && isAdminPath && !adminConsoleEnabled()) {
+    sendError(res, 403, 'Admin console requires authentication - add a user or configure apiKeys');
+    return;
+  }
+
+  if (adminConsoleEnabled() && path === '/admin' && req.method === 'GET') {
+    res.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+    res.end(ADMIN_PAGE);
+    return;
+  }
+
   // Check authentication
-  if (!checkAuth(req, res)) {
+  const principal = authenticate(req, res);
+  if (!principal) {
+    return;
+  }
+
+  if (adminConsoleEnabled() && path.startsWith('/admin/api/')) {
+    try {
+      handleAdminApi(req, res, principal, path);
+    } catch (err) {
+      console.error(`[mneme-server] Error handling admin request: ${err.message}`);
+      sendError(res, 500, 'Internal server error');
+    }
     return;
   }
 
@@ -436,9 +1249,17 @@ async function handleRequest(req, res) {
     return;
   }
 
-  const { projectId, subPath } = route;
+  const { projectId, subPath, query } = route;
   const clientId = req.headers['x-client-id'];
 
+  // Reads need read access; anything else changes the project
+  const needed = req.method === 'GET' ? 'read' : 'write';
+  if (!isAllowed(principal, projectId, needed)) {
+    audit(principal, req, projectId, { action: 'denied', method: req.method, path: subPath });
+    sendError(res, 403, `No ${needed} access to this project`);
+    return;
+  }
+
   try {
     // Lock endpoints
     if (subPath === '/lock') {
@@ -450,6 +1271,7 @@ async function handleRequest(req, res) {
         }
         const result = acquireLock(projectId, clientId);
         if (result.success) {
+          audit(principal, req, projectId, { action: 'lock' });
           sendJson(res, 200, result);
         } else {
           sendJson(res, 409, { error: 'Lock held by another client', lock: result.lock });
@@ -465,6 +1287,7 @@ async function handleRequest(req, res) {
         }
         const result = releaseLock(projectId, clientId);
         if (result.success) {
+          audit(principal, req, projectId, { action: 'unlock' });
           sendJson(res, 200, result);
         } else {
           sendError(res, 403, result.message);
@@ -496,6 +1319,46 @@ async function handleRequest(req, res) {
       }
     }
 
+    // Event stream
+    if (subPath === '/events') {
+      if (req.method === 'GET') {
+        const since = Math.max(0, parseInt(query.get('since'), 10) || 0);
+        const limit = Math.min(MAX_EVENTS_LIMIT, Math.max(1, parseInt(query.get('limit'), 10) || DEFAULT_EVENTS_LIMIT));
+        sendJson(res, 200, getEventsSince(projectId, since, limit));
+        return;
+      }
+
+      if (req.method === 'POST') {
+        if (!clientId) {
+          sendError(res, 400, 'X-Client-Id header required');
+          return;
+        }
+        const body = await parseBody(req);
+        const result = appendEvents(projectId, body.events, clientId);
+        if (result.error) {
+          sendError(res, 400, result.error);
+        } else {
+          if (result.appended > 0) {
+            audit(principal, req, projectId, { action: 'append-events', count: result.appended, lastSeq: result.lastSeq });
+          }
+          sendJson(res, 200, result);
+        }
+        return;
+      }
+    }
+
+    if (subPath === '/events/rewrite' && req.method === 'POST') {
+      const body = await parseBody(req);
+      const result = rewriteEvents(projectId, body.rewrites);
+      if (result.error) {
+        sendError(res, 400, result.error);
+      } else {
+        audit(principal, req, projectId, { action: 'rewrite-events', rewritten: result.rewritten, removed: result.removed });
+        sendJson(res, 200, result);
+      }
+      return;
+    }
+
     // File list
     if (subPath === '/files') {
       if (req.method === 'GET') {
@@ -527,16 +1390,45 @@ async function handleRequest(req, res) {
         }
         const body = await parseBody(req);
         const content = body.content || body.raw || '';
-        const result = putFile(projectId, fileName, content, clientId);
-        if (result.error) {
+        const result = putFile(projectId, fileName, content, clientId, body.baseHash, principal.user);
+        if (result.conflict) {
+          sendJson(res, 409, { error: result.error, hash: result.hash });
+        } else if (result.error) {
           sendError(res, 403, result.error);
         } else {
+          audit(principal, req, projectId, { action: 'put-file', file: fileName, hash: result.hash });
           sendJson(res, 200, result);
         }
         return;
       }
     }
 
+    // File history
+    const versionsMatch = subPath.match(/^\/files\/([^/]+)\/versions(?:\/(\d+))?$/);
+    if (versionsMatch && !versionsMatch[2] && req.method === 'DELETE') {
+      const fileName = decodeURIComponent(versionsMatch[1]);
+      const result = purgeVersions(projectId, fileName);
+      if (result.error) {
+        sendError(res, 400, result.error);
+      } else {
+        audit(principal, req, projectId, { action: 'purge-versions', file: fileName, removed: result.removed });
+        sendJson(res, 200, result);
+      }
+      return;
+    }
+    if (versionsMatch && req.method === 'GET') {
+      const fileName = decodeURIComponent(versionsMatch[1]);
+      const result = versionsMatch[2]
+        ? getVersion(projectId, fileName, parseInt(versionsMatch[2], 10))
+        : listVersions(projectId, fileName);
+      if (result.error) {
+        sendError(res, result.error === 'Version not found' ? 404 : 400, result.error);
+      } else {
+        sendJson(res, 200, result);
+      }
+      return;
+    }
+
     sendError(res, 404, 'Not found');
 
   } catch (err) {
@@ -546,29 +1438,178 @@ async function handleRequest(req, res) {
 }
 
 // ============================================================================
-// Server Startup
+// Admin CLI
 // ============================================================================
 
-const server = createServer(handleRequest);
+const ADMIN_USAGE = `Usage: node mneme-server.mjs admin <command>
+
+  user add <name> [--admin]          Create a user and print their first token
+  user list                          List users, tokens and grants
+  user remove <name>                 Delete a user and all their tokens
+  token create <name> [--label <l>]  Print a new token for a user
+  token revoke <name> <tokenId>      Revoke one token
+  grant <name> <project|*> <read|write>
+  revoke <name> <project|*>
+  projects                           List project ids on this server
+  audit [--user <name>] [--project <id>] [--limit <n>]`;
+
+function createToken(user, label) {
+  const token = `mneme_${randomBytes(24).toString('base64url')}`;
+  const entry = { id: randomBytes(4).toString('hex'), hash: hashToken(token), label: label || null, createdAt: new Date().toISOString() };
+  user.tokens = [...(user.tokens || []), entry];
+  return { token, id: entry.id };
+}
 
-server.listen(config.port, () => {
-  console.log(`[mneme-server] Started on port ${config.port}`);
-  console.log(`[mneme-server] Data directory: ${config.dataDir}`);
-  console.log(`[mneme-server] Auth required: ${config.apiKeys.length > 0}`);
-  console.log(`[mneme-server] Lock TTL: ${config.lockTTLMinutes} minutes`);
-});
+function optionValue(args, name) {
+  const index = args.indexOf(name);
+  return index === -1 ? undefined : args[index + 1];
+}
 
-// Graceful shutdown
-process.on('SIGINT', () => {
-  console.log('\n[mneme-server] Shutting down...');
-  server.close(() => {
-    process.exit(0);
-  });
-});
+/**
+ * Run an admin command against users.json / audit.jsonl in dataDir.
+ * Changes take effect on a running server without a restart.
+ * @returns {number} Exit code
+ */
+function runAdmin(args) {
+  const [command, sub, ...rest] = args;
+  const data = loadUsers();
+  const users = data.users;
+  const fail = (message) => {
+    console.error(message);
+    return 1;
+  };
+  const requireUser = (name) => users[name] || null;
+
+  if (command === 'user' && sub === 'add') {
+    const name = rest[0];
+    if (!name || !/^[a-zA-Z0-9_.-]+$/.test(name)) return fail('User name required (letters, digits, _ . -)');
+    if (users[name]) return fail(`User ${name} already exists`);
+    users[name] = { admin: rest.includes('--admin'), tokens: [], projects: {}, createdAt: new Date().toISOString() };
+    const { token, id } = createToken(users[name], 'initial');
+    saveUsers(data);
+    console.log(`Created user ${name}${users[name].admin ? ' (admin)' : ''}`);
+    console.log(`Token ${id} (shown once): ${token}`);
+    return 0;
+  }
+
+  if (command === 'user' && sub === 'list') {
+    for (const [name, user] of Object.entries(users)) {
+      console.log(`${name}${user.admin ? ' (admin)' : ''}`);
+      for (const t of user.tokens || []) console.log(`  token ${t.id}${t.label ? ` "${t.label}"` : ''} created ${t.createdAt}`);
+      for (const [project, permission] of Object.entries(user.projects || {})) console.log(`  ${permission} ${project}`);
+    }
+    return 0;
+  }
+
+  if (command === 'user' && sub === 'remove') {
+    if (!requireUser(rest[0])) return fail(`No user ${rest[0]}`);
+    delete users[rest[0]];
+    saveUsers(data);
+    console.log(`Removed user ${rest[0]}`);
+    return 0;
+  }
+
+  if (command === 'token' && sub === 'create') {
+    const user = requireUser(rest[0]);
+    if (!user) return fail(`No user ${rest[0]}`);
+    const { token, id } = createToken(user, optionValue(rest, '--label'));
+    saveUsers(data);
+    console.log(`Token ${id} (shown once): ${token}`);
+    return 0;
+  }
+
+  if (command === 'token' && sub === 'revoke') {
+    const user = requireUser(rest[0]);
+    if (!user) return fail(`No user ${rest[0]}`);
+    const before = (user.tokens || []).length;
+    user.tokens = (user.tokens || []).filter(t => t.id !== rest[1]);
+    if (user.tokens.length === before) return fail(`No token ${rest[1]} for ${rest[0]}`);
+    saveUsers(data);
+    console.log(`Revoked token ${rest[1]}`);
+    return 0;
+  }
+
+  if (command === 'grant') {
+    const [project, permission] = rest;
+    const user = requireUser(sub);
+    if (!user) return fail(`No user ${sub}`);
+    if (!project || !PERMISSIONS.includes(permission)) return fail('Usage: grant <name> <project|*> <read|write>');
+    const key = project === '*' ? '*' : sanitizeProjectId(project);
+    user.projects = { ...user.projects, [key]: permission };
+    saveUsers(data);
+    console.log(`Granted ${permission} on ${key} to ${sub}`);
+    return 0;
+  }
+
+  if (command === 'revoke') {
+    const user = requireUser(sub);
+    if (!user) return fail(`No user ${sub}`);
+    const key = rest[0] === '*' ? '*' : sanitizeProjectId(rest[0] || '');
+    if (!user.projects?.[key]) return fail(`${sub} has no grant on ${key}`);
+    delete user.projects[key];
+    saveUsers(data);
+    console.log(`Revoked ${sub}'s access to ${key}`);
+    return 0;
+  }
 
-process.on('SIGTERM', () => {
-  console.log('\n[mneme-server] Shutting down...');
-  server.close(() => {
-    process.exit(0);
+  if (command === 'projects') {
+    for (const name of listProjectIds()) console.log(name);
+    return 0;
+  }
+
+  if (command === 'audit') {
+    const args = [sub, ...rest].filter(a => a !== undefined);
+    const user = optionValue(args, '--user');
+    const project = optionValue(args, '--project');
+    const limit = parseInt(optionValue(args, '--limit'), 10) || 50;
+    for (const r of readAudit({ user, project, limit })) {
+      const detail = r.file || (r.count !== undefined ? `${r.count} events` : r.path || '');
+      console.log(`${r.ts}  ${r.user ?? '-'}  ${r.action}  ${r.project}  ${detail}`.trimEnd());
+    }
+    return 0;
+  }
+
+  console.log(ADMIN_USAGE);
+  return command && command !== 'help' ? 1 : 0;
+}
+
+// ============================================================================
+// Server Startup
+// ============================================================================
+
+function startServer() {
+  const server = createServer(handleRequest);
+
+  server.listen(config.port, () => {
+    console.log(`[mneme-server] Started on port ${config.port}`);
+    console.log(`[mneme-server] Data directory: ${config.dataDir}`);
+    console.log(`[mneme-server] Auth required: ${authRequired()} (${Object.keys(loadUsers().users).length} users)`);
+    console.log(`[mneme-server] Lock TTL: ${config.lockTTLMinutes} minutes`);
+    if (adminConsoleEnabled()) {
+      console.log(`[mneme-server] Admin console: http://localhost:${config.port}/admin`);
+    } else if (config.adminConsole) {
+      console.log('[mneme-server] Admin console: off until a user or API key is configured');
+    }
   });
-});
+
+  // Graceful shutdown
+  const shutdown = () => {
+    console.log('\n[mneme-server] Shutting down...');
+    server.close(() => {
+      process.exit(0);
+    });
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+// Exported for tests, which serve handleRequest in-process
+export { config, handleRequest, runAdmin };
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+  if (process.argv[2] === 'admin') {
+    process.exitCode = runAdmin(process.argv.slice(3));
+  } else {
+    startServer();
+  }
+}
@@ -0,0 +1,594 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { createServer } from 'node:http';
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'node:fs';
+import { join } from 'node:path';
+import { tmpdir } from 'node:os';
+
+import { mergeFile } from '../plugin/lib/sync-merge.mjs';
+import { keyFromKeyFile, opaqueName, keyedEventId, encryptText, decryptText } from '../plugin/lib/sync-crypto.mjs';
+
+// The server reads ~/.mneme-server/config.json when it is imported
+const home = mkdtempSync(join(tmpdir(), 'mneme-sync-server-'));
+mkdirSync(join(home, '.mneme-server'));
+writeFileSync(join(home, '.mneme-server', 'config.json'), JSON.stringify({ rateLimitPerMinute: 100000, historyVersions: 3 }));
+process.env.HOME = home;
+const { config, handleRequest, runAdmin } = await import('./mneme-server.mjs');
+
+let server;
+let baseUrl;
+
+before(async () => {
+  server = createServer(handleRequest);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.closeAllConnections();
+  await new Promise(resolve => server.close(resolve));
+  rmSync(home, { recursive: true, force: true });
+});
+
+async function request(method, path, { body, token, clientId = 'client-a' } = {}) {
+  const headers = { 'X-Client-Id': clientId };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  if (body !== undefined) headers['Content-Type'] = 'application/json';
+  const res = await fetch(baseUrl + path, { method, headers, body: body === undefined ? undefined : JSON.stringify(body) });
+  const text = await res.text();
+  let data;
+  try { data = JSON.parse(text); } catch { data = text; }
+  return { status: res.status, body: data };
+}
+
+// Run an admin CLI command, returning its exit code and printed lines
+function admin(...args) {
+  const output = [];
+  const { log, error } = console;
+  console.log = console.error = (line) => output.push(line);
+  try {
+    return { code: runAdmin(args), output };
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+const tokenFrom = ({ output }) => output.find(line => line.startsWith('Token ')).split(': ')[1];
+
+// No users and no API keys: every request is allowed
+function openServer() {
+  config.apiKeys = [];
+  rmSync(join(config.dataDir, 'users.json'), { force: true });
+}
+
+describe('file writes with baseHash', () => {
+  before(openServer);
+
+  const remembered = (...contents) =>
+    JSON.stringify(contents.map((content, i) => ({ type: 'note', content, ts: `2026-10-18T10:0${i}:00Z` })), null, 2);
+
+  it('rejects a stale write with the current hash, and accepts the merged retry', async () => {
+    const path = '/projects/merge/files/remembered.json';
+    const base = remembered('Use pnpm');
+    const created = await request('PUT', path, { body: { content: base, baseHash: null } });
+    assert.equal(created.status, 200);
+
+    const fromA = remembered('Use pnpm', 'Deploy on Fridays is banned');
+    const pushA = await request('PUT', path, { body: { content: fromA, baseHash: created.body.hash } });
+    assert.equal(pushA.status, 200);
+
+    const fromB = remembered('Use pnpm', 'Staging runs on port 8080');
+    const stale = await request('PUT', path, { clientId: 'client-b', body: { content: fromB, baseHash: created.body.hash } });
+    assert.equal(stale.status, 409);
+    assert.equal(stale.body.hash, pushA.body.hash);
+
+    const remote = await request('GET', path, { clientId: 'client-b' });
+    const merged = mergeFile('remembered.json', base, fromB, remote.body.content);
+    assert.deepEqual(merged.conflicts, []);
+    const retry = await request('PUT', path, { clientId: 'client-b', body: { content: merged.content, baseHash: remote.body.hash } });
+    assert.equal(retry.status, 200);
+
+    const stored = JSON.parse((await request('GET', path)).body.content);
+    assert.deepEqual(stored.map(e => e.content).sort(), ['Deploy on Fridays is banned', 'Staging runs on port 8080', 'Use pnpm']);
+  });
+
+  it('refuses to create a file that already exists', async () => {
+    const result = await request('PUT', '/projects/merge/files/remembered.json', { body: { content: '[]', baseHash: null } });
+    assert.equal(result.status, 409);
+  });
+
+  it('needs the lock for a write without baseHash', async () => {
+    const path = '/projects/blind/files/summary.json';
+    assert.equal((await request('PUT', path, { body: { content: '{}' } })).status, 403);
+
+    assert.equal((await request('POST', '/projects/blind/lock', { clientId: 'client-b' })).status, 200);
+    assert.equal((await request('PUT', path, { body: { content: '{}' } })).status, 403);
+    assert.equal((await request('PUT', path, { clientId: 'client-b', body: { content: '{}' } })).status, 200);
+    assert.equal((await request('DELETE', '/projects/blind/lock', { clientId: 'client-b' })).status, 200);
+  });
+
+  it('only syncs known files', async () => {
+    const result = await request('PUT', '/projects/merge/files/log.jsonl', { body: { content: '', baseHash: null } });
+    assert.equal(result.status, 403);
+  });
+});
+
+describe('event stream', () => {
+  before(openServer);
+
+  const events = (...ids) => ids.map(id => ({ id, entry: { type: 'prompt', content: `entry ${id}` } }));
+  const seqsOf = result => result.body.events.map(e => e.seq);
+
+  it('numbers appended events and hands out the same seq for a retried id', async () => {
+    const first = await request('POST', '/projects/stream/events', { body: { events: events('a', 'b', 'c') } });
+    assert.deepEqual(first.body, { seqs: [1, 2, 3], lastSeq: 3, appended: 3 });
+
+    const retry = await request('POST', '/projects/stream/events', { clientId: 'client-b', body: { events: events('c', 'd', 'e') } });
+    assert.deepEqual(retry.body, { seqs: [3, 4, 5], lastSeq: 5, appended: 2 });
+  });
+
+  it('fetches events after a cursor in pages', async () => {
+    const page = await request('GET', '/projects/stream/events?since=1&limit=2');
+    assert.deepEqual([seqsOf(page), page.body.lastSeq, page.body.hasMore], [[2, 3], 5, true]);
+    assert.deepEqual(page.body.events[0], { ...page.body.events[0], id: 'b', clientId: 'client-a', entry: { type: 'prompt', content: 'entry b' } });
+
+    const rest = await request('GET', '/projects/stream/events?since=3&limit=2');
+    assert.deepEqual([seqsOf(rest), rest.body.hasMore], [[4, 5], false]);
+    assert.equal(rest.body.events[0].clientId, 'client-b');
+
+    const caughtUp = await request('GET', '/projects/stream/events?since=5');
+    assert.deepEqual([seqsOf(caughtUp), caughtUp.body.lastSeq, caughtUp.body.hasMore], [[], 5, false]);
+  });
+
+  it('reads only the part of the stream after the cursor', async () => {
+    // Blank out the first event on disk: a fetch past it never sees the damage
+    const eventsPath = join(config.dataDir, 'projects', 'stream', 'events.jsonl');
+    const content = readFileSync(eventsPath, 'utf-8');
+    const firstLine = content.indexOf('\n');
+    writeFileSync(eventsPath, ' '.repeat(firstLine) + content.slice(firstLine));
+
+    assert.deepEqual(seqsOf(await request('GET', '/projects/stream/events?since=1')), [2, 3, 4, 5]);
+    assert.deepEqual(seqsOf(await request('GET', '/projects/stream/events?since=0')), [2, 3, 4, 5]);
+  });
+
+  it('keeps numbering after a torn line left by a crash', async () => {
+    const dir = join(config.dataDir, 'projects', 'torn');
+    mkdirSync(dir, { recursive: true });
+    const line = (seq, id) => JSON.stringify({ seq, id, clientId: 'old', receivedAt: '2026-10-18T10:00:00Z', entry: { content: id } });
+    writeFileSync(join(dir, 'events.jsonl'), `${line(1, 'a')}\n${line(2, 'b')}\n{"seq":3,"id":"c","ent`);
+
+    const appended = await request('POST', '/projects/torn/events', { body: { events: events('d') } });
+    assert.deepEqual(appended.body.seqs, [3]);
+    assert.deepEqual(seqsOf(await request('GET', '/projects/torn/events?since=0')), [1, 2, 3]);
+    assert.deepEqual(seqsOf(await request('GET', '/projects/torn/events?since=2')), [3]);
+  });
+
+  it('does not keep ids of events that failed to append', async () => {
+    await request('POST', '/projects/full-disk/events', { body: { events: events('a') } });
+    const eventsPath = join(config.dataDir, 'projects', 'full-disk', 'events.jsonl');
+    const saved = readFileSync(eventsPath, 'utf-8');
+    // A directory in its place makes the append throw
+    rmSync(eventsPath);
+    mkdirSync(eventsPath);
+    const failed = await request('POST', '/projects/full-disk/events', { body: { events: events('b', 'c') } });
+    assert.equal(failed.status, 500);
+
+    rmSync(eventsPath, { recursive: true });
+    writeFileSync(eventsPath, saved);
+    const retry = await request('POST', '/projects/full-disk/events', { body: { events: events('b', 'c') } });
+    assert.deepEqual(retry.body, { seqs: [2, 3], lastSeq: 3, appended: 2 });
+    assert.deepEqual(seqsOf(await request('GET', '/projects/full-disk/events?since=0')), [1, 2, 3]);
+  });
+
+  it('drops the oldest events past maxEventsPerProject, keeping seqs', async () => {
+    const maxEvents = config.maxEventsPerProject;
+    config.maxEventsPerProject = 3;
+    try {
+      await request('POST', '/projects/pruned/events', { body: { events: events('a', 'b', 'c', 'd') } });
+      assert.deepEqual(seqsOf(await request('GET', '/projects/pruned/events?since=0')), [1, 2, 3, 4]);
+      const more = await request('POST', '/projects/pruned/events', { body: { events: events('e') } });
+      assert.equal(more.body.lastSeq, 5);
+      assert.deepEqual(seqsOf(await request('GET', '/projects/pruned/events?since=0')), [3, 4, 5]);
+      assert.deepEqual(seqsOf(await request('GET', '/projects/pruned/events?since=1')), [3, 4, 5]);
+      const next = await request('POST', '/projects/pruned/events', { body: { events: events('e', 'f') } });
+      assert.deepEqual(next.body.seqs, [5, 6]);
+    } finally {
+      config.maxEventsPerProject = maxEvents;
+    }
+  });
+
+  it('rewrites stored events in place, keeping their seq', async () => {
+    await request('POST', '/projects/rewrite/events', { body: { events: events('a', 'b', 'c', 'd') } });
+    const rewritten = await request('POST', '/projects/rewrite/events/rewrite', { body: { rewrites: [
+      { id: 'b', newId: 'b2', entry: { type: 'prompt', content: 'entry [REDACTED]' } },
+      { id: 'c', newId: 'd', entry: { type: 'prompt', content: 'entry d' } },
+      { id: 'zz', newId: 'zz2', entry: {} }
+    ] } });
+    assert.deepEqual(rewritten.body, { rewritten: 1, removed: 1, missing: 1 });
+
+    const stream = await request('GET', '/projects/rewrite/events?since=0');
+    assert.deepEqual(stream.body.events.map(e => [e.seq, e.id, e.entry.content]),
+      [[1, 'a', 'entry a'], [2, 'b2', 'entry [REDACTED]'], [4, 'd', 'entry d']]);
+    // A retried push of the scrubbed entry gets the rewritten event's seq
+    const retry = await request('POST', '/projects/rewrite/events', { body: { events: [{ id: 'b2', entry: {} }, ...events('e')] } });
+    assert.deepEqual(retry.body, { seqs: [2, 5], lastSeq: 5, appended: 1 });
+    assert.equal((await request('POST', '/projects/rewrite/events/rewrite', { body: { rewrites: [{ id: 'a' }] } })).status, 400);
+  });
+
+  it('rejects malformed events', async () => {
+    assert.equal((await request('POST', '/projects/stream/events', { body: { events: [{ entry: {} }] } })).status, 400);
+    assert.equal((await request('POST', '/projects/stream/events', { body: { events: 'nope' } })).status, 400);
+    assert.equal((await request('POST', '/projects/stream/events', { clientId: '', body: { events: events('f') } })).status, 400);
+  });
+});
+
+describe('encrypted clients', () => {
+  let key;
+  let otherKey;
+
+  before(() => {
+    openServer();
+    writeFileSync(join(home, 'sync.key'), 'correct horse battery staple');
+    writeFileSync(join(home, 'other.key'), 'a different secret entirely');
+    key = keyFromKeyFile(join(home, 'sync.key'));
+    otherKey = keyFromKeyFile(join(home, 'other.key'));
+  });
+
+  it('stores opaque files that round-trip and only decrypt with the right key', async () => {
+    const project = opaqueName(key, 'project', 'github.com-acme-api');
+    const fileName = `enc-${opaqueName(key, 'file', 'summary.json')}`;
+    const summary = JSON.stringify({ projectContext: 'Payments API' });
+    const content = encryptText(key, summary, 'file:summary.json');
+
+    const put = await request('PUT', `/projects/${project}/files/${fileName}`, { body: { content, baseHash: null } });
+    assert.equal(put.status, 200);
+    const listed = await request('GET', `/projects/${project}/files`);
+    assert.deepEqual(listed.body.files.map(f => f.name), [fileName]);
+
+    const stored = (await request('GET', `/projects/${project}/files/${fileName}`)).body.content;
+    assert.ok(!stored.includes('Payments'));
+    assert.equal(decryptText([key], stored, 'file:summary.json'), summary);
+    assert.throws(() => decryptText([otherKey], stored, 'file:summary.json'), /unknown key/);
+    assert.throws(() => decryptText([key], stored, 'file:remembered.json'));
+  });
+
+  it('stores encrypted events as sent', async () => {
+    const project = opaqueName(key, 'project', 'github.com-acme-api');
+    const entry = { ts: '2026-10-18T10:00:00Z', type: 'prompt', content: 'Rotate the Stripe key' };
+    const event = { id: keyedEventId(key, entry), entry: { enc: encryptText(key, JSON.stringify(entry), 'log-event') } };
+    await request('POST', `/projects/${project}/events`, { body: { events: [event] } });
+
+    const [stored] = (await request('GET', `/projects/${project}/events?since=0`)).body.events;
+    assert.equal(stored.id, event.id);
+    assert.deepEqual(JSON.parse(decryptText([key], stored.entry.enc, 'log-event')), entry);
+    assert.throws(() => decryptText([otherKey], stored.entry.enc, 'log-event'));
+  });
+
+  it('only accepts encrypted file names of the expected form', async () => {
+    const result = await request('PUT', '/projects/enc/files/enc-not-a-hash', { body: { content: 'x', baseHash: null } });
+    assert.equal(result.status, 403);
+  });
+});
+
+describe('users and project access', () => {
+  let alice;
+  let bob;
+
+  before(() => {
+    openServer();
+    alice = tokenFrom(admin('user', 'add', 'alice'));
+    bob = tokenFrom(admin('user', 'add', 'bob'));
+    admin('grant', 'alice', '*', 'write');
+    admin('grant', 'alice', 'secret', 'read');
+    admin('grant', 'bob', 'payments', 'write');
+  });
+
+  const pushEvent = (project, token) =>
+    request('POST', `/projects/${project}/events`, { token, body: { events: [{ id: `e-${Math.random()}`, entry: { content: 'x' } }] } });
+
+  it('requires a valid token once users exist', async () => {
+    assert.equal((await request('GET', '/projects/payments/events')).status, 401);
+    assert.equal((await request('GET', '/projects/payments/events', { token: 'mneme_wrong' })).status, 403);
+    assert.equal((await request('GET', '/health')).body.authRequired, true);
+  });
+
+  it('allows what a grant allows and denies the rest', async () => {
+    assert.equal((await pushEvent('payments', alice)).status, 200);
+    assert.equal((await pushEvent('payments', bob)).status, 200);
+
+    // An exact grant overrides "*": read-only on secret
+    assert.equal((await request('GET', '/projects/secret/events', { token: alice })).status, 200);
+    assert.equal((await pushEvent('secret', alice)).status, 403);
+
+    // No grant at all
+    assert.equal((await request('GET', '/projects/secret/events', { token: bob })).status, 403);
+    assert.equal((await request('GET', '/projects/secret/files', { token: bob })).status, 403);
+  });
+
+  it('applies grant changes and token revocation immediately', async () => {
+    admin('grant', 'bob', 'secret', 'read');
+    assert.equal((await request('GET', '/projects/secret/events', { token: bob })).status, 200);
+    admin('revoke', 'bob', 'secret');
+    assert.equal((await request('GET', '/projects/secret/events', { token: bob })).status, 403);
+
+    const tokenId = admin('user', 'list').output.find(line => line.startsWith('  token')).split(' ')[3];
+    assert.equal(admin('token', 'revoke', 'alice', tokenId).code, 0);
+    assert.equal((await request('GET', '/projects/payments/events', { token: alice })).status, 403);
+  });
+
+  it('gives shared API keys full access', async () => {
+    config.apiKeys = ['shared-key'];
+    assert.equal((await pushEvent('secret', 'shared-key')).status, 200);
+  });
+
+  it('audits writes and denials', () => {
+    const lines = admin('audit', '--user', 'bob').output;
+    assert.ok(lines.some(line => line.includes('append-events') && line.includes('payments')));
+    assert.ok(lines.some(line => line.includes('denied') && line.includes('secret')));
+  });
+
+  it('validates admin commands', () => {
+    assert.equal(admin('user', 'add', 'alice').code, 1);
+    assert.equal(admin('grant', 'nobody', '*', 'read').code, 1);
+    assert.equal(admin('grant', 'bob', '*', 'admin').code, 1);
+  });
+});
+
+describe('file history', () => {
+  before(openServer);
+
+  const path = '/projects/history/files/summary.json';
+  const summary = n => JSON.stringify({ projectContext: `Revision ${n}` });
+
+  async function push(n, clientId = 'client-a') {
+    const current = await request('GET', path);
+    const baseHash = current.status === 404 ? null : current.body.hash;
+    return request('PUT', path, { clientId, body: { content: summary(n), baseHash } });
+  }
+
+  it('lists the last historyVersions versions, newest first, with their writer', async () => {
+    for (const n of [1, 2, 3]) await push(n);
+    await push(4, 'client-b');
+
+    const { body } = await request('GET', `${path}/versions`);
+    assert.deepEqual(body.versions.map(v => v.version), [4, 3, 2]);
+    assert.deepEqual([body.versions[0].clientId, body.versions[1].clientId], ['client-b', 'client-a']);
+    assert.equal(body.versions[0].hash, (await request('GET', path)).body.hash);
+  });
+
+  it('restores an older version by writing it back', async () => {
+    const old = await request('GET', `${path}/versions/2`);
+    assert.equal(old.body.content, summary(2));
+
+    const current = await request('GET', path);
+    const restored = await request('PUT', path, { body: { content: old.body.content, baseHash: current.body.hash } });
+    assert.equal(restored.status, 200);
+    assert.equal((await request('GET', path)).body.content, summary(2));
+
+    const { body } = await request('GET', `${path}/versions`);
+    assert.deepEqual(body.versions.map(v => v.version), [5, 4, 3]);
+    assert.equal(body.versions[0].hash, old.body.hash);
+  });
+
+  it('deletes all versions of a file', async () => {
+    const purged = await request('DELETE', `${path}/versions`);
+    assert.deepEqual(purged.body, { removed: 3 });
+    assert.deepEqual((await request('GET', `${path}/versions`)).body.versions, []);
+    assert.equal((await request('GET', path)).body.content, summary(2));
+    assert.equal((await request('DELETE', '/projects/history/files/notes.txt/versions')).status, 400);
+  });
+
+  it('records a file written before history as the first version', async () => {
+    const dir = join(config.dataDir, 'projects', 'legacy');
+    mkdirSync(dir, { recursive: true });
+    writeFileSync(join(dir, 'remembered.json'), '[]');
+    const current = await request('GET', '/projects/legacy/files/remembered.json');
+    await request('PUT', '/projects/legacy/files/remembered.json', { body: { content: '[{"content":"x"}]', baseHash: current.body.hash } });
+
+    const { body } = await request('GET', '/projects/legacy/files/remembered.json/versions');
+    assert.deepEqual(body.versions.map(v => [v.version, v.clientId]), [[2, 'client-a'], [1, null]]);
+    assert.equal((await request('GET', '/projects/legacy/files/remembered.json/versions/1')).body.content, '[]');
+  });
+
+  it('reports unknown versions and files', async () => {
+    assert.equal((await request('GET', `${path}/versions/1`)).status, 404);
+    assert.equal((await request('GET', '/projects/history/files/log.jsonl/versions')).status, 400);
+  });
+});
+
+describe('scrubbing a synced project', () => {
+  before(openServer);
+
+  it('replaces the pushed events and file versions that held the secret', async () => {
+    const project = join(home, 'scrubbed-project');
+    mkdirSync(project);
+    mkdirSync(join(home, '.claude-mneme'), { recursive: true });
+    writeFileSync(join(home, '.claude-mneme', 'config.json'), JSON.stringify({
+      sync: { enabled: true, serverUrl: baseUrl, syncGlobal: false, retries: 1 }
+    }));
+    const { ensureMemoryDirs, loadConfig } = await import('../plugin/scripts/utils.mjs');
+    const { SyncClient, pushIfEnabled } = await import('../plugin/scripts/sync.mjs');
+    const { main: scrub } = await import('../plugin/scripts/mem-scrub.mjs');
+
+    const paths = ensureMemoryDirs(project);
+    writeFileSync(paths.log, [
+      { ts: '2026-10-18T10:00:00Z', type: 'prompt', content: 'the db password is hunter2' },
+      { ts: '2026-10-18T10:01:00Z', type: 'prompt', content: 'run the migrations' }
+    ].map(e => JSON.stringify(e)).join('\n') + '\n');
+    writeFileSync(paths.summaryJson, JSON.stringify({ projectContext: 'staging uses hunter2' }));
+    const cfg = loadConfig();
+    assert.equal((await pushIfEnabled(project, cfg)).pushed, true);
+
+    const output = [];
+    const { log } = console;
+    console.log = (line) => output.push(line);
+    try {
+      await scrub({ argv: ['hunter2', '--push'], cwd: project });
+    } finally {
+      console.log = log;
+    }
+    const result = JSON.parse(output[0]);
+    assert.equal(result.status, 'success');
+    assert.deepEqual(result.pushed[0].purgedVersions, ['summary.json']);
+
+    const projectId = new SyncClient(cfg, project).projectId;
+    const { events } = (await request('GET', `/projects/${projectId}/events?since=0`)).body;
+    assert.deepEqual(events.map(e => e.seq), [1, 2]);
+    assert.doesNotMatch(JSON.stringify(events), /hunter2/);
+    const file = await request('GET', `/projects/${projectId}/files/summary.json`);
+    assert.doesNotMatch(file.body.content, /hunter2/);
+    assert.deepEqual((await request('GET', `/projects/${projectId}/files/summary.json/versions`)).body.versions, []);
+    assert.equal(JSON.parse(readFileSync(paths.syncState, 'utf-8')).rewrites, undefined);
+  });
+});
+
+describe('admin console access', () => {
+  before(async () => {
+    openServer();
+    await request('POST', '/projects/p1/events', { body: { events: [{ id: 'a', entry: { content: 'x' } }] } });
+  });
+
+  it('refuses the console and its API on a server without auth', async () => {
+    assert.equal((await request('GET', '/admin')).status, 403);
+    assert.equal((await request('GET', '/admin/api/projects')).status, 403);
+    assert.equal((await request('DELETE', '/admin/api/projects/p1')).status, 403);
+    assert.equal((await request('DELETE', '/admin/api/projects/p1/lock')).status, 403);
+    assert.equal((await request('GET', '/projects/p1/events')).body.lastSeq, 1);
+  });
+
+  it('requires an admin key or admin user once auth is configured', async () => {
+    const adminToken = tokenFrom(admin('user', 'add', 'root', '--admin'));
+    const userToken = tokenFrom(admin('user', 'add', 'carol'));
+    admin('grant', 'carol', '*', 'write');
+    config.apiKeys = ['shared-key'];
+
+    const page = await request('GET', '/admin');
+    assert.equal(page.status, 200);
+    assert.match(page.body, /<title>Mneme Sync Server<\/title>/);
+
+    assert.equal((await request('GET', '/admin/api/projects')).status, 401);
+    assert.equal((await request('DELETE', '/admin/api/projects/p1')).status, 401);
+    assert.equal((await request('GET', '/admin/api/projects', { token: 'mneme_wrong' })).status, 403);
+    assert.equal((await request('DELETE', '/admin/api/projects/p1', { token: userToken })).status, 403);
+    assert.equal((await request('GET', '/admin/api/projects', { token: adminToken })).status, 200);
+    assert.equal((await request('GET', '/admin/api/projects', { token: 'shared-key' })).status, 200);
+  });
+});
+
+describe('admin console API', () => {
+  const token = 'admin-key';
+
+  before(async () => {
+    openServer();
+    config.apiKeys = [token];
+    const summary = '/projects/console/files/summary.json';
+    await request('PUT', summary, { token, body: { content: '{"v":1}', baseHash: null } });
+    const { body } = await request('GET', summary, { token });
+    await request('PUT', summary, { token, clientId: 'client-b', body: { content: '{"v":2}', baseHash: body.hash } });
+    await request('POST', '/projects/console/events', { token, body: { events: [{ id: 'a', entry: {} }, { id: 'b', entry: {} }] } });
+    await request('POST', '/projects/console/lock', { token, clientId: 'stale-laptop' });
+  });
+
+  it('lists projects with storage, files, events and lock', async () => {
+    const { status, body } = await request('GET', '/admin/api/projects', { token });
+    assert.equal(status, 200);
+    const project = body.projects.find(p => p.id === 'console');
+    assert.deepEqual([project.files, project.lastSeq, project.lock.clientId], [1, 2, 'stale-laptop']);
+    assert.ok(project.size > 0);
+    assert.ok(project.updatedAt);
+  });
+
+  it('shows file versions, per-client activity and recent audit records', async () => {
+    const { body } = await request('GET', '/admin/api/projects/console', { token });
+    assert.deepEqual(body.files[0].versions.map(v => [v.version, v.clientId]), [[2, 'client-b'], [1, 'client-a']]);
+    const clients = Object.fromEntries(body.clients.map(c => [c.clientId, [c.filePushes, c.events]]));
+    assert.deepEqual(clients, { 'client-a': [1, 2], 'client-b': [1, 0] });
+    assert.equal(body.activity[0].action, 'lock');
+  });
+
+  it('force-releases a lock', async () => {
+    const { body } = await request('DELETE', '/admin/api/projects/console/lock', { token });
+    assert.equal(body.released.clientId, 'stale-laptop');
+    assert.equal((await request('GET', '/projects/console/lock', { token })).body.locked, false);
+    assert.equal((await request('DELETE', '/admin/api/projects/console/lock', { token })).body.released, null);
+  });
+
+  it('deletes a project with its files, events and history', async () => {
+    assert.equal((await request('DELETE', '/admin/api/projects/console', { token })).status, 200);
+    assert.equal((await request('GET', '/admin/api/projects/console', { token })).status, 404);
+    assert.equal((await request('GET', '/projects/console/events?since=0', { token })).body.lastSeq, 0);
+
+    const actions = admin('audit', '--project', 'console').output.map(line => line.split(/\s+/)[2]);
+    assert.deepEqual(actions.slice(-2), ['force-unlock', 'delete-project']);
+  });
+
+  it('answers 404 for unknown projects and routes', async () => {
+    assert.equal((await request('GET', '/admin/api/projects/nope', { token })).status, 404);
+    assert.equal((await request('POST', '/admin/api/projects', { token })).status, 404);
+  });
+
+  it('is not served when adminConsole is off', async () => {
+    config.adminConsole = false;
+    try {
+      assert.equal((await request('GET', '/admin/api/projects', { token })).status, 404);
+    } finally {
+      config.adminConsole = true;
+    }
+  });
+});
+
+describe('admin CLI', () => {
+  before(() => {
+    openServer();
+    // Keeps auth on after dave is removed
+    admin('user', 'add', 'erin');
+  });
+
+  it('creates, lists and removes users and tokens', async () => {
+    const first = tokenFrom(admin('user', 'add', 'dave', '--admin'));
+    const second = tokenFrom(admin('token', 'create', 'dave', '--label', 'desktop'));
+    const listing = admin('user', 'list').output;
+    assert.ok(listing.includes('dave (admin)'));
+    assert.ok(listing.some(line => line.includes('"desktop"')));
+    assert.equal((await request('GET', '/admin/api/projects', { token: first })).status, 200);
+    assert.equal((await request('GET', '/admin/api/projects', { token: second })).status, 200);
+
+    assert.equal(admin('user', 'remove', 'dave').code, 0);
+    const removed = await request('GET', '/admin/api/projects', { token: second });
+    assert.deepEqual([removed.status, removed.body.error], [403, 'Invalid API key or token']);
+  });
+
+  it('lists projects and limits audit output', () => {
+    const projects = admin('projects').output;
+    assert.ok(projects.includes('history') && projects.includes('stream'));
+    assert.equal(admin('audit', '--limit', '2').output.length, 2);
+  });
+
+  it('rotates the audit log and reads the newest records across both files', async () => {
+    const token = tokenFrom(admin('user', 'add', 'frank'));
+    admin('grant', 'frank', 'audited', 'write');
+    const push = (id) => request('POST', '/projects/audited/events', { token, body: { events: [{ id, entry: { content: id } }] } });
+    const auditMaxBytes = config.auditMaxBytes;
+    config.auditMaxBytes = 1;
+    try {
+      await push('a');
+    } finally {
+      config.auditMaxBytes = auditMaxBytes;
+    }
+    await push('b');
+    await push('c');
+
+    assert.match(readFileSync(join(config.dataDir, 'audit.1.jsonl'), 'utf-8'), /"project":"audited"/);
+    assert.equal(readFileSync(join(config.dataDir, 'audit.jsonl'), 'utf-8').trim().split('\n').length, 2);
+    assert.deepEqual(admin('audit', '--project', 'audited', '--limit', '5').output.map(line => line.split(/\s+/)[3]), ['audited', 'audited', 'audited']);
+    assert.equal(admin('audit', '--project', 'audited', '--limit', '2').output.length, 2);
+  });
+
+  it('prints usage for unknown commands', () => {
+    const { code, output } = admin('frobnicate');
+    assert.equal(code, 1);
+    assert.match(output[0], /^Usage:/);
+    assert.equal(admin('help').code, 0);
+  });
+});